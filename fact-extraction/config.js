@@ -28,6 +28,7 @@ export const config = {
     model: process.env.LLM_MODEL || "gpt-4o-mini",
     maxTokens: 8000,
     temperature: 0.7,
+    // 사용량 비용 추정 단가는 메인 서버와 공통 (src/config/llm.config.js)
   },
 
   // source_type 정의
@@ -37,6 +38,7 @@ export const config = {
     EVENT: "EVENT",
     GIFT: "GIFT",
     CHAT: "CHAT",
+    CARD_REVISION: "CARD_REVISION", // card_revisions의 회사/직책 변경 (LLM 없이 ROLE_OR_ORG 생성)
   },
 
   // fact_type 정의 (8개 고정)
@@ -51,6 +53,11 @@ export const config = {
     "CONTEXT", // 맥락/상황 정보
   ],
 
+  // 운영자 인증 (단독 서버는 사용자 JWT 대신 공유 토큰 사용, 없으면 서버 시작 거부)
+  operator: {
+    token: process.env.OPERATOR_TOKEN,
+  },
+
   // 워커 설정
   worker: {
     pollIntervalMs: 5000, // 5초마다 폴링
@@ -0,0 +1,68 @@
+/**
+ * 경력 변경 fact 생성기
+ * card_revisions의 회사/직책 변경을 LLM 없이 ROLE_OR_ORG fact로 변환
+ */
+
+// source_event로 적재할 card_revisions 필드
+export const CAREER_FIELDS = ["company", "position"];
+
+/**
+ * 변경 이력 1건 → ROLE_OR_ORG fact 배열
+ * - 새 값: "company:카카오" (이전 값의 "company:삼성전자"는 INVALIDATE)
+ * - 이전 값: "former_company:삼성전자" (경력 이력으로 보존)
+ * @param {Object} revision - card_revisions 레코드 (field, oldValue, newValue)
+ * @param {string} evidence - source_event.raw_text
+ * @returns {Array} fact-validator 입력 형식의 fact 배열
+ */
+export const buildCareerFacts = (revision, evidence) => {
+  if (!revision || !CAREER_FIELDS.includes(revision.field)) {
+    return [];
+  }
+
+  const facts = [];
+  const oldValue = revision.oldValue?.trim();
+  const newValue = revision.newValue?.trim();
+
+  if (newValue) {
+    facts.push({
+      fact_type: "ROLE_OR_ORG",
+      fact_key: `${revision.field}:${newValue}`,
+      polarity: 0,
+      confidence: 1.0,
+      evidence,
+      ...(oldValue && { action: "INVALIDATE", invalidate_key: `${revision.field}:${oldValue}` }),
+    });
+  }
+
+  if (oldValue) {
+    facts.push({
+      fact_type: "ROLE_OR_ORG",
+      fact_key: `former_${revision.field}:${oldValue}`,
+      polarity: 0,
+      confidence: 1.0,
+      evidence,
+    });
+  }
+
+  return facts;
+};
+
+/**
+ * CARD_REVISION source_event의 fact 생성 (source_pk = card_revisions.id)
+ * @param {Function} query - db.js의 query
+ * @param {Object} sourceEvent - source_event 레코드
+ * @returns {Promise<Array>}
+ */
+export const extractCareerFacts = async (query, sourceEvent) => {
+  const rows = await query(
+    `SELECT field, oldValue, newValue FROM card_revisions WHERE id = ? AND userId = ?`,
+    [sourceEvent.source_pk, sourceEvent.user_id]
+  );
+  return buildCareerFacts(rows[0], sourceEvent.raw_text);
+};
+
+export default {
+  CAREER_FIELDS,
+  buildCareerFacts,
+  extractCareerFacts,
+};
@@ -6,9 +6,31 @@
 
 import axios from "axios";
 import { config } from "../config.js";
+import { execute } from "./db.js";
+import { estimateLLMCost } from "../../src/services/llm/pricing.js";
+import { logger } from "../../src/utils/logger.js";
 
 const LLM_TIMEOUT_MS = 300000; // 5분 타임아웃 (데이터 생성량이 많을 때 대비)
 
+/**
+ * LLM 사용량을 llm_usage 테이블에 기록 (실패해도 생성 작업은 계속)
+ * @param {Object} entry - { userId, feature, model, promptTokens, completionTokens }
+ */
+const recordUsage = async ({ userId = null, feature, model, promptTokens, completionTokens }) => {
+  const estimatedCost = estimateLLMCost(model, promptTokens, completionTokens);
+
+  try {
+    await execute(
+      `INSERT INTO llm_usage
+       (user_id, feature, provider, model, prompt_tokens, completion_tokens, total_tokens, estimated_cost)
+       VALUES (?, ?, 'gpt', ?, ?, ?, ?, ?)`,
+      [userId, feature, model, promptTokens, completionTokens, promptTokens + completionTokens, estimatedCost]
+    );
+  } catch (error) {
+    logger.warn("LLM usage record failed", { feature, model, message: error.message });
+  }
+};
+
 /**
  * LLM에 텍스트 생성 요청 (OpenAI Chat API)
  * @param {string} prompt - 프롬프트
@@ -20,11 +42,13 @@ export const generateText = async (prompt, options = {}) => {
     throw new Error("OPENAI_API_KEY is not configured in .env file");
   }
 
+  const model = options.model ?? config.llm.model;
+
   try {
     const response = await axios.post(
       "https://api.openai.com/v1/chat/completions",
       {
-        model: options.model ?? config.llm.model,
+        model,
         messages: [
           {
             role: "system",
@@ -47,6 +71,17 @@ export const generateText = async (prompt, options = {}) => {
       }
     );
 
+    const { usage } = response.data;
+    if (usage) {
+      recordUsage({
+        userId: options.userId,
+        feature: options.feature || "fact_extraction",
+        model,
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+      });
+    }
+
     if (response.data.choices && response.data.choices.length > 0) {
       return response.data.choices[0].message.content;
     }
@@ -282,6 +317,7 @@ export const generateScenarioOptions = async (domain = "비즈니스") => {
 `;
 
   return await generateJSON(prompt, { 
+    feature: "scenario_generation",
     temperature: 0.9, 
     maxTokens: 4000,
     systemPrompt: "You are a scenario generator that creates realistic business relationship scenarios. Always respond with valid JSON arrays only. Do NOT include protagonist/user information."
@@ -301,9 +337,9 @@ export const generateDummyData = async (scenario) => {
 ## 시나리오
 ${scenario}
 
-## 중요: user_id는 항상 1로 고정
+## 중요: 사용자는 생성하지 않음
 - 새 사용자를 생성하지 않습니다.
-- 모든 데이터는 기존 user_id = 1 계정에 추가됩니다.
+- 모든 데이터는 운영자가 지정한 기존 사용자 계정에 추가됩니다.
 - users 테이블 데이터는 생성하지 마세요.
 
 ## ⚠️ 관계 그래프 최적화 핵심 원칙 ⚠️
@@ -550,6 +586,7 @@ ${scenario}
 `;
 
   return await generateJSON(prompt, { 
+    feature: "dummy_data_generation",
     temperature: 0.7, 
     maxTokens: 16000,  // 적절한 토큰 수
     systemPrompt: "You are a database test data generator. Generate realistic, coherent data based on scenarios. IMPORTANT: Generate data according to the relationship depth specified. Always respond with COMPLETE valid JSON only. No explanations, no markdown. If response might be long, prioritize completing the JSON structure."
@@ -649,6 +686,8 @@ JSON 배열로 출력하세요:
 `;
 
   return await generateJSON(prompt, { 
+    userId: sourceEvent.user_id,
+    feature: "fact_extraction",
     temperature: 0.1, 
     maxTokens: 2000,
     systemPrompt: "You are a fact extraction system. Extract facts while considering existing context. Handle conflicts by marking invalidations. Return only valid JSON arrays."
@@ -793,6 +832,8 @@ ${existingChatsStr}
 `;
 
   return await generateJSON(prompt, { 
+    userId: card.userId,
+    feature: "dummy_data_generation",
     temperature: 0.7, 
     maxTokens: 6000,
     systemPrompt: "You are a business relationship data generator. Generate exactly 6 items for each category. Always respond with valid JSON only."
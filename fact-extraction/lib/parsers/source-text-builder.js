@@ -170,9 +170,51 @@ export const chatToRawText = (chat, card = null) => {
   return parts.join("\n");
 };
 
+const REVISION_FIELD_LABELS = {
+  company: "회사",
+  position: "직책",
+};
+
+const REVISION_SOURCE_LABELS = {
+  manual: "직접 수정",
+  ocr: "명함 재스캔",
+  import: "가져오기",
+  merge: "중복 명함 병합",
+};
+
+/**
+ * card_revisions(회사/직책 변경)를 raw_text로 변환
+ * @param {Object} revision - card_revisions 레코드
+ * @param {Object} card - 연결된 business_card 레코드 (선택)
+ * @returns {string} raw_text
+ */
+export const cardRevisionToRawText = (revision, card = null) => {
+  const parts = [];
+
+  parts.push(`[경력 변경]`);
+
+  if (card) {
+    parts.push(`[대상] ${card.name}`);
+  }
+
+  const label = REVISION_FIELD_LABELS[revision.field] || revision.field;
+  parts.push(`${label}: ${revision.oldValue || "(없음)"} → ${revision.newValue || "(없음)"}`);
+
+  if (revision.createdAt) {
+    const date = new Date(revision.createdAt);
+    parts.push(`[변경일] ${date.toLocaleDateString("ko-KR")}`);
+  }
+
+  if (revision.source) {
+    parts.push(`[출처] ${REVISION_SOURCE_LABELS[revision.source] || revision.source}`);
+  }
+
+  return parts.join("\n");
+};
+
 /**
  * 소스 타입에 따라 적절한 변환 함수 호출
- * @param {string} sourceType - CARD, MEMO, EVENT, GIFT, CHAT
+ * @param {string} sourceType - CARD, MEMO, EVENT, GIFT, CHAT, CARD_REVISION
  * @param {Object} record - 원본 레코드
  * @param {Object} card - 연결된 명함 (선택)
  * @returns {string} raw_text
@@ -189,6 +231,8 @@ export const buildRawText = (sourceType, record, card = null) => {
       return giftToRawText(record, card);
     case "CHAT":
       return chatToRawText(record, card);
+    case "CARD_REVISION":
+      return cardRevisionToRawText(record, card);
     default:
       throw new Error(`Unknown source type: ${sourceType}`);
   }
@@ -199,6 +243,7 @@ export default {
   memoToRawText,
   giftToRawText,
   chatToRawText,
+  cardRevisionToRawText,
   buildRawText,
 };
 
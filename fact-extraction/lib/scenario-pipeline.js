@@ -10,12 +10,20 @@ import { parseLinkedCardIds } from "./parsers/event-parser.js";
 import { inferCardIdsFromChat } from "./parsers/chat-parser.js";
 import { buildRawText } from "./parsers/source-text-builder.js";
 import { validateFacts, deduplicateFacts } from "./validators/fact-validator.js";
+import { CAREER_FIELDS, extractCareerFacts } from "./career-facts.js";
 import TimestampGenerator from "./timestamp-generator.js";
 
 /**
  * Step 1: 시나리오로 원본 테이블에 더미 데이터 생성
+ * @param {string} scenario - 시나리오 텍스트 (rawData가 없을 때 LLM 입력)
+ * @param {Object|null} rawData - 미리보기에서 확정한 데이터
+ * @param {number} userId - 데이터를 추가할 기존 사용자 ID (필수)
  */
-export async function generateDummyData(scenario, rawData = null) {
+export async function generateDummyData(scenario, rawData = null, userId) {
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw new Error("userId가 필요합니다.");
+  }
+
   // rawData가 있으면 직접 사용, 없으면 LLM으로 생성
   const generatedData = rawData || await llmGenerateDummyData(scenario);
 
@@ -24,9 +32,6 @@ export async function generateDummyData(scenario, rawData = null) {
   try {
     await connection.beginTransaction();
 
-    // user_id는 항상 1로 고정 (기존 계정 사용)
-    const userId = 1;
-    
     // TimestampGenerator 인스턴스 생성 및 기존 데이터 로드
     const tsGen = new TimestampGenerator();
     
@@ -60,7 +65,7 @@ export async function generateDummyData(scenario, rawData = null) {
       chats: existingChats
     });
     
-    // ⚠️ userId=1이 users 테이블에 실제 존재하는지 확인
+    // ⚠️ userId가 users 테이블에 실제 존재하는지 확인
     const [userCheck] = await connection.query(
       `SELECT id FROM users WHERE id = ?`,
       [userId]
@@ -373,6 +378,7 @@ export async function populateSourceEvents(userId, cardIds = null, createdAfter
       events: 0,
       gifts: 0,
       chats: 0,
+      cardRevisions: 0,
     };
 
     // cardIds 필터가 있으면 Set으로 변환 (빠른 조회용)
@@ -596,6 +602,32 @@ export async function populateSourceEvents(userId, cardIds = null, createdAfter
       }
     }
 
+    // CARD_REVISION 처리 (회사/직책 변경만, 최초 등록은 CARD에서 다룸)
+    const revisionExisting = await getExisting("CARD_REVISION");
+    const revisions = await query(
+      `SELECT * FROM card_revisions
+       WHERE userId = ? AND field IN (${CAREER_FIELDS.map(() => "?").join(", ")}) AND oldValue IS NOT NULL`,
+      [userId, ...CAREER_FIELDS]
+    );
+    for (const revision of revisions) {
+      if (!validCardIds.has(revision.businessCardId)) continue;
+      if (!isTargetCard(revision.businessCardId)) continue;
+      if (!isCreatedAfter(revision.createdAt)) continue;
+
+      const key = `${revision.id}:${revision.businessCardId}`;
+      if (revisionExisting.has(key)) continue;
+      const rawText = buildRawText("CARD_REVISION", revision, cardMap.get(revision.businessCardId));
+      await insertSourceEvent({
+        userId: revision.userId,
+        cardId: revision.businessCardId,
+        sourceType: "CARD_REVISION",
+        sourcePk: revision.id,
+        occurredAt: revision.createdAt,
+        rawText,
+      });
+      results.cardRevisions++;
+    }
+
     await connection.commit();
     return results;
   } catch (error) {
@@ -648,8 +680,11 @@ export async function extractFactsForUser(userId, cardIds = null) {
           [sourceEvent.card_id]
         );
         
-        // LLM으로 fact 추출 (기존 fact 컨텍스트 포함)
-        const rawFacts = await llmExtractFacts(sourceEvent, existingFacts);
+        // 경력 변경은 구조화된 이력이 있으므로 LLM 없이 ROLE_OR_ORG 생성,
+        // 그 외는 LLM으로 fact 추출 (기존 fact 컨텍스트 포함)
+        const rawFacts = sourceEvent.source_type === "CARD_REVISION"
+          ? await extractCareerFacts(query, sourceEvent)
+          : await llmExtractFacts(sourceEvent, existingFacts);
 
         if (rawFacts.length === 0) {
           // fact가 없어도 처리 완료 표시
@@ -0,0 +1,3 @@
+-- 명함 변경 이력(card_revisions)을 source_event로 적재하기 위해 source_type에 CARD_REVISION 허용
+-- 기존 값(CARD, MEMO, EVENT, GIFT, CHAT)은 그대로 유지됨
+ALTER TABLE source_event MODIFY COLUMN source_type VARCHAR(32) NOT NULL;
@@ -1,14 +1,15 @@
 /**
  * 레거시 데이터 정리 스크립트
  * - business_cards에 존재하지 않는 card_id를 참조하는 데이터 삭제
+ *
+ * 사용법: node scripts/cleanup-legacy-data.js --user-id <id>
  */
 
 import { query, execute, closePool } from '../lib/db.js';
 
-async function cleanupLegacyData() {
+async function cleanupLegacyData(userId) {
   console.log('=== 레거시 데이터 정리 시작 ===\n');
-  
-  const userId = 1;
+  console.log(`대상 사용자 ID: ${userId}\n`);
   
   try {
     // 1. 현재 존재하는 business_cards ID 목록 조회
@@ -155,5 +156,13 @@ async function cleanupLegacyData() {
   }
 }
 
-cleanupLegacyData();
+const userIdIndex = process.argv.indexOf('--user-id');
+const userId = userIdIndex > -1 ? parseInt(process.argv[userIdIndex + 1], 10) : NaN;
+
+if (!Number.isInteger(userId) || userId <= 0) {
+  console.error('사용법: node scripts/cleanup-legacy-data.js --user-id <id>');
+  process.exit(1);
+}
+
+cleanupLegacyData(userId);
 
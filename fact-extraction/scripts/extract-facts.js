@@ -11,6 +11,7 @@
 import { query, execute, closePool, getConnection } from "../lib/db.js";
 import { extractFacts } from "../lib/llm-client.js";
 import { validateFacts, deduplicateFacts } from "../lib/validators/fact-validator.js";
+import { extractCareerFacts } from "../lib/career-facts.js";
 import { config } from "../config.js";
 
 /**
@@ -76,8 +77,10 @@ async function processSourceEvent(connection, sourceEvent) {
   console.log(`  raw_text 미리보기: ${sourceEvent.raw_text.substring(0, 100)}...`);
 
   try {
-    // 1. LLM으로 fact 추출
-    const rawFacts = await extractFacts(sourceEvent);
+    // 1. fact 추출 (경력 변경은 LLM 없이 ROLE_OR_ORG 생성)
+    const rawFacts = sourceEvent.source_type === "CARD_REVISION"
+      ? await extractCareerFacts(query, sourceEvent)
+      : await extractFacts(sourceEvent);
     console.log(`  LLM 추출 결과: ${rawFacts.length}개 fact`);
 
     if (rawFacts.length === 0) {
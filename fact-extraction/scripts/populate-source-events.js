@@ -1,7 +1,7 @@
 /**
  * source_event 자동 생성 워커
  * 
- * 원본 테이블(business_cards, memo, events, gifts, chats)을 스캔하여
+ * 원본 테이블(business_cards, memo, events, gifts, chats, card_revisions)을 스캔하여
  * source_event 테이블을 자동으로 채움
  * 
  * 사용법:
@@ -12,6 +12,7 @@ import { query, execute, closePool, getConnection } from "../lib/db.js";
 import { parseLinkedCardIds } from "../lib/parsers/event-parser.js";
 import { inferCardIdsFromChat } from "../lib/parsers/chat-parser.js";
 import { buildRawText } from "../lib/parsers/source-text-builder.js";
+import { CAREER_FIELDS } from "../lib/career-facts.js";
 import { config } from "../config.js";
 
 /**
@@ -314,6 +315,52 @@ async function processChats(connection, userId = null) {
   return inserted;
 }
 
+/**
+ * CARD_REVISION: card_revisions의 회사/직책 변경 처리
+ * 최초 등록(oldValue 없음)은 CARD에서 다루므로 실제 변경만 대상
+ */
+async function processCardRevisions(connection, userId = null) {
+  console.log("\n[CARD_REVISION] 경력 변경 처리 시작...");
+
+  const existing = await getExistingSourceEvents("CARD_REVISION");
+
+  let whereClause = `cr.field IN (${CAREER_FIELDS.map(() => "?").join(", ")}) AND cr.oldValue IS NOT NULL`;
+  const params = [...CAREER_FIELDS];
+  if (userId) {
+    whereClause += " AND cr.userId = ?";
+    params.push(userId);
+  }
+
+  const revisions = await query(
+    `SELECT cr.*, bc.name
+     FROM card_revisions cr
+     JOIN business_cards bc ON cr.businessCardId = bc.id
+     WHERE ${whereClause}`,
+    params
+  );
+
+  let inserted = 0;
+  for (const revision of revisions) {
+    const key = `${revision.id}:${revision.businessCardId}`;
+    if (existing.has(key)) continue;
+
+    const rawText = buildRawText("CARD_REVISION", revision, { name: revision.name });
+
+    await insertSourceEvent(connection, {
+      userId: revision.userId,
+      cardId: revision.businessCardId,
+      sourceType: "CARD_REVISION",
+      sourcePk: revision.id,
+      occurredAt: revision.createdAt,
+      rawText,
+    });
+    inserted++;
+  }
+
+  console.log(`  처리: ${revisions.length}개, 신규 삽입: ${inserted}개`);
+  return inserted;
+}
+
 /**
  * 전체 처리
  */
@@ -329,6 +376,7 @@ async function populateAll(userId = null) {
       events: await processEvents(connection, userId),
       gifts: await processGifts(connection, userId),
       chats: await processChats(connection, userId),
+      cardRevisions: await processCardRevisions(connection, userId),
     };
 
     await connection.commit();
@@ -20,7 +20,8 @@ async function runMigration() {
     // 마이그레이션 파일 목록 (순서대로 실행)
     const migrationFiles = [
       "001_create_source_extracted_tables.sql",
-      "002_change_fact_value_to_polarity.sql"
+      "002_change_fact_value_to_polarity.sql",
+      "003_allow_card_revision_source_type.sql"
     ];
     
     // DB 연결
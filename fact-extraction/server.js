@@ -16,6 +16,12 @@ import {
 import { generateScenarioOptions } from "./lib/llm-client.js";
 import { query, getConnection, closePool } from "./lib/db.js";
 import TimestampGenerator from "./lib/timestamp-generator.js";
+import {
+  assertOperatorAuthConfigured,
+  requireOperator,
+  requireTargetUser
+} from "../graph-extraction/lib/operator-auth.js";
+import { config } from "./config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,6 +36,9 @@ app.use(express.json({ limit: "10mb" }));
 // Static files (프론트엔드)
 app.use(express.static(path.join(__dirname, "public")));
 
+// 모든 API는 운영자 토큰 필요, 사용자 데이터를 읽고 쓰는 API는 대상 userId 필수
+app.use("/api", requireOperator(config.operator.token));
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({ status: "ok", message: "Fact Extraction API is running" });
@@ -39,16 +48,16 @@ app.get("/health", (req, res) => {
  * 기존 명함 목록 조회
  * GET /api/cards
  */
-app.get("/api/cards", async (req, res) => {
+app.get("/api/cards", requireTargetUser, async (req, res) => {
   try {
     const cards = await query(`
       SELECT bc.*, 
-        (SELECT COUNT(*) FROM memo WHERE business_card_id = bc.id) as memoCount,
-        (SELECT COUNT(*) FROM gifts WHERE cardId = bc.id) as giftCount
+        (SELECT COUNT(*) FROM memo WHERE business_card_id = bc.id AND user_id = bc.userId) as memoCount,
+        (SELECT COUNT(*) FROM gifts WHERE cardId = bc.id AND userId = bc.userId) as giftCount
       FROM business_cards bc 
-      WHERE bc.userId = 1 
+      WHERE bc.userId = ? 
       ORDER BY bc.createdAt DESC
-    `);
+    `, [req.targetUserId]);
 
     res.json({
       success: true,
@@ -65,7 +74,7 @@ app.get("/api/cards", async (req, res) => {
  * 이벤트 데이터 조회 및 검증
  * GET /api/events/validate?cardIds=1,2,3 (optional)
  */
-app.get("/api/events/validate", async (req, res) => {
+app.get("/api/events/validate", requireTargetUser, async (req, res) => {
   try {
     let queryStr = `
       SELECT 
@@ -85,10 +94,10 @@ app.get("/api/events/validate", async (req, res) => {
         END as validation_status,
         TIMESTAMPDIFF(MINUTE, e.startDate, e.endDate) as duration_minutes
       FROM events e
-      LEFT JOIN business_cards bc ON FIND_IN_SET(bc.id, e.linked_card_ids) > 0
-      WHERE e.userId = 1
+      LEFT JOIN business_cards bc ON FIND_IN_SET(bc.id, e.linked_card_ids) > 0 AND bc.userId = e.userId
+      WHERE e.userId = ?
     `;
-    let params = [];
+    let params = [req.targetUserId];
     
     if (req.query.cardIds) {
       const cardIds = Array.isArray(req.query.cardIds) 
@@ -130,33 +139,42 @@ app.get("/api/events/validate", async (req, res) => {
  * POST /api/scenario/preview-for-card
  * Body: { cardId: number, card: object }
  */
-app.post("/api/scenario/preview-for-card", async (req, res) => {
+app.post("/api/scenario/preview-for-card", requireTargetUser, async (req, res) => {
   try {
     const { cardId, card } = req.body;
+    const userId = req.targetUserId;
 
     if (!cardId || !card) {
       return res.status(400).json({ error: "cardId와 card 정보가 필요합니다." });
     }
 
+    const [ownedCard] = await query(
+      `SELECT id FROM business_cards WHERE id = ? AND userId = ?`,
+      [cardId, userId]
+    );
+    if (!ownedCard) {
+      return res.status(404).json({ error: `cardId=${cardId}가 userId=${userId}의 명함이 아닙니다.` });
+    }
+
     console.log("=== 기존 명함 추가 데이터 생성 ===");
     console.log("Card ID:", cardId, "Name:", card.name);
 
     // 기존 데이터 조회 (중복 방지용)
     const existingMemos = await query(
-      `SELECT content FROM memo WHERE business_card_id = ? ORDER BY created_at DESC LIMIT 20`,
-      [cardId]
+      `SELECT content FROM memo WHERE user_id = ? AND business_card_id = ? ORDER BY created_at DESC LIMIT 20`,
+      [userId, cardId]
     );
     const existingEvents = await query(
-      `SELECT title, category, DATE(startDate) as date FROM events WHERE linked_card_ids LIKE ? ORDER BY startDate DESC LIMIT 20`,
-      [`%${cardId}%`]
+      `SELECT title, category, DATE(startDate) as date FROM events WHERE userId = ? AND FIND_IN_SET(?, linked_card_ids) > 0 ORDER BY startDate DESC LIMIT 20`,
+      [userId, cardId]
     );
     const existingGifts = await query(
-      `SELECT giftName, occasion, DATE(purchaseDate) as date FROM gifts WHERE cardId = ? ORDER BY purchaseDate DESC LIMIT 20`,
-      [cardId]
+      `SELECT giftName, occasion, DATE(purchaseDate) as date FROM gifts WHERE userId = ? AND cardId = ? ORDER BY purchaseDate DESC LIMIT 20`,
+      [userId, cardId]
     );
     const existingChats = await query(
-      `SELECT title FROM chats WHERE userId = 1 AND title LIKE ? ORDER BY createdAt DESC LIMIT 10`,
-      [`%${card.name}%`]
+      `SELECT title FROM chats WHERE userId = ? AND title LIKE ? ORDER BY createdAt DESC LIMIT 10`,
+      [userId, `%${card.name}%`]
     );
 
     const existingData = {
@@ -208,7 +226,7 @@ app.post("/api/scenario/preview-for-card", async (req, res) => {
  * POST /api/scenario/confirm-for-card
  * Body: { cardId: number, data: object }
  */
-app.post("/api/scenario/confirm-for-card", async (req, res) => {
+app.post("/api/scenario/confirm-for-card", requireTargetUser, async (req, res) => {
   const connection = await getConnection();
   
   try {
@@ -226,7 +244,7 @@ app.post("/api/scenario/confirm-for-card", async (req, res) => {
     
     await connection.beginTransaction();
     
-    const userId = 1;
+    const userId = req.targetUserId;
     
     // ⚠️ cardId가 실제 존재하는지 확인
     const [cardCheck] = await connection.query(
@@ -586,7 +604,7 @@ app.post("/api/scenario/preview", async (req, res) => {
  * POST /api/scenario/confirm
  * Body: { rawData: object }
  */
-app.post("/api/scenario/confirm", async (req, res) => {
+app.post("/api/scenario/confirm", requireTargetUser, async (req, res) => {
   try {
     const { rawData } = req.body;
 
@@ -599,7 +617,7 @@ app.post("/api/scenario/confirm", async (req, res) => {
     // 저장 시작 시간 기록 (createdAfter 필터용)
     const saveStartTime = new Date().toISOString();
 
-    const result = await generateDummyData(null, rawData); // rawData 직접 전달
+    const result = await generateDummyData(null, rawData, req.targetUserId); // rawData 직접 전달
 
     console.log("DB 저장 완료:", result.summary);
 
@@ -621,7 +639,7 @@ app.post("/api/scenario/confirm", async (req, res) => {
  * POST /api/scenario/generate
  * Body: { scenario: string }
  */
-app.post("/api/scenario/generate", async (req, res) => {
+app.post("/api/scenario/generate", requireTargetUser, async (req, res) => {
   try {
     const { scenario } = req.body;
 
@@ -632,7 +650,7 @@ app.post("/api/scenario/generate", async (req, res) => {
     console.log("=== 더미 데이터 생성 시작 ===");
     console.log("시나리오 길이:", scenario.length);
 
-    const result = await generateDummyData(scenario);
+    const result = await generateDummyData(scenario, null, req.targetUserId);
 
     console.log("더미 데이터 생성 완료:", result.summary);
 
@@ -655,13 +673,10 @@ app.post("/api/scenario/generate", async (req, res) => {
  * cardIds가 있으면 해당 명함들만 처리
  * createdAfter가 있으면 해당 시간 이후에 생성된 데이터만 처리
  */
-app.post("/api/scenario/populate-source", async (req, res) => {
+app.post("/api/scenario/populate-source", requireTargetUser, async (req, res) => {
   try {
-    const { userId, cardIds, createdAfter } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: "userId가 필요합니다." });
-    }
+    const { cardIds, createdAfter } = req.body;
+    const userId = req.targetUserId;
 
     console.log("=== source_event 생성 시작 ===");
     console.log("User ID:", userId);
@@ -696,13 +711,10 @@ app.post("/api/scenario/populate-source", async (req, res) => {
  * Body: { userId: number, cardIds?: number[] }
  * cardIds가 있으면 해당 명함들만 처리, 없으면 모든 미처리 source_event 처리
  */
-app.post("/api/scenario/extract-facts", async (req, res) => {
+app.post("/api/scenario/extract-facts", requireTargetUser, async (req, res) => {
   try {
-    const { userId, cardIds } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: "userId가 필요합니다." });
-    }
+    const { cardIds } = req.body;
+    const userId = req.targetUserId;
 
     console.log("=== Fact 추출 시작 ===");
     console.log("User ID:", userId);
@@ -733,7 +745,7 @@ app.post("/api/scenario/extract-facts", async (req, res) => {
  * POST /api/scenario/run-all
  * Body: { scenario: string }
  */
-app.post("/api/scenario/run-all", async (req, res) => {
+app.post("/api/scenario/run-all", requireTargetUser, async (req, res) => {
   try {
     const { scenario } = req.body;
 
@@ -745,7 +757,7 @@ app.post("/api/scenario/run-all", async (req, res) => {
 
     // Step 1: 더미 데이터 생성
     console.log("Step 1: 더미 데이터 생성...");
-    const generateResult = await generateDummyData(scenario);
+    const generateResult = await generateDummyData(scenario, null, req.targetUserId);
 
     // 새로 생성된 명함 ID들 추출
     const newCardIds = Object.values(generateResult.cardIdMap);
@@ -822,7 +834,7 @@ app.get("/api/scenario/stats", async (req, res) => {
  * 분포 분석 API
  * GET /api/scenario/analyze?cardIds=1,2,3 (optional)
  */
-app.get("/api/scenario/analyze", async (req, res) => {
+app.get("/api/scenario/analyze", requireTargetUser, async (req, res) => {
   try {
     // cardIds 파라미터 파싱 (쉼표로 구분된 문자열 또는 배열)
     let cardIds = null;
@@ -838,10 +850,10 @@ app.get("/api/scenario/analyze", async (req, res) => {
     const result = {
       generatedAt: new Date().toISOString(),
       cardIds: cardIds, // 분석 대상 cardIds 추가 (디버깅용)
-      memo: await analyzeMemos(cardIds),
-      chat: await analyzeChats(cardIds),
-      sourceEvent: await analyzeSourceEvents(cardIds),
-      fact: await analyzeFacts(cardIds),
+      memo: await analyzeMemos(req.targetUserId, cardIds),
+      chat: await analyzeChats(req.targetUserId, cardIds),
+      sourceEvent: await analyzeSourceEvents(req.targetUserId, cardIds),
+      fact: await analyzeFacts(req.targetUserId, cardIds),
       warnings: [],
     };
 
@@ -937,12 +949,12 @@ function analyzeWordFrequency(texts, topN = 20) {
 }
 
 // 메모 분석
-async function analyzeMemos(cardIds = null) {
-  let queryStr = `SELECT id, content, business_card_id FROM memo`;
-  let params = [];
+async function analyzeMemos(userId, cardIds = null) {
+  let queryStr = `SELECT id, content, business_card_id FROM memo WHERE user_id = ?`;
+  let params = [userId];
   if (cardIds && cardIds.length > 0) {
-    queryStr += ` WHERE business_card_id IN (${cardIds.map(() => '?').join(',')})`;
-    params = cardIds;
+    queryStr += ` AND business_card_id IN (${cardIds.map(() => '?').join(',')})`;
+    params.push(...cardIds);
   }
   const memos = await query(queryStr, params);
   const contents = memos.map(m => m.content);
@@ -967,12 +979,12 @@ async function analyzeMemos(cardIds = null) {
 }
 
 // 채팅 분석
-async function analyzeChats(cardIds = null) {
-  let queryStr = `SELECT id, messages, title, cardId FROM chats WHERE isActive = TRUE`;
-  let params = [];
+async function analyzeChats(userId, cardIds = null) {
+  let queryStr = `SELECT id, messages, title, cardId FROM chats WHERE userId = ? AND isActive = TRUE`;
+  let params = [userId];
   if (cardIds && cardIds.length > 0) {
     queryStr += ` AND cardId IN (${cardIds.map(() => '?').join(',')})`;
-    params = cardIds;
+    params.push(...cardIds);
   }
   const chats = await query(queryStr, params);
   
@@ -1020,15 +1032,16 @@ async function analyzeChats(cardIds = null) {
 }
 
 // Source Event 분석
-async function analyzeSourceEvents(cardIds = null) {
+async function analyzeSourceEvents(userId, cardIds = null) {
   let queryStr = `
     SELECT source_type, is_processed, COUNT(*) as count
     FROM source_event
+    WHERE user_id = ?
   `;
-  let params = [];
+  let params = [userId];
   if (cardIds && cardIds.length > 0) {
-    queryStr += ` WHERE card_id IN (${cardIds.map(() => '?').join(',')})`;
-    params = cardIds;
+    queryStr += ` AND card_id IN (${cardIds.map(() => '?').join(',')})`;
+    params.push(...cardIds);
   }
   queryStr += ` GROUP BY source_type, is_processed`;
   const events = await query(queryStr, params);
@@ -1049,16 +1062,17 @@ async function analyzeSourceEvents(cardIds = null) {
 }
 
 // Fact 분석
-async function analyzeFacts(cardIds = null) {
+async function analyzeFacts(userId, cardIds = null) {
   let queryStr = `
     SELECT ef.*, bc.name as card_name
     FROM extracted_fact ef
-    JOIN business_cards bc ON ef.card_id = bc.id
+    JOIN business_cards bc ON ef.card_id = bc.id AND bc.userId = ef.user_id
+    WHERE ef.user_id = ?
   `;
-  let params = [];
+  let params = [userId];
   if (cardIds && cardIds.length > 0) {
-    queryStr += ` WHERE ef.card_id IN (${cardIds.map(() => '?').join(',')})`;
-    params = cardIds;
+    queryStr += ` AND ef.card_id IN (${cardIds.map(() => '?').join(',')})`;
+    params.push(...cardIds);
   }
   const facts = await query(queryStr, params);
 
@@ -1108,6 +1122,7 @@ process.on("SIGINT", async () => {
 });
 
 // Start server
+assertOperatorAuthConfigured(config.operator.token);
 app.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
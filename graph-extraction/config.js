@@ -29,6 +29,7 @@ export default {
     temperature: 0.3,              // 일관성을 위해 낮게 설정
     maxTokens: 1000,
     batchDelayMs: 500,             // Rate limit 방지용 딜레이
+    // 사용량 비용 추정 단가는 메인 서버와 공통 (src/config/llm.config.js)
   },
   
   // 피처 정의
@@ -80,7 +81,12 @@ export default {
   
   server: {
     port: 3002,
-  }
+  },
+
+  // 운영자 인증 (단독 서버는 사용자 JWT 대신 공유 토큰 사용, 없으면 서버 시작 거부)
+  operator: {
+    token: process.env.OPERATOR_TOKEN,
+  },
 };
 
 
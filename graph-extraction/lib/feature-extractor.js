@@ -5,11 +5,30 @@
 import { query } from "./db.js";
 import config from "../config.js";
 
+/**
+ * 모든 추출은 사용자 단위로만 수행 (기본 사용자 없음)
+ */
+function requireUserId(userId) {
+  const id = Number(userId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error("userId is required");
+  }
+  return id;
+}
+
 /**
  * 특정 cardId에 대한 모든 피처 추출
+ * 명함이 userId 소유가 아니면 null
  */
-export async function extractFeaturesForCard(cardId, userId = 1) {
+export async function extractFeaturesForCard(cardId, userId) {
+  userId = requireUserId(userId);
   const features = {};
+
+  const [owned] = await query(
+    `SELECT id FROM business_cards WHERE id = ? AND userId = ?`,
+    [cardId, userId]
+  );
+  if (!owned) return null;
   
   // 기본 정보
   const basicFeatures = await extractBasicFeatures(cardId, userId);
@@ -32,7 +51,7 @@ export async function extractFeaturesForCard(cardId, userId = 1) {
   Object.assign(features, chatFeatures);
   
   // Fact 피처
-  const factFeatures = await extractFactFeatures(cardId);
+  const factFeatures = await extractFactFeatures(cardId, userId);
   Object.assign(features, factFeatures);
   
   return {
@@ -45,7 +64,8 @@ export async function extractFeaturesForCard(cardId, userId = 1) {
 /**
  * 모든 명함에 대한 피처 추출
  */
-export async function extractFeaturesForAllCards(userId = 1) {
+export async function extractFeaturesForAllCards(userId) {
+  userId = requireUserId(userId);
   const cards = await query(
     `SELECT id, name, company, position FROM business_cards WHERE userId = ?`,
     [userId]
@@ -284,19 +304,19 @@ async function extractChatFeatures(cardId, userId) {
 /**
  * Extracted Fact 피처
  */
-async function extractFactFeatures(cardId) {
+async function extractFactFeatures(cardId, userId) {
   // 총 fact 수
   const [totalResult] = await query(
-    `SELECT COUNT(*) as count FROM extracted_fact WHERE card_id = ?`,
-    [cardId]
+    `SELECT COUNT(*) as count FROM extracted_fact WHERE user_id = ? AND card_id = ?`,
+    [userId, cardId]
   );
   const totalFacts = totalResult?.count || 0;
   
   // fact_type별 수
   const typeResults = await query(
     `SELECT fact_type, COUNT(*) as count FROM extracted_fact 
-     WHERE card_id = ? GROUP BY fact_type`,
-    [cardId]
+     WHERE user_id = ? AND card_id = ? GROUP BY fact_type`,
+    [userId, cardId]
   );
   const factsByType = {};
   let preferenceCount = 0;
@@ -309,23 +329,23 @@ async function extractFactFeatures(cardId) {
   
   // 평균 신뢰도
   const [confidenceResult] = await query(
-    `SELECT AVG(confidence) as avgConf FROM extracted_fact WHERE card_id = ?`,
-    [cardId]
+    `SELECT AVG(confidence) as avgConf FROM extracted_fact WHERE user_id = ? AND card_id = ?`,
+    [userId, cardId]
   );
   const avgConfidence = confidenceResult?.avgConf || 0;
   
   // polarity 분포
   const [positiveResult] = await query(
     `SELECT COUNT(*) as count FROM extracted_fact 
-     WHERE card_id = ? AND polarity = 1`,
-    [cardId]
+     WHERE user_id = ? AND card_id = ? AND polarity = 1`,
+    [userId, cardId]
   );
   const positivePolarity = positiveResult?.count || 0;
   
   const [negativeResult] = await query(
     `SELECT COUNT(*) as count FROM extracted_fact 
-     WHERE card_id = ? AND polarity = -1`,
-    [cardId]
+     WHERE user_id = ? AND card_id = ? AND polarity = -1`,
+    [userId, cardId]
   );
   const negativePolarity = negativeResult?.count || 0;
   
@@ -343,7 +363,8 @@ async function extractFactFeatures(cardId) {
 /**
  * LLM에 전달할 핵심 데이터만 추출 (토큰 절약)
  */
-export async function extractEssentialDataForLLM(cardId, userId = 1) {
+export async function extractEssentialDataForLLM(cardId, userId) {
+  userId = requireUserId(userId);
   // 기본 정보
   const [card] = await query(
     `SELECT name, company, position, gender FROM business_cards 
@@ -380,9 +401,9 @@ export async function extractEssentialDataForLLM(cardId, userId = 1) {
   // 주요 fact (confidence 높은 순)
   const topFacts = await query(
     `SELECT fact_type, fact_key, polarity, confidence FROM extracted_fact 
-     WHERE card_id = ?
+     WHERE user_id = ? AND card_id = ?
      ORDER BY confidence DESC LIMIT 10`,
-    [cardId]
+    [userId, cardId]
   );
   
   return {
@@ -4,10 +4,39 @@
  */
 import axios from "axios";
 import dotenv from "dotenv";
+import { query } from "./db.js";
+import { estimateLLMCost } from "../../src/services/llm/pricing.js";
+import { logger } from "../../src/utils/logger.js";
 dotenv.config({ path: "../.env" });
 
 const LLM_TIMEOUT_MS = 120000; // 2분 타임아웃
 
+/**
+ * 기본 사용량 기록: llm_usage 테이블에 직접 INSERT (단독 서버 실행 시)
+ * @param {Object} entry - { userId, feature, provider, model, promptTokens, completionTokens }
+ */
+const recordUsageToDb = async (entry) => {
+  const { userId = null, feature, provider, model, promptTokens, completionTokens } = entry;
+  const estimatedCost = estimateLLMCost(model, promptTokens, completionTokens);
+
+  await query(
+    `INSERT INTO llm_usage
+     (user_id, feature, provider, model, prompt_tokens, completion_tokens, total_tokens, estimated_cost)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, feature, provider, model, promptTokens, completionTokens, promptTokens + completionTokens, estimatedCost]
+  );
+};
+
+let usageRecorder = recordUsageToDb;
+
+/**
+ * 사용량 기록 함수 교체 (메인 서버에서 요청 컨텍스트 기반 기록으로 연결할 때 사용)
+ * @param {Function} recorder - async (entry) => void
+ */
+export const setUsageRecorder = (recorder) => {
+  usageRecorder = recorder;
+};
+
 /**
  * LLM에 텍스트 생성 요청 (OpenAI Chat API)
  * @param {string} prompt - 프롬프트
@@ -46,6 +75,22 @@ export const generateText = async (prompt, options = {}) => {
       }
     );
 
+    const { usage } = response.data;
+    if (usage) {
+      Promise.resolve(
+        usageRecorder({
+          userId: options.userId,
+          feature: options.feature || "graph_analysis",
+          provider: "gpt",
+          model: options.model ?? "gpt-4o-mini",
+          promptTokens: usage.prompt_tokens,
+          completionTokens: usage.completion_tokens,
+        })
+      ).catch((e) =>
+        logger.warn("LLM usage record failed", { feature: options.feature || "graph_analysis", message: e.message })
+      );
+    }
+
     if (response.data.choices && response.data.choices.length > 0) {
       return response.data.choices[0].message.content;
     }
@@ -315,7 +315,6 @@ export async function runFeedbackLoop(
 ) {
   const {
     maxIterations = 3,
-    userId = 1,
   } = options;
   
   let iteration = 0;
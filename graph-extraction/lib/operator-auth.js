@@ -0,0 +1,56 @@
+/**
+ * 운영자 인증 (단독 실행 서버용, graph-extraction과 fact-extraction이 함께 사용)
+ *
+ * - 모든 /api 요청은 OPERATOR_TOKEN을 Authorization: Bearer 또는 X-Operator-Token 헤더로 전달
+ * - 대상 사용자는 요청마다 명시 (X-Operator-User-Id 헤더, userId 쿼리/본문). 기본 사용자 없음
+ * - 토큰은 각 서버의 config.operator.token을 전달
+ */
+import crypto from "crypto";
+
+/**
+ * 서버 시작 전 확인: 토큰이 없으면 인증 없는 서버가 뜨지 않도록 에러
+ * @param {string|undefined} token
+ */
+export function assertOperatorAuthConfigured(token) {
+  if (!token) {
+    throw new Error("OPERATOR_TOKEN이 설정되지 않았습니다. 운영자 토큰 없이 서버를 시작할 수 없습니다.");
+  }
+}
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 운영자 토큰 확인 미들웨어
+ * @param {string|undefined} token
+ */
+export function requireOperator(token) {
+  return (req, res, next) => {
+    const authHeader = req.get("authorization");
+    const provided = authHeader?.startsWith("Bearer ")
+      ? authHeader.slice(7)
+      : req.get("x-operator-token");
+
+    if (!provided || !token || !tokensMatch(provided, token)) {
+      return res.status(401).json({ error: "운영자 토큰이 필요합니다." });
+    }
+    next();
+  };
+}
+
+/**
+ * 대상 사용자 확인 미들웨어 (req.targetUserId 설정)
+ */
+export function requireTargetUser(req, res, next) {
+  const raw = req.get("x-operator-user-id") ?? req.query.userId ?? req.body?.userId;
+  const userId = Number(raw);
+
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ error: "userId가 필요합니다." });
+  }
+  req.targetUserId = userId;
+  next();
+}
@@ -8,6 +8,11 @@ import path from "path";
 import { fileURLToPath } from "url";
 import config from "./config.js";
 import { closePool } from "./lib/db.js";
+import {
+  assertOperatorAuthConfigured,
+  requireOperator,
+  requireTargetUser
+} from "./lib/operator-auth.js";
 
 import { 
   extractFeaturesForCard, 
@@ -44,6 +49,9 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
+// 모든 API는 운영자 토큰 필요, 사용자 데이터 조회 API는 대상 userId 필수
+app.use("/api", requireOperator(config.operator.token));
+
 // ========== 헬퍼 함수 ==========
 
 /**
@@ -81,9 +89,9 @@ function calculateInteractionScore(features) {
  * 모든 카드의 피처 추출
  * GET /api/features
  */
-app.get("/api/features", async (req, res) => {
+app.get("/api/features", requireTargetUser, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     const allFeatures = await extractFeaturesForAllCards(userId);
     
     res.json({
@@ -101,13 +109,17 @@ app.get("/api/features", async (req, res) => {
  * 특정 카드의 피처 추출
  * GET /api/features/:cardId
  */
-app.get("/api/features/:cardId", async (req, res) => {
+app.get("/api/features/:cardId", requireTargetUser, async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     
     const features = await extractFeaturesForCard(cardId, userId);
     
+    if (!features) {
+      return res.status(404).json({ error: "카드를 찾을 수 없습니다." });
+    }
+    
     res.json({
       success: true,
       data: features
@@ -122,10 +134,10 @@ app.get("/api/features/:cardId", async (req, res) => {
  * LLM용 핵심 데이터 추출
  * GET /api/llm-data/:cardId
  */
-app.get("/api/llm-data/:cardId", async (req, res) => {
+app.get("/api/llm-data/:cardId", requireTargetUser, async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     
     const data = await extractEssentialDataForLLM(cardId, userId);
     
@@ -149,9 +161,9 @@ app.get("/api/llm-data/:cardId", async (req, res) => {
  * 유의미한 피처 필터링
  * GET /api/filter
  */
-app.get("/api/filter", async (req, res) => {
+app.get("/api/filter", requireTargetUser, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     
     // 1. 모든 피처 추출
     const allFeatures = await extractFeaturesForAllCards(userId);
@@ -173,10 +185,10 @@ app.get("/api/filter", async (req, res) => {
  * 특정 피처의 분포 데이터
  * GET /api/filter/distribution/:featureKey
  */
-app.get("/api/filter/distribution/:featureKey", async (req, res) => {
+app.get("/api/filter/distribution/:featureKey", requireTargetUser, async (req, res) => {
   try {
     const featureKey = req.params.featureKey;
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     
     const allFeatures = await extractFeaturesForAllCards(userId);
     const distribution = generateFeatureDistributionData(allFeatures, featureKey);
@@ -195,9 +207,9 @@ app.get("/api/filter/distribution/:featureKey", async (req, res) => {
  * 피처 상관관계 분석
  * GET /api/filter/correlations
  */
-app.get("/api/filter/correlations", async (req, res) => {
+app.get("/api/filter/correlations", requireTargetUser, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     
     const allFeatures = await extractFeaturesForAllCards(userId);
     const filterResult = filterSignificantFeatures(allFeatures);
@@ -222,10 +234,10 @@ app.get("/api/filter/correlations", async (req, res) => {
  * LLM으로 특정 카드 관계 분석
  * GET /api/llm-analyze/:cardId
  */
-app.get("/api/llm-analyze/:cardId", async (req, res) => {
+app.get("/api/llm-analyze/:cardId", requireTargetUser, async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     
     console.log(`LLM 관계 분석: cardId=${cardId}`);
     
@@ -256,9 +268,9 @@ app.get("/api/llm-analyze/:cardId", async (req, res) => {
  * LLM으로 모든 카드 관계 분석 (배치)
  * GET /api/llm-analyze
  */
-app.get("/api/llm-analyze", async (req, res) => {
+app.get("/api/llm-analyze", requireTargetUser, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     const limit = parseInt(req.query.limit) || 20; // 비용 고려
     
     console.log(`LLM 일괄 관계 분석: userId=${userId}, limit=${limit}`);
@@ -308,9 +320,9 @@ app.get("/api/llm-analyze", async (req, res) => {
  * LLM 분석 결과로 그래프 생성
  * GET /api/llm-graph
  */
-app.get("/api/llm-graph", async (req, res) => {
+app.get("/api/llm-graph", requireTargetUser, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     const limit = parseInt(req.query.limit) || 20;
     
     // 1. LLM 분석 실행
@@ -407,9 +419,9 @@ app.get("/api/llm-graph", async (req, res) => {
  * 품질이 낮으면 LLM이 피처 조작 후 재분석
  * GET /api/llm-auto
  */
-app.get("/api/llm-auto", async (req, res) => {
+app.get("/api/llm-auto", requireTargetUser, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.targetUserId;
     const limit = parseInt(req.query.limit) || 20;
     const maxIterations = parseInt(req.query.maxIterations) || 3;
     
@@ -634,6 +646,8 @@ app.post("/api/llm-strategy", async (req, res) => {
 
 const PORT = config.server.port;
 
+assertOperatorAuthConfigured(config.operator.token);
+
 app.listen(PORT, () => {
   console.log(`\n🔗 Graph Extraction Server`);
   console.log(`   http://localhost:${PORT}`);
@@ -0,0 +1,8 @@
+/**
+ * 명함 연결 채팅 컨텍스트 설정
+ */
+export const CHAT_CONFIG = {
+  CONTEXT_TOKEN_BUDGET: 1500, // system prompt 최대 토큰 수 (추정치)
+  CONTEXT_MAX_MEMOS: 10, // 최근 메모 최대 개수
+  CONTEXT_MIN_FACT_CONFIDENCE: 0.7, // 포함할 extracted_fact 최소 신뢰도
+};
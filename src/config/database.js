@@ -49,6 +49,7 @@ const createTables = async () => {
         profileImage VARCHAR(500),
         oauthProvider ENUM('google', 'apple') NULL,
         oauthId VARCHAR(255),
+        emailVerified BOOLEAN DEFAULT FALSE,
         subscription ENUM('free', 'premium') DEFAULT 'free',
         cardLimit INT DEFAULT 200,
         isActive BOOLEAN DEFAULT TRUE,
@@ -59,19 +60,39 @@ const createTables = async () => {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
 
+    // 기존 users 테이블에 emailVerified 컬럼이 없으면 추가 (이메일 인증)
+    try {
+      const [cols] = await connection.query(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'users' AND COLUMN_NAME = 'emailVerified'`,
+        [process.env.DB_NAME || 'HCI_2025']
+      );
+      if (!cols || cols.length === 0) {
+        await connection.query(
+          `ALTER TABLE users ADD COLUMN emailVerified BOOLEAN DEFAULT FALSE AFTER oauthId`
+        );
+        logger.info("users.emailVerified column added (migration)");
+      }
+    } catch (migrationErr) {
+      logger.warn("users emailVerified migration skipped", { message: migrationErr.message });
+    }
+
     // BusinessCards 테이블
     await connection.query(`
       CREATE TABLE IF NOT EXISTS business_cards (
         id INT AUTO_INCREMENT PRIMARY KEY,
         userId INT NOT NULL,
         name VARCHAR(255) NOT NULL,
+        nameEn VARCHAR(255) NULL,
         position VARCHAR(255),
         company VARCHAR(255),
+        companyEn VARCHAR(255) NULL,
         phone VARCHAR(50),
         email VARCHAR(255),
         gender VARCHAR(50),
         memo TEXT,
         image TEXT,
+        imageKey VARCHAR(255) NULL,
+        thumbnailKey VARCHAR(255) NULL,
         design ENUM('design-1', 'design-2', 'design-3', 'design-4', 'design-5', 'design-6') DEFAULT 'design-1',
         isFavorite BOOLEAN DEFAULT FALSE,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -80,7 +101,9 @@ const createTables = async () => {
         INDEX idx_userId (userId),
         INDEX idx_company (company),
         INDEX idx_name (name),
-        INDEX idx_createdAt (createdAt)
+        INDEX idx_createdAt (createdAt),
+        INDEX idx_user_createdAt (userId, createdAt),
+        INDEX idx_user_name (userId, name)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
 
@@ -100,6 +123,66 @@ const createTables = async () => {
       logger.warn("business_cards gender migration skipped", { message: migrationErr.message });
     }
 
+    // 다국어 명함 (앞면 한글/뒷면 영문 등) 이름·회사명 컬럼 추가
+    const alternateLanguageColumns = [
+      ["nameEn", "ALTER TABLE business_cards ADD COLUMN nameEn VARCHAR(255) NULL AFTER name"],
+      ["companyEn", "ALTER TABLE business_cards ADD COLUMN companyEn VARCHAR(255) NULL AFTER company"],
+    ];
+    for (const [column, alterSql] of alternateLanguageColumns) {
+      try {
+        const [cols] = await connection.query(
+          `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'business_cards' AND COLUMN_NAME = ?`,
+          [process.env.DB_NAME || 'HCI_2025', column]
+        );
+        if (!cols || cols.length === 0) {
+          await connection.query(alterSql);
+          logger.info(`business_cards.${column} column added (migration)`);
+        }
+      } catch (migrationErr) {
+        logger.warn(`business_cards ${column} migration skipped`, { message: migrationErr.message });
+      }
+    }
+
+    // 명함 이미지 저장소 키 (image TEXT의 base64 대신 저장소에 보관, 기존 값은 서버 시작 후 이전)
+    const imageStorageColumns = [
+      ["imageKey", "ALTER TABLE business_cards ADD COLUMN imageKey VARCHAR(255) NULL AFTER image"],
+      ["thumbnailKey", "ALTER TABLE business_cards ADD COLUMN thumbnailKey VARCHAR(255) NULL AFTER imageKey"],
+    ];
+    for (const [column, alterSql] of imageStorageColumns) {
+      try {
+        const [cols] = await connection.query(
+          `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'business_cards' AND COLUMN_NAME = ?`,
+          [process.env.DB_NAME || 'HCI_2025', column]
+        );
+        if (!cols || cols.length === 0) {
+          await connection.query(alterSql);
+          logger.info(`business_cards.${column} column added (migration)`);
+        }
+      } catch (migrationErr) {
+        logger.warn(`business_cards ${column} migration skipped`, { message: migrationErr.message });
+      }
+    }
+
+    // 명함 목록 커서 페이지네이션용 복합 인덱스 (사용자별 등록일/이름 정렬)
+    const listIndexes = [
+      ["idx_user_createdAt", "ALTER TABLE business_cards ADD INDEX idx_user_createdAt (userId, createdAt)"],
+      ["idx_user_name", "ALTER TABLE business_cards ADD INDEX idx_user_name (userId, name)"],
+    ];
+    for (const [indexName, alterSql] of listIndexes) {
+      try {
+        const [indexes] = await connection.query(
+          `SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'business_cards' AND INDEX_NAME = ?`,
+          [process.env.DB_NAME || 'HCI_2025', indexName]
+        );
+        if (!indexes || indexes.length === 0) {
+          await connection.query(alterSql);
+          logger.info(`business_cards.${indexName} index added (migration)`);
+        }
+      } catch (migrationErr) {
+        logger.warn(`business_cards ${indexName} migration skipped`, { message: migrationErr.message });
+      }
+    }
+
     // Gifts 테이블
     await connection.query(`
       CREATE TABLE IF NOT EXISTS gifts (
@@ -156,6 +239,7 @@ const createTables = async () => {
       CREATE TABLE IF NOT EXISTS chats (
         id INT AUTO_INCREMENT PRIMARY KEY,
         userId INT NOT NULL,
+        cardId INT NULL,
         llmProvider ENUM('gpt', 'claude', 'gemini') DEFAULT 'gpt',
         title VARCHAR(255),
         messages JSON,
@@ -164,11 +248,28 @@ const createTables = async () => {
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
         INDEX idx_userId (userId),
+        INDEX idx_cardId (cardId),
         INDEX idx_createdAt (createdAt),
         INDEX idx_isActive (isActive)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
 
+    // 기존 chats 테이블에 cardId 컬럼이 없으면 추가 (명함 연결 대화)
+    try {
+      const [cols] = await connection.query(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'chats' AND COLUMN_NAME = 'cardId'`,
+        [process.env.DB_NAME || 'HCI_2025']
+      );
+      if (!cols || cols.length === 0) {
+        await connection.query(
+          `ALTER TABLE chats ADD COLUMN cardId INT NULL AFTER userId, ADD INDEX idx_cardId (cardId)`
+        );
+        logger.info("chats.cardId column added (migration)");
+      }
+    } catch (migrationErr) {
+      logger.warn("chats cardId migration skipped", { message: migrationErr.message });
+    }
+
     // Memo 테이블
     await connection.query(`
       CREATE TABLE IF NOT EXISTS memo (
@@ -224,6 +325,7 @@ const createTables = async () => {
         id INT AUTO_INCREMENT PRIMARY KEY,
         userId INT NOT NULL,
         name VARCHAR(255) NOT NULL,
+        rules JSON NULL,
         displayOrder INT DEFAULT 0,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -233,6 +335,20 @@ const createTables = async () => {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
 
+    // 스마트 그룹 규칙 컬럼 (NULL이면 직접 명함을 담는 일반 그룹)
+    try {
+      const [cols] = await connection.query(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'card_groups' AND COLUMN_NAME = 'rules'`,
+        [process.env.DB_NAME || 'HCI_2025']
+      );
+      if (!cols || cols.length === 0) {
+        await connection.query(`ALTER TABLE card_groups ADD COLUMN rules JSON NULL AFTER name`);
+        logger.info("card_groups.rules column added (migration)");
+      }
+    } catch (migrationErr) {
+      logger.warn("card_groups rules migration skipped", { message: migrationErr.message });
+    }
+
     // Group Cards 테이블 (Many-to-Many)
     await connection.query(`
       CREATE TABLE IF NOT EXISTS group_cards (
@@ -248,6 +364,230 @@ const createTables = async () => {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     `);
 
+    // Card Tags 테이블 (사용자별 태그, 이름은 대소문자 무시 unique)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_tags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId INT NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_tag (userId, name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // Tag Cards 테이블 (Many-to-Many)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tag_cards (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tagId INT NOT NULL,
+        businessCardId INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (tagId) REFERENCES card_tags(id) ON DELETE CASCADE,
+        FOREIGN KEY (businessCardId) REFERENCES business_cards(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_tag_card (tagId, businessCardId),
+        INDEX idx_businessCardId (businessCardId)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 거절한 태그 추천 (같은 명함에 다시 추천하지 않음)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS tag_suggestion_dismissals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        businessCardId INT NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (businessCardId) REFERENCES business_cards(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_card_dismissal (businessCardId, name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 명함 변경 이력 테이블 (필드 단위, 이직/승진 추적)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_revisions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        businessCardId INT NOT NULL,
+        userId INT NOT NULL,
+        field VARCHAR(50) NOT NULL,
+        oldValue TEXT NULL,
+        newValue TEXT NULL,
+        source ENUM('manual', 'ocr', 'import', 'merge') NOT NULL DEFAULT 'manual',
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (businessCardId) REFERENCES business_cards(id) ON DELETE CASCADE,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_card_createdAt (businessCardId, createdAt),
+        INDEX idx_user_field (userId, field)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 명함 연락처 항목 테이블 (휴대폰/사무실/팩스, 여러 이메일, 주소, 웹사이트, SNS)
+    // business_cards.phone, email은 대표 값으로 유지
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS card_contact_points (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        businessCardId INT NOT NULL,
+        type ENUM('mobile', 'office', 'fax', 'email', 'address', 'website', 'linkedin', 'kakaotalk') NOT NULL,
+        value VARCHAR(500) NOT NULL,
+        label VARCHAR(100) NULL,
+        displayOrder INT NOT NULL DEFAULT 0,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (businessCardId) REFERENCES business_cards(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_card_contact (businessCardId, type, value),
+        INDEX idx_card_order (businessCardId, displayOrder)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 기존 명함의 대표 전화번호/이메일을 항목으로 옮김 (국내 휴대폰 번호는 mobile)
+    // 항목이 하나도 없는 명함만 대상이므로 실패해도 다음 시작 때 다시 시도됨
+    try {
+      const [backfill] = await connection.query(`
+        INSERT IGNORE INTO card_contact_points (businessCardId, type, value, displayOrder)
+        SELECT bc.id,
+               IF(REGEXP_REPLACE(bc.phone, '[^0-9]', '') REGEXP '^(01[016789]|821[016789])', 'mobile', 'office'),
+               TRIM(bc.phone), 0
+        FROM business_cards bc
+        WHERE bc.phone IS NOT NULL AND TRIM(bc.phone) <> ''
+          AND NOT EXISTS (SELECT 1 FROM card_contact_points cp WHERE cp.businessCardId = bc.id)
+        UNION ALL
+        SELECT bc.id, 'email', LOWER(TRIM(bc.email)), 1
+        FROM business_cards bc
+        WHERE bc.email IS NOT NULL AND TRIM(bc.email) <> ''
+          AND NOT EXISTS (SELECT 1 FROM card_contact_points cp WHERE cp.businessCardId = bc.id)
+      `);
+      if (backfill.affectedRows > 0) {
+        logger.info("card_contact_points backfilled from business_cards (migration)", { rows: backfill.affectedRows });
+      }
+    } catch (migrationErr) {
+      logger.warn("card_contact_points backfill failed, will retry on next start", { message: migrationErr.message });
+    }
+
+    // 명함 일괄 OCR 작업 테이블 (이미지는 저장하지 않고 진행 상태만 기록)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ocr_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        userId INT NOT NULL,
+        status ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+        autoCreate BOOLEAN NOT NULL DEFAULT FALSE,
+        minConfidence DECIMAL(4, 3) NULL,
+        totalCount INT NOT NULL DEFAULT 0,
+        error VARCHAR(500) NULL,
+        instanceId VARCHAR(100) NULL,
+        heartbeatAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completedAt TIMESTAMP NULL,
+        FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_createdAt (userId, createdAt),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 기존 ocr_jobs 테이블에 처리 프로세스/heartbeat 컬럼이 없으면 추가 (멈춘 작업만 정리)
+    try {
+      const [cols] = await connection.query(
+        `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'ocr_jobs' AND COLUMN_NAME = 'heartbeatAt'`,
+        [process.env.DB_NAME || 'HCI_2025']
+      );
+      if (!cols || cols.length === 0) {
+        await connection.query(
+          `ALTER TABLE ocr_jobs ADD COLUMN instanceId VARCHAR(100) NULL AFTER error, ADD COLUMN heartbeatAt TIMESTAMP NULL AFTER instanceId`
+        );
+        logger.info("ocr_jobs.instanceId/heartbeatAt columns added (migration)");
+      }
+    } catch (migrationErr) {
+      logger.warn("ocr_jobs heartbeat migration skipped", { message: migrationErr.message });
+    }
+
+    // 일괄 OCR 이미지별 결과 테이블
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ocr_job_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        jobId INT NOT NULL,
+        itemIndex INT NOT NULL,
+        status ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+        result JSON NULL,
+        confidence DECIMAL(4, 3) NULL,
+        businessCardId INT NULL,
+        cardStatus ENUM('created', 'below_threshold', 'limit_reached', 'failed') NULL,
+        error VARCHAR(500) NULL,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (jobId) REFERENCES ocr_jobs(id) ON DELETE CASCADE,
+        FOREIGN KEY (businessCardId) REFERENCES business_cards(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_job_item (jobId, itemIndex)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 로그인 세션 테이블 (기기별 refresh token, 해시로만 저장)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64) NULL,
+        device_name VARCHAR(255) NULL,
+        user_agent VARCHAR(500) NULL,
+        ip_address VARCHAR(64) NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_refresh_token_hash (refresh_token_hash),
+        INDEX idx_previous_token_hash (previous_token_hash),
+        INDEX idx_user_active (user_id, revoked_at, expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 1회용 인증 토큰 테이블 (비밀번호 재설정, 이메일 인증)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        purpose ENUM('password_reset', 'email_verification') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_token_hash (token_hash),
+        INDEX idx_user_purpose (user_id, purpose)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // LLM 사용량 원장 테이블 (호출 1건당 1행)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        feature VARCHAR(64) NOT NULL,
+        provider VARCHAR(32) NOT NULL,
+        model VARCHAR(128) NOT NULL,
+        prompt_tokens INT NOT NULL DEFAULT 0,
+        completion_tokens INT NOT NULL DEFAULT 0,
+        total_tokens INT NOT NULL DEFAULT 0,
+        estimated_cost DECIMAL(12, 6) NOT NULL DEFAULT 0,
+        request_id VARCHAR(36) NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_feature (feature),
+        INDEX idx_request_id (request_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // 구독 등급별 일일 쿼터 사용량 테이블
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quota_usage (
+        user_id INT NOT NULL,
+        quota_key VARCHAR(32) NOT NULL,
+        usage_date DATE NOT NULL,
+        count INT NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, quota_key, usage_date),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
     connection.release();
     logger.info("Database tables created/verified successfully");
   } catch (error) {
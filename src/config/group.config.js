@@ -0,0 +1,10 @@
+/**
+ * 명함 그룹 설정
+ */
+export const GROUP_CONFIG = {
+  // 스마트 그룹 fact 조건 (extracted_fact)
+  SMART_MIN_FACT_CONFIDENCE: 0.6, // 규칙에 맞는 것으로 볼 fact 최소 신뢰도
+
+  // 그룹 선물 추천 (POST /api/gifts/recommend/group)
+  RECOMMEND_MAX_CARDS: 5, // 한 번에 추천하는 최대 명함 수 (명함마다 추천 쿼터 1회 차감)
+};
@@ -0,0 +1,25 @@
+/**
+ * LLM 공통 설정
+ * 메인 서버와 fact-extraction, graph-extraction이 함께 사용
+ */
+export const LLM_CONFIG = {
+  // Provider fallback / circuit breaker (src/services/llm/fallback.js)
+  FALLBACK_CHAIN: "gpt,gemini,mock", // 실패 시 순서대로 시도 (env LLM_FALLBACK_CHAIN)
+  CIRCUIT_FAILURE_THRESHOLD: 3, // 연속 실패 N회 시 circuit open (env LLM_CIRCUIT_FAILURE_THRESHOLD)
+  CIRCUIT_COOLDOWN_MS: 30000, // open 후 half-open까지 대기 시간 (env LLM_CIRCUIT_COOLDOWN_MS)
+
+  // 사용량 조회 (GET /api/users/usage)
+  USAGE_DEFAULT_DAYS: 30, // 일별 집계 기본 기간
+  USAGE_DEFAULT_MONTHS: 12, // 월별 집계 기본 기간
+
+  // 사용량 비용 추정 단가 (USD / 100만 토큰, 모델명 접두사로 매칭)
+  PRICING: {
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "text-embedding-3-small": { input: 0.02, output: 0 },
+    "text-embedding-3-large": { input: 0.13, output: 0 },
+    "claude-3-5-haiku": { input: 0.8, output: 4 },
+    "claude-3-5-sonnet": { input: 3, output: 15 },
+    "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  },
+};
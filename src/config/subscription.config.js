@@ -0,0 +1,54 @@
+/**
+ * 구독 등급별 사용량 정책
+ */
+
+/**
+ * 쿼터 종류
+ */
+export const QUOTA = {
+  CARDS: "cards", // 보유 명함 수 (누적)
+  RECOMMENDATIONS: "recommendations", // 선물 추천 (일별)
+  GRAPH_ANALYSES: "graph_analyses", // 관계 그래프 LLM 분석 (일별)
+  OCR_SCANS: "ocr_scans", // 명함 OCR (일별)
+};
+
+/**
+ * 등급별 한도 (null = 무제한)
+ * 명함 수는 users.cardLimit가 있으면 사용자별 한도로 우선 적용
+ */
+export const SUBSCRIPTION_POLICY = {
+  free: {
+    [QUOTA.CARDS]: 200,
+    [QUOTA.RECOMMENDATIONS]: 5,
+    [QUOTA.GRAPH_ANALYSES]: 3,
+    [QUOTA.OCR_SCANS]: 30,
+  },
+  premium: {
+    [QUOTA.CARDS]: null,
+    [QUOTA.RECOMMENDATIONS]: 100,
+    [QUOTA.GRAPH_ANALYSES]: 30,
+    [QUOTA.OCR_SCANS]: 500,
+  },
+};
+
+/**
+ * 구독 등급 정책 조회 (알 수 없는 등급은 free)
+ * @param {string} subscription - 'free' | 'premium'
+ * @returns {Object}
+ */
+export const getTierPolicy = (subscription) => {
+  return SUBSCRIPTION_POLICY[subscription] || SUBSCRIPTION_POLICY.free;
+};
+
+/**
+ * 사용자의 명함 보유 한도 (null = 무제한)
+ * @param {Object} user - { subscription, cardLimit }
+ * @returns {number|null}
+ */
+export const getCardLimit = (user) => {
+  const tierLimit = getTierPolicy(user.subscription)[QUOTA.CARDS];
+  if (tierLimit === null) {
+    return null;
+  }
+  return user.cardLimit ?? tierLimit;
+};
@@ -0,0 +1,8 @@
+/**
+ * 명함 태그 설정
+ */
+export const TAG_CONFIG = {
+  // 태그 추천 (extracted_fact ROLE_OR_ORG/CONTEXT)
+  SUGGESTION_MIN_FACT_CONFIDENCE: 0.7, // 추천에 사용할 fact 최소 신뢰도
+  SUGGESTION_LIMIT: 10, // 명함당 최대 추천 수
+};
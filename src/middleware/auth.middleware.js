@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
+import Session from '../models/Session.model.js';
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -17,6 +18,18 @@ export const authenticate = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    // 세션이 폐기(로그아웃/기기 삭제)되었으면 만료 전이라도 거부
+    // (sid가 없는 이전 형식 토큰은 만료 시까지 허용)
+    if (decoded.sid) {
+      const session = await Session.findActiveById(decoded.sid, decoded.id);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session revoked or expired'
+        });
+      }
+    }
     
     // Get user from token
     const user = await User.findById(decoded.id);
@@ -40,6 +53,7 @@ export const authenticate = async (req, res, next) => {
 
     // Attach user to request (without password)
     req.user = userWithoutPassword;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -69,11 +83,13 @@ export const optionalAuth = async (req, res, next) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await User.findById(decoded.id);
+      const session = decoded.sid ? await Session.findActiveById(decoded.sid, decoded.id) : true;
+      const user = session ? await User.findById(decoded.id) : null;
       
       if (user && user.isActive) {
         const { password, ...userWithoutPassword } = user;
         req.user = userWithoutPassword;
+        req.sessionId = decoded.sid || null;
       }
     }
     
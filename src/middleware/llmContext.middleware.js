@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+import { runWithLLMContext, setLLMFeature } from '../services/llm/context.js';
+
+// 요청 단위 LLM 컨텍스트 시작
+// (실제 응답한 Provider를 X-LLM-Provider 헤더로 기록, 사용량 원장에 사용자/요청 ID 연결)
+export const llmContext = (req, res, next) => {
+  runWithLLMContext({ req, res, requestId: crypto.randomUUID() }, () => next());
+};
+
+// 라우트 단위 기능 이름 지정 (예: router.use(llmFeature('graph_analysis')))
+export const llmFeature = (feature) => (req, res, next) => {
+  setLLMFeature(feature);
+  next();
+};
@@ -0,0 +1,77 @@
+import { consumeDailyQuota, getCardQuotaStatus } from '../services/quota.service.js';
+import { logger } from '../utils/logger.js';
+
+// 남은 쿼터를 응답 헤더로 전달 (무제한이면 생략)
+export const setQuotaHeaders = (res, status) => {
+  if (status.limit === null || res.headersSent) return;
+
+  res.setHeader('X-Quota-Key', status.key);
+  res.setHeader('X-Quota-Limit', status.limit);
+  res.setHeader('X-Quota-Remaining', status.remaining);
+  if (status.resetAt) {
+    res.setHeader('X-Quota-Reset', status.resetAt);
+  }
+};
+
+// 쿼터 초과 응답
+// - 명함 보유 한도(누적): 402 Payment Required (업그레이드 필요)
+// - 일별 한도: 429 Too Many Requests (+ Retry-After)
+export const sendQuotaExceeded = (res, status) => {
+  setQuotaHeaders(res, status);
+
+  const isDaily = !!status.resetAt;
+  if (isDaily) {
+    const retryAfter = Math.max(Math.ceil((new Date(status.resetAt) - Date.now()) / 1000), 0);
+    res.setHeader('Retry-After', retryAfter);
+  }
+
+  return res.status(isDaily ? 429 : 402).json({
+    success: false,
+    code: isDaily ? 'DAILY_QUOTA_EXCEEDED' : 'CARD_LIMIT_EXCEEDED',
+    message: isDaily
+      ? `Daily ${status.key} quota exceeded (${status.limit}/day for ${status.tier}).`
+      : `Card limit reached (${status.limit}). Please upgrade to premium.`,
+    quota: status,
+  });
+};
+
+// 명함 보유 한도 확인 (명함 생성 라우트용, authenticate 이후)
+export const enforceCardQuota = async (req, res, next) => {
+  try {
+    const status = await getCardQuotaStatus(req.user);
+    if (status.limit !== null && status.used >= status.limit) {
+      return sendQuotaExceeded(res, status);
+    }
+    setQuotaHeaders(res, status);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 일별 쿼터 차감 (authenticate 이후, 검증 미들웨어 이후)
+// getAmount(req)로 일괄 요청의 차감 횟수를 정할 수 있음 (기본 1회, 대상 조회가 필요하면 async 함수)
+// 응답이 4xx/5xx로 끝나면 차감을 되돌림
+// 응답 후 일부만 실패하는 작업은 res.locals.releaseQuota(count)로 직접 되돌림
+export const enforceDailyQuota = (key, getAmount = () => 1) => async (req, res, next) => {
+  try {
+    const amount = await getAmount(req);
+    const { allowed, status, release } = await consumeDailyQuota(req.user, key, amount);
+    if (!allowed) {
+      return sendQuotaExceeded(res, status);
+    }
+
+    setQuotaHeaders(res, status);
+    res.locals.releaseQuota = release;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        release().catch((error) =>
+          logger.warn('Quota release failed', { key, userId: req.user.id, message: error.message })
+        );
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
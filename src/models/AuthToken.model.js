@@ -0,0 +1,47 @@
+import pool from '../config/database.js';
+
+class AuthToken {
+  // Create token (토큰 원문은 저장하지 않고 해시만 저장)
+  // 만료 시각은 DB의 NOW() 기준으로 계산 (consume의 NOW() 비교와 같은 시간대)
+  static async create(tokenData) {
+    const { userId, purpose, tokenHash, ttlMinutes } = tokenData;
+
+    const [result] = await pool.query(
+      `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [userId, purpose, tokenHash, ttlMinutes]
+    );
+
+    return result.insertId;
+  }
+
+  // Consume token: 만료 전이고 사용되지 않은 토큰만 1회 사용 처리 후 user_id 반환
+  static async consume(tokenHash, purpose) {
+    const [rows] = await pool.query(
+      `SELECT id, user_id FROM auth_tokens
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [tokenHash, purpose]
+    );
+    if (!rows[0]) {
+      return null;
+    }
+
+    // 동시 요청 중 하나만 성공하도록 used_at 조건으로 갱신
+    const [result] = await pool.query(
+      'UPDATE auth_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [rows[0].id]
+    );
+    return result.affectedRows > 0 ? rows[0].user_id : null;
+  }
+
+  // Invalidate unused tokens for a user and purpose (새 토큰 발급 시 이전 토큰 무효화)
+  static async invalidateByUserId(userId, purpose) {
+    const [result] = await pool.query(
+      'UPDATE auth_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [userId, purpose]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default AuthToken;
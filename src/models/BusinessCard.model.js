@@ -1,51 +1,436 @@
 import pool from "../config/database.js";
+import { QUOTA, getCardLimit } from "../config/subscription.config.js";
+import CardRevision, { REVISION_SOURCE } from "./CardRevision.model.js";
+import CardContactPoint from "./CardContactPoint.model.js";
+import {
+  CONTACT_POINT_TYPE,
+  PHONE_CONTACT_TYPES,
+  contactPointsFromCard,
+  normalizeContactPoints,
+  primaryContactValues,
+} from "../utils/contactPoints.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+import { GIFT_GIVEN_THIS_YEAR, SMART_RULE_FIELD } from "../utils/smartGroupRules.js";
+import { GROUP_CONFIG } from "../config/group.config.js";
+
+// 명함 목록 정렬 기준
+export const CARD_SORT = {
+  CREATED_AT: "createdAt",
+  NAME: "name",
+  LAST_INTERACTION: "lastInteraction",
+  RELATIONSHIP_SCORE: "relationshipScore",
+};
+
+export const CARD_SORTS = Object.values(CARD_SORT);
+
+// 검색어 LIKE 조건 (이름/회사/직책과 연락처 항목: 전화번호, 이메일, 주소, 웹사이트, SNS)
+const SEARCH_CLAUSE = (alias) => `(${alias}name LIKE ? OR ${alias}nameEn LIKE ? OR ${alias}company LIKE ? OR ${alias}companyEn LIKE ? OR ${alias}position LIKE ?
+  OR EXISTS (SELECT 1 FROM card_contact_points cp WHERE cp.businessCardId = ${alias}id AND cp.value LIKE ?))`;
+const SEARCH_PARAM_COUNT = 6;
+
+// 명함 수정 요청에서 반영하는 칼럼 (update에서 그 외 키는 무시)
+const EDITABLE_FIELDS = [
+  "name",
+  "nameEn",
+  "position",
+  "company",
+  "companyEn",
+  "phone",
+  "email",
+  "gender",
+  "design",
+  "isFavorite",
+  "image",
+];
+
+// 저장소 이미지 칼럼 (서버가 이미지를 저장한 뒤 options.storedImage로만 지정)
+const STORED_IMAGE_FIELDS = ["image", "imageKey", "thumbnailKey"];
+
+const pickDefined = (data, fields) =>
+  Object.fromEntries(fields.filter((field) => data?.[field] !== undefined).map((field) => [field, data[field]]));
+
+// 명함 입력의 연락처 항목 (없으면 대표 전화번호/이메일로 만듦) 및 비어 있는 대표 값 채우기
+const resolveContactFields = (cardData) => {
+  // 대표 전화번호/이메일이 목록에 없으면 뒤에 추가 (같은 값은 중복 제거)
+  const contactPoints = cardData.contactPoints !== undefined
+    ? normalizeContactPoints([...(cardData.contactPoints || []), ...contactPointsFromCard(cardData)])
+    : contactPointsFromCard(cardData);
+  const primary = primaryContactValues(contactPoints);
+  return {
+    contactPoints,
+    phone: cardData.phone || primary.phone,
+    email: cardData.email || primary.email,
+  };
+};
+
+// extracted_fact는 fact-extraction 마이그레이션으로 생성되는 테이블
+// 한 번 확인되면 캐시하고, 없으면 생성될 때까지 매번 확인
+let factTableReady = false;
+const hasFactTable = async () => {
+  if (factTableReady) return true;
+  const [rows] = await pool.query(
+    "SELECT 1 FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'extracted_fact'"
+  );
+  factTableReady = rows.length > 0;
+  return factTableReady;
+};
+
+// 필터별 조건 (business_cards 별칭 bc, 필터 하나당 조건 하나)
+// giftGiven, fact는 스마트 그룹 규칙에서만 사용
+// factTable: extracted_fact 테이블이 없으면 fact 조건은 FALSE
+const buildFilterConditions = (filters = {}, { factTable = true } = {}) => {
+  const {
+    search,
+    cardIds = [],
+    isFavorite,
+    groupId,
+    company,
+    gender,
+    hasMemo,
+    metWithinDays,
+    tags = [],
+    tagMatch = "all",
+    giftGiven,
+    fact,
+  } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (Array.isArray(cardIds) && cardIds.length > 0) {
+    conditions.push(`bc.id IN (${cardIds.map(() => "?").join(", ")})`);
+    params.push(...cardIds);
+  }
+  if (search) {
+    conditions.push(SEARCH_CLAUSE("bc."));
+    params.push(...Array(SEARCH_PARAM_COUNT).fill(`%${search}%`));
+  }
+  if (isFavorite !== undefined) {
+    conditions.push(isFavorite ? "bc.isFavorite = TRUE" : "(bc.isFavorite = FALSE OR bc.isFavorite IS NULL)");
+  }
+  if (groupId) {
+    conditions.push(`EXISTS (SELECT 1 FROM group_cards gc JOIN card_groups cg ON cg.id = gc.groupId
+      WHERE gc.businessCardId = bc.id AND cg.id = ? AND cg.userId = bc.userId)`);
+    params.push(groupId);
+  }
+  if (company) {
+    conditions.push("(bc.company = ? OR bc.companyEn = ?)");
+    params.push(company, company);
+  }
+  if (gender) {
+    conditions.push("bc.gender = ?");
+    params.push(gender);
+  }
+  if (hasMemo !== undefined) {
+    conditions.push(`${hasMemo ? "" : "NOT "}EXISTS (SELECT 1 FROM memo m WHERE m.business_card_id = bc.id)`);
+  }
+  if (metWithinDays) {
+    // 명함이 연결된 일정 중 최근 N일 안에 시작한 일정
+    conditions.push(`EXISTS (SELECT 1 FROM events e WHERE e.userId = bc.userId AND FIND_IN_SET(bc.id, e.linked_card_ids) > 0
+      AND e.startDate BETWEEN NOW() - INTERVAL ? DAY AND NOW())`);
+    params.push(metWithinDays);
+  }
+  if (tags.length > 0) {
+    // 태그 이름 (tagMatch=all: 모든 태그, any: 하나 이상)
+    const tagCount = `(SELECT COUNT(DISTINCT t.id) FROM tag_cards tc JOIN card_tags t ON t.id = tc.tagId
+      WHERE tc.businessCardId = bc.id AND t.userId = bc.userId AND t.name IN (${tags.map(() => "?").join(", ")}))`;
+    conditions.push(tagMatch === "any" ? `${tagCount} > 0` : `${tagCount} = ?`);
+    params.push(...tags);
+    if (tagMatch !== "any") params.push(tags.length);
+  }
+  if (giftGiven === GIFT_GIVEN_THIS_YEAR) {
+    conditions.push("EXISTS (SELECT 1 FROM gifts g WHERE g.cardId = bc.id AND g.userId = bc.userId AND YEAR(g.purchaseDate) = YEAR(NOW()))");
+  } else if (giftGiven) {
+    conditions.push(`EXISTS (SELECT 1 FROM gifts g WHERE g.cardId = bc.id AND g.userId = bc.userId
+      AND g.purchaseDate >= NOW() - INTERVAL ? DAY)`);
+    params.push(giftGiven);
+  }
+  if (fact && !factTable) {
+    conditions.push("FALSE");
+  } else if (fact) {
+    conditions.push(`EXISTS (SELECT 1 FROM extracted_fact f WHERE f.card_id = bc.id AND f.user_id = bc.userId
+      AND f.fact_type = ? AND f.confidence >= ?${fact.keyword ? " AND (f.fact_key LIKE ? OR f.evidence LIKE ?)" : ""})`);
+    params.push(fact.factType, GROUP_CONFIG.SMART_MIN_FACT_CONFIDENCE);
+    if (fact.keyword) params.push(`%${fact.keyword}%`, `%${fact.keyword}%`);
+  }
+
+  return { conditions, params };
+};
+
+// 스마트 그룹 규칙 조건 → 목록 필터
+const RULE_FILTERS = {
+  [SMART_RULE_FIELD.COMPANY]: ({ value }) => ({ company: value }),
+  [SMART_RULE_FIELD.GENDER]: ({ value }) => ({ gender: value }),
+  [SMART_RULE_FIELD.TAG]: ({ value }) => ({ tags: [value] }),
+  [SMART_RULE_FIELD.IS_FAVORITE]: ({ value }) => ({ isFavorite: value }),
+  [SMART_RULE_FIELD.HAS_MEMO]: ({ value }) => ({ hasMemo: value }),
+  [SMART_RULE_FIELD.MET_WITHIN_DAYS]: ({ value }) => ({ metWithinDays: value }),
+  [SMART_RULE_FIELD.GIFT_GIVEN]: ({ value }) => ({ giftGiven: value }),
+  [SMART_RULE_FIELD.FACT]: ({ factType, keyword }) => ({ fact: { factType, keyword } }),
+};
+
+// 스마트 그룹 규칙 (normalizeSmartGroupRules로 정리한 값) → 조건 하나
+const buildRuleCondition = ({ match, conditions: ruleConditions }, options = {}) => {
+  const conditions = [];
+  const params = [];
+  for (const condition of ruleConditions) {
+    const toFilters = RULE_FILTERS[condition.field];
+    if (!toFilters) continue;
+    const built = buildFilterConditions(toFilters(condition), options);
+    conditions.push(...built.conditions);
+    params.push(...built.params);
+  }
+  if (conditions.length === 0) {
+    return { clause: "FALSE", params };
+  }
+  return { clause: `(${conditions.join(match === "any" ? " OR " : " AND ")})`, params };
+};
+
+// 목록 필터 조건 (business_cards 별칭 bc)
+// groupRules: 스마트 그룹 규칙 (CardGroup.cardFilters로 groupId 대신 전달)
+const buildListFilters = async (userId, filters = {}) => {
+  const usesFact = Boolean(filters.fact)
+    || Boolean(filters.groupRules?.conditions?.some((condition) => condition.field === SMART_RULE_FIELD.FACT));
+  const options = { factTable: usesFact ? await hasFactTable() : true };
+  const built = buildFilterConditions(filters, options);
+  const conditions = ["bc.userId = ?", ...built.conditions];
+  const params = [userId, ...built.params];
+
+  if (filters.groupRules) {
+    const rule = buildRuleCondition(filters.groupRules, options);
+    conditions.push(rule.clause);
+    params.push(...rule.params);
+  }
+
+  return { where: conditions.join(" AND "), params };
+};
+
+// 상호작용 집계 (일정/메모/선물/대화). 관계 점수 정렬/최근 상호작용 정렬에서만 계산
+// 명함마다 상관 서브쿼리를 돌리지 않고, 사용자 단위로 한 번씩 묶어 집계한 뒤 명함 id로 조인
+// 일정은 linked_card_ids(쉼표 목록)를 FIND_IN_SET으로 찾으므로 사용자의 일정 수 × 명함 수만큼 비교 (인덱스 사용 불가)
+const ACTIVITY_JOINS = `
+  LEFT JOIN (SELECT ec.id AS cardId, COUNT(*) AS meetingCount,
+      COUNT(IF(e.startDate >= NOW() - INTERVAL 30 DAY, 1, NULL)) AS recentMeetingCount,
+      MAX(IF(e.startDate <= NOW(), e.startDate, NULL)) AS lastMeetingAt
+    FROM business_cards ec JOIN events e ON e.userId = ec.userId AND FIND_IN_SET(ec.id, e.linked_card_ids) > 0
+    WHERE ec.userId = ? GROUP BY ec.id) ea ON ea.cardId = bc.id
+  LEFT JOIN (SELECT m.business_card_id AS cardId, COUNT(*) AS memoCount,
+      COUNT(IF(m.created_at >= NOW() - INTERVAL 30 DAY, 1, NULL)) AS recentMemoCount, MAX(m.updated_at) AS lastMemoAt
+    FROM memo m WHERE m.user_id = ? GROUP BY m.business_card_id) ma ON ma.cardId = bc.id
+  LEFT JOIN (SELECT g.cardId, COUNT(*) AS giftCount, MAX(g.purchaseDate) AS lastGiftAt
+    FROM gifts g WHERE g.userId = ? GROUP BY g.cardId) ga ON ga.cardId = bc.id
+  LEFT JOIN (SELECT ch.cardId, COUNT(*) AS chatCount, MAX(ch.updatedAt) AS lastChatAt
+    FROM chats ch WHERE ch.userId = ? AND ch.cardId IS NOT NULL GROUP BY ch.cardId) ca ON ca.cardId = bc.id`;
+const ACTIVITY_JOIN_PARAM_COUNT = 4;
+
+const ACTIVITY_COLUMNS = `
+  COALESCE(ea.meetingCount, 0) AS meetingCount, COALESCE(ea.recentMeetingCount, 0) AS recentMeetingCount,
+  ea.lastMeetingAt,
+  COALESCE(ma.memoCount, 0) AS memoCount, COALESCE(ma.recentMemoCount, 0) AS recentMemoCount, ma.lastMemoAt,
+  COALESCE(ga.giftCount, 0) AS giftCount, ga.lastGiftAt,
+  COALESCE(ca.chatCount, 0) AS chatCount, ca.lastChatAt`;
+
+const ACTIVITY_FIELDS = [
+  "meetingCount",
+  "recentMeetingCount",
+  "lastMeetingAt",
+  "memoCount",
+  "recentMemoCount",
+  "lastMemoAt",
+  "giftCount",
+  "lastGiftAt",
+  "chatCount",
+  "lastChatAt",
+];
+
+// 상호작용이 없는 명함의 정렬 값
+const EPOCH = "CAST('1970-01-01 00:00:00' AS DATETIME)";
+
+// 마지막 상호작용 시각과 관계 점수
+// 점수 가중치는 관계 그래프의 상호작용 점수(graph.routes calculateInteractionScore)와 같음 (fact 제외)
+const ACTIVITY_SELECT = `
+  NULLIF(GREATEST(COALESCE(a.lastMeetingAt, ${EPOCH}), COALESCE(a.lastMemoAt, ${EPOCH}),
+    COALESCE(a.lastGiftAt, ${EPOCH}), COALESCE(a.lastChatAt, ${EPOCH})), ${EPOCH}) AS lastInteractionAt,
+  (a.recentMeetingCount * 10 + a.recentMemoCount * 5 + a.meetingCount * 2 + a.memoCount + a.giftCount * 3 + a.chatCount
+    + IF(a.lastMeetingAt IS NULL, 0, GREATEST(0, 30 - DATEDIFF(NOW(), a.lastMeetingAt)))) AS relationshipScore`;
+
+// 이름 정렬: 한글 → 영문 → 기타 순으로 묶은 뒤 utf8mb4_unicode_ci 순서 (가나다순, 영문 대소문자 무시)
+const NAME_SCRIPT_ORDER = "(CASE WHEN c.name REGEXP '^[가-힣ㄱ-ㅎ]' THEN 0 WHEN c.name REGEXP '^[A-Za-z]' THEN 1 ELSE 2 END)";
+
+// 정렬 기준별 정렬 키 (마지막 키 뒤에 id를 붙여 순서를 고정), datetime 키는 커서에 문자열로 담음
+const SORT_DEFINITIONS = {
+  [CARD_SORT.CREATED_AT]: { order: "desc", keys: [{ expr: "c.createdAt", datetime: true }] },
+  [CARD_SORT.NAME]: { order: "asc", keys: [{ expr: NAME_SCRIPT_ORDER }, { expr: "c.name" }] },
+  [CARD_SORT.LAST_INTERACTION]: {
+    order: "desc",
+    activity: true,
+    keys: [{ expr: `COALESCE(c.lastInteractionAt, ${EPOCH})`, datetime: true }],
+  },
+  [CARD_SORT.RELATIONSHIP_SCORE]: { order: "desc", activity: true, keys: [{ expr: "c.relationshipScore" }] },
+};
+
+/**
+ * 정렬 기준의 기본 방향
+ * @param {string} sort - CARD_SORT 값
+ * @returns {"asc"|"desc"}
+ */
+export const defaultCardSortOrder = (sort) => SORT_DEFINITIONS[sort]?.order || "desc";
+
+// 커서 이후 행 조건: (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... (내림차순은 <)
+const buildKeysetCondition = (exprs, values, order) => {
+  const operator = order === "asc" ? ">" : "<";
+  const clauses = [];
+  const params = [];
+
+  exprs.forEach((expr, index) => {
+    const equals = exprs.slice(0, index).map((previous) => `${previous} = ?`);
+    clauses.push(`(${[...equals, `${expr} ${operator} ?`].join(" AND ")})`);
+    params.push(...values.slice(0, index + 1));
+  });
+
+  return { clause: `(${clauses.join(" OR ")})`, params };
+};
+
+// 명함 보유 한도 확인 (트랜잭션 안에서 호출)
+// 사용자 행을 잠가 동시 생성/가져오기가 한도를 함께 넘지 않도록 직렬화
+const lockCardLimit = async (connection, userId, adding) => {
+  const [[owner]] = await connection.query(
+    "SELECT subscription, cardLimit FROM users WHERE id = ? FOR UPDATE",
+    [userId]
+  );
+  const cardLimit = owner ? getCardLimit(owner) : null;
+  if (cardLimit === null) return;
+
+  const [[{ total }]] = await connection.query(
+    "SELECT COUNT(*) as total FROM business_cards WHERE userId = ?",
+    [userId]
+  );
+  if (total + adding <= cardLimit) return;
+
+  const remaining = Math.max(cardLimit - total, 0);
+  const error = new Error(
+    adding === 1
+      ? `Card limit reached (${cardLimit}). Please upgrade to premium.`
+      : `Card limit reached (${cardLimit}). ${remaining} more card(s) can be added.`
+  );
+  error.statusCode = 402;
+  error.quota = {
+    key: QUOTA.CARDS,
+    tier: owner.subscription,
+    limit: cardLimit,
+    used: total,
+    remaining,
+    resetAt: null,
+  };
+  throw error;
+};
 
 class BusinessCard {
-  // Find all cards for a user
+  // Find all cards for a user (페이지의 명함 배열만)
   static async findByUserId(userId, options = {}) {
-    const { search, page = 1, limit = 20, cardIds = [] } = options;
-    const offset = (page - 1) * limit;
+    const { cards } = await this.findPageByUserId(userId, options);
+    return cards;
+  }
 
-    let query = "SELECT * FROM business_cards WHERE userId = ?";
-    const params = [userId];
+  /**
+   * 명함 목록 한 페이지 조회 (필터, 정렬, 커서 페이지네이션)
+   * cursor가 있으면 그 다음부터, 없으면 page로 OFFSET (page 1 = 처음)
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {string} [options.sort="createdAt"] - CARD_SORT 값
+   * @param {"asc"|"desc"} [options.order] - 기본: 정렬 기준별 (이름은 asc, 그 외 desc)
+   * @param {string} [options.cursor] - 이전 페이지의 nextCursor
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<{cards: Array<Object>, nextCursor: string|null}>}
+   *   lastInteraction/relationshipScore 정렬이면 각 명함에 lastInteractionAt, relationshipScore 포함
+   * @throws {Error} statusCode 400 - 커서가 잘못되었거나 다른 정렬의 커서
+   */
+  static async findPageByUserId(userId, options = {}) {
+    const { sort = CARD_SORT.CREATED_AT, cursor, page = 1, limit = 20, ...filters } = options;
+    const definition = SORT_DEFINITIONS[sort] || SORT_DEFINITIONS[CARD_SORT.CREATED_AT];
+    const order = options.order || definition.order;
+    const pageSize = parseInt(limit);
 
-    if (Array.isArray(cardIds) && cardIds.length > 0) {
-      const placeholders = cardIds.map(() => "?").join(", ");
-      query += ` AND id IN (${placeholders})`;
-      params.push(...cardIds);
+    const { where, params } = await buildListFilters(userId, filters);
+    let source = `(SELECT bc.* FROM business_cards bc WHERE ${where})`;
+    if (definition.activity) {
+      source = `(SELECT a.*, ${ACTIVITY_SELECT} FROM
+        (SELECT bc.*, ${ACTIVITY_COLUMNS} FROM business_cards bc ${ACTIVITY_JOINS} WHERE ${where}) a)`;
+      // 집계 조인의 userId가 목록 필터보다 앞에 옴
+      params.unshift(...Array(ACTIVITY_JOIN_PARAM_COUNT).fill(userId));
     }
+    const sortKeys = definition.keys.map(({ expr, datetime }, index) =>
+      `${datetime ? `DATE_FORMAT(${expr}, '%Y-%m-%d %H:%i:%s')` : expr} AS sortKey${index}`
+    );
+
+    let query = `SELECT c.*, ${sortKeys.join(", ")} FROM ${source} c`;
+    const keyExprs = [...definition.keys.map(({ expr }) => expr), "c.id"];
 
-    if (search) {
-      query += " AND (name LIKE ? OR company LIKE ? OR position LIKE ?)";
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern, searchPattern);
+    if (cursor) {
+      const { keys, id } = decodeCursor(cursor, { sort, order });
+      if (keys.length !== definition.keys.length) {
+        throw Object.assign(new Error("Invalid cursor"), { statusCode: 400 });
+      }
+      const keyset = buildKeysetCondition(keyExprs, [...keys, id], order);
+      query += ` WHERE ${keyset.clause}`;
+      params.push(...keyset.params);
     }
 
-    query += " ORDER BY createdAt DESC LIMIT ? OFFSET ?";
-    params.push(parseInt(limit), offset);
+    const direction = order === "asc" ? "ASC" : "DESC";
+    query += ` ORDER BY ${keyExprs.map((expr) => `${expr} ${direction}`).join(", ")} LIMIT ?`;
+    // 다음 페이지 유무 확인용으로 한 건 더 조회
+    params.push(pageSize + 1);
+    if (!cursor && page > 1) {
+      query += " OFFSET ?";
+      params.push((parseInt(page) - 1) * pageSize);
+    }
 
     const [rows] = await pool.query(query, params);
-    return rows;
-  }
+    const hasMore = rows.length > pageSize;
+    const pageRows = rows.slice(0, pageSize);
+    const last = pageRows[pageRows.length - 1];
 
-  // Count cards for a user
-  static async countByUserId(userId, search = null, cardIds = []) {
-    let query = "SELECT COUNT(*) as total FROM business_cards WHERE userId = ?";
-    const params = [userId];
+    const cards = pageRows.map((row) => {
+      const card = { ...row };
+      definition.keys.forEach((_, index) => delete card[`sortKey${index}`]);
+      ACTIVITY_FIELDS.forEach((field) => delete card[field]);
+      return card;
+    });
 
-    if (Array.isArray(cardIds) && cardIds.length > 0) {
-      const placeholders = cardIds.map(() => "?").join(", ");
-      query += ` AND id IN (${placeholders})`;
-      params.push(...cardIds);
-    }
+    return {
+      cards,
+      nextCursor: hasMore
+        ? encodeCursor({ sort, order, keys: definition.keys.map((_, index) => last[`sortKey${index}`]), id: last.id })
+        : null,
+    };
+  }
 
-    if (search) {
-      query += " AND (name LIKE ? OR company LIKE ? OR position LIKE ?)";
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern, searchPattern);
-    }
+  // 내보내기용 전체 조회 (페이지네이션 없음, filters: search, cardIds, groupId 또는 groupRules)
+  static async findForExport(userId, filters = {}) {
+    const { where, params } = await buildListFilters(userId, filters);
+    const [rows] = await pool.query(
+      `SELECT bc.* FROM business_cards bc WHERE ${where} ORDER BY bc.createdAt DESC`,
+      params
+    );
+    return rows;
+  }
 
+  // 목록 필터에 맞는 명함 ID 전체 (최신순, 스마트 그룹 멤버 조회 등)
+  static async findIdsByUserId(userId, filters = {}, limit = null) {
+    const { where, params } = await buildListFilters(userId, filters);
+    let query = `SELECT bc.id FROM business_cards bc WHERE ${where} ORDER BY bc.createdAt DESC, bc.id DESC`;
+    if (limit) {
+      query += " LIMIT ?";
+      params.push(limit);
+    }
     const [rows] = await pool.query(query, params);
+    return rows.map((row) => row.id);
+  }
+
+  // Count cards for a user (filters: findPageByUserId와 같은 목록 필터)
+  static async countByUserId(userId, filters = {}) {
+    const { where, params } = await buildListFilters(userId, filters);
+    const [rows] = await pool.query(`SELECT COUNT(*) as total FROM business_cards bc WHERE ${where}`, params);
     return rows[0].total;
   }
 
@@ -63,70 +448,295 @@ class BusinessCard {
     return rows[0] || null;
   }
 
-  // Create new card
-  static async create(cardData) {
+  // Find which of the given card IDs belong to the user
+  static async findOwnedIds(cardIds, userId) {
+    if (!Array.isArray(cardIds) || cardIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = cardIds.map(() => "?").join(", ");
+    const [rows] = await pool.query(
+      `SELECT id FROM business_cards WHERE userId = ? AND id IN (${placeholders})`,
+      [userId, ...cardIds]
+    );
+    return rows.map((row) => row.id);
+  }
+
+  // 중복 검사용 연락처 필드만 조회 (image 제외, contactPoints는 이메일/전화번호 항목만)
+  static async findContactKeys(userId) {
+    const [[rows], pointsByCard] = await Promise.all([
+      pool.query(
+        `SELECT id, name, nameEn, company, companyEn, position, phone, email, createdAt, updatedAt
+         FROM business_cards WHERE userId = ?`,
+        [userId]
+      ),
+      CardContactPoint.findByUserId(userId, [...PHONE_CONTACT_TYPES, CONTACT_POINT_TYPE.EMAIL]),
+    ]);
+    return rows.map((row) => ({ ...row, contactPoints: pointsByCard[row.id] || [] }));
+  }
+
+  // Create new card (options.source: 변경 이력 출처, 기본 manual)
+  // options.storedImage: 서버가 저장한 이미지 { image, imageKey, thumbnailKey } (cardData의 저장소 키는 무시)
+  static async create(cardData, options = {}) {
+    const { source = REVISION_SOURCE.MANUAL, storedImage = {} } = options;
     const {
       userId,
       name,
+      nameEn = null,
       position,
       company,
-      phone,
-      email,
-      image,
+      companyEn = null,
       gender,
       design = "design-1",
       isFavorite = false,
     } = cardData;
+    const {
+      image = cardData.image ?? null,
+      imageKey = null,
+      thumbnailKey = null,
+    } = pickDefined(storedImage, STORED_IMAGE_FIELDS);
+    const { contactPoints, phone = null, email = null } = resolveContactFields(cardData);
 
-    const [result] = await pool.query(
-      `INSERT INTO business_cards (userId, name, position, company, phone, email, image, gender, design, isFavorite)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userId,
-        name,
-        position,
-        company,
-        phone,
-        email,
-        image,
-        gender,
-        design,
-        isFavorite,
-      ]
-    );
+    // 명함, 연락처 항목, 생성 이력을 한 트랜잭션으로 저장
+    // 구독 등급별 명함 보유 한도 확인 (라우트 외 경로로 생성될 때도 적용, 동시 요청은 사용자 행 잠금으로 직렬화)
+    const connection = await pool.getConnection();
+    let cardId;
+    try {
+      await connection.beginTransaction();
+      await lockCardLimit(connection, userId, 1);
+
+      const [result] = await connection.query(
+        `INSERT INTO business_cards (userId, name, nameEn, position, company, companyEn, phone, email, image, imageKey, thumbnailKey, gender, design, isFavorite)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          name,
+          nameEn,
+          position,
+          company,
+          companyEn,
+          phone,
+          email,
+          image,
+          imageKey,
+          thumbnailKey,
+          gender,
+          design,
+          isFavorite,
+        ]
+      );
+      cardId = result.insertId;
+
+      await CardContactPoint.replaceForCard(cardId, contactPoints, connection);
+      const [[created]] = await connection.query("SELECT * FROM business_cards WHERE id = ?", [cardId]);
+      await CardRevision.record(
+        CardRevision.diff(null, created),
+        { businessCardId: cardId, userId, source },
+        connection
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    return await this.findById(result.insertId);
+    return await this.findById(cardId);
   }
 
-  // Update card
-  static async update(id, userId, updateData) {
-    const fields = [];
-    const values = [];
-    const skipKeys = ["memo"]; // memo 칼럼 제거된 DB 대응
-
-    Object.keys(updateData).forEach((key) => {
-      if (skipKeys.includes(key)) return;
-      if (updateData[key] !== undefined) {
-        fields.push(`${key} = ?`);
-        values.push(updateData[key]);
+  // 여러 명함 일괄 생성 (가져오기용, 전부 성공하거나 전부 취소)
+  // options.groupId: 기존 그룹에 추가, options.groupName: 새 그룹을 만들어 추가
+  static async createMany(userId, cards, options = {}) {
+    const { groupId = null, groupName = null } = options;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await lockCardLimit(connection, userId, cards.length);
+
+      let group = null;
+      if (groupId) {
+        const [groupRows] = await connection.query(
+          "SELECT id, name, rules FROM card_groups WHERE id = ? AND userId = ? FOR UPDATE",
+          [groupId, userId]
+        );
+        if (groupRows.length === 0) {
+          const error = new Error("Group not found");
+          error.statusCode = 404;
+          throw error;
+        }
+        // 스마트 그룹은 규칙으로 명함이 정해지므로 직접 추가할 수 없음
+        if (groupRows[0].rules !== null) {
+          const error = new Error("Cannot add cards to a smart group");
+          error.statusCode = 400;
+          throw error;
+        }
+        group = { id: groupRows[0].id, name: groupRows[0].name };
+      } else if (groupName) {
+        const [[{ count }]] = await connection.query(
+          "SELECT COUNT(*) as count FROM card_groups WHERE userId = ?",
+          [userId]
+        );
+        const [groupResult] = await connection.query(
+          "INSERT INTO card_groups (userId, name, displayOrder) VALUES (?, ?, ?)",
+          [userId, groupName, count]
+        );
+        group = { id: groupResult.insertId, name: groupName };
+      }
+
+      const ids = [];
+      for (const rawCard of cards) {
+        const { contactPoints, phone, email } = resolveContactFields(rawCard);
+        const card = { ...rawCard, phone, email };
+        const [result] = await connection.query(
+          `INSERT INTO business_cards (userId, name, nameEn, position, company, companyEn, phone, email, gender, design)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            card.name,
+            card.nameEn || null,
+            card.position || null,
+            card.company || null,
+            card.companyEn || null,
+            card.phone || null,
+            card.email || null,
+            card.gender || null,
+            card.design || "design-1",
+          ]
+        );
+        ids.push(result.insertId);
+        await CardContactPoint.replaceForCard(result.insertId, contactPoints, connection);
+        await CardRevision.record(
+          CardRevision.diff(null, card),
+          { businessCardId: result.insertId, userId, source: REVISION_SOURCE.IMPORT },
+          connection
+        );
       }
-    });
+
+      if (group && ids.length > 0) {
+        await connection.query(
+          "INSERT IGNORE INTO group_cards (groupId, businessCardId) VALUES ?",
+          [ids.map((id) => [group.id, id])]
+        );
+      }
+
+      await connection.commit();
+
+      const created = ids.length > 0
+        ? (await connection.query(
+            `SELECT * FROM business_cards WHERE id IN (${ids.map(() => "?").join(", ")}) ORDER BY id ASC`,
+            ids
+          ))[0]
+        : [];
+      return { cards: created, group };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Update card
+  // 이름/직책/회사/연락처가 바뀌면 같은 트랜잭션에서 card_revisions에 이전 값과 함께 기록
+  // options.source: 변경 출처 (manual, ocr 등)
+  // options.storedImage: 서버가 저장한 이미지 { image, imageKey, thumbnailKey }
+  // updateData는 EDITABLE_FIELDS와 contactPoints만 반영 (userId, 저장소 키 등 다른 키는 무시)
+  static async update(id, userId, updateData, options = {}) {
+    const { source = REVISION_SOURCE.MANUAL, storedImage = {} } = options;
+
+    // 연락처 항목을 통째로 바꾸면 대표 전화번호/이메일도 항목에서 다시 정함 (본문에 직접 준 값이 우선)
+    const contactPoints = updateData.contactPoints !== undefined
+      ? normalizeContactPoints([
+        ...(updateData.contactPoints || []),
+        ...contactPointsFromCard({ phone: updateData.phone, email: updateData.email }),
+      ])
+      : null;
+    if (contactPoints) {
+      const primary = primaryContactValues(contactPoints);
+      updateData = {
+        ...updateData,
+        phone: updateData.phone !== undefined ? updateData.phone : primary.phone,
+        email: updateData.email !== undefined ? updateData.email : primary.email,
+      };
+    }
+
+    const changes = {
+      ...pickDefined(updateData, EDITABLE_FIELDS),
+      ...pickDefined(storedImage, STORED_IMAGE_FIELDS),
+    };
+    const fields = Object.keys(changes).map((key) => `${key} = ?`);
+    const values = Object.values(changes);
 
     if (fields.length === 0) {
       return await this.findById(id, userId);
     }
 
-    values.push(id, userId);
-    await pool.query(
-      `UPDATE business_cards SET ${fields.join(
-        ", "
-      )} WHERE id = ? AND userId = ?`,
-      values
-    );
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [[before]] = await connection.query(
+        "SELECT * FROM business_cards WHERE id = ? AND userId = ? FOR UPDATE",
+        [id, userId]
+      );
+      if (!before) {
+        await connection.rollback();
+        return null;
+      }
+
+      values.push(id, userId);
+      await connection.query(
+        `UPDATE business_cards SET ${fields.join(
+          ", "
+        )} WHERE id = ? AND userId = ?`,
+        values
+      );
+      if (contactPoints) {
+        await CardContactPoint.replaceForCard(before.id, contactPoints, connection);
+      } else {
+        await CardContactPoint.syncPrimary(before.id, before, changes, connection);
+      }
+      await CardRevision.record(
+        CardRevision.diff(before, changes),
+        { businessCardId: before.id, userId, source },
+        connection
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     return await this.findById(id, userId);
   }
 
+  // base64 data URL이 image 컬럼에 남아있는 명함 (저장소 이전용, id 순)
+  static async findInlineImages(afterId = 0, limit = 20) {
+    const [rows] = await pool.query(
+      `SELECT id, userId, image FROM business_cards
+       WHERE id > ? AND image LIKE 'data:image/%'
+       ORDER BY id ASC LIMIT ?`,
+      [afterId, limit]
+    );
+    return rows;
+  }
+
+  // 저장소로 옮긴 이미지 키 기록 (그 사이 이미지가 바뀌지 않았을 때만, 성공 여부 반환)
+  static async setStoredImage(id, { imageKey, thumbnailKey }, inlineImage) {
+    const [result] = await pool.query(
+      `UPDATE business_cards SET image = NULL, imageKey = ?, thumbnailKey = ?, updatedAt = updatedAt
+       WHERE id = ? AND image = ?`,
+      [imageKey, thumbnailKey, id, inlineImage]
+    );
+    return result.affectedRows > 0;
+  }
+
   // Delete card
   static async delete(id, userId) {
     const [result] = await pool.query(
@@ -0,0 +1,107 @@
+import pool from '../config/database.js';
+import { normalizePhone } from '../utils/cardMatching.js';
+import {
+  CONTACT_POINT_TYPE,
+  PHONE_CONTACT_TYPES,
+  guessPhoneType,
+} from '../utils/contactPoints.js';
+
+class CardContactPoint {
+  // Find contact points for a card (입력 순서)
+  static async findByBusinessCardId(businessCardId, db = pool) {
+    const [rows] = await db.query(
+      'SELECT * FROM card_contact_points WHERE businessCardId = ? ORDER BY displayOrder ASC, id ASC',
+      [businessCardId]
+    );
+    return rows;
+  }
+
+  // Find contact points for several cards → { [businessCardId]: rows }
+  static async findByBusinessCardIds(businessCardIds) {
+    if (!Array.isArray(businessCardIds) || businessCardIds.length === 0) {
+      return {};
+    }
+
+    const placeholders = businessCardIds.map(() => '?').join(', ');
+    const [rows] = await pool.query(
+      `SELECT * FROM card_contact_points WHERE businessCardId IN (${placeholders})
+       ORDER BY businessCardId ASC, displayOrder ASC, id ASC`,
+      businessCardIds
+    );
+
+    const byCard = {};
+    for (const row of rows) {
+      if (!byCard[row.businessCardId]) byCard[row.businessCardId] = [];
+      byCard[row.businessCardId].push(row);
+    }
+    return byCard;
+  }
+
+  // 사용자 명함 전체의 연락처 항목 중 지정한 종류만 조회 → { [businessCardId]: rows } (중복 검사용)
+  static async findByUserId(userId, types) {
+    const [rows] = await pool.query(
+      `SELECT cp.businessCardId, cp.type, cp.value FROM card_contact_points cp
+       JOIN business_cards bc ON bc.id = cp.businessCardId
+       WHERE bc.userId = ? AND cp.type IN (?)
+       ORDER BY cp.businessCardId ASC, cp.displayOrder ASC, cp.id ASC`,
+      [userId, types]
+    );
+
+    const byCard = {};
+    for (const row of rows) {
+      if (!byCard[row.businessCardId]) byCard[row.businessCardId] = [];
+      byCard[row.businessCardId].push(row);
+    }
+    return byCard;
+  }
+
+  // 명함의 연락처 항목 전체 교체 (normalizeContactPoints로 정리한 목록, 트랜잭션 안에서는 connection을 넘김)
+  static async replaceForCard(businessCardId, points, db = pool) {
+    await db.query('DELETE FROM card_contact_points WHERE businessCardId = ?', [businessCardId]);
+    if (points.length === 0) {
+      return 0;
+    }
+
+    const [result] = await db.query(
+      'INSERT IGNORE INTO card_contact_points (businessCardId, type, value, label, displayOrder) VALUES ?',
+      [points.map(({ type, value, label }, index) => [businessCardId, type, value, label || null, index])]
+    );
+    return result.affectedRows;
+  }
+
+  // 대표 전화번호/이메일(business_cards.phone, email)만 바뀐 경우 해당 항목을 같이 바꿈
+  // 기존 값의 항목이 없으면 새로 추가하고, 새 값이 비어 있으면 삭제
+  static async syncPrimary(businessCardId, before, after, db = pool) {
+    const targets = [
+      ['phone', PHONE_CONTACT_TYPES, (value) => guessPhoneType(value), (a, b) => normalizePhone(a) === normalizePhone(b)],
+      ['email', [CONTACT_POINT_TYPE.EMAIL], () => CONTACT_POINT_TYPE.EMAIL, (a, b) => a.toLowerCase() === b.toLowerCase()],
+    ];
+
+    for (const [field, types, typeOf, sameValue] of targets) {
+      if (after[field] === undefined) continue;
+      const oldValue = before?.[field] ? String(before[field]) : null;
+      const newValue = after[field] ? String(after[field]).trim() : null;
+      if (oldValue && newValue && sameValue(oldValue, newValue)) continue;
+
+      const points = await this.findByBusinessCardId(businessCardId, db);
+      const current = oldValue
+        ? points.find((point) => types.includes(point.type) && sameValue(point.value, oldValue))
+        : null;
+
+      if (current && newValue) {
+        await db.query('UPDATE IGNORE card_contact_points SET value = ? WHERE id = ?', [newValue, current.id]);
+      } else if (current) {
+        await db.query('DELETE FROM card_contact_points WHERE id = ?', [current.id]);
+      } else if (newValue) {
+        // 대표 값이므로 맨 앞에 추가
+        await db.query(
+          `INSERT IGNORE INTO card_contact_points (businessCardId, type, value, displayOrder)
+           VALUES (?, ?, ?, ?)`,
+          [businessCardId, typeOf(newValue), newValue, Math.min(0, ...points.map((point) => point.displayOrder)) - 1]
+        );
+      }
+    }
+  }
+}
+
+export default CardContactPoint;
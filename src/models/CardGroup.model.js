@@ -1,6 +1,21 @@
 import pool from "../config/database.js";
+import BusinessCard from "./BusinessCard.model.js";
+import { parseSmartGroupRules } from "../utils/smartGroupRules.js";
+
+// 그룹 종류 (smart: 저장한 규칙에 맞는 명함이 자동으로 속함)
+export const GROUP_TYPE = {
+  STATIC: "static",
+  SMART: "smart",
+};
+
+const groupError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
 
 class CardGroup {
+  // 그룹의 명함 목록 필터 (BusinessCard 목록/내보내기 필터로 전달)
+  static cardFilters(group) {
+    return group.type === GROUP_TYPE.SMART ? { groupRules: group.rules } : { groupId: group.id };
+  }
+
   // 사용자의 모든 그룹 조회
   static async findByUserId(userId) {
     const [rows] = await pool.query(
@@ -10,8 +25,8 @@ class CardGroup {
     return rows;
   }
 
-  // 그룹 ID로 조회 (명함 포함)
-  static async findById(groupId, userId) {
+  // 그룹 ID로 조회 (명함 제외, 소유 확인과 종류/규칙만 필요할 때)
+  static async findSummaryById(groupId, userId) {
     const [rows] = await pool.query(
       `SELECT * FROM card_groups WHERE id = ? AND userId = ?`,
       [groupId, userId]
@@ -19,17 +34,33 @@ class CardGroup {
     if (rows.length === 0) return null;
 
     const group = rows[0];
-    // 그룹에 속한 명함 ID들 조회
-    const [cardRows] = await pool.query(
-      `SELECT businessCardId FROM group_cards WHERE groupId = ?`,
-      [groupId]
-    );
-    group.cardIds = cardRows.map(row => String(row.businessCardId));
+    group.rules = parseSmartGroupRules(group.rules);
+    group.type = group.rules ? GROUP_TYPE.SMART : GROUP_TYPE.STATIC;
     return group;
   }
 
-  // 그룹 생성
-  static async create(userId, name, cardIds = []) {
+  // 그룹 ID로 조회 (명함 포함, 스마트 그룹은 지금 규칙에 맞는 명함)
+  static async findById(groupId, userId) {
+    const group = await this.findSummaryById(groupId, userId);
+    if (!group) return null;
+
+    if (group.type === GROUP_TYPE.SMART) {
+      const cardIds = await BusinessCard.findIdsByUserId(userId, this.cardFilters(group));
+      group.cardIds = cardIds.map(String);
+    } else {
+      // 그룹에 속한 명함 ID들 조회
+      const [cardRows] = await pool.query(
+        `SELECT businessCardId FROM group_cards WHERE groupId = ?`,
+        [groupId]
+      );
+      group.cardIds = cardRows.map(row => String(row.businessCardId));
+    }
+    group.cardCount = group.cardIds.length;
+    return group;
+  }
+
+  // 그룹 생성 (rules가 있으면 스마트 그룹, normalizeSmartGroupRules로 정리한 값)
+  static async create(userId, name, cardIds = [], rules = null) {
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
@@ -43,8 +74,8 @@ class CardGroup {
 
       // 그룹 생성
       const [result] = await connection.query(
-        `INSERT INTO card_groups (userId, name, displayOrder) VALUES (?, ?, ?)`,
-        [userId, name, displayOrder]
+        `INSERT INTO card_groups (userId, name, rules, displayOrder) VALUES (?, ?, ?, ?)`,
+        [userId, name, rules ? JSON.stringify(rules) : null, displayOrder]
       );
       const groupId = result.insertId;
 
@@ -67,12 +98,36 @@ class CardGroup {
     }
   }
 
-  // 그룹 수정
-  static async update(groupId, userId, name, cardIds = null) {
+  // 그룹 수정 (일반 그룹은 cardIds, 스마트 그룹은 rules만 바꿀 수 있음)
+  static async update(groupId, userId, name, cardIds = null, rules = null) {
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
+      // 다른 사용자의 그룹이면 수정하지 않음
+      const [groupRows] = await connection.query(
+        `SELECT id, rules FROM card_groups WHERE id = ? AND userId = ? FOR UPDATE`,
+        [groupId, userId]
+      );
+      if (groupRows.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      const isSmart = parseSmartGroupRules(groupRows[0].rules) !== null;
+      if (isSmart && cardIds !== null) {
+        throw groupError("Smart group cards are defined by its rules");
+      }
+      if (!isSmart && rules !== null) {
+        throw groupError("Rules can only be set on smart groups");
+      }
+      if (rules !== null) {
+        await connection.query(
+          `UPDATE card_groups SET rules = ? WHERE id = ? AND userId = ?`,
+          [JSON.stringify(rules), groupId, userId]
+        );
+      }
+
       // 그룹 이름 수정
       if (name) {
         await connection.query(
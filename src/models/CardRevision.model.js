@@ -0,0 +1,73 @@
+import pool from '../config/database.js';
+
+// 변경 이력을 남기는 명함 필드
+export const TRACKED_CARD_FIELDS = ['name', 'nameEn', 'position', 'company', 'companyEn', 'phone', 'email'];
+
+// 변경 출처
+export const REVISION_SOURCE = {
+  MANUAL: 'manual',
+  OCR: 'ocr',
+  IMPORT: 'import',
+  MERGE: 'merge',
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+};
+
+class CardRevision {
+  // 이전/이후 값에서 추적 필드의 변경분만 추출 (이전 값이 없으면 생성으로 간주)
+  static diff(before, after) {
+    return TRACKED_CARD_FIELDS
+      .filter((field) => after[field] !== undefined)
+      .map((field) => ({
+        field,
+        oldValue: before ? toText(before[field]) : null,
+        newValue: toText(after[field]),
+      }))
+      .filter(({ oldValue, newValue }) => oldValue !== newValue);
+  }
+
+  // Record changes (트랜잭션 안에서는 connection을 넘김)
+  static async record(changes, { businessCardId, userId, source = REVISION_SOURCE.MANUAL }, db = pool) {
+    if (changes.length === 0) {
+      return 0;
+    }
+
+    const values = changes.map(({ field, oldValue, newValue }) => [
+      businessCardId,
+      userId,
+      field,
+      oldValue,
+      newValue,
+      source,
+    ]);
+    const [result] = await db.query(
+      `INSERT INTO card_revisions (businessCardId, userId, field, oldValue, newValue, source) VALUES ?`,
+      [values]
+    );
+    return result.affectedRows;
+  }
+
+  // Find revisions for a card (최신순, field로 필터 가능)
+  static async findByBusinessCardId(businessCardId, userId, options = {}) {
+    const { field = null } = options;
+
+    let query = 'SELECT * FROM card_revisions WHERE businessCardId = ? AND userId = ?';
+    const params = [businessCardId, userId];
+
+    if (field) {
+      query += ' AND field = ?';
+      params.push(field);
+    }
+
+    query += ' ORDER BY createdAt DESC, id DESC';
+
+    const [rows] = await pool.query(query, params);
+    return rows;
+  }
+}
+
+export default CardRevision;
@@ -0,0 +1,223 @@
+import pool from "../config/database.js";
+
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+class CardTag {
+  // 사용자의 태그 목록 / 자동완성 (q 부분 일치, 앞부분 일치 → 많이 쓴 태그 → 이름 순)
+  static async findByUserId(userId, { q = "", limit = 50 } = {}) {
+    let query = `SELECT t.id, t.name, COUNT(bc.id) AS cardCount
+      FROM card_tags t
+      LEFT JOIN tag_cards tc ON tc.tagId = t.id
+      LEFT JOIN business_cards bc ON bc.id = tc.businessCardId AND bc.userId = t.userId
+      WHERE t.userId = ?`;
+    const params = [userId];
+
+    if (q) {
+      query += " AND t.name LIKE ?";
+      params.push(`%${q}%`);
+    }
+
+    query += ` GROUP BY t.id, t.name
+      ORDER BY ${q ? "(t.name LIKE ?) DESC, " : ""}cardCount DESC, t.name ASC
+      LIMIT ?`;
+    if (q) params.push(`${q}%`);
+    params.push(limit);
+
+    const [rows] = await pool.query(query, params);
+    return rows;
+  }
+
+  // 태그 ID로 조회
+  static async findById(tagId, userId) {
+    const [rows] = await pool.query(
+      "SELECT id, name, createdAt FROM card_tags WHERE id = ? AND userId = ?",
+      [tagId, userId]
+    );
+    return rows[0] || null;
+  }
+
+  // 명함의 태그 (이름 순)
+  static async findByBusinessCardId(businessCardId) {
+    const [rows] = await pool.query(
+      `SELECT t.id, t.name FROM tag_cards tc JOIN card_tags t ON t.id = tc.tagId
+       WHERE tc.businessCardId = ? ORDER BY t.name ASC`,
+      [businessCardId]
+    );
+    return rows;
+  }
+
+  // 여러 명함의 태그 → { [businessCardId]: [{ id, name }] }
+  static async findByBusinessCardIds(businessCardIds) {
+    if (!Array.isArray(businessCardIds) || businessCardIds.length === 0) {
+      return {};
+    }
+
+    const [rows] = await pool.query(
+      `SELECT tc.businessCardId, t.id, t.name FROM tag_cards tc JOIN card_tags t ON t.id = tc.tagId
+       WHERE tc.businessCardId IN (${placeholders(businessCardIds)}) ORDER BY t.name ASC`,
+      businessCardIds
+    );
+
+    const byCard = {};
+    for (const { businessCardId, id, name } of rows) {
+      (byCard[businessCardId] ||= []).push({ id, name });
+    }
+    return byCard;
+  }
+
+  // 태그 이름 → 태그 (없으면 생성). 이미 있는 태그는 저장된 이름 표기를 유지
+  static async ensure(userId, names, db = pool) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    await db.query("INSERT IGNORE INTO card_tags (userId, name) VALUES ?", [names.map((name) => [userId, name])]);
+    const [rows] = await db.query(
+      `SELECT id, name FROM card_tags WHERE userId = ? AND name IN (${placeholders(names)})`,
+      [userId, ...names]
+    );
+    const byName = new Map(rows.map((row) => [row.name.toLowerCase(), row]));
+    return names.map((name) => byName.get(name.toLowerCase())).filter(Boolean);
+  }
+
+  // 여러 명함에 태그 추가/제거 (소유 여부는 호출 전에 확인, 한 트랜잭션)
+  // add/remove: 정리된 태그 이름 목록
+  static async bulkUpdate(userId, cardIds, { add = [], remove = [] }) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      let added = 0;
+      const tags = await this.ensure(userId, add, connection);
+      if (tags.length > 0 && cardIds.length > 0) {
+        const [result] = await connection.query(
+          "INSERT IGNORE INTO tag_cards (tagId, businessCardId) VALUES ?",
+          [tags.flatMap((tag) => cardIds.map((cardId) => [tag.id, cardId]))]
+        );
+        added = result.affectedRows;
+      }
+
+      let removed = 0;
+      if (remove.length > 0 && cardIds.length > 0) {
+        const [result] = await connection.query(
+          `DELETE tc FROM tag_cards tc JOIN card_tags t ON t.id = tc.tagId
+           WHERE t.userId = ? AND t.name IN (${placeholders(remove)}) AND tc.businessCardId IN (${placeholders(cardIds)})`,
+          [userId, ...remove, ...cardIds]
+        );
+        removed = result.affectedRows;
+      }
+
+      await connection.commit();
+      return { tags, added, removed };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // 명함의 태그 전체 교체
+  static async replaceForCard(userId, businessCardId, names) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const tags = await this.ensure(userId, names, connection);
+      await connection.query("DELETE FROM tag_cards WHERE businessCardId = ?", [businessCardId]);
+      if (tags.length > 0) {
+        await connection.query(
+          "INSERT IGNORE INTO tag_cards (tagId, businessCardId) VALUES ?",
+          [tags.map((tag) => [tag.id, businessCardId])]
+        );
+      }
+
+      await connection.commit();
+      return tags;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // 명함에서 태그 하나 제거
+  static async removeFromCard(tagId, businessCardId) {
+    const [result] = await pool.query(
+      "DELETE FROM tag_cards WHERE tagId = ? AND businessCardId = ?",
+      [tagId, businessCardId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // 태그 이름 변경 (같은 이름의 태그가 있으면 409)
+  static async rename(tagId, userId, name) {
+    try {
+      const [result] = await pool.query(
+        "UPDATE card_tags SET name = ? WHERE id = ? AND userId = ?",
+        [name, tagId, userId]
+      );
+      if (result.affectedRows === 0) return null;
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        const conflict = new Error(`Tag already exists: ${name}`);
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+    return await this.findById(tagId, userId);
+  }
+
+  // 태그 삭제 (명함 연결도 함께 삭제)
+  static async delete(tagId, userId) {
+    const [result] = await pool.query(
+      "DELETE FROM card_tags WHERE id = ? AND userId = ?",
+      [tagId, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // 명함 ID 중 태그 조건에 맞는 사용자 명함만 (입력 순서 유지)
+  // match: "all"이면 모든 태그, "any"면 하나 이상
+  static async filterCardIds(userId, cardIds, names, match = "all") {
+    if (cardIds.length === 0 || names.length === 0) {
+      return names.length === 0 ? cardIds : [];
+    }
+
+    const [rows] = await pool.query(
+      `SELECT tc.businessCardId, COUNT(DISTINCT t.id) AS matched
+       FROM tag_cards tc
+       JOIN card_tags t ON t.id = tc.tagId
+       JOIN business_cards bc ON bc.id = tc.businessCardId AND bc.userId = t.userId
+       WHERE t.userId = ? AND t.name IN (${placeholders(names)}) AND tc.businessCardId IN (${placeholders(cardIds)})
+       GROUP BY tc.businessCardId`,
+      [userId, ...names, ...cardIds]
+    );
+    const required = match === "any" ? 1 : names.length;
+    const matchedIds = new Set(
+      rows.filter((row) => row.matched >= required).map((row) => Number(row.businessCardId))
+    );
+    return cardIds.filter((cardId) => matchedIds.has(Number(cardId)));
+  }
+
+  // 거절한 추천 태그 이름
+  static async findDismissedNames(businessCardId) {
+    const [rows] = await pool.query(
+      "SELECT name FROM tag_suggestion_dismissals WHERE businessCardId = ?",
+      [businessCardId]
+    );
+    return rows.map((row) => row.name);
+  }
+
+  // 추천 태그 거절 (같은 명함에 다시 추천하지 않음)
+  static async dismissSuggestion(businessCardId, name) {
+    await pool.query(
+      "INSERT IGNORE INTO tag_suggestion_dismissals (businessCardId, name) VALUES (?, ?)",
+      [businessCardId, name]
+    );
+  }
+}
+
+export default CardTag;
@@ -29,6 +29,21 @@ class Gift {
     return rows;
   }
 
+  // Find gifts for several cards (내보내기용)
+  static async findByCardIds(cardIds, userId) {
+    if (!Array.isArray(cardIds) || cardIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = cardIds.map(() => '?').join(', ');
+    const [rows] = await pool.query(
+      `SELECT * FROM gifts WHERE userId = ? AND cardId IN (${placeholders})
+       ORDER BY purchaseDate DESC`,
+      [userId, ...cardIds]
+    );
+    return rows;
+  }
+
   // Find gift by ID
   static async findById(id, userId = null) {
     let query = 'SELECT * FROM gifts WHERE id = ?';
@@ -0,0 +1,99 @@
+import pool from '../config/database.js';
+
+// 집계 쿼리 공통 SELECT 컬럼
+const ROLLUP_COLUMNS = `
+  COUNT(*) AS calls,
+  COUNT(DISTINCT request_id) AS requests,
+  CAST(SUM(prompt_tokens) AS UNSIGNED) AS promptTokens,
+  CAST(SUM(completion_tokens) AS UNSIGNED) AS completionTokens,
+  CAST(SUM(total_tokens) AS UNSIGNED) AS totalTokens,
+  CAST(SUM(estimated_cost) AS DECIMAL(12, 6)) AS estimatedCost`;
+
+const toNumbers = (row) => ({
+  ...row,
+  calls: Number(row.calls),
+  requests: Number(row.requests),
+  promptTokens: Number(row.promptTokens || 0),
+  completionTokens: Number(row.completionTokens || 0),
+  totalTokens: Number(row.totalTokens || 0),
+  estimatedCost: Number(row.estimatedCost || 0),
+});
+
+class LlmUsage {
+  // Create usage record
+  static async create(usageData) {
+    const {
+      userId = null,
+      feature,
+      provider,
+      model,
+      promptTokens = 0,
+      completionTokens = 0,
+      estimatedCost = 0,
+      requestId = null,
+    } = usageData;
+
+    const [result] = await pool.query(
+      `INSERT INTO llm_usage
+       (user_id, feature, provider, model, prompt_tokens, completion_tokens, total_tokens, estimated_cost, request_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        feature,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        promptTokens + completionTokens,
+        estimatedCost,
+        requestId,
+      ]
+    );
+
+    return result.insertId;
+  }
+
+  // Daily rollup (날짜 × 기능별)
+  static async getDailyRollup(userId, from, to) {
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') AS date, feature, ${ROLLUP_COLUMNS}
+       FROM llm_usage
+       WHERE user_id = ? AND created_at >= ? AND created_at < ?
+       GROUP BY date, feature
+       ORDER BY date DESC, feature`,
+      [userId, from, to]
+    );
+    return rows.map(toNumbers);
+  }
+
+  // Monthly rollup (월 × 기능별)
+  static async getMonthlyRollup(userId, from, to) {
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m') AS month, feature, ${ROLLUP_COLUMNS}
+       FROM llm_usage
+       WHERE user_id = ? AND created_at >= ? AND created_at < ?
+       GROUP BY month, feature
+       ORDER BY month DESC, feature`,
+      [userId, from, to]
+    );
+    return rows.map(toNumbers);
+  }
+
+  // Feature summary (기능별 합계 + 요청당 평균 비용)
+  static async getFeatureSummary(userId, from, to) {
+    const [rows] = await pool.query(
+      `SELECT feature, ${ROLLUP_COLUMNS}
+       FROM llm_usage
+       WHERE user_id = ? AND created_at >= ? AND created_at < ?
+       GROUP BY feature
+       ORDER BY estimatedCost DESC`,
+      [userId, from, to]
+    );
+    return rows.map(toNumbers).map((row) => ({
+      ...row,
+      avgCostPerRequest: row.requests > 0 ? Number((row.estimatedCost / row.requests).toFixed(6)) : 0,
+    }));
+  }
+}
+
+export default LlmUsage;
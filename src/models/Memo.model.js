@@ -17,6 +17,21 @@ class Memo {
     return rows;
   }
 
+  // Find memos for several business cards (내보내기용)
+  static async findByBusinessCardIds(businessCardIds, userId) {
+    if (!Array.isArray(businessCardIds) || businessCardIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = businessCardIds.map(() => '?').join(', ');
+    const [rows] = await pool.query(
+      `SELECT * FROM memo WHERE user_id = ? AND business_card_id IN (${placeholders})
+       ORDER BY updated_at DESC`,
+      [userId, ...businessCardIds]
+    );
+    return rows;
+  }
+
   // Find memo by ID
   static async findById(id, userId = null) {
     let query = 'SELECT * FROM memo WHERE id = ?';
@@ -31,14 +46,18 @@ class Memo {
     return rows[0] || null;
   }
 
-  // Create new memo
+  // Create new memo (명함이 userId 소유일 때만 생성, 아니면 null)
   static async create(memoData) {
     const { userId, businessCardId, content } = memoData;
 
     const [result] = await pool.query(
-      'INSERT INTO memo (user_id, business_card_id, content) VALUES (?, ?, ?)',
-      [userId, businessCardId, content]
+      `INSERT INTO memo (user_id, business_card_id, content)
+       SELECT ?, id, ? FROM business_cards WHERE id = ? AND userId = ?`,
+      [userId, content, businessCardId, userId]
     );
+    if (result.affectedRows === 0) {
+      return null;
+    }
 
     return await this.findById(result.insertId);
   }
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import os from 'os';
+import pool from '../config/database.js';
+
+// 작업/이미지 상태
+export const OCR_JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// 자동 명함 생성 결과
+export const OCR_CARD_STATUS = {
+  CREATED: 'created',
+  BELOW_THRESHOLD: 'below_threshold',
+  LIMIT_REACHED: 'limit_reached',
+  FAILED: 'failed',
+};
+
+// 작업을 처리하는 서버 프로세스 식별자 (재시작하면 바뀜)
+export const OCR_INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const formatItem = (row) => ({
+  index: row.itemIndex,
+  status: row.status,
+  confidence: toNumber(row.confidence),
+  result: typeof row.result === 'string' ? JSON.parse(row.result) : row.result,
+  businessCardId: row.businessCardId,
+  cardStatus: row.cardStatus,
+  error: row.error,
+  updatedAt: row.updatedAt,
+});
+
+const formatJob = (row) => ({
+  id: row.id,
+  status: row.status,
+  autoCreate: !!row.autoCreate,
+  minConfidence: toNumber(row.minConfidence),
+  total: row.totalCount,
+  completed: Number(row.completedCount || 0),
+  failed: Number(row.failedCount || 0),
+  createdCards: Number(row.createdCount || 0),
+  error: row.error,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt,
+  completedAt: row.completedAt,
+});
+
+// 이미지 상태별 집계 (목록/상세 공통)
+const JOB_SELECT = `
+  SELECT j.*,
+    (SELECT COUNT(*) FROM ocr_job_items i WHERE i.jobId = j.id AND i.status = 'completed') AS completedCount,
+    (SELECT COUNT(*) FROM ocr_job_items i WHERE i.jobId = j.id AND i.status = 'failed') AS failedCount,
+    (SELECT COUNT(*) FROM ocr_job_items i WHERE i.jobId = j.id AND i.cardStatus = 'created') AS createdCount
+  FROM ocr_jobs j`;
+
+class OcrJob {
+  // Create job with one pending item per image
+  static async create(userId, { itemCount, autoCreate = false, minConfidence = null }) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        `INSERT INTO ocr_jobs (userId, autoCreate, minConfidence, totalCount, instanceId, heartbeatAt)
+         VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [userId, autoCreate, autoCreate ? minConfidence : null, itemCount, OCR_INSTANCE_ID]
+      );
+      const jobId = result.insertId;
+
+      const items = Array.from({ length: itemCount }, (_, index) => [jobId, index]);
+      await connection.query('INSERT INTO ocr_job_items (jobId, itemIndex) VALUES ?', [items]);
+
+      await connection.commit();
+      return await this.findById(jobId, userId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find job with items (사용자 소유일 때만)
+  static async findById(id, userId) {
+    const [rows] = await pool.query(`${JOB_SELECT} WHERE j.id = ? AND j.userId = ?`, [id, userId]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const [items] = await pool.query(
+      'SELECT * FROM ocr_job_items WHERE jobId = ? ORDER BY itemIndex ASC',
+      [id]
+    );
+    return { ...formatJob(rows[0]), items: items.map(formatItem) };
+  }
+
+  // Find recent jobs for a user (이미지별 결과 제외)
+  static async findByUserId(userId, { limit = 20 } = {}) {
+    const [rows] = await pool.query(
+      `${JOB_SELECT} WHERE j.userId = ? ORDER BY j.createdAt DESC, j.id DESC LIMIT ?`,
+      [userId, parseInt(limit)]
+    );
+    return rows.map(formatJob);
+  }
+
+  static async markProcessing(jobId) {
+    await pool.query(
+      'UPDATE ocr_jobs SET status = ? WHERE id = ? AND status = ?',
+      [OCR_JOB_STATUS.PROCESSING, jobId, OCR_JOB_STATUS.PENDING]
+    );
+  }
+
+  // 처리 중인 프로세스가 살아 있음을 기록
+  static async heartbeat(jobId) {
+    await pool.query(
+      'UPDATE ocr_jobs SET heartbeatAt = CURRENT_TIMESTAMP WHERE id = ? AND instanceId = ?',
+      [jobId, OCR_INSTANCE_ID]
+    );
+  }
+
+  static async markItemProcessing(jobId, index) {
+    await pool.query(
+      'UPDATE ocr_job_items SET status = ? WHERE jobId = ? AND itemIndex = ?',
+      [OCR_JOB_STATUS.PROCESSING, jobId, index]
+    );
+  }
+
+  // Save OCR result (cardStatus는 자동 생성을 시도했을 때만)
+  static async completeItem(jobId, index, { result, confidence, businessCardId = null, cardStatus = null, error = null }) {
+    await pool.query(
+      `UPDATE ocr_job_items
+       SET status = ?, result = ?, confidence = ?, businessCardId = ?, cardStatus = ?, error = ?
+       WHERE jobId = ? AND itemIndex = ?`,
+      [
+        OCR_JOB_STATUS.COMPLETED,
+        JSON.stringify(result),
+        confidence,
+        businessCardId,
+        cardStatus,
+        error,
+        jobId,
+        index,
+      ]
+    );
+  }
+
+  static async failItem(jobId, index, error) {
+    await pool.query(
+      'UPDATE ocr_job_items SET status = ?, error = ? WHERE jobId = ? AND itemIndex = ?',
+      [OCR_JOB_STATUS.FAILED, String(error).slice(0, 500), jobId, index]
+    );
+  }
+
+  // 모든 이미지가 실패하면 failed, 하나라도 성공하면 completed
+  static async finish(jobId) {
+    await pool.query(
+      `UPDATE ocr_jobs j
+       SET j.status = IF(
+         EXISTS (SELECT 1 FROM ocr_job_items i WHERE i.jobId = j.id AND i.status = 'completed'),
+         'completed', 'failed'
+       ),
+       j.completedAt = CURRENT_TIMESTAMP
+       WHERE j.id = ?`,
+      [jobId]
+    );
+  }
+
+  // 처리하던 프로세스가 멈춘 작업 정리 (이미지가 메모리에만 있어 재개할 수 없음)
+  // 다른 프로세스의 작업 중 heartbeat가 staleSeconds 넘게 끊긴 것만 실패 처리
+  // heartbeat 컬럼 추가 전의 작업은 updatedAt 기준
+  static async failStale(staleSeconds) {
+    const message = 'Interrupted: processing server stopped';
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT id FROM ocr_jobs
+         WHERE status IN ('pending', 'processing')
+           AND (instanceId IS NULL OR instanceId <> ?)
+           AND COALESCE(heartbeatAt, updatedAt) < NOW() - INTERVAL ? SECOND
+         FOR UPDATE`,
+        [OCR_INSTANCE_ID, staleSeconds]
+      );
+      const jobIds = rows.map((row) => row.id);
+      if (jobIds.length > 0) {
+        await connection.query(
+          `UPDATE ocr_job_items SET status = 'failed', error = ?
+           WHERE jobId IN (?) AND status IN ('pending', 'processing')`,
+          [message, jobIds]
+        );
+        await connection.query(
+          `UPDATE ocr_jobs SET status = 'failed', error = ?, completedAt = CURRENT_TIMESTAMP
+           WHERE id IN (?)`,
+          [message, jobIds]
+        );
+      }
+
+      await connection.commit();
+      return jobIds.length;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default OcrJob;
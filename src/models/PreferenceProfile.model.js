@@ -1,13 +1,37 @@
 import pool from '../config/database.js';
 
 class PreferenceProfile {
-  // Find profile by business card ID
-  static async findByBusinessCardId(businessCardId) {
+  // Find profile by business card ID (userId가 있으면 명함 소유자일 때만)
+  static async findByBusinessCardId(businessCardId, userId = null) {
+    let query = 'SELECT pp.* FROM preference_profile pp';
+    const params = [];
+
+    if (userId) {
+      query += ' JOIN business_cards bc ON bc.id = pp.business_card_id AND bc.userId = ?';
+      params.push(userId);
+    }
+
+    query += ' WHERE pp.business_card_id = ?';
+    params.push(businessCardId);
+
+    const [rows] = await pool.query(query, params);
+    return rows[0] || null;
+  }
+
+  // Find profiles for several business cards owned by the user (내보내기용)
+  static async findByBusinessCardIds(businessCardIds, userId) {
+    if (!Array.isArray(businessCardIds) || businessCardIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = businessCardIds.map(() => '?').join(', ');
     const [rows] = await pool.query(
-      'SELECT * FROM preference_profile WHERE business_card_id = ?',
-      [businessCardId]
+      `SELECT pp.* FROM preference_profile pp
+       JOIN business_cards bc ON bc.id = pp.business_card_id AND bc.userId = ?
+       WHERE pp.business_card_id IN (${placeholders})`,
+      [userId, ...businessCardIds]
     );
-    return rows[0] || null;
+    return rows;
   }
 
   // Create or update profile
@@ -0,0 +1,43 @@
+import pool from '../config/database.js';
+
+class QuotaUsage {
+  // Get usage count for a day
+  static async getCount(userId, quotaKey, usageDate) {
+    const [rows] = await pool.query(
+      'SELECT count FROM quota_usage WHERE user_id = ? AND quota_key = ? AND usage_date = ?',
+      [userId, quotaKey, usageDate]
+    );
+    return rows[0]?.count || 0;
+  }
+
+  // Increment usage and return the new count (원자적으로 선점)
+  // 증가한 값을 LAST_INSERT_ID에 담아 같은 커넥션에서 읽음 (다른 요청의 증가분이 섞이지 않음)
+  // 새 행일 때도 VALUES의 LAST_INSERT_ID(?)로 값을 설정해 이전 쿼리의 값이 남지 않게 함
+  static async increment(userId, quotaKey, usageDate, amount = 1) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.query(
+        `INSERT INTO quota_usage (user_id, quota_key, usage_date, count)
+         VALUES (?, ?, ?, LAST_INSERT_ID(?))
+         ON DUPLICATE KEY UPDATE count = LAST_INSERT_ID(count + VALUES(count))`,
+        [userId, quotaKey, usageDate, amount]
+      );
+      const [rows] = await connection.query('SELECT LAST_INSERT_ID() AS count');
+      return Number(rows[0].count);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Decrement usage (실패한 요청의 선점 취소)
+  static async decrement(userId, quotaKey, usageDate, amount = 1) {
+    const [result] = await pool.query(
+      `UPDATE quota_usage SET count = GREATEST(count - ?, 0)
+       WHERE user_id = ? AND quota_key = ? AND usage_date = ?`,
+      [amount, userId, quotaKey, usageDate]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+export default QuotaUsage;
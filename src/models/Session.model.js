@@ -0,0 +1,90 @@
+import pool from '../config/database.js';
+
+// 목록 조회 시 노출할 컬럼 (토큰 해시 제외)
+const PUBLIC_COLUMNS = 'id, user_id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+class Session {
+  // Create session (refresh token은 해시로만 저장)
+  // 만료 시각은 DB의 NOW() 기준으로 계산 (조회 시 expires_at > NOW() 비교와 같은 시간대)
+  static async create(sessionData) {
+    const { userId, refreshTokenHash, deviceName = null, userAgent = null, ipAddress = null, ttlSeconds } = sessionData;
+
+    const [result] = await pool.query(
+      `INSERT INTO sessions (user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at, last_used_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), NOW())`,
+      [userId, refreshTokenHash, deviceName, userAgent, ipAddress, ttlSeconds]
+    );
+
+    return result.insertId;
+  }
+
+  // Find session by current or previous refresh token hash (재사용 감지용, isExpired는 DB 시각 기준)
+  static async findByTokenHash(tokenHash) {
+    const [rows] = await pool.query(
+      `SELECT *, refresh_token_hash = ? AS isCurrentToken, expires_at <= NOW() AS isExpired
+       FROM sessions
+       WHERE refresh_token_hash = ? OR previous_token_hash = ?`,
+      [tokenHash, tokenHash, tokenHash]
+    );
+    return rows[0] || null;
+  }
+
+  // Find active (not revoked, not expired) session
+  static async findActiveById(id, userId) {
+    const [rows] = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM sessions
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  }
+
+  // Find active sessions for a user (기기 목록)
+  static async findActiveByUserId(userId) {
+    const [rows] = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // Rotate refresh token (이전 해시는 재사용 감지를 위해 보관)
+  // currentTokenHash가 그대로일 때만 교체 (동시 갱신 요청 중 하나만 성공)
+  static async rotate(id, currentTokenHash, newTokenHash, ttlSeconds) {
+    const [result] = await pool.query(
+      `UPDATE sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+           expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND), last_used_at = NOW()
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [newTokenHash, ttlSeconds, id, currentTokenHash]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Revoke a session
+  static async revoke(id, userId) {
+    const [result] = await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [id, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Revoke all sessions for a user (exceptId 세션은 유지)
+  static async revokeAllByUserId(userId, exceptId = null) {
+    let query = 'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL';
+    const params = [userId];
+
+    if (exceptId) {
+      query += ' AND id != ?';
+      params.push(exceptId);
+    }
+
+    const [result] = await pool.query(query, params);
+    return result.affectedRows;
+  }
+}
+
+export default Session;
@@ -4,7 +4,7 @@ class User {
   // Find user by ID
   static async findById(id) {
     const [rows] = await pool.query(
-      "SELECT id, username, email, name, phone, cardDesign, company, position, profileImage, oauthProvider, oauthId, subscription, cardLimit, isActive, createdAt, updatedAt FROM users WHERE id = ?",
+      "SELECT id, username, email, name, phone, cardDesign, company, position, profileImage, oauthProvider, oauthId, emailVerified, subscription, cardLimit, isActive, createdAt, updatedAt FROM users WHERE id = ?",
       [id]
     );
     return rows[0] || null;
@@ -26,6 +26,15 @@ class User {
     return rows[0] || null;
   }
 
+  // Find user by OAuth provider account
+  static async findByOAuth(oauthProvider, oauthId) {
+    const [rows] = await pool.query(
+      "SELECT id, username, email, name, phone, cardDesign, company, position, profileImage, oauthProvider, oauthId, emailVerified, subscription, cardLimit, isActive, createdAt, updatedAt FROM users WHERE oauthProvider = ? AND oauthId = ?",
+      [oauthProvider, oauthId]
+    );
+    return rows[0] || null;
+  }
+
   // Create new user
   static async create(userData) {
     const {
@@ -40,13 +49,14 @@ class User {
       profileImage,
       oauthProvider,
       oauthId,
+      emailVerified = false,
       subscription = "free",
       cardLimit = 200,
     } = userData;
 
     const [result] = await pool.query(
-      `INSERT INTO users (email, username, password, cardDesign, name, phone, company, position, profileImage, oauthProvider, oauthId, subscription, cardLimit)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO users (email, username, password, cardDesign, name, phone, company, position, profileImage, oauthProvider, oauthId, emailVerified, subscription, cardLimit)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         email,
         username,
@@ -59,6 +69,7 @@ class User {
         profileImage,
         oauthProvider,
         oauthId,
+        emailVerified,
         subscription,
         cardLimit,
       ]
@@ -1,8 +1,19 @@
 import express from "express";
 import { body, validationResult } from "express-validator";
 import User from "../models/User.model.js";
-import { generateToken } from "../utils/jwt.js";
 import { authenticate } from "../middleware/auth.middleware.js";
+import { verifyGoogleIdToken } from "../services/oauth/google.js";
+import { verifyAppleIdentityToken, parseAppleUserName } from "../services/oauth/apple.js";
+import { findOrCreateOAuthUser } from "../services/oauth/accounts.js";
+import { createSession, rotateSession } from "../services/session.service.js";
+import {
+  sendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+} from "../services/account.service.js";
+import Session from "../models/Session.model.js";
+import { logger } from "../utils/logger.js";
 
 const router = express.Router();
 
@@ -72,16 +83,24 @@ router.post(
         position,
       });
 
-      const token = generateToken(user.id);
+      const tokens = await createSession(user, req);
+
+      // 인증 메일 발송 실패가 가입을 막지 않도록 처리 (POST /send-verification으로 재발송 가능)
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.warn("Verification email failed", { userId: user.id, message: mailError.message });
+      }
 
       res.status(201).json({
         success: true,
-        token,
+        ...tokens,
         user: {
           id: user.id,
           username: user.username,
           email: user.email,
           name: user.name,
+          emailVerified: false,
           subscription: user.subscription,
         },
       });
@@ -112,9 +131,9 @@ router.post(
 
       const { username, password } = req.body;
 
-      // Find user
+      // Find user (OAuth 전용 계정은 비밀번호 로그인 불가)
       const user = await User.findByUsername(username);
-      if (!user) {
+      if (!user || !user.password) {
         return res.status(401).json({
           success: false,
           message: "Invalid credentials",
@@ -131,16 +150,17 @@ router.post(
         });
       }
 
-      const token = generateToken(user.id);
+      const tokens = await createSession(user, req);
 
       res.json({
         success: true,
-        token,
+        ...tokens,
         user: {
           id: user.id,
           username: user.username,
           email: user.email,
           name: user.name,
+          emailVerified: Boolean(user.emailVerified),
           subscription: user.subscription,
         },
       });
@@ -170,18 +190,125 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/google
-// @desc    Google OAuth login
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset mail (가입 여부와 관계없이 같은 응답)
+// @access  Public
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      try {
+        await requestPasswordReset(req.body.email);
+      } catch (mailError) {
+        // 메일 발송 실패도 응답으로 노출하지 않음 (계정 존재 여부 추측 방지)
+        logger.error("Password reset mail failed", mailError);
+      }
+
+      res.json({
+        success: true,
+        message: "If the email is registered, a password reset link has been sent",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a one-time token (모든 세션 로그아웃)
 // @access  Public
-router.post("/google", async (req, res) => {
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().notEmpty().withMessage("token is required"),
+    body("password").isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      await resetPassword(req.body.token, req.body.password);
+
+      res.json({
+        success: true,
+        message: "Password has been reset. Please log in again.",
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a one-time token
+// @access  Public
+router.post(
+  "/verify-email",
+  [body("token").isString().notEmpty().withMessage("token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const user = await verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        emailVerified: Boolean(user?.emailVerified),
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/send-verification
+// @desc    Resend email verification mail
+// @access  Private
+router.post("/send-verification", authenticate, async (req, res) => {
   try {
-    // TODO: Implement Google OAuth verification
-    // const { idToken } = req.body;
-    // Verify Google token and create/find user
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
 
-    res.status(501).json({
-      success: false,
-      message: "Google OAuth not implemented yet",
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
     });
   } catch (error) {
     res.status(500).json({
@@ -191,16 +318,104 @@ router.post("/google", async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/apple
-// @desc    Apple OAuth login
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for new access/refresh tokens (rotation)
 // @access  Public
-router.post("/apple", async (req, res) => {
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty().withMessage("refreshToken is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const tokens = await rotateSession(req.body.refreshToken);
+
+      res.json({
+        success: true,
+        ...tokens,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke current session (allDevices: true면 모든 기기 로그아웃)
+// @access  Private
+router.post(
+  "/logout",
+  authenticate,
+  [body("allDevices").optional().isBoolean()],
+  async (req, res) => {
+    try {
+      let revoked = 0;
+      if (req.body.allDevices === true || req.body.allDevices === "true") {
+        revoked = await Session.revokeAllByUserId(req.user.id);
+      } else if (req.sessionId) {
+        revoked = (await Session.revoke(req.sessionId, req.user.id)) ? 1 : 0;
+      }
+
+      res.json({
+        success: true,
+        revoked,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (logged-in devices)
+// @access  Private
+router.get("/sessions", authenticate, async (req, res) => {
   try {
-    // TODO: Implement Apple OAuth verification
+    const sessions = await Session.findActiveByUserId(req.user.id);
 
-    res.status(501).json({
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session.id,
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
       success: false,
-      message: "Apple OAuth not implemented yet",
+      message: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete("/sessions", authenticate, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllByUserId(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      revoked,
     });
   } catch (error) {
     res.status(500).json({
@@ -210,4 +425,135 @@ router.post("/apple", async (req, res) => {
   }
 });
 
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a specific session (e.g. lost phone)
+// @access  Private
+router.delete("/sessions/:id", authenticate, async (req, res) => {
+  try {
+    const revoked = await Session.revoke(parseInt(req.params.id, 10), req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/google
+// @desc    Google OAuth login
+// @access  Public
+router.post(
+  "/google",
+  [body("idToken").isString().notEmpty().withMessage("idToken is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const identity = await verifyGoogleIdToken(req.body.idToken);
+      const { user, created, linked } = await findOrCreateOAuthUser({
+        provider: "google",
+        ...identity,
+      });
+
+      const tokens = await createSession(user, req);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        ...tokens,
+        isNewUser: created,
+        linked,
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          name: user.name,
+          subscription: user.subscription,
+        },
+      });
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error("Google OAuth error", error);
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/apple
+// @desc    Apple OAuth login
+// @access  Public
+// @body    identityToken (필수), nonce (선택), user (첫 로그인 시 Apple이 전달하는 { name: { firstName, lastName } })
+router.post(
+  "/apple",
+  [
+    body("identityToken").isString().notEmpty().withMessage("identityToken is required"),
+    body("nonce").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { identityToken, nonce, user: appleUser } = req.body;
+      const identity = await verifyAppleIdentityToken(identityToken, { nonce });
+      const { user, created, linked } = await findOrCreateOAuthUser({
+        provider: "apple",
+        ...identity,
+        name: parseAppleUserName(appleUser),
+        profileImage: null,
+      });
+
+      const tokens = await createSession(user, req);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        ...tokens,
+        isNewUser: created,
+        linked,
+        isPrivateEmail: identity.isPrivateEmail,
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          name: user.name,
+          subscription: user.subscription,
+        },
+      });
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error("Apple OAuth error", error);
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
 export default router;
@@ -5,6 +5,7 @@ import BusinessCard from '../models/BusinessCard.model.js';
 import Memo from '../models/Memo.model.js';
 import PreferenceProfile from '../models/PreferenceProfile.model.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { assertCardsOwned } from '../services/cardOwnership.service.js';
 
 const router = express.Router();
 
@@ -60,7 +61,7 @@ router.get('/upcoming-alerts', async (req, res) => {
         const cardDetails = await Promise.all(event.linkedCardIds.map(async (cardId) => {
           const [memos, preferenceProfile] = await Promise.all([
             Memo.findByBusinessCardId(cardId, req.user.id),
-            PreferenceProfile.findByBusinessCardId(cardId)
+            PreferenceProfile.findByBusinessCardId(cardId, req.user.id)
           ]);
           
           const card = event.linkedCards.find(c => c.id === cardId);
@@ -131,7 +132,7 @@ router.get('/events/:id/with-cards', async (req, res) => {
       const cardDetails = await Promise.all(event.linkedCardIds.map(async (cardId) => {
         const [memos, preferenceProfile] = await Promise.all([
           Memo.findByBusinessCardId(cardId, req.user.id),
-          PreferenceProfile.findByBusinessCardId(cardId)
+          PreferenceProfile.findByBusinessCardId(cardId, req.user.id)
         ]);
         
         const card = event.linkedCards.find(c => c.id === cardId);
@@ -199,6 +200,10 @@ router.post('/events', [
       });
     }
 
+    if (req.body.linkedCardIds != null) {
+      req.body.linkedCardIds = await assertCardsOwned(req.body.linkedCardIds, req.user.id);
+    }
+
     const event = await Event.create({
       ...req.body,
       userId: req.user.id
@@ -209,7 +214,7 @@ router.post('/events', [
       data: event
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -221,10 +226,16 @@ router.post('/events', [
 // @access  Private
 router.put('/events/:id', async (req, res) => {
   try {
+    // 소유자(userId)는 변경 불가, 연결 명함은 linkedCardIds로만 변경
+    const { userId, linked_card_ids, ...updates } = req.body;
+    if (updates.linkedCardIds != null) {
+      updates.linkedCardIds = await assertCardsOwned(updates.linkedCardIds, req.user.id);
+    }
+
     const event = await Event.update(
       req.params.id,
       req.user.id,
-      req.body
+      updates
     );
 
     if (!event) {
@@ -239,7 +250,7 @@ router.put('/events/:id', async (req, res) => {
       data: event
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
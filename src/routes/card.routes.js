@@ -1,52 +1,238 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
-import BusinessCard from "../models/BusinessCard.model.js";
+import multer from "multer";
+import { body, query, validationResult } from "express-validator";
+import BusinessCard, { CARD_SORT, CARD_SORTS, defaultCardSortOrder } from "../models/BusinessCard.model.js";
+import CardGroup from "../models/CardGroup.model.js";
+import CardRevision, { REVISION_SOURCE, TRACKED_CARD_FIELDS } from "../models/CardRevision.model.js";
+import CardContactPoint from "../models/CardContactPoint.model.js";
+import CardTag from "../models/CardTag.model.js";
 import { authenticate } from "../middleware/auth.middleware.js";
+import { enforceCardQuota, sendQuotaExceeded } from "../middleware/quota.middleware.js";
+import { buildImportPreview, commitImport } from "../services/cardImport.service.js";
+import { buildCardExport, normalizeExportFormat, parseExportIncludes } from "../services/cardExport.service.js";
+import { normalizeCardIds } from "../services/cardOwnership.service.js";
+import {
+  MAX_CARD_IMAGE_BYTES,
+  removeStoredImages,
+  resolveCardImageInput,
+  storeCardImage,
+  withCardImageUrls,
+} from "../services/cardImage.service.js";
+import {
+  DEFAULT_MIN_DUPLICATE_SCORE,
+  findDuplicateCandidates,
+  mergeCards,
+} from "../services/cardDuplicate.service.js";
+import {
+  CONTACT_LABEL_MAX_LENGTH,
+  CONTACT_POINT_TYPES,
+  CONTACT_VALUE_MAX_LENGTH,
+  MAX_CONTACT_POINTS,
+  groupContactPoints,
+} from "../utils/contactPoints.js";
+import { MAX_TAG_NAME_LENGTH, MAX_TAGS_PER_REQUEST, normalizeTagName, normalizeTagNames } from "../utils/tags.js";
+import { suggestCardTags } from "../services/tagSuggestion.service.js";
 import { logger } from "../utils/logger.js";
 
 const router = express.Router();
 
+// 클라이언트가 지정할 수 있는 변경 출처 (import/merge는 서버에서만 기록)
+const EDIT_SOURCES = [REVISION_SOURCE.MANUAL, REVISION_SOURCE.OCR];
+
+// 명함 이미지 업로드 (multipart, 메모리에 받아 저장소로 전달)
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CARD_IMAGE_BYTES, files: 1 },
+});
+
+// 연락처 항목 검증 (POST/PUT 공통)
+const contactPointValidators = [
+  body("contactPoints").optional().isArray({ max: MAX_CONTACT_POINTS })
+    .withMessage(`contactPoints must be an array of at most ${MAX_CONTACT_POINTS} entries`),
+  body("contactPoints.*.type").isIn(CONTACT_POINT_TYPES)
+    .withMessage(`type must be one of: ${CONTACT_POINT_TYPES.join(", ")}`),
+  body("contactPoints.*.value").isString().trim().notEmpty().isLength({ max: CONTACT_VALUE_MAX_LENGTH }),
+  body("contactPoints.*.label").optional({ nullable: true }).isString().trim().isLength({ max: CONTACT_LABEL_MAX_LENGTH }),
+];
+
+// 태그 이름 목록 검증 (POST/PUT 공통)
+const tagValidators = [
+  body("tags").optional().isArray({ max: MAX_TAGS_PER_REQUEST })
+    .withMessage(`tags must be an array of at most ${MAX_TAGS_PER_REQUEST} names`),
+  body("tags.*").isString().trim().isLength({ min: 1, max: MAX_TAG_NAME_LENGTH }),
+];
+
+// 단건 응답: 이미지 URL, 종류별 연락처 항목, 태그
+const formatCardDetail = async (card) => ({
+  ...withCardImageUrls(card),
+  contactPoints: groupContactPoints(await CardContactPoint.findByBusinessCardId(card.id)),
+  tags: await CardTag.findByBusinessCardId(card.id),
+});
+
 // All routes require authentication
 router.use(authenticate);
 
 // @route   GET /api/cards
 // @desc    Get all business cards for user
+//          필터: search, cardIds, isFavorite, groupId, company, gender, hasMemo, metWithinDays,
+//                tags(쉼표 구분 태그 이름), tagMatch=all|any
+//          정렬: sort=createdAt|name|lastInteraction|relationshipScore, order=asc|desc
+//          페이지: cursor(이전 응답의 nextCursor) 또는 page, limit(최대 100)
+// @access  Private
+router.get(
+  "/",
+  [
+    query("sort").optional().isIn(CARD_SORTS).withMessage(`sort must be one of: ${CARD_SORTS.join(", ")}`),
+    query("order").optional().isIn(["asc", "desc"]),
+    query("cursor").optional().isString().isLength({ max: 1000 }),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+    query(["isFavorite", "hasMemo"]).optional().isBoolean().toBoolean(),
+    query("groupId").optional().isInt({ min: 1 }).toInt(),
+    query("metWithinDays").optional().isInt({ min: 1, max: 3650 }).toInt(),
+    query(["search", "company", "gender", "tags"]).optional().isString().trim().isLength({ max: 255 }),
+    query("tagMatch").optional().isIn(["all", "any"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { sort = CARD_SORT.CREATED_AT, cursor, page = 1, limit = 20, cardIds, groupId } = req.query;
+      const order = req.query.order || defaultCardSortOrder(sort);
+
+      // 스마트 그룹이면 그룹 규칙으로 필터
+      const group = groupId ? await CardGroup.findSummaryById(groupId, req.user.id) : null;
+      if (groupId && !group) {
+        return res.status(404).json({
+          success: false,
+          message: "Group not found",
+        });
+      }
+
+      const filters = {
+        search: req.query.search || undefined,
+        cardIds: cardIds ? normalizeCardIds(cardIds) : [],
+        isFavorite: req.query.isFavorite,
+        ...(group && CardGroup.cardFilters(group)),
+        company: req.query.company || undefined,
+        gender: req.query.gender || undefined,
+        hasMemo: req.query.hasMemo,
+        metWithinDays: req.query.metWithinDays,
+        tags: normalizeTagNames(req.query.tags),
+        tagMatch: req.query.tagMatch,
+      };
+
+      const { cards, nextCursor } = await BusinessCard.findPageByUserId(req.user.id, {
+        ...filters,
+        sort,
+        order,
+        cursor,
+        page,
+        limit,
+      });
+      const total = await BusinessCard.countByUserId(req.user.id, filters);
+      const tagsByCard = await CardTag.findByBusinessCardIds(cards.map((card) => card.id));
+
+      res.json({
+        success: true,
+        data: cards.map((card) => ({ ...withCardImageUrls(card), tags: tagsByCard[card.id] || [] })),
+        pagination: {
+          // cursor로 조회하면 page/pages는 생략
+          ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+          limit,
+          total,
+          nextCursor,
+          hasMore: nextCursor !== null,
+        },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/cards/export
+// @desc    Export business cards (format=vcf|csv|json, search/cardIds/groupId 필터)
+//          JSON은 include=memos,gifts,preferences(또는 all)로 관계 데이터 포함
 // @access  Private
-router.get("/", async (req, res) => {
+router.get("/export", async (req, res) => {
   try {
-    const { search, page = 1, limit = 20, cardIds } = req.query;
+    const { format, search, cardIds, groupId, include } = req.query;
+
+    const exportFormat = normalizeExportFormat(format);
+    const includes = parseExportIncludes(include);
+    const parsedCardIds = cardIds ? normalizeCardIds(cardIds) : [];
 
-    const parsedCardIds = cardIds
-      ? String(cardIds)
-          .split(",")
-          .map((id) => id.trim())
-          .filter((id) => id.length > 0)
-      : [];
+    let group = null;
+    if (groupId) {
+      const parsedGroupId = Number(groupId);
+      group = Number.isInteger(parsedGroupId)
+        ? await CardGroup.findSummaryById(parsedGroupId, req.user.id)
+        : null;
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: "Group not found",
+        });
+      }
+    }
 
-    const cards = await BusinessCard.findByUserId(req.user.id, {
+    const exported = await buildCardExport(req.user.id, {
+      format: exportFormat,
       search,
-      page,
-      limit,
       cardIds: parsedCardIds,
+      group,
+      includes,
     });
-    const total = await BusinessCard.countByUserId(
-      req.user.id,
-      search,
-      parsedCardIds
-    );
+
+    res.setHeader("Content-Type", exported.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${exported.filename}"`);
+    res.setHeader("X-Export-Count", exported.count);
+    res.send(exported.body);
+  } catch (error) {
+    logger.error("GET /api/cards/export error", {
+      message: error.message,
+      sqlMessage: error.sqlMessage,
+      code: error.code,
+    });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/cards/duplicates
+// @desc    Find duplicate card candidates (이름/전화번호/이메일/회사 정규화 점수, minScore 기본 0.5)
+// @access  Private
+router.get("/duplicates", async (req, res) => {
+  try {
+    const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : DEFAULT_MIN_DUPLICATE_SCORE;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+    if (!(minScore >= 0 && minScore <= 1) || !Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "minScore must be between 0 and 1 and limit between 1 and 200",
+      });
+    }
+
+    const duplicates = await findDuplicateCandidates(req.user.id, { minScore, limit });
 
     res.json({
       success: true,
-      data: cards,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      data: duplicates,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -54,7 +240,7 @@ router.get("/", async (req, res) => {
 });
 
 // @route   GET /api/cards/:id
-// @desc    Get single business card
+// @desc    Get single business card (연락처 항목은 contactPoints에 종류별로)
 // @access  Private
 router.get("/:id", async (req, res) => {
   try {
@@ -69,7 +255,7 @@ router.get("/:id", async (req, res) => {
 
     res.json({
       success: true,
-      data: card,
+      data: await formatCardDetail(card),
     });
   } catch (error) {
     res.status(500).json({
@@ -106,7 +292,76 @@ router.post(
   },
   [
     body("name").notEmpty().trim(),
+    body(["nameEn", "companyEn"]).optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
     body("email").optional().isEmail().normalizeEmail(),
+    body("source").optional().isIn(EDIT_SOURCES),
+    ...contactPointValidators,
+    ...tagValidators,
+  ],
+  enforceCardQuota,
+  async (req, res) => {
+    let imageFields = {};
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const { source, image, tags, ...cardData } = req.body;
+      // base64 이미지는 저장소에 저장하고 키만 명함에 기록
+      imageFields = await resolveCardImageInput(req.user.id, image);
+      const card = await BusinessCard.create(
+        {
+          ...cardData,
+          userId: req.user.id,
+        },
+        { source, storedImage: imageFields }
+      );
+      if (tags) {
+        await CardTag.replaceForCard(req.user.id, card.id, normalizeTagNames(tags));
+      }
+
+      res.status(201).json({
+        success: true,
+        data: await formatCardDetail(card),
+      });
+    } catch (error) {
+      // 명함을 만들지 못했으면 먼저 저장한 이미지 삭제
+      await removeStoredImages([imageFields.imageKey, imageFields.thumbnailKey]);
+      // 동시 요청 등으로 생성 시점에 한도를 넘은 경우
+      if (error.quota) {
+        return sendQuotaExceeded(res, error.quota);
+      }
+      logger.error("POST /api/cards error", {
+        message: error.message,
+        sqlMessage: error.sqlMessage,
+        code: error.code,
+      });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/cards/import
+// @desc    Import business cards from vCard (3.0/4.0) or CSV
+//          commit=false(기본): 검증/중복 미리보기만 반환, commit=true: 실제 저장
+// @access  Private
+router.post(
+  "/import",
+  [
+    body("content").isString().notEmpty().withMessage("content is required"),
+    body("format").optional().isIn(["vcard", "vcf", "csv"]),
+    body("mapping").optional().isObject(),
+    body("commit").optional().isBoolean().toBoolean(),
+    body("skipDuplicates").optional().isBoolean().toBoolean(),
+    body("groupId").optional().isInt({ min: 1 }).toInt(),
+    body("groupName").optional().isString().trim().notEmpty().isLength({ max: 255 }),
   ],
   async (req, res) => {
     try {
@@ -118,31 +373,104 @@ router.post(
         });
       }
 
-      // Check card limit
-      const cardCount = await BusinessCard.countByUserId(req.user.id);
-      if (cardCount >= req.user.cardLimit) {
-        return res.status(403).json({
+      const { content, format, mapping, commit = false, skipDuplicates, groupId, groupName } = req.body;
+      if (groupId && groupName) {
+        return res.status(400).json({
           success: false,
-          message: `Card limit reached (${req.user.cardLimit}). Please upgrade to premium.`,
+          message: "Use either groupId or groupName, not both",
         });
       }
 
-      const card = await BusinessCard.create({
-        ...req.body,
-        userId: req.user.id,
-      });
+      const preview = await buildImportPreview(req.user, { content, format, mapping });
+      if (!commit) {
+        return res.json({
+          success: true,
+          data: preview,
+        });
+      }
 
-      res.status(201).json({
+      const result = await commitImport(req.user, preview, { skipDuplicates, groupId, groupName });
+      res.status(result.imported.length > 0 ? 201 : 200).json({
         success: true,
-        data: card,
+        data: {
+          format: preview.format,
+          ...result,
+        },
       });
     } catch (error) {
-      logger.error("POST /api/cards error", {
+      if (error.quota) {
+        return sendQuotaExceeded(res, error.quota);
+      }
+      logger.error("POST /api/cards/import error", {
         message: error.message,
         sqlMessage: error.sqlMessage,
         code: error.code,
       });
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/cards/:id/tags/suggestions
+// @desc    Get tag suggestions from extracted facts (ROLE_OR_ORG, CONTEXT)
+//          이미 붙은 태그와 거절한 추천은 제외, 수락은 POST /api/cards/:id/tags
+// @access  Private
+router.get("/:id/tags/suggestions", async (req, res) => {
+  try {
+    const card = await BusinessCard.findById(req.params.id, req.user.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: "Business card not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await suggestCardTags(req.user.id, card.id),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/tags/suggestions/dismiss
+// @desc    Dismiss a tag suggestion (같은 명함에 다시 추천하지 않음)
+// @access  Private
+router.post(
+  "/:id/tags/suggestions/dismiss",
+  [body("name").isString().trim().isLength({ min: 1, max: MAX_TAG_NAME_LENGTH })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const card = await BusinessCard.findById(req.params.id, req.user.id);
+      if (!card) {
+        return res.status(404).json({
+          success: false,
+          message: "Business card not found",
+        });
+      }
+
+      await CardTag.dismissSuggestion(card.id, normalizeTagName(req.body.name));
+      res.json({
+        success: true,
+        message: "Tag suggestion dismissed",
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message,
       });
@@ -150,6 +478,110 @@ router.post(
   }
 );
 
+// @route   POST /api/cards/:id/tags
+// @desc    Add tags to a card (없는 태그는 생성, 추천 태그 수락에도 사용)
+// @access  Private
+router.post(
+  "/:id/tags",
+  [
+    body("tags").isArray({ min: 1, max: MAX_TAGS_PER_REQUEST })
+      .withMessage(`tags must be an array of 1-${MAX_TAGS_PER_REQUEST} names`),
+    body("tags.*").isString().trim().isLength({ min: 1, max: MAX_TAG_NAME_LENGTH }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const card = await BusinessCard.findById(req.params.id, req.user.id);
+      if (!card) {
+        return res.status(404).json({
+          success: false,
+          message: "Business card not found",
+        });
+      }
+
+      await CardTag.bulkUpdate(req.user.id, [card.id], { add: normalizeTagNames(req.body.tags) });
+      res.json({
+        success: true,
+        data: await CardTag.findByBusinessCardId(card.id),
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/cards/:id/tags/:tagId
+// @desc    Remove a tag from a card (태그 자체는 유지)
+// @access  Private
+router.delete("/:id/tags/:tagId", async (req, res) => {
+  try {
+    const card = await BusinessCard.findById(req.params.id, req.user.id);
+    const tag = card ? await CardTag.findById(req.params.tagId, req.user.id) : null;
+    if (!card || !tag) {
+      return res.status(404).json({
+        success: false,
+        message: card ? "Tag not found" : "Business card not found",
+      });
+    }
+
+    await CardTag.removeFromCard(tag.id, card.id);
+    res.json({
+      success: true,
+      data: await CardTag.findByBusinessCardId(card.id),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   GET /api/cards/:id/history
+// @desc    Get field-level change history of a card (field로 필터, 예: company)
+// @access  Private
+router.get("/:id/history", async (req, res) => {
+  try {
+    const card = await BusinessCard.findById(req.params.id, req.user.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: "Business card not found",
+      });
+    }
+
+    const { field } = req.query;
+    if (field && !TRACKED_CARD_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `field must be one of: ${TRACKED_CARD_FIELDS.join(", ")}`,
+      });
+    }
+
+    const revisions = await CardRevision.findByBusinessCardId(card.id, req.user.id, { field });
+
+    res.json({
+      success: true,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 // @route   PUT /api/cards/:id
 // @desc    Update business card
 // @access  Private
@@ -177,8 +609,15 @@ router.put(
     // null 값은 유지 (필드 삭제를 위해 null로 저장해야 함)
     next();
   },
-  [body("email").optional({ nullable: true, checkFalsy: true }).isEmail().normalizeEmail()],
+  [
+    body(["nameEn", "companyEn"]).optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+    body("email").optional({ nullable: true, checkFalsy: true }).isEmail().normalizeEmail(),
+    body("source").optional().isIn(EDIT_SOURCES),
+    ...contactPointValidators,
+    ...tagValidators,
+  ],
   async (req, res) => {
+    let imageFields = {};
     // 디버깅: 받은 데이터 로그 (validation 전에 찍기)
     console.log("==========================================");
     console.log("📇 [명함 수정] PUT /api/cards/:id");
@@ -208,11 +647,32 @@ router.put(
       // 디버깅: validation 통과
       console.log(`✅ Validation 통과`);
 
+      const { source, image, tags, ...updateData } = req.body;
+
+      // 이미지를 바꾸면 새 이미지를 저장한 뒤 기존 저장소 이미지 삭제
+      let existing = null;
+      if (image !== undefined) {
+        existing = await BusinessCard.findById(req.params.id, req.user.id);
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            message: "Business card not found",
+          });
+        }
+        imageFields = await resolveCardImageInput(req.user.id, image);
+      }
+
       const card = await BusinessCard.update(
         req.params.id,
         req.user.id,
-        req.body
+        updateData,
+        { source, storedImage: imageFields }
       );
+      if (existing && card) {
+        await removeStoredImages(
+          [existing.imageKey, existing.thumbnailKey].filter((key) => key !== card.imageKey && key !== card.thumbnailKey)
+        );
+      }
 
       // 디버깅: 업데이트 결과 로그
       console.log(
@@ -222,18 +682,162 @@ router.put(
       console.log("==========================================\n");
 
       if (!card) {
+        await removeStoredImages([imageFields.imageKey, imageFields.thumbnailKey]);
         return res.status(404).json({
           success: false,
           message: "Business card not found",
         });
       }
 
+      // tags를 주면 명함의 태그 전체 교체
+      if (tags) {
+        await CardTag.replaceForCard(req.user.id, card.id, normalizeTagNames(tags));
+      }
+
       res.json({
         success: true,
-        data: card,
+        data: await formatCardDetail(card),
       });
     } catch (error) {
-      res.status(500).json({
+      await removeStoredImages([imageFields.imageKey, imageFields.thumbnailKey]);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/cards/:id/image
+// @desc    Upload business card image (multipart/form-data, image 필드, jpeg/png/webp 최대 10MB)
+//          원본과 썸네일을 저장소에 저장하고 기존 이미지는 삭제
+// @access  Private
+router.put(
+  "/:id/image",
+  (req, res, next) => {
+    imageUpload.single("image")(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === "LIMIT_FILE_SIZE" ? "Image is too large" : error.message,
+        });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    let imageFields = {};
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "image file is required",
+        });
+      }
+
+      const existing = await BusinessCard.findById(req.params.id, req.user.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Business card not found",
+        });
+      }
+
+      imageFields = {
+        image: null,
+        ...(await storeCardImage(req.user.id, { buffer: req.file.buffer, contentType: req.file.mimetype })),
+      };
+      const card = await BusinessCard.update(existing.id, req.user.id, {}, { storedImage: imageFields });
+      if (!card) {
+        await removeStoredImages([imageFields.imageKey, imageFields.thumbnailKey]);
+        return res.status(404).json({
+          success: false,
+          message: "Business card not found",
+        });
+      }
+      await removeStoredImages([existing.imageKey, existing.thumbnailKey]);
+
+      res.json({
+        success: true,
+        data: withCardImageUrls(card),
+      });
+    } catch (error) {
+      await removeStoredImages([imageFields.imageKey, imageFields.thumbnailKey]);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/cards/:id/image
+// @desc    Remove business card image
+// @access  Private
+router.delete("/:id/image", async (req, res) => {
+  try {
+    const existing = await BusinessCard.findById(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Business card not found",
+      });
+    }
+
+    const card = await BusinessCard.update(existing.id, req.user.id, {}, {
+      storedImage: { image: null, imageKey: null, thumbnailKey: null },
+    });
+    await removeStoredImages([existing.imageKey, existing.thumbnailKey]);
+
+    res.json({
+      success: true,
+      data: withCardImageUrls(card),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/merge
+// @desc    Merge duplicate cards into this card (메모/선물/그룹/선호도/일정/대화/추출 사실 이전 후 삭제)
+// @access  Private
+router.post(
+  "/:id/merge",
+  [
+    body("mergeIds").exists().withMessage("mergeIds is required"),
+    body("fillEmptyFields").optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const [survivorId] = normalizeCardIds([req.params.id]);
+      const mergeIds = normalizeCardIds(req.body.mergeIds);
+
+      const result = await mergeCards(req.user.id, survivorId, mergeIds, {
+        fillEmptyFields: req.body.fillEmptyFields,
+      });
+
+      res.json({
+        success: true,
+        data: { ...result, card: withCardImageUrls(result.card) },
+      });
+    } catch (error) {
+      logger.error("POST /api/cards/:id/merge error", {
+        message: error.message,
+        sqlMessage: error.sqlMessage,
+        code: error.code,
+      });
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message,
       });
@@ -246,7 +850,8 @@ router.put(
 // @access  Private
 router.delete("/:id", async (req, res) => {
   try {
-    const deleted = await BusinessCard.delete(req.params.id, req.user.id);
+    const card = await BusinessCard.findById(req.params.id, req.user.id);
+    const deleted = card ? await BusinessCard.delete(card.id, req.user.id) : false;
 
     if (!deleted) {
       return res.status(404).json({
@@ -254,6 +859,7 @@ router.delete("/:id", async (req, res) => {
         message: "Business card not found",
       });
     }
+    await removeStoredImages([card.imageKey, card.thumbnailKey]);
 
     res.json({
       success: true,
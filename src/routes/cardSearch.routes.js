@@ -2,6 +2,9 @@ import express from "express";
 import pool from "../config/database.js";
 import { authenticate } from "../middleware/auth.middleware.js";
 import { processLLMChat } from "../services/llm.service.js";
+import { getAnsweredProviders } from "../services/llm/context.js";
+import CardTag from "../models/CardTag.model.js";
+import { normalizeTagNames } from "../utils/tags.js";
 
 const router = express.Router();
 
@@ -18,6 +21,9 @@ const dedupe = (items) => {
   return result;
 };
 
+const pickEvidence = (evidenceMap, cardIds) =>
+  Object.fromEntries(cardIds.filter((cardId) => evidenceMap[cardId]).map((cardId) => [cardId, evidenceMap[cardId]]));
+
 const parseLLMJson = (content) => {
   if (!content) return null;
   const trimmed = String(content).trim();
@@ -60,8 +66,7 @@ JSON만 출력:
     [
       { role: "system", content: "You extract Korean search keywords. Return JSON only." },
       { role: "user", content: `질문: "${query}"\n\n${prompt}` },
-    ],
-    "gpt"
+    ]
   );
 
   const parsed = parseLLMJson(response);
@@ -98,8 +103,7 @@ JSON만 출력:
     [
       { role: "system", content: "You extract relaxed Korean search keywords. Return JSON only." },
       { role: "user", content: `질문: "${query}"\n\n${prompt}` },
-    ],
-    "gpt"
+    ]
   );
 
   const parsed = parseLLMJson(response);
@@ -250,8 +254,7 @@ JSON만 출력:
       [
         { role: "system", content: "You are a context filter for search results. Return JSON only." },
         { role: "user", content: prompt },
-      ],
-      "gpt"
+      ]
     );
 
     const parsed = parseLLMJson(response);
@@ -344,6 +347,10 @@ router.post("/", async (req, res) => {
       });
     }
 
+    // 태그 조건 (선택): tags는 배열 또는 쉼표 구분 문자열, tagMatch는 "all"(기본) | "any"
+    const tags = normalizeTagNames(req.body?.tags || []);
+    const tagMatch = req.body?.tagMatch === "any" ? "any" : "all";
+
     const stage1Keywords = await getStage1KeywordsFromLLM(query);
     console.log("[CardSearch] stage1 keywords:", stage1Keywords);
 
@@ -377,6 +384,13 @@ router.post("/", async (req, res) => {
       rawEvidenceMap = stage2.evidenceMap;
     }
 
+    if (tags.length > 0) {
+      finalCardIds = await CardTag.filterCardIds(req.user.id, finalCardIds, tags, tagMatch);
+      rawCardIds = await CardTag.filterCardIds(req.user.id, rawCardIds, tags, tagMatch);
+      finalEvidenceMap = pickEvidence(finalEvidenceMap, finalCardIds);
+      rawEvidenceMap = pickEvidence(rawEvidenceMap, rawCardIds);
+    }
+
     return res.json({
       success: true,
       data: {
@@ -394,6 +408,8 @@ router.post("/", async (req, res) => {
         evidenceMap: finalEvidenceMap,
         rawCardIds,
         rawEvidenceMap,
+        ...(tags.length > 0 && { tags: { names: tags, match: tagMatch } }),
+        llmProviders: getAnsweredProviders(),
       },
     });
   } catch (error) {
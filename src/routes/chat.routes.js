@@ -2,13 +2,73 @@ import express from "express";
 import { body, validationResult } from "express-validator";
 import Chat from "../models/Chat.model.js";
 import { authenticate } from "../middleware/auth.middleware.js";
-import { processLLMChat } from "../services/llm.service.js";
+import { processLLMChatWithProvider, streamLLMChat } from "../services/llm.service.js";
+import { buildCardContextPrompt } from "../services/chatContext.service.js";
+import { assertCardsOwned } from "../services/cardOwnership.service.js";
 import { logger } from "../utils/logger.js";
 
 const router = express.Router();
 
 router.use(authenticate);
 
+// 명함이 연결된 대화면 명함/메모/선호도/선물/사실 기반 system prompt를 앞에 추가
+// (system prompt는 LLM 호출에만 사용하고 chats.messages에는 저장하지 않음)
+const withCardContext = async (chat, userId) => {
+  if (!chat.cardId) {
+    return chat.messages;
+  }
+
+  try {
+    const context = await buildCardContextPrompt(chat.cardId, userId);
+    if (!context) {
+      return chat.messages;
+    }
+    return [{ role: "system", content: context.prompt }, ...chat.messages];
+  } catch (error) {
+    logger.warn("Card context build failed, continuing without context", {
+      chatId: chat.id,
+      cardId: chat.cardId,
+      message: error.message,
+    });
+    return chat.messages;
+  }
+};
+
+// 메시지 전송 요청 검증 (POST /, POST /stream 공통)
+const messageValidators = [
+  body("message").notEmpty().trim(),
+  body("llmProvider").optional().isIn(["gpt", "claude", "gemini"]),
+  body("chatId").optional(),
+  body("cardId").optional().isInt().toInt(),  // 명함 ID (선물 추천 시 연결)
+];
+
+// 기존 대화를 조회하거나 새 대화 생성 (없는 chatId면 null)
+const findOrCreateChat = async (userId, { chatId, cardId, llmProvider, message }) => {
+  if (chatId) {
+    logger.debug("Finding existing chat", { chatId });
+    const chat = await Chat.findById(chatId, userId);
+    if (chat) {
+      logger.debug("Found existing chat", { chatId: chat.id });
+    }
+    return chat;
+  }
+
+  if (cardId) {
+    await assertCardsOwned(cardId, userId);
+  }
+
+  logger.debug("Creating new chat", { cardId });
+  const chat = await Chat.create({
+    userId,
+    cardId: cardId || null,  // 명함 ID 연결
+    llmProvider,
+    messages: [],
+    title: message.substring(0, 50), // Use first 50 chars as title
+  });
+  logger.info("Created new chat", { chatId: chat.id, cardId: chat.cardId });
+  return chat;
+};
+
 // @route   GET /api/chat
 // @desc    Get all chat conversations
 // @access  Private
@@ -59,12 +119,7 @@ router.get("/:id", async (req, res) => {
 // @access  Private
 router.post(
   "/",
-  [
-    body("message").notEmpty().trim(),
-    body("llmProvider").optional().isIn(["gpt", "claude", "gemini"]),
-    body("chatId").optional(),
-    body("cardId").optional().isInt().toInt(),  // 명함 ID (선물 추천 시 연결)
-  ],
+  messageValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -78,31 +133,13 @@ router.post(
       const { message, llmProvider = "gpt", chatId, cardId } = req.body;
       logger.info("Chat request", { message: message?.substring(0, 50), llmProvider, chatId, cardId, userId: req.user.id });
 
-      let chat;
-
-      if (chatId) {
-        // Continue existing chat
-        logger.debug("Finding existing chat", { chatId });
-        chat = await Chat.findById(chatId, req.user.id);
+      let chat = await findOrCreateChat(req.user.id, { chatId, cardId, llmProvider, message });
 
-        if (!chat) {
-          return res.status(404).json({
-            success: false,
-            message: "Chat not found",
-          });
-        }
-        logger.debug("Found existing chat", { chatId: chat.id });
-      } else {
-        // Create new chat
-        logger.debug("Creating new chat", { cardId });
-        chat = await Chat.create({
-          userId: req.user.id,
-          cardId: cardId || null,  // 명함 ID 연결
-          llmProvider,
-          messages: [],
-          title: message.substring(0, 50), // Use first 50 chars as title
+      if (!chat) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat not found",
         });
-        logger.info("Created new chat", { chatId: chat.id, cardId: chat.cardId });
       }
 
       // Add user message
@@ -112,12 +149,16 @@ router.post(
         timestamp: new Date(),
       });
 
-      // Get LLM response
+      // Get LLM response (요청 Provider 실패 시 fallback 체인 사용)
       let llmResponse;
+      let answeredProvider;
       try {
         logger.debug("Calling LLM", { messageCount: chat.messages.length, llmProvider });
-        llmResponse = await processLLMChat(chat.messages, llmProvider);
-        logger.debug("LLM response received", { length: llmResponse?.length });
+        const llmMessages = await withCardContext(chat, req.user.id);
+        const llmResult = await processLLMChatWithProvider(llmMessages, llmProvider);
+        llmResponse = llmResult.content;
+        answeredProvider = llmResult.provider;
+        logger.debug("LLM response received", { length: llmResponse?.length, provider: answeredProvider });
       } catch (llmError) {
         logger.error("LLM processing error", llmError);
         return res.status(500).json({
@@ -130,6 +171,7 @@ router.post(
       chat.messages.push({
         role: "assistant",
         content: llmResponse,
+        provider: answeredProvider,
         timestamp: new Date(),
       });
 
@@ -169,7 +211,7 @@ router.post(
       });
     } catch (error) {
       logger.error("Chat route error", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "서버 오류가 발생했습니다.",
       });
@@ -177,6 +219,147 @@ router.post(
   }
 );
 
+// @route   POST /api/chat/stream
+// @desc    Send message and stream the assistant reply as Server-Sent Events
+//          events: start → delta* → complete | error
+// @access  Private
+router.post("/stream", messageValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const { message, llmProvider = "gpt", chatId, cardId } = req.body;
+  logger.info("Chat stream request", { message: message?.substring(0, 50), llmProvider, chatId, cardId, userId: req.user.id });
+
+  let chat;
+  try {
+    chat = await findOrCreateChat(req.user.id, { chatId, cardId, llmProvider, message });
+  } catch (error) {
+    logger.error("Chat stream route error", error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || "서버 오류가 발생했습니다.",
+    });
+  }
+
+  if (!chat) {
+    return res.status(404).json({
+      success: false,
+      message: "Chat not found",
+    });
+  }
+
+  chat.messages.push({
+    role: "user",
+    content: message,
+    timestamp: new Date(),
+  });
+
+  // SSE 헤더 설정
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  // SSE 이벤트 전송 헬퍼
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // 클라이언트 연결 종료 감지 → LLM 요청 중단
+  const abortController = new AbortController();
+  let clientClosed = false;
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      abortController.abort();
+    }
+  });
+
+  let content = "";
+  let answeredProvider = null;
+  let streamError = null;
+
+  sendEvent("start", { chatId: chat.id, llmProvider });
+
+  try {
+    const llmMessages = await withCardContext(chat, req.user.id);
+    for await (const chunk of streamLLMChat(llmMessages, llmProvider, {
+      signal: abortController.signal,
+    })) {
+      content += chunk.delta;
+      answeredProvider = chunk.provider;
+      if (!clientClosed) {
+        sendEvent("delta", { content: chunk.delta, provider: chunk.provider });
+      }
+    }
+  } catch (error) {
+    if (!clientClosed) {
+      streamError = error;
+      logger.error("LLM stream error", error);
+    }
+  }
+
+  // 응답이 하나도 없으면 저장하지 않음 (POST /api/chat과 동일)
+  if (!content) {
+    if (!clientClosed) {
+      sendEvent("error", {
+        message: streamError?.message || "LLM 처리 중 오류가 발생했습니다.",
+        error: true,
+      });
+      res.end();
+    }
+    return;
+  }
+
+  // 완료되었거나, 연결이 끊겼거나, 도중에 실패한 경우 모두 받은 내용까지 저장
+  const partial = clientClosed || !!streamError;
+  chat.messages.push({
+    role: "assistant",
+    content,
+    provider: answeredProvider,
+    ...(partial && { partial: true }),
+    timestamp: new Date(),
+  });
+
+  try {
+    chat = await Chat.update(chat.id, req.user.id, {
+      messages: chat.messages,
+    });
+    logger.debug("Streamed chat saved", { chatId: chat.id, partial, length: content.length });
+  } catch (updateError) {
+    logger.error("Chat update error", updateError);
+    if (!clientClosed) {
+      sendEvent("error", {
+        message: `채팅 저장 중 오류가 발생했습니다: ${updateError.message}`,
+        error: true,
+      });
+      res.end();
+    }
+    return;
+  }
+
+  if (clientClosed) {
+    return;
+  }
+
+  if (streamError) {
+    sendEvent("error", {
+      message: streamError.message || "LLM 처리 중 오류가 발생했습니다.",
+      error: true,
+      data: chat,
+    });
+  } else {
+    sendEvent("complete", { success: true, data: chat });
+  }
+  res.end();
+});
+
 // @route   POST /api/chat/create-history
 // @desc    Create chat history with full conversation
 // @access  Private
@@ -198,6 +381,10 @@ router.post("/create-history", [
     const { messages, title, llmProvider = "gpt", cardId } = req.body;
     logger.info("Create chat history", { title, cardId, messageCount: messages?.length });
 
+    if (cardId) {
+      await assertCardsOwned(cardId, req.user.id);
+    }
+
     // Ensure messages have proper format
     const formattedMessages = messages.map(msg => ({
       role: msg.role || "assistant",
@@ -221,7 +408,7 @@ router.post("/create-history", [
     });
   } catch (error) {
     logger.error("Create chat history error", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "대화 내역 저장 중 오류가 발생했습니다.",
     });
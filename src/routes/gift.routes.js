@@ -2,8 +2,10 @@ import express from "express";
 import { body, query, validationResult } from "express-validator";
 import Gift from "../models/Gift.model.js";
 import BusinessCard from "../models/BusinessCard.model.js";
+import CardGroup from "../models/CardGroup.model.js";
 import Memo from "../models/Memo.model.js";
 import { authenticate } from "../middleware/auth.middleware.js";
+import { enforceDailyQuota } from "../middleware/quota.middleware.js";
 import {
   processPersonaEmbedding,
   generateEmbedding,
@@ -19,7 +21,10 @@ import {
   removeDuplicateGifts,
   checkPreferencePriority,
 } from "../services/gift.service.js";
+import { assertCardsOwned } from "../services/cardOwnership.service.js";
 import { GIFT_CONFIG } from "../config/gift.config.js";
+import { QUOTA } from "../config/subscription.config.js";
+import { GROUP_CONFIG } from "../config/group.config.js";
 import { logger } from "../utils/logger.js";
 import { generateCacheKey, getCache, setCache } from "../utils/cache.js";
 
@@ -68,6 +73,8 @@ router.post(
         });
       }
 
+      await assertCardsOwned(req.body.cardId, req.user.id);
+
       const gift = await Gift.create({
         ...req.body,
         userId: req.user.id,
@@ -79,7 +86,7 @@ router.post(
         data: gift,
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message,
       });
@@ -686,7 +693,7 @@ router.post(
       });
 
       // 프로필 데이터 조회
-      const preferenceProfile = await fetchPreferenceProfile(cardId);
+      const preferenceProfile = await fetchPreferenceProfile(cardId, req.user.id);
       
       // Preference Profile 우선순위 확인 및 로깅
       const priorityInfo = checkPreferencePriority(preferenceProfile, {
@@ -790,500 +797,620 @@ router.post(
 // 🎁 명함 카드 기반 선물 추천 API
 // ============================================================
 
-// @route   POST /api/gifts/recommend
-// @desc    명함 카드 정보를 기반으로 선물 추천 (ChromaDB + 네이버 쇼핑 통합)
-// @access  Private
-router.post(
-  "/recommend",
-  [
-    body("cardId").notEmpty().withMessage("명함 ID(cardId)를 입력해주세요."),
-    body("additionalInfo").optional().trim(),
-    body("gender").optional().trim(),
-    body("memos").optional().isArray(),
-    body("minPrice").optional().isFloat({ min: 0 }),
-    body("maxPrice").optional().isFloat({ min: 0 }),
-    body("includeNaver").optional().isBoolean(),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array(),
-        });
-      }
+/**
+ * 명함 한 장에 대한 선물 추천 (ChromaDB + 네이버 쇼핑 통합)
+ * POST /api/gifts/recommend와 그룹 추천에서 공통 사용
+ * @param {number} userId
+ * @param {Object} options - cardId, additionalInfo, gender, memos, minPrice/maxPrice(만원), includeNaver
+ * @returns {Promise<Object|null>} { personaString, card, recommendedGifts, rationaleCards }, 명함이 없으면 null
+ */
+const recommendGiftsForCard = async (
+  userId,
+  {
+    cardId,
+    additionalInfo = "",
+    gender = "",
+    memos = [],
+    minPrice = null,
+    maxPrice = null,
+    includeNaver = true,
+  }
+) => {
+  logger.gift.start("명함 기반 선물 추천", {
+    명함ID: cardId,
+    사용자ID: userId,
+  });
+  console.log(
+    `💰 가격 범위: ${minPrice ? `${minPrice}만원` : "없음"} ~ ${
+      maxPrice ? `${maxPrice}만원` : "없음"
+    }`
+  );
+  if (minPrice || maxPrice) {
+    const minPriceWon = minPrice ? parseFloat(minPrice) * 10000 : null;
+    const maxPriceWon = maxPrice ? parseFloat(maxPrice) * 10000 : null;
+    console.log(
+      `   (원 단위: ${
+        minPriceWon ? `${minPriceWon.toLocaleString()}원` : "없음"
+      } ~ ${maxPriceWon ? `${maxPriceWon.toLocaleString()}원` : "없음"})`
+    );
+  }
+  logger.debug("명함 기반 선물 추천 상세", {
+    네이버검색포함: includeNaver ? "예" : "아니오",
+    추가정보: additionalInfo || "없음",
+    요청본문의메모: memos.length > 0 ? memos.join(", ") : "없음",
+    요청시간: new Date().toISOString(),
+  });
+
+  // 명함 정보 조회
+  logger.debug("명함 정보 조회 중");
+  const card = await BusinessCard.findById(cardId, userId);
+  if (!card) {
+    logger.error("명함을 찾을 수 없습니다", { cardId, userId });
+    return null;
+  }
+  logger.debug("명함 조회 완료", {
+    이름: card.name,
+    직책: card.position,
+    회사: card.company,
+  });
+
+  // DB에서 명함별 메모 조회
+  logger.debug("DB에서 명함별 메모 조회 중");
+  let dbMemos = [];
+  try {
+    dbMemos = await Memo.findByBusinessCardId(cardId, userId);
+    logger.debug("메모 조회 완료", {
+      개수: `${dbMemos.length}개`,
+      메모목록: dbMemos.map((memo, idx) => ({
+        번호: idx + 1,
+        내용: memo.content.substring(0, 50) + (memo.content.length > 50 ? "..." : ""),
+      })),
+    });
+  } catch (memoError) {
+    logger.warn("메모 조회 실패", memoError);
+    // 메모 조회 실패해도 계속 진행 (빈 배열 사용)
+  }
 
-      const {
-        cardId,
-        additionalInfo = "",
-        gender = "",
-        memos = [],
-        minPrice = null,
-        maxPrice = null,
-        includeNaver = true,
-      } = req.body;
+  // 페르소나 데이터 준비
+  const finalGender = card.gender || gender || "";
+  const rank = card.position || "";
+  // DB에서 조회한 메모들의 content를 합쳐서 사용
+  // 요청 본문의 memos는 무시하고 DB에서 조회한 메모만 사용
+  const primaryMemo = dbMemos.length > 0 
+    ? dbMemos.map((memo) => memo.content).join(", ") 
+    : "";
+  const addMemo = additionalInfo || "";
+
+  const personaData = {
+    rank,
+    gender: finalGender,
+    memo: primaryMemo,
+    addMemo,
+  };
+  console.log(`👤 페르소나 데이터:`, personaData);
+
+  // 결과 저장
+  const searchResults = {
+    chromaDB: { success: false, gifts: [], count: 0 },
+    naver: { success: false, gifts: [], count: 0 },
+  };
+
+  // 가격 필터 변환
+  const minPriceWon = convertPriceToWon(minPrice);
+  const maxPriceWon = convertPriceToWon(maxPrice);
+
+  // Step 1: 페르소나 문자열 생성
+  console.log("\n[Step 1] 페르소나 문자열 생성 시작...");
+  let personaString;
+  try {
+    personaString = await processPersonaEmbedding(personaData);
+    console.log("✅ [Step 1] 페르소나 문자열 생성 완료");
+    console.log(
+      `   생성된 페르소나: ${personaString.substring(0, 100)}...`
+    );
+  } catch (error) {
+    personaString = `[상대방] 직급: ${rank} | 성별: ${
+      finalGender || "정보없음"
+    } | 메모: ${primaryMemo} | 추가메모: ${addMemo || "정보없음"}`;
+    console.log("⚠️  [Step 1] LLM 페르소나 생성 실패, 기본 문자열 사용");
+    console.log(`   기본 페르소나: ${personaString}`);
+  }
 
-      const recommendStartTime = Date.now();
-      logger.gift.start("명함 기반 선물 추천", {
-        명함ID: cardId,
-        사용자ID: req.user.id,
-      });
+  // Step 2: ChromaDB 검색
+  console.log("\n[Step 2] ChromaDB 벡터 검색 시작...");
+  try {
+    console.log("   → 임베딩 벡터 생성 중...");
+    const embeddingVector = await generateEmbedding(personaString);
+    console.log(
+      `   ✅ 임베딩 벡터 생성 완료 (차원: ${embeddingVector.length})`
+    );
+
+    console.log("   → ChromaDB에서 유사 선물 검색 중...");
+    const chromaResults = await searchSimilarGifts(
+      embeddingVector,
+      5,
+      minPriceWon,
+      maxPriceWon
+    );
+
+    if (chromaResults.ids && chromaResults.ids[0]?.length > 0) {
+      const ids = chromaResults.ids[0];
+      const metadatas = chromaResults.metadatas[0] || [];
+      const distances = chromaResults.distances[0] || [];
+      const documents = chromaResults.documents[0] || [];
+
+      const chromaGifts = ids.map((id, i) => ({
+        id,
+        metadata: metadatas[i] || {},
+        distance: distances[i] || null,
+        document: documents[i] || "",
+        similarity:
+          distances[i] !== null ? (1 - distances[i]).toFixed(4) : null,
+        source: "chromadb",
+      }));
+
+      searchResults.chromaDB = {
+        success: true,
+        gifts: chromaGifts,
+        count: chromaGifts.length,
+      };
       console.log(
-        `💰 가격 범위: ${minPrice ? `${minPrice}만원` : "없음"} ~ ${
-          maxPrice ? `${maxPrice}만원` : "없음"
-        }`
+        `✅ [Step 2] ChromaDB 검색 완료: ${chromaGifts.length}개 결과`
       );
-      if (minPrice || maxPrice) {
-        const minPriceWon = minPrice ? parseFloat(minPrice) * 10000 : null;
-        const maxPriceWon = maxPrice ? parseFloat(maxPrice) * 10000 : null;
+      if (chromaGifts.length > 0) {
+        console.log(`   최고 유사도: ${chromaGifts[0].similarity}`);
         console.log(
-          `   (원 단위: ${
-            minPriceWon ? `${minPriceWon.toLocaleString()}원` : "없음"
-          } ~ ${maxPriceWon ? `${maxPriceWon.toLocaleString()}원` : "없음"})`
+          `   첫 번째 결과: ${
+            chromaGifts[0].metadata?.name || chromaGifts[0].id
+          }`
         );
       }
-      logger.debug("명함 기반 선물 추천 상세", {
-        네이버검색포함: includeNaver ? "예" : "아니오",
-        추가정보: additionalInfo || "없음",
-        요청본문의메모: memos.length > 0 ? memos.join(", ") : "없음",
-        요청시간: new Date().toISOString(),
-      });
-
-      // 명함 정보 조회
-      logger.debug("명함 정보 조회 중");
-      const card = await BusinessCard.findById(cardId, req.user.id);
-      if (!card) {
-        logger.error("명함을 찾을 수 없습니다", { cardId, userId: req.user.id });
-        return res.status(404).json({
-          success: false,
-          message: "명함을 찾을 수 없습니다.",
-        });
-      }
-      logger.debug("명함 조회 완료", {
-        이름: card.name,
-        직책: card.position,
-        회사: card.company,
-      });
-
-      // DB에서 명함별 메모 조회
-      logger.debug("DB에서 명함별 메모 조회 중");
-      let dbMemos = [];
-      try {
-        dbMemos = await Memo.findByBusinessCardId(cardId, req.user.id);
-        logger.debug("메모 조회 완료", {
-          개수: `${dbMemos.length}개`,
-          메모목록: dbMemos.map((memo, idx) => ({
-            번호: idx + 1,
-            내용: memo.content.substring(0, 50) + (memo.content.length > 50 ? "..." : ""),
-          })),
-        });
-      } catch (memoError) {
-        logger.warn("메모 조회 실패", memoError);
-        // 메모 조회 실패해도 계속 진행 (빈 배열 사용)
-      }
-
-      // 페르소나 데이터 준비
-      const finalGender = card.gender || gender || "";
-      const rank = card.position || "";
-      // DB에서 조회한 메모들의 content를 합쳐서 사용
-      // 요청 본문의 memos는 무시하고 DB에서 조회한 메모만 사용
-      const primaryMemo = dbMemos.length > 0 
-        ? dbMemos.map((memo) => memo.content).join(", ") 
-        : "";
-      const addMemo = additionalInfo || "";
-
-      const personaData = {
-        rank,
-        gender: finalGender,
-        memo: primaryMemo,
-        addMemo,
-      };
-      console.log(`👤 페르소나 데이터:`, personaData);
-
-      // 결과 저장
-      const searchResults = {
-        chromaDB: { success: false, gifts: [], count: 0 },
-        naver: { success: false, gifts: [], count: 0 },
-      };
-
-      // 가격 필터 변환
-      const minPriceWon = convertPriceToWon(minPrice);
-      const maxPriceWon = convertPriceToWon(maxPrice);
-
-      // Step 1: 페르소나 문자열 생성
-      console.log("\n[Step 1] 페르소나 문자열 생성 시작...");
-      let personaString;
-      try {
-        personaString = await processPersonaEmbedding(personaData);
-        console.log("✅ [Step 1] 페르소나 문자열 생성 완료");
-        console.log(
-          `   생성된 페르소나: ${personaString.substring(0, 100)}...`
-        );
-      } catch (error) {
-        personaString = `[상대방] 직급: ${rank} | 성별: ${
-          finalGender || "정보없음"
-        } | 메모: ${primaryMemo} | 추가메모: ${addMemo || "정보없음"}`;
-        console.log("⚠️  [Step 1] LLM 페르소나 생성 실패, 기본 문자열 사용");
-        console.log(`   기본 페르소나: ${personaString}`);
-      }
+    } else {
+      console.log("⚠️  [Step 2] ChromaDB에서 일치하는 결과 없음");
+    }
+  } catch (error) {
+    searchResults.chromaDB = {
+      success: false,
+      error: error.message,
+    };
+    logger.gift.error("[Step 2] ChromaDB 검색 실패", error);
+  }
 
-      // Step 2: ChromaDB 검색
-      console.log("\n[Step 2] ChromaDB 벡터 검색 시작...");
-      try {
-        console.log("   → 임베딩 벡터 생성 중...");
-        const embeddingVector = await generateEmbedding(personaString);
-        console.log(
-          `   ✅ 임베딩 벡터 생성 완료 (차원: ${embeddingVector.length})`
-        );
+  // Step 3: 네이버 쇼핑 검색 (LLM 키워드 추출 사용)
+  const step3StartTime = Date.now();
+  if (includeNaver) {
+    console.log("\n[Step 3] 네이버 쇼핑 검색 시작...");
+    try {
+      // LLM을 사용하여 최적의 검색 키워드 추출
+      console.log("   → LLM 키워드 추출 중...");
+      const extractedKeywords = await extractSearchKeywords(
+        personaData,
+        primaryMemo
+      );
+      console.log(
+        `   ✅ 키워드 추출 완료: ${extractedKeywords.join(", ")}`
+      );
 
-        console.log("   → ChromaDB에서 유사 선물 검색 중...");
-        const chromaResults = await searchSimilarGifts(
-          embeddingVector,
-          5,
-          minPriceWon,
-          maxPriceWon
-        );
+      // 여러 키워드로 검색하여 결과 통합
+      const naverGifts = [];
+      const searchedKeywords = [];
+      const failedKeywords = []; // 실패한 키워드 추적
 
-        if (chromaResults.ids && chromaResults.ids[0]?.length > 0) {
-          const ids = chromaResults.ids[0];
-          const metadatas = chromaResults.metadatas[0] || [];
-          const distances = chromaResults.distances[0] || [];
-          const documents = chromaResults.documents[0] || [];
+      // 딜레이 유틸리티 함수
+      const sleep = (ms) =>
+        new Promise((resolve) => setTimeout(resolve, ms));
 
-          const chromaGifts = ids.map((id, i) => ({
-            id,
-            metadata: metadatas[i] || {},
-            distance: distances[i] || null,
-            document: documents[i] || "",
-            similarity:
-              distances[i] !== null ? (1 - distances[i]).toFixed(4) : null,
-            source: "chromadb",
-          }));
+      // 키워드 검색 함수 (최소 결과 보장, 재시도는 여기서만 처리)
+      const searchWithKeyword = async (keyword, minResults = 3) => {
+        try {
+          const keywordSearchStartTime = Date.now();
+          let bestResults = [];
+          const strategies = [
+            { display: 30, sort: "sim", desc: "정확도순 (display=30)" },
+            { display: 50, sort: "sim", desc: "정확도순 (display=50)" },
+            { display: 50, sort: "date", desc: "날짜순" },
+          ];
+
+          for (let i = 0; i < strategies.length; i++) {
+            const strategy = strategies[i];
+
+            // Rate Limit 방지를 위한 딜레이 (첫 시도 제외)
+            if (i > 0) {
+              await sleep(300);
+            }
 
-          searchResults.chromaDB = {
-            success: true,
-            gifts: chromaGifts,
-            count: chromaGifts.length,
-          };
-          console.log(
-            `✅ [Step 2] ChromaDB 검색 완료: ${chromaGifts.length}개 결과`
-          );
-          if (chromaGifts.length > 0) {
-            console.log(`   최고 유사도: ${chromaGifts[0].similarity}`);
             console.log(
-              `   첫 번째 결과: ${
-                chromaGifts[0].metadata?.name || chromaGifts[0].id
-              }`
+              `   → 네이버 검색 중: "${keyword}" (전략 ${i + 1}/${
+                strategies.length
+              }: ${strategy.desc})`
             );
-          }
-        } else {
-          console.log("⚠️  [Step 2] ChromaDB에서 일치하는 결과 없음");
-        }
-      } catch (error) {
-        searchResults.chromaDB = {
-          success: false,
-          error: error.message,
-        };
-        logger.gift.error("[Step 2] ChromaDB 검색 실패", error);
-      }
-
-      // Step 3: 네이버 쇼핑 검색 (LLM 키워드 추출 사용)
-      const step3StartTime = Date.now();
-      if (includeNaver) {
-        console.log("\n[Step 3] 네이버 쇼핑 검색 시작...");
-        try {
-          // LLM을 사용하여 최적의 검색 키워드 추출
-          console.log("   → LLM 키워드 추출 중...");
-          const extractedKeywords = await extractSearchKeywords(
-            personaData,
-            primaryMemo
-          );
-          console.log(
-            `   ✅ 키워드 추출 완료: ${extractedKeywords.join(", ")}`
-          );
 
-          // 여러 키워드로 검색하여 결과 통합
-          const naverGifts = [];
-          const searchedKeywords = [];
-          const failedKeywords = []; // 실패한 키워드 추적
-
-          // 딜레이 유틸리티 함수
-          const sleep = (ms) =>
-            new Promise((resolve) => setTimeout(resolve, ms));
-
-          // 키워드 검색 함수 (최소 결과 보장, 재시도는 여기서만 처리)
-          const searchWithKeyword = async (keyword, minResults = 3) => {
-            try {
-              const keywordSearchStartTime = Date.now();
-              let bestResults = [];
-              const strategies = [
-                { display: 30, sort: "sim", desc: "정확도순 (display=30)" },
-                { display: 50, sort: "sim", desc: "정확도순 (display=50)" },
-                { display: 50, sort: "date", desc: "날짜순" },
-              ];
-
-              for (let i = 0; i < strategies.length; i++) {
-                const strategy = strategies[i];
-
-                // Rate Limit 방지를 위한 딜레이 (첫 시도 제외)
-                if (i > 0) {
-                  await sleep(300);
-                }
+            const result = await getNaverGiftRecommendations(keyword, {
+              display: strategy.display,
+              sort: strategy.sort,
+              minPrice: minPriceWon,
+              maxPrice: maxPriceWon,
+            });
 
-                console.log(
-                  `   → 네이버 검색 중: "${keyword}" (전략 ${i + 1}/${
-                    strategies.length
-                  }: ${strategy.desc})`
-                );
+            const currentResults = result.recommendedGifts || [];
 
-                const result = await getNaverGiftRecommendations(keyword, {
-                  display: strategy.display,
-                  sort: strategy.sort,
-                  minPrice: minPriceWon,
-                  maxPrice: maxPriceWon,
-                });
-
-                const currentResults = result.recommendedGifts || [];
-
-                // 더 좋은 결과가 있으면 업데이트
-                if (currentResults.length > bestResults.length) {
-                  bestResults = currentResults;
-                  console.log(`      → 결과: ${currentResults.length}개`);
-                } else {
-                  console.log(
-                    `      → 결과: ${currentResults.length}개 (이전 결과 유지: ${bestResults.length}개)`
-                  );
-                }
-
-                // 목표 개수 달성하면 즉시 종료
-                if (bestResults.length >= minResults) {
-                  console.log(
-                    `      ✅ 목표 달성 (${bestResults.length}개 >= ${minResults}개)`
-                  );
-                  break;
-                }
-              }
+            // 더 좋은 결과가 있으면 업데이트
+            if (currentResults.length > bestResults.length) {
+              bestResults = currentResults;
+              console.log(`      → 결과: ${currentResults.length}개`);
+            } else {
+              console.log(
+                `      → 결과: ${currentResults.length}개 (이전 결과 유지: ${bestResults.length}개)`
+              );
+            }
 
-              // 최종 결과 처리
-              if (bestResults.length > 0) {
-                naverGifts.push(...bestResults);
-                searchedKeywords.push(keyword);
-                const keywordSearchTime = Date.now() - keywordSearchStartTime;
+            // 목표 개수 달성하면 즉시 종료
+            if (bestResults.length >= minResults) {
+              console.log(
+                `      ✅ 목표 달성 (${bestResults.length}개 >= ${minResults}개)`
+              );
+              break;
+            }
+          }
 
-                console.log(
-                  `   ✅ "${keyword}": 최종 ${bestResults.length}개 결과 (소요: ${keywordSearchTime}ms)`
-                );
-                bestResults.slice(0, 3).forEach((gift, idx) => {
-                  console.log(
-                    `      ${idx + 1}. ${
-                      gift.metadata?.name || "이름 없음"
-                    } - ${
-                      gift.metadata?.price_num?.toLocaleString() ||
-                      "가격 정보 없음"
-                    }원`
-                  );
-                });
-
-                return true;
-              }
+          // 최종 결과 처리
+          if (bestResults.length > 0) {
+            naverGifts.push(...bestResults);
+            searchedKeywords.push(keyword);
+            const keywordSearchTime = Date.now() - keywordSearchStartTime;
 
-              logger.debug(`"${keyword}": 결과 없음`);
-              return false;
-            } catch (keywordError) {
-              logger.error(
-                `"${keyword}" 검색 실패`,
-                keywordError
+            console.log(
+              `   ✅ "${keyword}": 최종 ${bestResults.length}개 결과 (소요: ${keywordSearchTime}ms)`
+            );
+            bestResults.slice(0, 3).forEach((gift, idx) => {
+              console.log(
+                `      ${idx + 1}. ${
+                  gift.metadata?.name || "이름 없음"
+                } - ${
+                  gift.metadata?.price_num?.toLocaleString() ||
+                  "가격 정보 없음"
+                }원`
               );
-              return false;
-            }
-          };
+            });
 
-          // 키워드 단순화 함수 (예: "축구 용품" → "축구")
-          const simplifyKeyword = (keyword) => {
-            return keyword
-              .replace(/\s*선물\s*/g, "")
-              .replace(/\s*용품\s*/g, "")
-              .replace(/\s*세트\s*/g, "")
-              .trim();
-          };
+            return true;
+          }
 
-          // 핵심 키워드만 검색 (최대 3개)
-          const coreKeywords = extractedKeywords.slice(0, 3);
+          logger.debug(`"${keyword}": 결과 없음`);
+          return false;
+        } catch (keywordError) {
+          logger.error(
+            `"${keyword}" 검색 실패`,
+            keywordError
+          );
+          return false;
+        }
+      };
 
-          // 각 키워드 검색: 최소 3개 결과 보장
-          for (let i = 0; i < coreKeywords.length; i++) {
-            const keyword = coreKeywords[i];
+      // 키워드 단순화 함수 (예: "축구 용품" → "축구")
+      const simplifyKeyword = (keyword) => {
+        return keyword
+          .replace(/\s*선물\s*/g, "")
+          .replace(/\s*용품\s*/g, "")
+          .replace(/\s*세트\s*/g, "")
+          .trim();
+      };
 
-            // 키워드 간 딜레이 (첫 키워드 제외)
-            if (i > 0) {
-              console.log(`   💤 키워드 간 딜레이 (300ms)...`);
-              await sleep(300);
-            }
+      // 핵심 키워드만 검색 (최대 3개)
+      const coreKeywords = extractedKeywords.slice(0, 3);
 
-            let success = await searchWithKeyword(keyword, 3);
+      // 각 키워드 검색: 최소 3개 결과 보장
+      for (let i = 0; i < coreKeywords.length; i++) {
+        const keyword = coreKeywords[i];
 
-            // 결과가 없으면 키워드 단순화해서 재검색
-            if (!success) {
-              const simplifiedKeyword = simplifyKeyword(keyword);
-              if (simplifiedKeyword && simplifiedKeyword !== keyword) {
-                console.log(
-                  `      ⚠️  결과 없음 → 키워드 단순화하여 재검색: "${keyword}" → "${simplifiedKeyword}"`
-                );
-                await sleep(300); // 단순화 재검색 전 딜레이
-                success = await searchWithKeyword(simplifiedKeyword, 3);
-              }
+        // 키워드 간 딜레이 (첫 키워드 제외)
+        if (i > 0) {
+          console.log(`   💤 키워드 간 딜레이 (300ms)...`);
+          await sleep(300);
+        }
 
-              if (!success) {
-                failedKeywords.push(keyword);
-              }
-            }
-          }
+        let success = await searchWithKeyword(keyword, 3);
 
-          // 결과가 부족하면 일반 선물 키워드로 폴백
-          if (naverGifts.length < 3) {
+        // 결과가 없으면 키워드 단순화해서 재검색
+        if (!success) {
+          const simplifiedKeyword = simplifyKeyword(keyword);
+          if (simplifiedKeyword && simplifiedKeyword !== keyword) {
             console.log(
-              `   → 결과 부족 (${naverGifts.length}개), 일반 선물 키워드로 폴백 검색...`
+              `      ⚠️  결과 없음 → 키워드 단순화하여 재검색: "${keyword}" → "${simplifiedKeyword}"`
             );
-            const fallbackKeywords = ["선물", "기프트", "선물세트"];
-            for (let i = 0; i < fallbackKeywords.length; i++) {
-              if (naverGifts.length >= 3) break;
-              if (i > 0) await sleep(300); // 폴백 키워드 간 딜레이
-              await searchWithKeyword(fallbackKeywords[i], 1);
-            }
+            await sleep(300); // 단순화 재검색 전 딜레이
+            success = await searchWithKeyword(simplifiedKeyword, 3);
           }
 
-          // 중복 제거는 리랭킹 단계에서 처리하므로 여기서는 제거하지 않음
-          const step3Duration = Date.now() - step3StartTime;
-
-          // ===== 네이버 검색 통계 요약 =====
-          console.log(`\n${"=".repeat(60)}`);
-          console.log(`📊 [Step 3] 네이버 쇼핑 검색 통계 요약 (recommend)`);
-          console.log(`${"=".repeat(60)}`);
-          console.log(`   ⏱️  총 소요 시간: ${step3Duration}ms`);
-          console.log(`   🔑 추출 키워드: ${extractedKeywords.length}개`);
-          console.log(`   🔍 실제 검색 키워드: ${searchedKeywords.length}개`);
-          console.log(`   ❌ 실패 키워드: ${failedKeywords.length}개`);
-          console.log(`   📦 수집 결과: ${naverGifts.length}개`);
-
-          // 실패 키워드 목록
-          if (failedKeywords.length > 0) {
-            console.log(`\n   ⚠️  실패한 키워드:`);
-            failedKeywords.forEach((kw, idx) => {
-              console.log(`      ${idx + 1}. "${kw}"`);
-            });
+          if (!success) {
+            failedKeywords.push(keyword);
           }
+        }
+      }
 
-          // 가격 분포 분석
-          if (naverGifts.length > 0) {
-            const prices = naverGifts
-              .map((g) => g.metadata?.price_num || 0)
-              .filter((p) => p > 0);
-            if (prices.length > 0) {
-              const minPrice = Math.min(...prices);
-              const maxPrice = Math.max(...prices);
-              const avgPrice = Math.round(
-                prices.reduce((a, b) => a + b, 0) / prices.length
-              );
-              console.log(`\n   💰 가격 분포:`);
-              console.log(`      최저가: ${minPrice.toLocaleString()}원`);
-              console.log(`      최고가: ${maxPrice.toLocaleString()}원`);
-              console.log(`      평균가: ${avgPrice.toLocaleString()}원`);
-            }
-          }
-          console.log(`${"=".repeat(60)}\n`);
+      // 결과가 부족하면 일반 선물 키워드로 폴백
+      if (naverGifts.length < 3) {
+        console.log(
+          `   → 결과 부족 (${naverGifts.length}개), 일반 선물 키워드로 폴백 검색...`
+        );
+        const fallbackKeywords = ["선물", "기프트", "선물세트"];
+        for (let i = 0; i < fallbackKeywords.length; i++) {
+          if (naverGifts.length >= 3) break;
+          if (i > 0) await sleep(300); // 폴백 키워드 간 딜레이
+          await searchWithKeyword(fallbackKeywords[i], 1);
+        }
+      }
 
-          searchResults.naver = {
-            success: true,
-            gifts: naverGifts,
-            count: naverGifts.length,
-            extractedKeywords,
-            searchedKeywords,
-            failedKeywords,
-            timing: {
-              total: step3Duration,
-            },
-          };
-          console.log(
-            `✅ [Step 3] 네이버 검색 완료: ${naverGifts.length}개 결과 (${step3Duration}ms)`
+      // 중복 제거는 리랭킹 단계에서 처리하므로 여기서는 제거하지 않음
+      const step3Duration = Date.now() - step3StartTime;
+
+      // ===== 네이버 검색 통계 요약 =====
+      console.log(`\n${"=".repeat(60)}`);
+      console.log(`📊 [Step 3] 네이버 쇼핑 검색 통계 요약 (recommend)`);
+      console.log(`${"=".repeat(60)}`);
+      console.log(`   ⏱️  총 소요 시간: ${step3Duration}ms`);
+      console.log(`   🔑 추출 키워드: ${extractedKeywords.length}개`);
+      console.log(`   🔍 실제 검색 키워드: ${searchedKeywords.length}개`);
+      console.log(`   ❌ 실패 키워드: ${failedKeywords.length}개`);
+      console.log(`   📦 수집 결과: ${naverGifts.length}개`);
+
+      // 실패 키워드 목록
+      if (failedKeywords.length > 0) {
+        console.log(`\n   ⚠️  실패한 키워드:`);
+        failedKeywords.forEach((kw, idx) => {
+          console.log(`      ${idx + 1}. "${kw}"`);
+        });
+      }
+
+      // 가격 분포 분석
+      if (naverGifts.length > 0) {
+        const prices = naverGifts
+          .map((g) => g.metadata?.price_num || 0)
+          .filter((p) => p > 0);
+        if (prices.length > 0) {
+          const minPrice = Math.min(...prices);
+          const maxPrice = Math.max(...prices);
+          const avgPrice = Math.round(
+            prices.reduce((a, b) => a + b, 0) / prices.length
           );
-          console.log(`   사용된 키워드: ${searchedKeywords.join(", ")}`);
-        } catch (error) {
-          searchResults.naver = {
-            success: false,
-            error: error.message,
-          };
-          logger.gift.error("[Step 3] 네이버 검색 실패", error);
+          console.log(`\n   💰 가격 분포:`);
+          console.log(`      최저가: ${minPrice.toLocaleString()}원`);
+          console.log(`      최고가: ${maxPrice.toLocaleString()}원`);
+          console.log(`      평균가: ${avgPrice.toLocaleString()}원`);
         }
-      } else {
-        console.log("\n[Step 3] 네이버 검색 건너뜀 (includeNaver=false)");
       }
+      console.log(`${"=".repeat(60)}\n`);
 
-      // Step 4: 결과 통합 및 중복 제거
-      console.log("\n[Step 4] 결과 통합 및 중복 제거 시작...");
-      const allGiftsRaw = [
-        ...(searchResults.chromaDB.gifts || []),
-        ...(searchResults.naver.gifts || []),
-      ];
+      searchResults.naver = {
+        success: true,
+        gifts: naverGifts,
+        count: naverGifts.length,
+        extractedKeywords,
+        searchedKeywords,
+        failedKeywords,
+        timing: {
+          total: step3Duration,
+        },
+      };
       console.log(
-        `   → 통합 전: ChromaDB ${searchResults.chromaDB.count}개 + 네이버 ${searchResults.naver.count}개 = 총 ${allGiftsRaw.length}개`
+        `✅ [Step 3] 네이버 검색 완료: ${naverGifts.length}개 결과 (${step3Duration}ms)`
       );
+      console.log(`   사용된 키워드: ${searchedKeywords.join(", ")}`);
+    } catch (error) {
+      searchResults.naver = {
+        success: false,
+        error: error.message,
+      };
+      logger.gift.error("[Step 3] 네이버 검색 실패", error);
+    }
+  } else {
+    console.log("\n[Step 3] 네이버 검색 건너뜀 (includeNaver=false)");
+  }
 
-      // 검색 단계에서 중복 제거 (ID 및 이름 기준)
-      logger.gift.step("중복 제거", `검색 결과 중복 제거 중... (${allGiftsRaw.length}개)`);
-      const { uniqueGifts: allGifts, duplicates } = removeDuplicateGifts(allGiftsRaw);
-      if (duplicates.length > 0) {
-        logger.gift.info(`중복 제거 완료: ${duplicates.length}개 제거, ${allGifts.length}개 남음`);
-      } else {
-        logger.gift.info(`중복 없음: ${allGifts.length}개 유지`);
+  // Step 4: 결과 통합 및 중복 제거
+  console.log("\n[Step 4] 결과 통합 및 중복 제거 시작...");
+  const allGiftsRaw = [
+    ...(searchResults.chromaDB.gifts || []),
+    ...(searchResults.naver.gifts || []),
+  ];
+  console.log(
+    `   → 통합 전: ChromaDB ${searchResults.chromaDB.count}개 + 네이버 ${searchResults.naver.count}개 = 총 ${allGiftsRaw.length}개`
+  );
+
+  // 검색 단계에서 중복 제거 (ID 및 이름 기준)
+  logger.gift.step("중복 제거", `검색 결과 중복 제거 중... (${allGiftsRaw.length}개)`);
+  const { uniqueGifts: allGifts, duplicates } = removeDuplicateGifts(allGiftsRaw);
+  if (duplicates.length > 0) {
+    logger.gift.info(`중복 제거 완료: ${duplicates.length}개 제거, ${allGifts.length}개 남음`);
+  } else {
+    logger.gift.info(`중복 없음: ${allGifts.length}개 유지`);
+  }
+  console.log(
+    `   → 통합 후 (중복 제거): ${allGifts.length}개 (제거: ${duplicates.length}개)`
+  );
+
+  // 프로필 데이터 조회
+  const preferenceProfile = await fetchPreferenceProfile(cardId, userId);
+  
+  // Preference Profile 우선순위 확인 및 로깅
+  const priorityInfo = checkPreferencePriority(preferenceProfile, {
+    memo: personaData.memo,
+    addMemo: personaData.addMemo,
+  });
+  logger.gift.debug("Preference Profile 우선순위", priorityInfo);
+
+  // 리랭킹 및 추천 이유 생성
+  const { recommendedGifts, rationaleCards } = await performRerankingAndGenerateRationale(
+    allGifts,
+    personaString,
+    personaData,
+    preferenceProfile,
+    GIFT_CONFIG.DEFAULT_TOP_N,
+    "",
+    `${card.name || "상대방"}님에게 적합한 선물입니다.`
+  );
+
+  logger.gift.success("명함 기반 선물 추천 완료", {
+    최종추천개수: recommendedGifts.length,
+  });
+
+  return {
+    personaString,
+    card: {
+      id: card.id,
+      name: card.name,
+      position: card.position,
+      company: card.company,
+      gender: card.gender,
+    },
+    recommendedGifts: normalizeGiftResponse(recommendedGifts),
+    rationaleCards,
+  };
+};
+
+// @route   POST /api/gifts/recommend
+// @desc    명함 카드 정보를 기반으로 선물 추천 (ChromaDB + 네이버 쇼핑 통합)
+// @access  Private
+router.post(
+  "/recommend",
+  [
+    body("cardId").notEmpty().withMessage("명함 ID(cardId)를 입력해주세요."),
+    body("additionalInfo").optional().trim(),
+    body("gender").optional().trim(),
+    body("memos").optional().isArray(),
+    body("minPrice").optional().isFloat({ min: 0 }),
+    body("maxPrice").optional().isFloat({ min: 0 }),
+    body("includeNaver").optional().isBoolean(),
+  ],
+  enforceDailyQuota(QUOTA.RECOMMENDATIONS),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
       }
-      console.log(
-        `   → 통합 후 (중복 제거): ${allGifts.length}개 (제거: ${duplicates.length}개)`
-      );
 
-      // 프로필 데이터 조회
-      const preferenceProfile = await fetchPreferenceProfile(cardId);
-      
-      // Preference Profile 우선순위 확인 및 로깅
-      const priorityInfo = checkPreferencePriority(preferenceProfile, {
-        memo: personaData.memo,
-        addMemo: personaData.addMemo,
+      const data = await recommendGiftsForCard(req.user.id, req.body);
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: "명함을 찾을 수 없습니다.",
+        });
+      }
+
+      res.json({
+        success: true,
+        data,
       });
-      logger.gift.debug("Preference Profile 우선순위", priorityInfo);
+    } catch (error) {
+      logger.gift.error("[명함 기반 선물 추천] 오류 발생", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "선물 추천에 실패했습니다.",
+      });
+    }
+  }
+);
 
-      // 리랭킹 및 추천 이유 생성
-      const { recommendedGifts, rationaleCards } = await performRerankingAndGenerateRationale(
-        allGifts,
-        personaString,
-        personaData,
-        preferenceProfile,
-        GIFT_CONFIG.DEFAULT_TOP_N,
-        "",
-        `${card.name || "상대방"}님에게 적합한 선물입니다.`
-      );
+// 그룹 추천은 그룹을 먼저 조회해 실제로 추천할 명함 수(limit와 그룹 명함 수 중 작은 값)만큼 쿼터를 차감하고,
+// 추천하지 못한 만큼 되돌림 (조회한 그룹은 req.recommendGroup으로 핸들러에 전달)
+const groupRecommendCount = async (req) => {
+  const requested = Math.min(
+    Math.max(parseInt(req.body.limit) || GROUP_CONFIG.RECOMMEND_MAX_CARDS, 1),
+    GROUP_CONFIG.RECOMMEND_MAX_CARDS
+  );
+  const group = Number.isInteger(req.body.groupId)
+    ? await CardGroup.findSummaryById(req.body.groupId, req.user.id)
+    : null;
+  const filters = group ? CardGroup.cardFilters(group) : null;
+  const total = group ? await BusinessCard.countByUserId(req.user.id, filters) : 0;
+  const limit = Math.min(requested, total);
+
+  req.recommendGroup = { group, filters, total, limit };
+  // 빈 그룹/없는 그룹도 최소 1회 차감 후 응답에서 되돌림 (한도 초과 시 429 우선)
+  return Math.max(limit, 1);
+};
+
+// @route   POST /api/gifts/recommend/group
+// @desc    그룹(일반/스마트 그룹) 명함별 선물 추천 (최근 등록한 명함부터 limit장, 명함마다 /recommend와 같은 추천)
+// @access  Private
+router.post(
+  "/recommend/group",
+  [
+    body("groupId").isInt({ min: 1 }).withMessage("그룹 ID(groupId)를 입력해주세요.").toInt(),
+    body("limit").optional().isInt({ min: 1, max: GROUP_CONFIG.RECOMMEND_MAX_CARDS }).toInt(),
+    body("additionalInfo").optional().trim(),
+    body("minPrice").optional().isFloat({ min: 0 }),
+    body("maxPrice").optional().isFloat({ min: 0 }),
+    body("includeNaver").optional().isBoolean(),
+  ],
+  enforceDailyQuota(QUOTA.RECOMMENDATIONS, groupRecommendCount),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
 
-      logger.gift.success("명함 기반 선물 추천 완료", {
-        최종추천개수: recommendedGifts.length,
-      });
+      const { group, filters, total, limit } = req.recommendGroup;
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: "그룹을 찾을 수 없습니다.",
+        });
+      }
+
+      const cardIds = limit > 0 ? await BusinessCard.findIdsByUserId(req.user.id, filters, limit) : [];
+
+      const { additionalInfo, minPrice, maxPrice, includeNaver } = req.body;
+      const results = [];
+      const failed = [];
+      // 외부 API/LLM 호출이 몰리지 않도록 명함 순서대로 추천
+      for (const cardId of cardIds) {
+        try {
+          const data = await recommendGiftsForCard(req.user.id, {
+            cardId,
+            additionalInfo,
+            minPrice,
+            maxPrice,
+            includeNaver,
+          });
+          if (data) {
+            results.push(data);
+          } else {
+            failed.push({ cardId, message: "명함을 찾을 수 없습니다." });
+          }
+        } catch (error) {
+          logger.gift.error(`[그룹 선물 추천] 명함 ${cardId} 추천 실패`, error);
+          failed.push({ cardId, message: error.message });
+        }
+      }
+
+      const charged = Math.max(limit, 1);
+      if (results.length < charged) {
+        await res.locals.releaseQuota(charged - results.length).catch((error) =>
+          logger.warn("Quota release failed", { userId: req.user.id, message: error.message })
+        );
+      }
 
       res.json({
         success: true,
         data: {
-          personaString,
-          card: {
-            id: card.id,
-            name: card.name,
-            position: card.position,
-            company: card.company,
-            gender: card.gender,
-          },
-          recommendedGifts: normalizeGiftResponse(recommendedGifts),
-          rationaleCards,
+          group: { id: group.id, name: group.name, type: group.type },
+          total,
+          results,
+          failed,
         },
       });
     } catch (error) {
-      logger.gift.error("[명함 기반 선물 추천] 오류 발생", error);
-      res.status(500).json({
+      logger.gift.error("[그룹 선물 추천] 오류 발생", error);
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || "선물 추천에 실패했습니다.",
       });
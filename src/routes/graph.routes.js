@@ -33,8 +33,23 @@ import {
   autoImproveAnalysis
 } from "../../graph-extraction/lib/llm-feedback-loop.js";
 
+import { setUsageRecorder } from "../../graph-extraction/lib/llm-client.js";
+import { recordLLMUsage } from "../services/llm/usage.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import { enforceDailyQuota } from "../middleware/quota.middleware.js";
+import { QUOTA } from "../config/subscription.config.js";
+
+// 메인 서버에서는 요청 컨텍스트(사용자/요청 ID)와 함께 사용량 원장에 기록
+setUsageRecorder(recordLLMUsage);
+
 const router = express.Router();
 
+// 모든 그래프 API는 로그인한 사용자의 명함/기록만 분석
+router.use(authenticate);
+
+// LLM 관계 분석은 구독 등급별 일일 한도 적용
+const graphAnalysisQuota = enforceDailyQuota(QUOTA.GRAPH_ANALYSES);
+
 // ========== 헬퍼 함수 ==========
 
 /**
@@ -74,7 +89,7 @@ function calculateInteractionScore(features) {
  */
 router.get("/features", async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     const allFeatures = await extractFeaturesForAllCards(userId);
     
     res.json({
@@ -95,10 +110,14 @@ router.get("/features", async (req, res) => {
 router.get("/features/:cardId", async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     
     const features = await extractFeaturesForCard(cardId, userId);
     
+    if (!features) {
+      return res.status(404).json({ error: "카드를 찾을 수 없습니다." });
+    }
+    
     res.json({
       success: true,
       data: features
@@ -116,7 +135,7 @@ router.get("/features/:cardId", async (req, res) => {
 router.get("/llm-data/:cardId", async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     
     const data = await extractEssentialDataForLLM(cardId, userId);
     
@@ -142,7 +161,7 @@ router.get("/llm-data/:cardId", async (req, res) => {
  */
 router.get("/filter", async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     
     // 1. 모든 피처 추출
     const allFeatures = await extractFeaturesForAllCards(userId);
@@ -167,7 +186,7 @@ router.get("/filter", async (req, res) => {
 router.get("/filter/distribution/:featureKey", async (req, res) => {
   try {
     const featureKey = req.params.featureKey;
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     
     const allFeatures = await extractFeaturesForAllCards(userId);
     const distribution = generateFeatureDistributionData(allFeatures, featureKey);
@@ -188,7 +207,7 @@ router.get("/filter/distribution/:featureKey", async (req, res) => {
  */
 router.get("/filter/correlations", async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     
     const allFeatures = await extractFeaturesForAllCards(userId);
     const filterResult = filterSignificantFeatures(allFeatures);
@@ -213,10 +232,10 @@ router.get("/filter/correlations", async (req, res) => {
  * LLM으로 특정 카드 관계 분석
  * GET /api/graph/llm-analyze/:cardId
  */
-router.get("/llm-analyze/:cardId", async (req, res) => {
+router.get("/llm-analyze/:cardId", graphAnalysisQuota, async (req, res) => {
   try {
     const cardId = parseInt(req.params.cardId);
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     
     console.log(`LLM 관계 분석: cardId=${cardId}`);
     
@@ -247,9 +266,9 @@ router.get("/llm-analyze/:cardId", async (req, res) => {
  * LLM으로 모든 카드 관계 분석 (배치)
  * GET /api/graph/llm-analyze
  */
-router.get("/llm-analyze", async (req, res) => {
+router.get("/llm-analyze", graphAnalysisQuota, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 20; // 비용 고려
     
     console.log(`LLM 일괄 관계 분석: userId=${userId}, limit=${limit}`);
@@ -299,9 +318,9 @@ router.get("/llm-analyze", async (req, res) => {
  * LLM 분석 결과로 그래프 생성
  * GET /api/graph/llm-graph
  */
-router.get("/llm-graph", async (req, res) => {
+router.get("/llm-graph", graphAnalysisQuota, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 20;
     
     // 1. LLM 분석 실행
@@ -400,14 +419,14 @@ router.get("/llm-graph", async (req, res) => {
  * 
  * 타임아웃: 10분 (600초) - LLM 분석이 오래 걸릴 수 있음
  */
-router.get("/llm-auto", (req, res, next) => {
+router.get("/llm-auto", graphAnalysisQuota, (req, res, next) => {
   // 타임아웃을 10분(600초)으로 설정
   req.setTimeout(600000); // 10분 = 600,000ms
   res.setTimeout(600000);
   next();
 }, async (req, res) => {
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 20;
     const maxIterations = parseInt(req.query.maxIterations) || 3;
     
@@ -581,7 +600,7 @@ router.get("/llm-auto", (req, res, next) => {
  * 실시간 진행률 전송
  * GET /api/graph/llm-auto-stream
  */
-router.get("/llm-auto-stream", async (req, res) => {
+router.get("/llm-auto-stream", graphAnalysisQuota, async (req, res) => {
   // SSE 헤더 설정
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -596,7 +615,7 @@ router.get("/llm-auto-stream", async (req, res) => {
   };
 
   try {
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 20;
     const maxIterations = parseInt(req.query.maxIterations) || 3;
     
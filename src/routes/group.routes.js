@@ -2,14 +2,17 @@ import express from "express";
 import { body } from "express-validator";
 import { validationResult } from "express-validator";
 import { authenticate } from "../middleware/auth.middleware.js";
-import CardGroup from "../models/CardGroup.model.js";
+import CardGroup, { GROUP_TYPE } from "../models/CardGroup.model.js";
+import BusinessCard from "../models/BusinessCard.model.js";
+import { assertCardsOwned } from "../services/cardOwnership.service.js";
+import { normalizeSmartGroupRules } from "../utils/smartGroupRules.js";
 
 const router = express.Router();
 
 // 모든 라우트는 인증 필요
 router.use(authenticate);
 
-// 그룹 목록 조회
+// 그룹 목록 조회 (일반 그룹과 스마트 그룹, 스마트 그룹의 cardIds/cardCount는 조회 시점 기준)
 router.get("/", async (req, res) => {
   try {
     const groups = await CardGroup.findByUserId(req.user.id);
@@ -70,6 +73,22 @@ router.put("/orders", [body("groupOrders").isArray()], async (req, res) => {
   }
 });
 
+// 스마트 그룹 규칙 미리보기 (저장하지 않고 규칙에 맞는 명함 수와 ID 반환)
+router.post("/preview", [body("rules").isObject()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const rules = normalizeSmartGroupRules(req.body.rules);
+    const cardIds = await BusinessCard.findIdsByUserId(req.user.id, { groupRules: rules });
+    res.json({ success: true, data: { rules, cardIds: cardIds.map(String), cardCount: cardIds.length } });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+});
+
 // 그룹 상세 조회
 router.get("/:id", async (req, res) => {
   try {
@@ -83,10 +102,10 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// 그룹 생성
+// 그룹 생성 (rules를 주면 스마트 그룹, cardIds와 함께 줄 수 없음)
 router.post(
   "/",
-  [body("name").notEmpty().trim(), body("cardIds").optional().isArray()],
+  [body("name").notEmpty().trim(), body("cardIds").optional().isArray(), body("rules").optional().isObject()],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -95,18 +114,27 @@ router.post(
       }
 
       const { name, cardIds = [] } = req.body;
-      const group = await CardGroup.create(req.user.id, name, cardIds);
+      if (req.body.rules && cardIds.length > 0) {
+        return res.status(400).json({ success: false, message: "Use either cardIds or rules, not both" });
+      }
+      const rules = req.body.rules ? normalizeSmartGroupRules(req.body.rules) : null;
+      const ownedCardIds = await assertCardsOwned(cardIds, req.user.id);
+      const group = await CardGroup.create(req.user.id, name, ownedCardIds, rules);
       res.status(201).json({ success: true, data: group });
     } catch (error) {
-      res.status(500).json({ success: false, message: error.message });
+      res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
   }
 );
 
-// 그룹 수정
+// 그룹 수정 (일반 그룹은 cardIds, 스마트 그룹은 rules)
 router.put(
   "/:id",
-  [body("name").optional().notEmpty().trim(), body("cardIds").optional().isArray()],
+  [
+    body("name").optional().notEmpty().trim(),
+    body("cardIds").optional().isArray(),
+    body("rules").optional().isObject(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -115,13 +143,15 @@ router.put(
       }
 
       const { name, cardIds } = req.body;
-      const group = await CardGroup.update(req.params.id, req.user.id, name, cardIds);
+      const rules = req.body.rules ? normalizeSmartGroupRules(req.body.rules) : null;
+      const ownedCardIds = cardIds !== undefined ? await assertCardsOwned(cardIds, req.user.id) : null;
+      const group = await CardGroup.update(req.params.id, req.user.id, name, ownedCardIds, rules);
       if (!group) {
         return res.status(404).json({ success: false, message: "Group not found" });
       }
       res.json({ success: true, data: group });
     } catch (error) {
-      res.status(500).json({ success: false, message: error.message });
+      res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
   }
 );
@@ -147,25 +177,36 @@ router.post("/:id/cards", [body("cardId").isInt()], async (req, res) => {
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    await CardGroup.addCard(req.params.id, req.body.cardId);
-    const group = await CardGroup.findById(req.params.id, req.user.id);
-    if (!group) {
+    const existing = await CardGroup.findSummaryById(req.params.id, req.user.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: "Group not found" });
     }
+    if (existing.type === GROUP_TYPE.SMART) {
+      return res.status(400).json({ success: false, message: "Cannot add cards to a smart group" });
+    }
+    const [cardId] = await assertCardsOwned(req.body.cardId, req.user.id);
+
+    await CardGroup.addCard(existing.id, cardId);
+    const group = await CardGroup.findById(existing.id, req.user.id);
     res.json({ success: true, data: group });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
 // 그룹에서 명함 제거
 router.delete("/:id/cards/:cardId", async (req, res) => {
   try {
-    await CardGroup.removeCard(req.params.id, req.params.cardId);
-    const group = await CardGroup.findById(req.params.id, req.user.id);
-    if (!group) {
+    const existing = await CardGroup.findSummaryById(req.params.id, req.user.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: "Group not found" });
     }
+    if (existing.type === GROUP_TYPE.SMART) {
+      return res.status(400).json({ success: false, message: "Cannot remove cards from a smart group" });
+    }
+
+    await CardGroup.removeCard(existing.id, req.params.cardId);
+    const group = await CardGroup.findById(existing.id, req.user.id);
     res.json({ success: true, data: group });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
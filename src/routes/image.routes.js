@@ -0,0 +1,43 @@
+import express from "express";
+import { getImageStorage } from "../services/storage/index.js";
+
+const router = express.Router();
+
+// @route   GET /api/images/:key
+// @desc    Serve stored image by signed URL (local 저장소, expires/signature 쿼리 검증)
+//          <img> 태그로 불러오므로 Authorization 헤더 대신 서명으로 접근 제어
+// @access  Public (signed)
+router.get("/*", async (req, res) => {
+  try {
+    const key = req.params[0];
+    const storage = getImageStorage();
+    const { expires, signature } = req.query;
+
+    if (typeof storage.verifySignature !== "function" || !storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid or expired image URL",
+      });
+    }
+
+    const image = await storage.get(key);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: "Image not found",
+      });
+    }
+
+    // 앱/웹 프론트가 다른 origin에서 불러올 수 있도록 (helmet 기본값은 same-origin)
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.type(image.contentType).send(image.body);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
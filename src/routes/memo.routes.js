@@ -14,8 +14,7 @@ router.use(authenticate);
 router.post(
   '/',
   [
-    body('user_id').notEmpty().withMessage('user_id is required'),
-    body('business_card_id').notEmpty().withMessage('business_card_id is required'),
+    body('business_card_id').isInt({ min: 1 }).withMessage('business_card_id is required'),
     body('content').notEmpty().trim().withMessage('content is required'),
   ],
   async (req, res) => {
@@ -28,14 +27,22 @@ router.post(
         });
       }
 
-      const { user_id, business_card_id, content } = req.body;
+      // 작성자는 항상 로그인 사용자 (요청 본문의 user_id는 무시)
+      const { business_card_id, content } = req.body;
 
       const memo = await Memo.create({
-        userId: user_id,
-        businessCardId: business_card_id,
+        userId: req.user.id,
+        businessCardId: parseInt(business_card_id, 10),
         content,
       });
 
+      if (!memo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Business card not found',
+        });
+      }
+
       res.status(201).json({
         success: true,
         data: memo,
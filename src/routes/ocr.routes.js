@@ -1,7 +1,15 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { enforceDailyQuota } from '../middleware/quota.middleware.js';
+import { QUOTA } from '../config/subscription.config.js';
 import { processOCR } from '../services/ocr.service.js';
+import {
+  MAX_BATCH_IMAGES,
+  DEFAULT_MIN_CONFIDENCE,
+  startOcrBatch,
+} from '../services/ocrBatch.service.js';
+import OcrJob from '../models/OcrJob.model.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -10,11 +18,12 @@ const router = express.Router();
 router.use(authenticate);
 
 // @route   POST /api/ocr/process
-// @desc    Process OCR from image
+// @desc    Process OCR from image (backImage를 주면 앞/뒷면 결과를 병합)
 // @access  Private
 router.post('/process', [
   body('image').notEmpty().withMessage('Image is required'),
-], async (req, res) => {
+  body('backImage').optional().isString().notEmpty().withMessage('backImage must be a base64 string'),
+], enforceDailyQuota(QUOTA.OCR_SCANS), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -24,10 +33,10 @@ router.post('/process', [
       });
     }
 
-    const { image } = req.body; // Base64 encoded image
+    const { image, backImage } = req.body; // Base64 encoded image (앞면, 뒷면)
 
     // Process OCR
-    const ocrResult = await processOCR(image);
+    const ocrResult = await processOCR(image, { backImage });
 
     res.json({
       success: true,
@@ -42,5 +51,112 @@ router.post('/process', [
   }
 });
 
+// 일괄 요청은 명함 수만큼 OCR 쿼터를 차감 (양면도 명함 1장으로 계산)
+const batchImageCount = (req) =>
+  Array.isArray(req.body.images) ? Math.min(Math.max(req.body.images.length, 1), MAX_BATCH_IMAGES) : 1;
+
+// @route   POST /api/ocr/batch
+// @desc    Start batch OCR job (이미지별 진행 상태는 GET /api/ocr/jobs/:id로 확인)
+// @access  Private
+router.post('/batch', [
+  body('images')
+    .isArray({ min: 1, max: MAX_BATCH_IMAGES })
+    .withMessage(`images must be an array of 1 to ${MAX_BATCH_IMAGES} images`),
+  // 단면은 base64 문자열, 양면은 { front, back }
+  body('images.*')
+    .custom((image) =>
+      (typeof image === 'string' && image.length > 0) ||
+      (image && typeof image.front === 'string' && image.front.length > 0 &&
+        (image.back === undefined || (typeof image.back === 'string' && image.back.length > 0)))
+    )
+    .withMessage('Each image must be a base64 string or { front, back }'),
+  body('autoCreate').optional().isBoolean().withMessage('autoCreate must be a boolean'),
+  body('minConfidence')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('minConfidence must be between 0 and 1'),
+], enforceDailyQuota(QUOTA.OCR_SCANS, batchImageCount), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { images, autoCreate = false, minConfidence = DEFAULT_MIN_CONFIDENCE } = req.body;
+
+    const job = await startOcrBatch(req.user, images, {
+      autoCreate: autoCreate === true || autoCreate === 'true',
+      minConfidence: Number(minConfidence),
+      releaseQuota: res.locals.releaseQuota,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('OCR batch Error', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to start OCR batch'
+    });
+  }
+});
+
+// @route   GET /api/ocr/jobs
+// @desc    Get recent batch OCR jobs (이미지별 결과 제외)
+// @access  Private
+router.get('/jobs', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be between 1 and 100'
+      });
+    }
+
+    const jobs = await OcrJob.findByUserId(req.user.id, { limit });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/ocr/jobs/:id
+// @desc    Get batch OCR job with per-image status and results
+// @access  Private
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await OcrJob.findById(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 export default router;
 
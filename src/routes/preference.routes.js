@@ -1,6 +1,7 @@
 import express from 'express';
 import PreferenceProfile from '../models/PreferenceProfile.model.js';
 import { processMemosForPreference } from '../services/preference.service.js';
+import { assertCardsOwned } from '../services/cardOwnership.service.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { logger } from '../utils/logger.js';
 
@@ -24,7 +25,8 @@ router.get('/:business_card_id/preferences', async (req, res) => {
       });
     }
 
-    const profile = await PreferenceProfile.findByBusinessCardId(businessCardId);
+    await assertCardsOwned(businessCardId, req.user.id);
+    const profile = await PreferenceProfile.findByBusinessCardId(businessCardId, req.user.id);
 
     if (!profile) {
       return res.json({
@@ -54,7 +56,7 @@ router.get('/:business_card_id/preferences', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error fetching preferences', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
     });
@@ -78,8 +80,10 @@ router.post('/:business_card_id/preferences/rebuild', async (req, res) => {
 
     const { limit = 50 } = req.body;
 
+    await assertCardsOwned(businessCardId, req.user.id);
+
     // Process memos and rebuild profile
-    const preferences = await processMemosForPreference(businessCardId, limit);
+    const preferences = await processMemosForPreference(businessCardId, limit, req.user.id);
 
     res.json({
       success: true,
@@ -88,7 +92,7 @@ router.post('/:business_card_id/preferences/rebuild', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error rebuilding preferences', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Failed to rebuild preference profile',
     });
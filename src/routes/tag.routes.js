@@ -0,0 +1,160 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import { authenticate } from "../middleware/auth.middleware.js";
+import CardTag from "../models/CardTag.model.js";
+import { assertCardsOwned } from "../services/cardOwnership.service.js";
+import { MAX_TAG_NAME_LENGTH, MAX_TAGS_PER_REQUEST, normalizeTagName, normalizeTagNames } from "../utils/tags.js";
+
+const router = express.Router();
+
+// 한 번에 태그를 붙이거나 뗄 수 있는 최대 명함 수
+const MAX_BULK_TAG_CARDS = 500;
+
+// 모든 라우트는 인증 필요
+router.use(authenticate);
+
+// @route   GET /api/tags
+// @desc    Get tags with card counts (q로 자동완성: 앞부분 일치 → 많이 쓴 태그 순)
+// @access  Private
+router.get(
+  "/",
+  [
+    query("q").optional().isString().trim().isLength({ max: MAX_TAG_NAME_LENGTH }),
+    query("limit").optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const tags = await CardTag.findByUserId(req.user.id, {
+        q: normalizeTagName(req.query.q),
+        limit: req.query.limit || 50,
+      });
+      res.json({
+        success: true,
+        data: tags,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/tags/bulk
+// @desc    Tag / untag selected cards ({ cardIds, add: [이름], remove: [이름] }, 한 트랜잭션)
+// @access  Private
+router.post(
+  "/bulk",
+  [
+    body("cardIds").isArray({ min: 1, max: MAX_BULK_TAG_CARDS })
+      .withMessage(`cardIds must be an array of 1-${MAX_BULK_TAG_CARDS} card IDs`),
+    body(["add", "remove"]).optional().isArray({ max: MAX_TAGS_PER_REQUEST }),
+    body(["add.*", "remove.*"]).isString().trim().isLength({ min: 1, max: MAX_TAG_NAME_LENGTH }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const add = normalizeTagNames(req.body.add || []);
+      const remove = normalizeTagNames(req.body.remove || []);
+      if (add.length === 0 && remove.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "add or remove is required",
+        });
+      }
+
+      const cardIds = await assertCardsOwned(req.body.cardIds, req.user.id);
+      const { tags, added, removed } = await CardTag.bulkUpdate(req.user.id, cardIds, { add, remove });
+
+      res.json({
+        success: true,
+        data: { cardIds, tags, added, removed },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/tags/:id
+// @desc    Rename tag (같은 이름의 태그가 있으면 409)
+// @access  Private
+router.put(
+  "/:id",
+  [body("name").isString().trim().isLength({ min: 1, max: MAX_TAG_NAME_LENGTH })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const tag = await CardTag.rename(req.params.id, req.user.id, normalizeTagName(req.body.name));
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          message: "Tag not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: tag,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete tag (명함에서도 함께 제거)
+// @access  Private
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await CardTag.delete(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Tag deleted successfully",
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+export default router;
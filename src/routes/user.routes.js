@@ -1,6 +1,10 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
+import { body, query, validationResult } from "express-validator";
 import User from "../models/User.model.js";
+import LlmUsage from "../models/LlmUsage.model.js";
+import { getQuotaSummary } from "../services/quota.service.js";
+import { sendVerificationEmail } from "../services/account.service.js";
+import { LLM_CONFIG } from "../config/llm.config.js";
 import { authenticate } from "../middleware/auth.middleware.js";
 import { logger } from "../utils/logger.js";
 
@@ -57,7 +61,22 @@ router.put(
         console.log(`⚠️  cardDesign 값 없음`);
       }
 
-      const user = await User.update(req.user.id, req.body);
+      // 인증 여부는 인증 토큰으로만 변경, 이메일이 바뀌면 다시 인증 필요
+      const { emailVerified, ...updates } = req.body;
+      const emailChanged = updates.email !== undefined && updates.email !== req.user.email;
+      if (emailChanged) {
+        updates.emailVerified = false;
+      }
+
+      const user = await User.update(req.user.id, updates);
+
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(user);
+        } catch (mailError) {
+          logger.warn("Verification email failed", { userId: user.id, message: mailError.message });
+        }
+      }
 
       // 디버깅: 업데이트 결과 로그
       console.log(
@@ -83,4 +102,114 @@ router.put(
   }
 );
 
+// @route   GET /api/users/quota
+// @desc    Get subscription-tier quota status (cards, daily recommendations/graph analyses/OCR scans)
+// @access  Private
+router.get("/quota", async (req, res) => {
+  try {
+    const quota = await getQuotaSummary(req.user);
+    res.json({
+      success: true,
+      data: {
+        subscription: req.user.subscription,
+        quota,
+      },
+    });
+  } catch (error) {
+    logger.error("쿼터 조회 오류", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+const formatDate = (date) => date.toISOString().substring(0, 10);
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+};
+
+const sumRollup = (rows) =>
+  rows.reduce(
+    (totals, row) => ({
+      calls: totals.calls + row.calls,
+      promptTokens: totals.promptTokens + row.promptTokens,
+      completionTokens: totals.completionTokens + row.completionTokens,
+      totalTokens: totals.totalTokens + row.totalTokens,
+      estimatedCost: Number((totals.estimatedCost + row.estimatedCost).toFixed(6)),
+    }),
+    { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 }
+  );
+
+// @route   GET /api/users/usage
+// @desc    Get LLM token usage and estimated cost (daily/monthly rollups by feature)
+// @access  Private
+// @query   from, to (YYYY-MM-DD, 일별 집계 기간), months (월별 집계 개월 수)
+router.get(
+  "/usage",
+  [
+    query("from").optional().isISO8601({ strict: true }),
+    query("to").optional().isISO8601({ strict: true }),
+    query("months").optional().isInt({ min: 1, max: 36 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array(),
+        });
+      }
+
+      const to = req.query.to ? req.query.to.substring(0, 10) : formatDate(new Date());
+      const from = req.query.from
+        ? req.query.from.substring(0, 10)
+        : addDays(to, -(LLM_CONFIG.USAGE_DEFAULT_DAYS - 1));
+      const months = req.query.months || LLM_CONFIG.USAGE_DEFAULT_MONTHS;
+
+      if (from > to) {
+        return res.status(400).json({
+          success: false,
+          message: "from must be before to",
+        });
+      }
+
+      // 기간 끝은 to 다음날 0시 (미포함)
+      const toExclusive = addDays(to, 1);
+      const monthStart = new Date(`${to.substring(0, 7)}-01T00:00:00Z`);
+      monthStart.setUTCMonth(monthStart.getUTCMonth() - (months - 1));
+      const monthlyFrom = formatDate(monthStart);
+
+      const [daily, byFeature, monthly] = await Promise.all([
+        LlmUsage.getDailyRollup(req.user.id, from, toExclusive),
+        LlmUsage.getFeatureSummary(req.user.id, from, toExclusive),
+        LlmUsage.getMonthlyRollup(req.user.id, monthlyFrom, toExclusive),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          from,
+          to,
+          currency: "USD",
+          totals: sumRollup(byFeature),
+          byFeature,
+          daily,
+          monthly,
+        },
+      });
+    } catch (error) {
+      logger.error("LLM 사용량 조회 오류", error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
 export default router;
@@ -20,14 +20,22 @@ import relationshipSummaryRoutes from "./routes/relationshipSummary.routes.js";
 import cardSearchRoutes from "./routes/cardSearch.routes.js";
 import groupRoutes from "./routes/group.routes.js";
 import graphRoutes from "./routes/graph.routes.js";
+import imageRoutes from "./routes/image.routes.js";
+import tagRoutes from "./routes/tag.routes.js";
 
 // Middleware
 import { errorHandler } from "./middleware/errorHandler.js";
 import { notFound } from "./middleware/notFound.js";
+import { llmContext, llmFeature } from "./middleware/llmContext.middleware.js";
 import { logger } from "./utils/logger.js";
+import { getCircuitStates } from "./services/llm/fallback.js";
 
 // Database
 import { testConnection, createTables } from "./config/database.js";
+import { startStaleOcrJobSweep } from "./services/ocrBatch.service.js";
+import { migrateInlineCardImages } from "./services/cardImage.service.js";
+import { getOcrEngineWarning } from "./services/ocr/engines/index.js";
+import { getImageStorage } from "./services/storage/index.js";
 
 // Load environment variables
 dotenv.config();
@@ -72,34 +80,44 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['X-LLM-Provider', 'X-Quota-Key', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After'],
 };
 
 app.use(cors(corsOptions));
 app.use(morgan("dev"));
+// 일괄 OCR은 이미지 여러 장을 한 번에 받으므로 본문 한도를 따로 둠
+app.use("/api/ocr/batch", express.json({ limit: process.env.OCR_BATCH_BODY_LIMIT || "50mb" }));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use(llmContext);
 
 // Health check
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", message: "GPT-4b Backend API is running" });
+  res.json({
+    status: "ok",
+    message: "GPT-4b Backend API is running",
+    llmCircuits: getCircuitStates(),
+  });
 });
 
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/cards", cardRoutes);
-app.use("/api/ocr", ocrRoutes);
-app.use("/api/gifts", giftRoutes);
+app.use("/api/ocr", llmFeature("ocr"), ocrRoutes);
+app.use("/api/gifts", llmFeature("gift_recommendation"), giftRoutes);
 app.use("/api/calendar", calendarRoutes);
-app.use("/api/chat", chatRoutes);
+app.use("/api/chat", llmFeature("chat"), chatRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/memo", memoRoutes);
-app.use("/api/profile", preferenceRoutes);
+app.use("/api/profile", llmFeature("preference_extraction"), preferenceRoutes);
 app.use("/api/extracted-facts", extractedFactRoutes);
 app.use("/api/source-events", sourceEventRoutes);
 app.use("/api/relationship-summary", relationshipSummaryRoutes);
-app.use("/api/card-search", cardSearchRoutes);
+app.use("/api/card-search", llmFeature("card_search"), cardSearchRoutes);
 app.use("/api/groups", groupRoutes);
-app.use("/api/graph", graphRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/graph", llmFeature("graph_analysis"), graphRoutes);
+app.use("/api/images", imageRoutes);
 
 // Error handling
 app.use(notFound);
@@ -116,6 +134,22 @@ const initializeDatabase = async () => {
   // Create tables if they don't exist
   await createTables();
 
+  // 처리하던 프로세스가 종료된 일괄 OCR 작업은 이미지가 남아있지 않아 실패 처리 (heartbeat가 끊긴 작업만)
+  await startStaleOcrJobSweep();
+
+  // 이미지 저장소 설정 확인 (서명 키나 S3 설정이 없으면 시작하지 않음)
+  try {
+    getImageStorage();
+  } catch (error) {
+    logger.error("Image storage is not configured", { message: error.message });
+    process.exit(1);
+  }
+
+  const ocrEngineWarning = getOcrEngineWarning();
+  if (ocrEngineWarning) {
+    logger.warn(ocrEngineWarning);
+  }
+
   // Start server - 0.0.0.0으로 바인딩하여 외부 접속 허용
   const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info("Server is running", {
@@ -128,6 +162,11 @@ const initializeDatabase = async () => {
   
   // 서버 타임아웃 설정 (10분) - 그래프 분석 API용
   server.timeout = 600000; // 10분 = 600,000ms
+
+  // image 컬럼에 남은 base64 명함 이미지를 저장소로 이전 (요청 처리와 별도로 백그라운드 진행)
+  migrateInlineCardImages().catch((error) => {
+    logger.error("Card image migration error", { message: error.message });
+  });
 };
 
 initializeDatabase().catch((error) => {
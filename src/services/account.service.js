@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import AuthToken from "../models/AuthToken.model.js";
+import Session from "../models/Session.model.js";
+import User from "../models/User.model.js";
+import { sendMail } from "./mail/index.js";
+import { passwordResetMail, emailVerificationMail } from "./mail/templates.js";
+import { logger } from "../utils/logger.js";
+
+export const TOKEN_PURPOSE = {
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const getResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 30;
+const getVerificationTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS, 10) || 24;
+
+/**
+ * 메일 링크 기본 URL (앱/프론트엔드 주소)
+ */
+const getAppUrl = () => (process.env.APP_URL || process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+
+/**
+ * 1회용 토큰 발급 (같은 용도의 이전 토큰은 무효화)
+ * @returns {Promise<string>} 토큰 원문 (메일 링크에만 사용)
+ */
+const issueToken = async (userId, purpose, ttlMinutes) => {
+  await AuthToken.invalidateByUserId(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AuthToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    ttlMinutes,
+  });
+  return token;
+};
+
+const createTokenError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * 이메일 인증 메일 발송
+ * @param {Object} user - { id, email, name }
+ */
+export const sendVerificationEmail = async (user) => {
+  const expiresInHours = getVerificationTtlHours();
+  const token = await issueToken(
+    user.id,
+    TOKEN_PURPOSE.EMAIL_VERIFICATION,
+    expiresInHours * 60
+  );
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationMail({
+      name: user.name,
+      link: `${getAppUrl()}/verify-email?token=${token}`,
+      expiresInHours,
+    }),
+  });
+};
+
+/**
+ * 비밀번호 재설정 요청
+ * 가입 여부를 노출하지 않도록, 없는 이메일이어도 에러 없이 종료
+ * @param {string} email
+ */
+export const requestPasswordReset = async (email) => {
+  const user = await User.findByEmail(email);
+  if (!user || !user.isActive) {
+    logger.info("Password reset requested for unknown or inactive email");
+    return;
+  }
+
+  const expiresInMinutes = getResetTtlMinutes();
+  const token = await issueToken(
+    user.id,
+    TOKEN_PURPOSE.PASSWORD_RESET,
+    expiresInMinutes
+  );
+
+  await sendMail({
+    to: user.email,
+    ...passwordResetMail({
+      name: user.name,
+      link: `${getAppUrl()}/reset-password?token=${token}`,
+      expiresInMinutes,
+    }),
+  });
+};
+
+/**
+ * 비밀번호 재설정
+ * 성공하면 모든 세션을 폐기하고, 메일함 소유가 확인되었으므로 이메일도 인증 처리
+ * @param {string} token
+ * @param {string} newPassword
+ * @returns {Promise<Object>} user
+ */
+export const resetPassword = async (token, newPassword) => {
+  const userId = await AuthToken.consume(hashToken(token), TOKEN_PURPOSE.PASSWORD_RESET);
+  if (!userId) {
+    throw createTokenError("Invalid or expired reset token");
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+  const user = await User.update(userId, {
+    password: hashedPassword,
+    emailVerified: true,
+  });
+  const revoked = await Session.revokeAllByUserId(userId);
+
+  logger.info("Password reset completed", { userId, revokedSessions: revoked });
+  return user;
+};
+
+/**
+ * 이메일 인증
+ * @param {string} token
+ * @returns {Promise<Object>} user
+ */
+export const verifyEmail = async (token) => {
+  const userId = await AuthToken.consume(hashToken(token), TOKEN_PURPOSE.EMAIL_VERIFICATION);
+  if (!userId) {
+    throw createTokenError("Invalid or expired verification token");
+  }
+
+  return await User.update(userId, { emailVerified: true });
+};
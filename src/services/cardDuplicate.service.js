@@ -0,0 +1,374 @@
+import pool from "../config/database.js";
+import BusinessCard from "../models/BusinessCard.model.js";
+import CardRevision, { REVISION_SOURCE } from "../models/CardRevision.model.js";
+import { removeStoredImages } from "./cardImage.service.js";
+import { logger } from "../utils/logger.js";
+import {
+  contactKeys,
+  normalizeCompany,
+  normalizeName,
+} from "../utils/cardMatching.js";
+
+// 일치 항목별 점수 (합계를 1로 제한)
+// 이름+회사(0.55), 이메일(0.5)은 단독으로 기본 기준을 넘고, 전화번호/이름만 같으면 넘지 않음 (대표번호, 동명이인)
+export const DUPLICATE_WEIGHTS = {
+  email: 0.5,
+  phone: 0.4,
+  name: 0.35,
+  company: 0.2,
+};
+
+export const DEFAULT_MIN_DUPLICATE_SCORE = 0.5;
+
+// 병합 시 비어 있으면 다른 명함 값으로 채우는 필드
+// (이미지는 외부 URL과 저장소 키를 한 묶음으로 채움)
+const MERGE_FILL_FIELDS = ["nameEn", "position", "company", "companyEn", "phone", "email", "gender"];
+const MERGE_IMAGE_FIELDS = ["image", "imageKey", "thumbnailKey"];
+
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+const sharesValue = (values, others) => values.some((value) => others.includes(value));
+
+const scorePair = (a, b) => {
+  const matchedOn = [];
+  if (sharesValue(a.emails, b.emails)) matchedOn.push("email");
+  if (sharesValue(a.phones, b.phones)) matchedOn.push("phone");
+  if (a.name && a.name === b.name) matchedOn.push("name");
+  if (a.company && a.company === b.company) matchedOn.push("company");
+
+  const score = matchedOn.reduce((sum, key) => sum + DUPLICATE_WEIGHTS[key], 0);
+  return { score: Math.min(Math.round(score * 100) / 100, 1), matchedOn };
+};
+
+/**
+ * 사용자 명함 중 중복 후보 쌍 찾기
+ * 이메일/전화번호(연락처 항목 포함)/이름 중 하나라도 같은 명함끼리만 비교하고 점수를 매김
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.minScore=0.5]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<{score: number, matchedOn: string[], suggestedSurvivorId: number, cards: Object[]}>>}
+ *   점수 내림차순, suggestedSurvivorId는 가장 최근에 등록된 명함 (승진 후 새로 받은 명함 등)
+ */
+export const findDuplicateCandidates = async (userId, options = {}) => {
+  const { minScore = DEFAULT_MIN_DUPLICATE_SCORE, limit = 50 } = options;
+  const cards = await BusinessCard.findContactKeys(userId);
+
+  // 이메일/전화번호는 대표 값과 연락처 항목을 모두 비교
+  const normalized = new Map(
+    cards.map((card) => {
+      const keys = contactKeys(card);
+      const valuesOf = (type) => keys.filter(([keyType]) => keyType === type).map(([, value]) => value);
+      return [
+        card.id,
+        {
+          emails: valuesOf("email"),
+          phones: valuesOf("phone"),
+          name: normalizeName(card.name),
+          company: normalizeCompany(card.company),
+        },
+      ];
+    })
+  );
+
+  // 같은 블록(이메일/전화번호/이름)에 속한 명함끼리만 쌍으로 비교
+  const blocks = new Map();
+  for (const card of cards) {
+    const keys = normalized.get(card.id);
+    const blockKeys = [
+      ...keys.emails.map((email) => `email:${email}`),
+      ...keys.phones.map((phone) => `phone:${phone}`),
+      keys.name && `name:${keys.name}`,
+    ].filter(Boolean);
+    for (const blockKey of blockKeys) {
+      if (!blocks.has(blockKey)) blocks.set(blockKey, []);
+      blocks.get(blockKey).push(card);
+    }
+  }
+
+  const pairs = new Map();
+  for (const members of blocks.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        const pairKey = `${a.id}:${b.id}`;
+        if (pairs.has(pairKey)) continue;
+
+        const { score, matchedOn } = scorePair(normalized.get(a.id), normalized.get(b.id));
+        if (score < minScore) continue;
+
+        const newer = new Date(b.createdAt) >= new Date(a.createdAt) ? b : a;
+        pairs.set(pairKey, { score, matchedOn, suggestedSurvivorId: newer.id, cards: [a, b] });
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .sort((x, y) => y.score - x.score || y.cards[1].id - x.cards[1].id)
+    .slice(0, limit);
+};
+
+// 선호도 항목을 item 기준으로 합침 (evidence 합집합, weight는 큰 값)
+const mergePreferenceItems = (lists) => {
+  const merged = new Map();
+  for (const item of lists.flat()) {
+    if (!item || !item.item) continue;
+    const key = item.item.trim().toLowerCase();
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...item, evidence: [...(item.evidence || [])] });
+      continue;
+    }
+    existing.evidence = [...new Set([...existing.evidence, ...(item.evidence || [])])];
+    existing.weight = Math.max(existing.weight || 0, item.weight || 0);
+  }
+  return [...merged.values()];
+};
+
+// 선호도 JSON 컬럼 → 배열 (비었거나 잘못된 JSON이면 빈 배열)
+const parseJsonColumn = (value) => {
+  if (!value) return [];
+  if (typeof value !== "string") return Array.isArray(value) ? value : [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const tableExists = async (connection, tableName) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [tableName]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * 중복 명함을 하나로 병합
+ * 한 트랜잭션 안에서 메모, 선물, 그룹, 선호도, 일정 연결, 대화, 추출된 사실, 변경 이력을 남길 명함으로 옮긴 뒤
+ * 나머지 명함을 삭제
+ * @param {number} userId
+ * @param {number} survivorId - 남길 명함
+ * @param {number[]} duplicateIds - 병합 후 삭제할 명함
+ * @param {Object} [options]
+ * @param {boolean} [options.fillEmptyFields=true] - 남길 명함의 빈 필드를 최근 명함 값부터 채움
+ * @returns {Promise<{card: Object, mergedCardIds: number[], moved: Object<string, number>}>}
+ * @throws {Error} statusCode 400 - 자기 자신과 병합, 404 - 명함 없음 (error.cardIds)
+ */
+export const mergeCards = async (userId, survivorId, duplicateIds, options = {}) => {
+  const { fillEmptyFields = true } = options;
+  const sourceIds = [...new Set(duplicateIds)].filter((id) => id !== survivorId);
+  if (sourceIds.length === 0) {
+    const error = new Error("Nothing to merge: provide card IDs other than the surviving card");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const allIds = [survivorId, ...sourceIds];
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [cardRows] = await connection.query(
+      `SELECT * FROM business_cards WHERE userId = ? AND id IN (${placeholders(allIds)})
+       ORDER BY createdAt DESC FOR UPDATE`,
+      [userId, ...allIds]
+    );
+    const foundIds = new Set(cardRows.map((card) => card.id));
+    const missingIds = allIds.filter((id) => !foundIds.has(id));
+    if (missingIds.length > 0) {
+      const error = new Error("Business card not found");
+      error.statusCode = 404;
+      error.cardIds = missingIds;
+      throw error;
+    }
+
+    const moved = {};
+    const sourcePlaceholders = placeholders(sourceIds);
+
+    const [memoResult] = await connection.query(
+      `UPDATE memo SET business_card_id = ? WHERE user_id = ? AND business_card_id IN (${sourcePlaceholders})`,
+      [survivorId, userId, ...sourceIds]
+    );
+    moved.memos = memoResult.affectedRows;
+
+    const [giftResult] = await connection.query(
+      `UPDATE gifts SET cardId = ? WHERE userId = ? AND cardId IN (${sourcePlaceholders})`,
+      [survivorId, userId, ...sourceIds]
+    );
+    moved.gifts = giftResult.affectedRows;
+
+    // 이미 같은 그룹에 있으면 unique 키 충돌 → 추가 후 기존 연결 삭제
+    const [groupResult] = await connection.query(
+      `INSERT IGNORE INTO group_cards (groupId, businessCardId)
+       SELECT groupId, ? FROM group_cards WHERE businessCardId IN (${sourcePlaceholders})`,
+      [survivorId, ...sourceIds]
+    );
+    await connection.query(
+      `DELETE FROM group_cards WHERE businessCardId IN (${sourcePlaceholders})`,
+      sourceIds
+    );
+    moved.groups = groupResult.affectedRows;
+
+    // 태그도 그룹과 같은 방식 (이미 붙은 태그는 건너뜀)
+    const [tagResult] = await connection.query(
+      `INSERT IGNORE INTO tag_cards (tagId, businessCardId)
+       SELECT tagId, ? FROM tag_cards WHERE businessCardId IN (${sourcePlaceholders})`,
+      [survivorId, ...sourceIds]
+    );
+    await connection.query(
+      `DELETE FROM tag_cards WHERE businessCardId IN (${sourcePlaceholders})`,
+      sourceIds
+    );
+    moved.tags = tagResult.affectedRows;
+
+    const [eventResult] = await connection.query(
+      `UPDATE preference_event SET business_card_id = ? WHERE business_card_id IN (${sourcePlaceholders})`,
+      [survivorId, ...sourceIds]
+    );
+    moved.preferenceEvents = eventResult.affectedRows;
+
+    // preference_profile은 명함당 1행이므로 항목을 합쳐 남길 명함에 저장
+    const [profiles] = await connection.query(
+      `SELECT * FROM preference_profile WHERE business_card_id IN (${placeholders(allIds)}) FOR UPDATE`,
+      allIds
+    );
+    if (profiles.length > 0) {
+      const pick = (key) => mergePreferenceItems(profiles.map((profile) => parseJsonColumn(profile[key])));
+      await connection.query(
+        `INSERT INTO preference_profile (business_card_id, likes, dislikes, uncertain, last_source_count)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+         likes = VALUES(likes),
+         dislikes = VALUES(dislikes),
+         uncertain = VALUES(uncertain),
+         last_source_count = VALUES(last_source_count),
+         updated_at = CURRENT_TIMESTAMP`,
+        [
+          survivorId,
+          JSON.stringify(pick("likes")),
+          JSON.stringify(pick("dislikes")),
+          JSON.stringify(pick("uncertain")),
+          profiles.reduce((sum, profile) => sum + (profile.last_source_count || 0), 0),
+        ]
+      );
+      await connection.query(
+        `DELETE FROM preference_profile WHERE business_card_id IN (${sourcePlaceholders})`,
+        sourceIds
+      );
+    }
+    moved.preferenceProfiles = profiles.filter((profile) => profile.business_card_id !== survivorId).length;
+
+    // events.linked_card_ids는 쉼표 구분 문자열
+    const [events] = await connection.query(
+      `SELECT id, linked_card_ids FROM events
+       WHERE userId = ? AND (${sourceIds.map(() => "FIND_IN_SET(?, linked_card_ids) > 0").join(" OR ")})
+       FOR UPDATE`,
+      [userId, ...sourceIds]
+    );
+    const sourceIdSet = new Set(sourceIds);
+    for (const event of events) {
+      const linkedIds = event.linked_card_ids
+        .split(",")
+        .map((id) => parseInt(id))
+        .filter((id) => !isNaN(id))
+        .map((id) => (sourceIdSet.has(id) ? survivorId : id));
+      await connection.query(
+        "UPDATE events SET linked_card_ids = ? WHERE id = ?",
+        [[...new Set(linkedIds)].join(","), event.id]
+      );
+    }
+    moved.events = events.length;
+
+    const [chatResult] = await connection.query(
+      `UPDATE chats SET cardId = ? WHERE userId = ? AND cardId IN (${sourcePlaceholders})`,
+      [survivorId, userId, ...sourceIds]
+    );
+    moved.chats = chatResult.affectedRows;
+
+    // fact-extraction 마이그레이션으로 생성되는 테이블 (없으면 건너뜀)
+    for (const [tableName, key] of [["source_event", "sourceEvents"], ["extracted_fact", "extractedFacts"]]) {
+      if (!(await tableExists(connection, tableName))) {
+        moved[key] = 0;
+        continue;
+      }
+      const [result] = await connection.query(
+        `UPDATE ${tableName} SET card_id = ? WHERE user_id = ? AND card_id IN (${sourcePlaceholders})`,
+        [survivorId, userId, ...sourceIds]
+      );
+      moved[key] = result.affectedRows;
+    }
+
+    // 연락처 항목은 남길 명함에 없는 것만 옮김 (같은 종류·값은 UNIQUE 키로 건너뛰고 명함 삭제 시 함께 삭제)
+    const [contactPointResult] = await connection.query(
+      `UPDATE IGNORE card_contact_points SET businessCardId = ? WHERE businessCardId IN (${sourcePlaceholders})`,
+      [survivorId, ...sourceIds]
+    );
+    moved.contactPoints = contactPointResult.affectedRows;
+
+    const [revisionResult] = await connection.query(
+      `UPDATE card_revisions SET businessCardId = ? WHERE userId = ? AND businessCardId IN (${sourcePlaceholders})`,
+      [survivorId, userId, ...sourceIds]
+    );
+    moved.revisions = revisionResult.affectedRows;
+
+    // 남길 명함의 빈 필드는 최근 명함 값부터 채우고, 즐겨찾기는 하나라도 있으면 유지
+    const survivor = cardRows.find((card) => card.id === survivorId);
+    const duplicates = cardRows.filter((card) => card.id !== survivorId);
+    const updates = {};
+    if (fillEmptyFields) {
+      for (const field of MERGE_FILL_FIELDS) {
+        if (survivor[field]) continue;
+        const donor = duplicates.find((card) => card[field]);
+        if (donor) updates[field] = donor[field];
+      }
+      if (!survivor.image && !survivor.imageKey) {
+        const donor = duplicates.find((card) => card.image || card.imageKey);
+        if (donor) MERGE_IMAGE_FIELDS.forEach((field) => (updates[field] = donor[field]));
+      }
+    }
+    if (!survivor.isFavorite && duplicates.some((card) => card.isFavorite)) {
+      updates.isFavorite = true;
+    }
+    const updateKeys = Object.keys(updates);
+    if (updateKeys.length > 0) {
+      await connection.query(
+        `UPDATE business_cards SET ${updateKeys.map((key) => `${key} = ?`).join(", ")} WHERE id = ? AND userId = ?`,
+        [...updateKeys.map((key) => updates[key]), survivorId, userId]
+      );
+      await CardRevision.record(
+        CardRevision.diff(survivor, updates),
+        { businessCardId: survivorId, userId, source: REVISION_SOURCE.MERGE },
+        connection
+      );
+    }
+
+    await connection.query(
+      `DELETE FROM business_cards WHERE userId = ? AND id IN (${sourcePlaceholders})`,
+      [userId, ...sourceIds]
+    );
+
+    await connection.commit();
+    logger.info("Business cards merged", { userId, survivorId, mergedCardIds: sourceIds, moved });
+
+    // 삭제된 명함 중 남길 명함으로 옮기지 않은 이미지는 저장소에서도 삭제
+    await removeStoredImages(
+      duplicates
+        .filter((card) => card.imageKey && card.imageKey !== updates.imageKey)
+        .flatMap((card) => [card.imageKey, card.thumbnailKey])
+    );
+
+    return {
+      card: await BusinessCard.findById(survivorId, userId),
+      mergedCardIds: sourceIds,
+      moved,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
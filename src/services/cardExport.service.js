@@ -0,0 +1,201 @@
+import BusinessCard from "../models/BusinessCard.model.js";
+import CardContactPoint from "../models/CardContactPoint.model.js";
+import CardTag from "../models/CardTag.model.js";
+import CardGroup from "../models/CardGroup.model.js";
+import Memo from "../models/Memo.model.js";
+import Gift from "../models/Gift.model.js";
+import PreferenceProfile from "../models/PreferenceProfile.model.js";
+import { serializeVCard } from "../utils/vcard.js";
+import { stringifyCsv } from "../utils/csv.js";
+import { withCardImageUrls } from "./cardImage.service.js";
+
+export const EXPORT_FORMAT = {
+  VCF: "vcf",
+  CSV: "csv",
+  JSON: "json",
+};
+
+// JSON 내보내기에 덧붙일 수 있는 관계 데이터
+export const EXPORT_INCLUDES = ["memos", "gifts", "preferences"];
+
+// CSV 헤더는 가져오기(COLUMN_ALIASES)가 그대로 인식하는 이름으로 유지
+const CSV_COLUMNS = [
+  "id",
+  "name",
+  "nameEn",
+  "company",
+  "companyEn",
+  "position",
+  "phone",
+  "email",
+  "gender",
+  "isFavorite",
+  "createdAt",
+  "updatedAt",
+];
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMAT.VCF]: "text/vcard; charset=utf-8",
+  [EXPORT_FORMAT.CSV]: "text/csv; charset=utf-8",
+  [EXPORT_FORMAT.JSON]: "application/json; charset=utf-8",
+};
+
+const parseJsonColumn = (value) => {
+  if (!value) return [];
+  return typeof value === "string" ? JSON.parse(value) : value;
+};
+
+const groupBy = (rows, key) =>
+  rows.reduce((groups, row) => {
+    (groups[row[key]] ||= []).push(row);
+    return groups;
+  }, {});
+
+/**
+ * 내보내기 형식 정규화 ("vcard" → "vcf")
+ * @param {string} [format="json"]
+ * @returns {string} EXPORT_FORMAT 값
+ * @throws {Error} statusCode 400 - 지원하지 않는 형식
+ */
+export const normalizeExportFormat = (format = EXPORT_FORMAT.JSON) => {
+  const normalized = String(format).toLowerCase();
+  if (normalized === "vcard") return EXPORT_FORMAT.VCF;
+  if (!Object.values(EXPORT_FORMAT).includes(normalized)) {
+    const error = new Error(`Unsupported export format: ${format}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalized;
+};
+
+/**
+ * include 쿼리 파싱 ("memos,gifts" 또는 "all")
+ * @param {string|string[]} [include]
+ * @returns {string[]}
+ * @throws {Error} statusCode 400 - 알 수 없는 항목
+ */
+export const parseExportIncludes = (include) => {
+  if (!include) return [];
+  const values = (Array.isArray(include) ? include : String(include).split(","))
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  if (values.includes("all")) return [...EXPORT_INCLUDES];
+
+  const unknown = values.filter((value) => !EXPORT_INCLUDES.includes(value));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown export include: ${unknown.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return [...new Set(values)];
+};
+
+// 명함마다 메모/선물/선호도를 붙임 (명함 수와 관계없이 항목별 쿼리 1회)
+const attachRelations = async (userId, cards, includes) => {
+  const cardIds = cards.map((card) => card.id);
+  const [memos, gifts, profiles] = await Promise.all([
+    includes.includes("memos") ? Memo.findByBusinessCardIds(cardIds, userId) : null,
+    includes.includes("gifts") ? Gift.findByCardIds(cardIds, userId) : null,
+    includes.includes("preferences") ? PreferenceProfile.findByBusinessCardIds(cardIds, userId) : null,
+  ]);
+
+  const memosByCard = memos && groupBy(memos, "business_card_id");
+  const giftsByCard = gifts && groupBy(gifts, "cardId");
+  const profileByCard = profiles && Object.fromEntries(profiles.map((profile) => [profile.business_card_id, profile]));
+
+  return cards.map((card) => {
+    const exported = { ...card };
+    if (memosByCard) {
+      exported.memos = (memosByCard[card.id] || []).map(({ id, content, created_at, updated_at }) => ({
+        id,
+        content,
+        createdAt: created_at,
+        updatedAt: updated_at,
+      }));
+    }
+    if (giftsByCard) {
+      exported.gifts = (giftsByCard[card.id] || []).map(({ userId: _userId, cardId: _cardId, ...gift }) => gift);
+    }
+    if (profileByCard) {
+      const profile = profileByCard[card.id];
+      exported.preferences = profile
+        ? {
+            likes: parseJsonColumn(profile.likes),
+            dislikes: parseJsonColumn(profile.dislikes),
+            uncertain: parseJsonColumn(profile.uncertain),
+            updatedAt: profile.updated_at,
+          }
+        : null;
+    }
+    return exported;
+  });
+};
+
+/**
+ * 명함 내보내기 파일 생성
+ * @param {number} userId
+ * @param {Object} options
+ * @param {string} options.format - EXPORT_FORMAT 값
+ * @param {string} [options.search]
+ * @param {number[]} [options.cardIds]
+ * @param {Object} [options.group] - CardGroup.findSummaryById 결과 (소유 여부는 호출 전에 확인, 스마트 그룹은 규칙에 맞는 명함)
+ * @param {string[]} [options.includes] - JSON 형식에서만 사용
+ * @returns {Promise<{count: number, filename: string, contentType: string, body: string}>}
+ */
+export const buildCardExport = async (userId, { format, search, cardIds = [], group = null, includes = [] }) => {
+  let cards = await BusinessCard.findForExport(userId, {
+    search,
+    cardIds,
+    ...(group && CardGroup.cardFilters(group)),
+  });
+  // vCard/JSON에는 모든 연락처 항목 포함 (CSV는 대표 전화번호/이메일만)
+  if (format !== EXPORT_FORMAT.CSV && cards.length > 0) {
+    const pointsByCard = await CardContactPoint.findByBusinessCardIds(cards.map((card) => card.id));
+    cards = cards.map((card) => ({
+      ...card,
+      contactPoints: (pointsByCard[card.id] || []).map(({ type, value, label }) => ({ type, value, label })),
+    }));
+  }
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const filename = `business-cards-${date}.${format}`;
+
+  let body;
+  if (format === EXPORT_FORMAT.VCF) {
+    body = cards.map(serializeVCard).join("");
+  } else if (format === EXPORT_FORMAT.CSV) {
+    // 엑셀에서 한글이 깨지지 않도록 UTF-8 BOM 추가
+    body = "\uFEFF" + stringifyCsv([CSV_COLUMNS, ...cards.map((card) => CSV_COLUMNS.map((column) => card[column]))]);
+  } else {
+    // 태그는 이름만
+    const tagsByCard = await CardTag.findByBusinessCardIds(cards.map((card) => card.id));
+    cards = cards.map((card) => ({
+      ...card,
+      tags: (tagsByCard[card.id] || []).map((tag) => tag.name),
+    }));
+    // 이미지는 저장소 키 대신 URL로
+    const exportedCards = (includes.length > 0 && cards.length > 0
+      ? await attachRelations(userId, cards, includes)
+      : cards
+    ).map(withCardImageUrls);
+    body = JSON.stringify(
+      {
+        success: true,
+        data: {
+          exportedAt: new Date().toISOString(),
+          count: exportedCards.length,
+          includes,
+          cards: exportedCards,
+        },
+      },
+      null,
+      2
+    );
+  }
+
+  return {
+    count: cards.length,
+    filename,
+    contentType: CONTENT_TYPES[format],
+    body,
+  };
+};
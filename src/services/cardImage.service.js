@@ -0,0 +1,207 @@
+import crypto from "crypto";
+import BusinessCard from "../models/BusinessCard.model.js";
+import { getImageStorage } from "./storage/index.js";
+import { logger } from "../utils/logger.js";
+
+export const MAX_CARD_IMAGE_BYTES = 10 * 1024 * 1024;
+export const THUMBNAIL_WIDTH = 320;
+
+// 허용 이미지 형식 → 저장 확장자
+export const CARD_IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const DATA_URL_PATTERN = /^data:(image\/[\w+.-]+);base64,/;
+
+// sharp를 lazy load (없으면 썸네일 없이 원본만 저장)
+let sharp = null;
+let sharpLoadAttempted = false;
+
+const loadSharp = async () => {
+  if (sharpLoadAttempted) return sharp;
+  sharpLoadAttempted = true;
+
+  try {
+    const sharpModule = await import("sharp");
+    sharp = sharpModule.default;
+  } catch (error) {
+    sharp = null;
+  }
+
+  return sharp;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+export const isInlineImage = (value) => typeof value === "string" && DATA_URL_PATTERN.test(value);
+
+/**
+ * base64 data URL → 이미지 버퍼
+ * @param {string} dataUrl
+ * @returns {{buffer: Buffer, contentType: string}}
+ */
+export const parseImageDataUrl = (dataUrl) => {
+  const match = DATA_URL_PATTERN.exec(String(dataUrl || ""));
+  if (!match) {
+    throw badRequest("image must be a base64 data URL or an http(s) URL");
+  }
+  return {
+    buffer: Buffer.from(dataUrl.slice(match[0].length), "base64"),
+    contentType: match[1].toLowerCase(),
+  };
+};
+
+/**
+ * 명함 이미지와 썸네일 저장
+ * @param {number} userId
+ * @param {{buffer: Buffer, contentType: string}} image
+ * @returns {Promise<{imageKey: string, thumbnailKey: string|null}>}
+ */
+export const storeCardImage = async (userId, { buffer, contentType }) => {
+  const extension = CARD_IMAGE_TYPES[contentType];
+  if (!extension) {
+    throw badRequest(`Unsupported image type: ${contentType}. Allowed: jpeg, png, webp`);
+  }
+  if (!buffer || buffer.length === 0 || buffer.length > MAX_CARD_IMAGE_BYTES) {
+    throw badRequest(`image must be between 1 byte and ${MAX_CARD_IMAGE_BYTES / 1024 / 1024}MB`);
+  }
+
+  const storage = getImageStorage();
+  const baseKey = `cards/${userId}/${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const imageKey = `${baseKey}.${extension}`;
+
+  let thumbnail = null;
+  const sharpModule = await loadSharp();
+  if (sharpModule) {
+    try {
+      thumbnail = await sharpModule(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw badRequest("image could not be decoded");
+    }
+  } else {
+    logger.warn("sharp 모듈이 없어 명함 썸네일 생성을 건너뜁니다");
+  }
+
+  await storage.put(imageKey, buffer, contentType);
+  if (!thumbnail) {
+    return { imageKey, thumbnailKey: null };
+  }
+
+  const thumbnailKey = `${baseKey}_thumb.webp`;
+  try {
+    await storage.put(thumbnailKey, thumbnail, "image/webp");
+  } catch (error) {
+    await removeStoredImages([imageKey]);
+    throw error;
+  }
+  return { imageKey, thumbnailKey };
+};
+
+/**
+ * 저장소의 이미지 삭제 (실패해도 요청은 계속, 로그만 남김)
+ * @param {Array<string|null>} keys
+ */
+export const removeStoredImages = async (keys) => {
+  const storage = getImageStorage();
+  await Promise.all(
+    keys.filter(Boolean).map((key) =>
+      storage.remove(key).catch((error) =>
+        logger.warn("Card image removal failed", { key, message: error.message })
+      )
+    )
+  );
+};
+
+/**
+ * 요청 본문의 image 값을 명함 컬럼 값으로 변환
+ * - data URL: 저장소에 저장하고 imageKey/thumbnailKey 설정
+ * - http(s) URL: 외부 이미지 URL 그대로 image에 저장
+ * - null/빈 문자열: 이미지 삭제
+ * @param {number} userId
+ * @param {*} image - 요청 본문 image (undefined면 변경 없음)
+ * @returns {Promise<Object>} { image, imageKey, thumbnailKey } 또는 빈 객체
+ */
+export const resolveCardImageInput = async (userId, image) => {
+  if (image === undefined) return {};
+  if (image === null || image === "") {
+    return { image: null, imageKey: null, thumbnailKey: null };
+  }
+  if (typeof image === "string" && /^https?:\/\//i.test(image)) {
+    return { image, imageKey: null, thumbnailKey: null };
+  }
+
+  const keys = await storeCardImage(userId, parseImageDataUrl(image));
+  return { image: null, ...keys };
+};
+
+/**
+ * 명함 응답용 이미지 URL (image는 원본 URL, thumbnail은 썸네일 URL)
+ * 저장소 키는 응답에서 제외
+ * @param {Object} card - business_cards 행
+ * @returns {Object}
+ */
+export const withCardImageUrls = (card) => {
+  if (!card) return card;
+  const { imageKey, thumbnailKey, ...rest } = card;
+  if (!imageKey) {
+    return { ...rest, thumbnail: null };
+  }
+
+  const storage = getImageStorage();
+  return {
+    ...rest,
+    image: storage.getUrl(imageKey),
+    thumbnail: thumbnailKey ? storage.getUrl(thumbnailKey) : storage.getUrl(imageKey),
+  };
+};
+
+/**
+ * image 컬럼에 남은 base64 이미지를 저장소로 이전
+ * 디코딩할 수 없는 이미지는 건너뛰고 그대로 둠
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=20]
+ * @returns {Promise<{migrated: number, skipped: number}>}
+ */
+export const migrateInlineCardImages = async ({ batchSize = 20 } = {}) => {
+  let afterId = 0;
+  let migrated = 0;
+  let skipped = 0;
+
+  for (;;) {
+    const rows = await BusinessCard.findInlineImages(afterId, batchSize);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      afterId = row.id;
+      try {
+        const keys = await storeCardImage(row.userId, parseImageDataUrl(row.image));
+        if (await BusinessCard.setStoredImage(row.id, keys, row.image)) {
+          migrated += 1;
+        } else {
+          // 이전 중에 이미지가 바뀐 명함
+          await removeStoredImages([keys.imageKey, keys.thumbnailKey]);
+          skipped += 1;
+        }
+      } catch (error) {
+        logger.warn("Card image migration skipped", { cardId: row.id, message: error.message });
+        skipped += 1;
+      }
+    }
+  }
+
+  if (migrated > 0 || skipped > 0) {
+    logger.info("Inline card images migrated to storage", { migrated, skipped });
+  }
+  return { migrated, skipped };
+};
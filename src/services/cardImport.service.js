@@ -0,0 +1,307 @@
+import BusinessCard from "../models/BusinessCard.model.js";
+import { getCardQuotaStatus } from "./quota.service.js";
+import { parseVCards } from "../utils/vcard.js";
+import { parseCsv, restoreFormula } from "../utils/csv.js";
+import { contactKeys } from "../utils/cardMatching.js";
+import { CONTACT_POINT_TYPE, normalizeContactPoints } from "../utils/contactPoints.js";
+
+export const IMPORT_FORMAT = {
+  VCARD: "vcard",
+  CSV: "csv",
+};
+
+// 한 번에 가져올 수 있는 최대 명함 수
+export const MAX_IMPORT_ROWS = 1000;
+
+export const IMPORT_FIELDS = ["name", "nameEn", "company", "companyEn", "position", "phone", "email", "gender"];
+
+// CSV 헤더 자동 매핑용 별칭 (소문자, 공백 제거 후 비교)
+const COLUMN_ALIASES = {
+  name: ["name", "fullname", "fn", "이름", "성명"],
+  nameEn: ["nameen", "englishname", "영문이름", "영문성명", "영문명"],
+  company: ["company", "organization", "org", "회사", "회사명", "소속"],
+  companyEn: ["companyen", "englishcompany", "영문회사명", "회사영문명"],
+  position: ["position", "title", "jobtitle", "직책", "직급", "직함"],
+  phone: ["phone", "mobile", "tel", "phonenumber", "전화", "전화번호", "휴대폰", "연락처"],
+  email: ["email", "e-mail", "emailaddress", "이메일", "메일"],
+  gender: ["gender", "sex", "성별"],
+};
+
+// business_cards 컬럼 길이
+const FIELD_MAX_LENGTH = {
+  name: 255,
+  nameEn: 255,
+  company: 255,
+  companyEn: 255,
+  position: 255,
+  phone: 50,
+  email: 255,
+  gender: 50,
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s_]/g, "");
+
+/**
+ * 가져오기 형식 결정 (명시하지 않으면 내용으로 감지)
+ * @param {string} content
+ * @param {string} [format]
+ * @returns {string} IMPORT_FORMAT 값
+ */
+export const detectImportFormat = (content, format) => {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    if (normalized === "vcf") return IMPORT_FORMAT.VCARD;
+    if (!Object.values(IMPORT_FORMAT).includes(normalized)) {
+      throw badRequest(`Unsupported import format: ${format}`);
+    }
+    return normalized;
+  }
+  return /^\s*BEGIN:VCARD/i.test(String(content).replace(/^\uFEFF/, ""))
+    ? IMPORT_FORMAT.VCARD
+    : IMPORT_FORMAT.CSV;
+};
+
+/**
+ * CSV 컬럼 매핑 결정
+ * mapping 값은 헤더 이름(대소문자 무시) 또는 0부터 시작하는 컬럼 번호
+ * 지정하지 않은 필드는 COLUMN_ALIASES로 자동 매핑
+ * @param {string[]} headers
+ * @param {Object<string, string|number>} [mapping] - 예: { name: "Full Name", phone: 3 }
+ * @returns {Object<string, number>} 필드 → 컬럼 번호
+ */
+export const resolveColumnMapping = (headers, mapping = {}) => {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, column] of Object.entries(mapping || {})) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw badRequest(`Unknown import field: ${field}`);
+    }
+    if (column === null || column === "") continue;
+
+    const index = Number.isInteger(column)
+      ? column
+      : normalizedHeaders.indexOf(normalizeHeader(column));
+    if (index < 0 || index >= headers.length) {
+      throw badRequest(`Column not found for ${field}: ${column}`);
+    }
+    columns[field] = index;
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (columns[field] !== undefined || (mapping && field in mapping)) continue;
+    const index = normalizedHeaders.findIndex((header) => COLUMN_ALIASES[field].includes(header));
+    if (index !== -1) columns[field] = index;
+  }
+
+  if (columns.name === undefined) {
+    throw badRequest("CSV import requires a name column (set mapping.name)");
+  }
+  return columns;
+};
+
+// 파싱된 레코드 → { row, card } 목록
+const extractRecords = (format, content, mapping) => {
+  if (format === IMPORT_FORMAT.VCARD) {
+    return {
+      mapping: null,
+      records: parseVCards(content).map(({ version, ...card }, index) => ({ row: index + 1, card })),
+    };
+  }
+
+  const [headers = [], ...dataRows] = parseCsv(content);
+  const columns = resolveColumnMapping(headers, mapping);
+  return {
+    mapping: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+    records: dataRows.map((cells, index) => ({
+      // 헤더가 1행이므로 데이터는 2행부터
+      row: index + 2,
+      card: Object.fromEntries(
+        Object.entries(columns).map(([field, columnIndex]) => [field, restoreFormula(cells[columnIndex] ?? "")])
+      ),
+    })),
+  };
+};
+
+// 필드 정리 및 검증
+const validateCard = (rawCard) => {
+  const card = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const field of IMPORT_FIELDS) {
+    const value = String(rawCard[field] ?? "").trim();
+    if (!value) continue;
+    if (value.length > FIELD_MAX_LENGTH[field]) {
+      warnings.push(`${field} truncated to ${FIELD_MAX_LENGTH[field]} characters`);
+    }
+    card[field] = value.slice(0, FIELD_MAX_LENGTH[field]);
+  }
+
+  if (!card.name) {
+    errors.push("name is required");
+  }
+  if (card.email) {
+    card.email = card.email.toLowerCase();
+    if (!EMAIL_PATTERN.test(card.email)) {
+      warnings.push(`invalid email dropped: ${card.email}`);
+      delete card.email;
+    }
+  }
+
+  // vCard의 여러 전화번호/이메일/주소/웹사이트 (잘못된 이메일은 제외)
+  if (Array.isArray(rawCard.contactPoints) && rawCard.contactPoints.length > 0) {
+    card.contactPoints = normalizeContactPoints(rawCard.contactPoints).filter(
+      ({ type, value }) => type !== CONTACT_POINT_TYPE.EMAIL || EMAIL_PATTERN.test(value)
+    );
+  }
+
+  return { card, errors, warnings };
+};
+
+// 중복 비교 키(연락처 항목을 포함한 이메일/전화번호, 이름+회사) → 대상 목록 색인
+const addToIndex = (index, item, card) => {
+  for (const [type, value] of contactKeys(card)) {
+    const key = `${type}:${value}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(item);
+  }
+};
+
+// 같은 대상과 여러 키로 일치하면 matchedOn에 모아서 하나로 표시
+const findMatches = (card, index, identify) => {
+  const matches = new Map();
+  for (const [type, value] of contactKeys(card)) {
+    for (const item of index.get(`${type}:${value}`) || []) {
+      const id = identify(item);
+      if (!matches.has(id)) matches.set(id, { item, matchedOn: [] });
+      const { matchedOn } = matches.get(id);
+      if (!matchedOn.includes(type)) matchedOn.push(type);
+    }
+  }
+  return [...matches.values()];
+};
+
+/**
+ * 가져오기 미리보기 생성 (DB에 쓰지 않음)
+ * 각 행에 대해 검증 결과와 기존 명함 / 같은 파일 안의 앞선 행과의 중복을 표시
+ * @param {Object} user - req.user
+ * @param {Object} input
+ * @param {string} input.content - vCard 또는 CSV 텍스트
+ * @param {string} [input.format] - "vcard" | "csv" (생략하면 자동 감지)
+ * @param {Object} [input.mapping] - CSV 컬럼 매핑
+ * @returns {Promise<Object>} { format, mapping, rows, summary, quota }
+ * @throws {Error} statusCode 400 - 파싱 실패, 매핑 오류, 행 수 초과
+ */
+export const buildImportPreview = async (user, { content, format, mapping } = {}) => {
+  const resolvedFormat = detectImportFormat(content, format);
+  const { mapping: resolvedMapping, records } = extractRecords(resolvedFormat, content, mapping);
+
+  if (records.length === 0) {
+    throw badRequest("No cards found in import file");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Too many cards (${records.length}). Import up to ${MAX_IMPORT_ROWS} at a time.`);
+  }
+
+  const existingIndex = new Map();
+  for (const card of await BusinessCard.findContactKeys(user.id)) {
+    addToIndex(existingIndex, card, card);
+  }
+  // 파일 안 중복은 앞선 유효 행만 기준으로 삼음 (첫 행은 가져오고 뒤의 행을 중복으로 표시)
+  const earlierIndex = new Map();
+  const rows = records.map(({ row, card: rawCard }) => ({ row, ...validateCard(rawCard) }));
+
+  for (const entry of rows) {
+    const existing = findMatches(entry.card, existingIndex, (card) => card.id).map(({ item, matchedOn }) => ({
+      source: "existing",
+      cardId: item.id,
+      name: item.name,
+      company: item.company,
+      matchedOn,
+    }));
+    const inFile = findMatches(entry.card, earlierIndex, (earlier) => earlier.row).map(({ item, matchedOn }) => ({
+      source: "import",
+      row: item.row,
+      name: item.card.name,
+      company: item.card.company,
+      matchedOn,
+    }));
+    entry.duplicates = [...existing, ...inFile];
+
+    if (entry.errors.length === 0) {
+      addToIndex(earlierIndex, entry, entry.card);
+    }
+  }
+
+  const valid = rows.filter((entry) => entry.errors.length === 0);
+  const duplicates = valid.filter((entry) => entry.duplicates.length > 0);
+  const quota = await getCardQuotaStatus(user);
+
+  return {
+    format: resolvedFormat,
+    mapping: resolvedMapping,
+    rows,
+    summary: {
+      total: rows.length,
+      valid: valid.length,
+      invalid: rows.length - valid.length,
+      duplicates: duplicates.length,
+      importable: valid.length - duplicates.length,
+    },
+    quota,
+  };
+};
+
+/**
+ * 미리보기 결과를 실제 명함으로 저장
+ * 오류가 있는 행은 건너뛰고, skipDuplicates가 true면 중복 행도 건너뜀
+ * 명함 보유 한도를 넘으면 하나도 저장하지 않음
+ * @param {Object} user - req.user
+ * @param {Object} preview - buildImportPreview 결과
+ * @param {Object} [options]
+ * @param {boolean} [options.skipDuplicates=true]
+ * @param {number} [options.groupId] - 가져온 명함을 추가할 기존 그룹
+ * @param {string} [options.groupName] - 새 그룹을 만들어 추가
+ * @returns {Promise<Object>} { imported, skipped, group }
+ * @throws {Error} statusCode 402 (error.quota) - 명함 보유 한도 초과, 404 - 그룹 없음
+ */
+export const commitImport = async (user, preview, options = {}) => {
+  const { skipDuplicates = true, groupId = null, groupName = null } = options;
+
+  const skipped = [];
+  const toImport = [];
+  for (const entry of preview.rows) {
+    if (entry.errors.length > 0) {
+      skipped.push({ row: entry.row, reason: "invalid", errors: entry.errors });
+    } else if (skipDuplicates && entry.duplicates.length > 0) {
+      skipped.push({ row: entry.row, reason: "duplicate", duplicates: entry.duplicates });
+    } else {
+      toImport.push(entry);
+    }
+  }
+
+  if (toImport.length === 0) {
+    return { imported: [], skipped, group: null };
+  }
+
+  const { cards, group } = await BusinessCard.createMany(
+    user.id,
+    toImport.map((entry) => entry.card),
+    { groupId, groupName }
+  );
+
+  return {
+    imported: cards.map((card, index) => ({ row: toImport[index].row, card })),
+    skipped,
+    group,
+  };
+};
@@ -0,0 +1,47 @@
+import BusinessCard from "../models/BusinessCard.model.js";
+
+/**
+ * 명함 ID 목록 정규화 (배열, 단일 ID, 쉼표 구분 문자열 허용, 중복 제거)
+ * @param {Array<string|number>|string|number} cardIds
+ * @returns {number[]}
+ * @throws {Error} statusCode 400 - 정수가 아닌 ID
+ */
+export const normalizeCardIds = (cardIds = []) => {
+  const list = Array.isArray(cardIds)
+    ? cardIds
+    : String(cardIds).split(",").map((id) => id.trim()).filter(Boolean);
+  const ids = list.map((cardId) => Number(cardId));
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    const error = new Error("Invalid card ID");
+    error.statusCode = 400;
+    throw error;
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * 명함이 모두 사용자 소유인지 확인
+ * 메모/선물/그룹/일정/대화에 다른 사용자의 명함을 연결하지 못하도록 저장 전에 호출
+ * 다른 사용자 명함의 존재 여부를 드러내지 않도록 없는 명함과 같은 404로 응답
+ * @param {Array<string|number>|string|number} cardIds
+ * @param {number} userId
+ * @returns {Promise<number[]>} 정규화된 명함 ID 목록
+ * @throws {Error} statusCode 404 - error.cardIds에 찾을 수 없는 명함 ID
+ */
+export const assertCardsOwned = async (cardIds, userId) => {
+  const ids = normalizeCardIds(cardIds);
+  if (ids.length === 0) {
+    return ids;
+  }
+
+  const ownedIds = new Set(await BusinessCard.findOwnedIds(ids, userId));
+  const missingIds = ids.filter((id) => !ownedIds.has(id));
+  if (missingIds.length > 0) {
+    const error = new Error("Business card not found");
+    error.statusCode = 404;
+    error.cardIds = missingIds;
+    throw error;
+  }
+
+  return ids;
+};
@@ -0,0 +1,180 @@
+import pool from "../config/database.js";
+import BusinessCard from "../models/BusinessCard.model.js";
+import Memo from "../models/Memo.model.js";
+import PreferenceProfile from "../models/PreferenceProfile.model.js";
+import Gift from "../models/Gift.model.js";
+import { CHAT_CONFIG } from "../config/chat.config.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * 대략적인 토큰 수 추정
+ * 한글/한자/가나는 글자당 1토큰, 그 외는 4글자당 1토큰으로 계산
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text = "") => {
+  const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+};
+
+const parseJsonColumn = (value) => {
+  if (!value) return [];
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+const formatPolarity = (polarity) => {
+  if (polarity > 0) return "+";
+  if (polarity < 0) return "-";
+  return "0";
+};
+
+/**
+ * 명함 ID 기준으로 컨텍스트 원본 데이터 조회
+ * 명함이 사용자 소유가 아니면 null
+ */
+const loadCardContextData = async (cardId, userId) => {
+  const card = await BusinessCard.findById(cardId, userId);
+  if (!card) {
+    return null;
+  }
+
+  const [memos, profile, gifts, [facts]] = await Promise.all([
+    Memo.findByBusinessCardId(cardId, userId),
+    PreferenceProfile.findByBusinessCardId(cardId, userId),
+    Gift.findByUserId(userId, { cardId }),
+    pool.query(
+      `SELECT fact_type, fact_key, polarity, confidence, evidence
+       FROM extracted_fact
+       WHERE user_id = ? AND card_id = ? AND confidence >= ?
+       ORDER BY confidence DESC, id DESC
+       LIMIT 50`,
+      [userId, cardId, CHAT_CONFIG.CONTEXT_MIN_FACT_CONFIDENCE]
+    ),
+  ]);
+
+  return {
+    card,
+    memos,
+    likes: parseJsonColumn(profile?.likes),
+    dislikes: parseJsonColumn(profile?.dislikes),
+    gifts,
+    facts,
+  };
+};
+
+/**
+ * 섹션별 라인 목록 생성 (우선순위 순서)
+ */
+const buildSections = ({ card, memos, likes, dislikes, gifts, facts }) => {
+  const cardLines = [
+    `- 이름: ${card.name}`,
+    card.position && `- 직급/직책: ${card.position}`,
+    card.company && `- 회사: ${card.company}`,
+    card.gender && `- 성별: ${card.gender}`,
+  ].filter(Boolean);
+
+  const preferenceLines = [
+    ...likes.map((like) => `- 좋아함: ${like.item}`),
+    ...dislikes.map((dislike) => `- 싫어함: ${dislike.item}`),
+  ];
+
+  const factLines = facts.map(
+    (fact) =>
+      `- [${fact.fact_type}] ${fact.fact_key} (${formatPolarity(fact.polarity)}, 신뢰도 ${Math.round(
+        fact.confidence * 100
+      )}%)`
+  );
+
+  const memoLines = memos
+    .slice(0, CHAT_CONFIG.CONTEXT_MAX_MEMOS)
+    .map((memo) => `- (${String(memo.updated_at).substring(0, 10)}) ${memo.content.replace(/\s+/g, " ").trim()}`);
+
+  const giftLines = gifts.map((gift) =>
+    [
+      `- ${String(gift.purchaseDate || gift.year || "").substring(0, 10)} ${gift.giftName}`,
+      gift.occasion && `(${gift.occasion})`,
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+
+  return [
+    { key: "card", title: "[상대방 명함 정보]", lines: cardLines },
+    { key: "preferences", title: "[선호도 프로필]", lines: preferenceLines },
+    { key: "facts", title: "[관계에서 확인된 사실]", lines: factLines },
+    { key: "memos", title: "[최근 메모]", lines: memoLines },
+    { key: "gifts", title: "[지금까지 준 선물]", lines: giftLines },
+  ];
+};
+
+/**
+ * 명함과 연결된 대화용 system prompt 생성
+ * 명함 → 선호도 → 사실 → 메모 → 선물 순으로 토큰 예산 안에서 채우고, 넘치면 이후 항목은 생략
+ * @param {number} cardId - 명함 ID
+ * @param {number} userId - 사용자 ID
+ * @param {Object} options
+ * @param {number} options.tokenBudget - 최대 토큰 수 (기본: CHAT_CONFIG.CONTEXT_TOKEN_BUDGET)
+ * @returns {Promise<{prompt: string, estimatedTokens: number, truncated: boolean, included: Object}|null>}
+ */
+export const buildCardContextPrompt = async (cardId, userId, options = {}) => {
+  const { tokenBudget = CHAT_CONFIG.CONTEXT_TOKEN_BUDGET } = options;
+
+  const data = await loadCardContextData(cardId, userId);
+  if (!data) {
+    return null;
+  }
+
+  const header = `당신은 비즈니스 관계 관리 도우미입니다. 사용자가 아래 인물(${data.card.name})에 대해 질문하면 이 정보를 근거로 구체적으로 답하세요.
+정보에 없는 내용은 추측하지 말고, 모르면 모른다고 답하세요.`;
+
+  const parts = [header];
+  let usedTokens = estimateTokens(header);
+  let truncated = false;
+  const included = {};
+
+  for (const section of buildSections(data)) {
+    if (section.lines.length === 0) continue;
+
+    const titleTokens = estimateTokens(section.title) + 1;
+    if (usedTokens + titleTokens > tokenBudget) {
+      truncated = true;
+      break;
+    }
+
+    const sectionLines = [];
+    let sectionTokens = titleTokens;
+    for (const line of section.lines) {
+      const lineTokens = estimateTokens(line) + 1;
+      if (usedTokens + sectionTokens + lineTokens > tokenBudget) {
+        truncated = true;
+        break;
+      }
+      sectionLines.push(line);
+      sectionTokens += lineTokens;
+    }
+
+    if (sectionLines.length > 0) {
+      parts.push(`${section.title}\n${sectionLines.join("\n")}`);
+      usedTokens += sectionTokens;
+      included[section.key] = sectionLines.length;
+    }
+
+    if (truncated) break;
+  }
+
+  logger.debug("Card context prompt built", { cardId, usedTokens, tokenBudget, truncated, included });
+
+  return {
+    prompt: parts.join("\n\n"),
+    estimatedTokens: usedTokens,
+    truncated,
+    included,
+  };
+};
@@ -7,9 +7,10 @@ import { validatePreferenceProfile, getPreferencePriority, sortPreferenceItemsBy
 /**
  * 선호도 프로필 데이터 조회
  * @param {string|number} cardId - 명함 ID
+ * @param {number} [userId] - 있으면 명함 소유자일 때만 조회
  * @returns {Promise<Object|null>} 프로필 데이터 또는 null
  */
-export const fetchPreferenceProfile = async (cardId) => {
+export const fetchPreferenceProfile = async (cardId, userId = null) => {
   if (!cardId) {
     return null;
   }
@@ -22,7 +23,7 @@ export const fetchPreferenceProfile = async (cardId) => {
     }
 
     logger.gift.step("프로필 조회", `선호도 프로필 데이터 조회 중... (cardId: ${businessCardId})`);
-    const profile = await PreferenceProfile.findByBusinessCardId(businessCardId);
+    const profile = await PreferenceProfile.findByBusinessCardId(businessCardId, userId);
     
     if (profile) {
       const preferenceProfile = {
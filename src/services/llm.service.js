@@ -1,132 +1,60 @@
-import axios from "axios";
 import { GIFT_CONFIG } from "../config/gift.config.js";
 import { logger } from "../utils/logger.js";
+import { getProvider, getEmbeddingProvider } from "./llm/providers/index.js";
+import { chatWithFallback, streamChatWithFallback } from "./llm/fallback.js";
 
 /**
  * Process chat message with LLM
  * @param {Array} messages - Array of message objects with role and content
- * @param {string} provider - LLM provider ('gpt', 'claude', 'gemini')
+ * @param {string} provider - LLM provider ('gpt', 'claude', 'gemini', 'luxia', 'mock')
+ * @param {Object} options - Provider options (temperature, max_tokens 등)
  * @returns {Promise<string>} LLM response
  */
-export const processLLMChat = async (messages, provider = "gpt") => {
-  try {
-    if (provider === "gpt") {
-      return await processWithGPT(messages);
-    } else if (provider === "gemini") {
-      return await processWithGemini(messages);
-    } else {
-      throw new Error(
-        `Unsupported LLM provider: ${provider}. Supported providers: 'gpt', 'gemini'.`
-      );
-    }
-  } catch (error) {
-    logger.error("LLM Service Error", error);
-    throw new Error("LLM processing failed");
-  }
+export const processLLMChat = async (
+  messages,
+  provider = process.env.LLM_PROVIDER || "gpt",
+  options = {}
+) => {
+  const { content } = await processLLMChatWithProvider(messages, provider, options);
+  return content;
 };
 
 /**
- * Process with OpenAI GPT
+ * Process chat message with LLM, returning which provider actually answered
+ * 요청한 Provider가 실패하거나 설정되지 않았으면 fallback 체인을 따라 다음 Provider 사용
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {string} provider - LLM provider ('gpt', 'claude', 'gemini', 'luxia', 'mock')
+ * @param {Object} options - Provider options (temperature, max_tokens 등)
+ * @returns {Promise<{content: string, provider: string, requested: string, fallback: boolean}>}
  */
-const processWithGPT = async (messages) => {
-  if (!process.env.OPENAI_API_KEY) {
-    return mockLLMResponse();
-  }
-
+export const processLLMChatWithProvider = async (
+  messages,
+  provider = process.env.LLM_PROVIDER || "gpt",
+  options = {}
+) => {
   try {
-    // Format messages for OpenAI
-    // OpenAI expects { role: "user" | "assistant" | "system", content: "..." }
-    const formattedMessages = messages.map((msg) => {
-      let role = msg.role;
-      // Map "model" role to "assistant" for OpenAI
-      if (role === "model") {
-        role = "assistant";
-      }
-      return {
-        role: role,
-        content: msg.content,
-      };
-    });
-
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: GIFT_CONFIG.LLM_CHAT_MODEL,
-        messages: formattedMessages,
-        temperature: 0.7,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
-      }
-    );
-
-    if (response.data.choices && response.data.choices.length > 0) {
-      return response.data.choices[0].message.content;
-    }
-
-    throw new Error("OpenAI API returned no choices");
+    const formattedMessages = messages.map(({ role, content }) => ({ role, content }));
+    return await chatWithFallback(formattedMessages, { ...options, provider });
   } catch (error) {
-    logger.error("OpenAI API Error", error);
-
-    // OpenAI API 에러 메시지 추출
-    if (error.response?.data?.error?.message) {
-      throw new Error(`OpenAI API Error: ${error.response.data.error.message}`);
-    } else if (error.message) {
-      throw new Error(`OpenAI API Error: ${error.message}`);
-    } else {
-      throw new Error("OpenAI API 호출에 실패했습니다. API 키를 확인해주세요.");
-    }
+    logger.error("LLM Service Error", { message: error.message, attempts: error.attempts });
+    throw new Error("LLM processing failed");
   }
 };
 
 /**
- * Process with Google Gemini
+ * Stream chat message from LLM
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {string} provider - LLM provider ('gpt', 'claude', 'gemini', 'luxia', 'mock')
+ * @param {Object} options - Provider options (signal: AbortSignal 등)
+ * @returns {AsyncGenerator<{delta: string, provider: string, requested: string, fallback: boolean}>}
  */
-const processWithGemini = async (messages) => {
-  if (!process.env.GOOGLE_GEMINI_API_KEY) {
-    return mockLLMResponse();
-  }
-
-  try {
-    // Format messages for Gemini
-    // Gemini expects { role: "user" | "model", parts: [{ text: "..." }] }
-    const formattedContents = messages.map((msg) => {
-      let role = "user";
-      if (msg.role === "assistant" || msg.role === "system") {
-        role = "model";
-      }
-
-      return {
-        role: role,
-        parts: [{ text: msg.content }],
-      };
-    });
-
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${process.env.GOOGLE_GEMINI_API_KEY}`,
-      {
-        contents: formattedContents,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    if (response.data.candidates && response.data.candidates.length > 0) {
-      return response.data.candidates[0].content.parts[0].text;
-    }
-
-    return mockLLMResponse();
-  } catch (error) {
-    logger.error("Gemini API Error", error);
-    return mockLLMResponse();
-  }
+export const streamLLMChat = (
+  messages,
+  provider = process.env.LLM_PROVIDER || "gpt",
+  options = {}
+) => {
+  const formattedMessages = messages.map(({ role, content }) => ({ role, content }));
+  return streamChatWithFallback(formattedMessages, { ...options, provider });
 };
 
 /**
@@ -141,9 +69,7 @@ const processWithGemini = async (messages) => {
 export const processPersonaEmbedding = async (personaData) => {
   const { rank = "", gender = "", memo = "", addMemo = "" } = personaData;
 
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is not configured");
-  }
+  const llmProvider = getProvider();
 
   const PROMPT_PERSONA_EMBEDDING = `[역할]
 당신은 비즈니스 관계에서 만난 사람들의 특성을 이야기 형식으로 정리하는 전문가입니다.
@@ -187,56 +113,37 @@ export const processPersonaEmbedding = async (personaData) => {
 출력: 이 분은 과장급 여성으로 와인에 관심이 많은 분입니다. 건강을 위해 요가를 꾸준히 수강하고 계십니다.`;
 
   try {
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
+    const { content: result } = await chatWithFallback(
+      [
+        {
+          role: "system",
+          content:
+            "당신은 비즈니스 인물 정보를 자연스러운 이야기 형식으로 작성하는 전문가입니다. 항상 2-3개의 자연스러운 한국어 문장으로 응답하세요.",
+        },
+        {
+          role: "user",
+          content: PROMPT_PERSONA_EMBEDDING,
+        },
+      ],
       {
-        model: GIFT_CONFIG.LLM_CHAT_MODEL,
-        messages: [
-          {
-            role: "system",
-            content:
-              "당신은 비즈니스 인물 정보를 자연스러운 이야기 형식으로 작성하는 전문가입니다. 항상 2-3개의 자연스러운 한국어 문장으로 응답하세요.",
-          },
-          {
-            role: "user",
-            content: PROMPT_PERSONA_EMBEDDING,
-          },
-        ],
+        provider: llmProvider.name,
+        allowMock: false,
         temperature: 0.0, // Lower temperature for more consistent formatting
         max_tokens: 200,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
       }
     );
 
-    if (response.data.choices && response.data.choices.length > 0) {
-      const result = response.data.choices[0].message.content.trim();
-      return result;
-    }
-
-    throw new Error("OpenAI API returned no choices");
+    return result.trim();
   } catch (error) {
     logger.error("Persona Embedding API Error", error);
-
-    if (error.response?.data?.error?.message) {
-      throw new Error(`OpenAI API Error: ${error.response.data.error.message}`);
-    } else if (error.message) {
-      throw new Error(`OpenAI API Error: ${error.message}`);
-    } else {
-      throw new Error(
-        "Persona embedding 처리에 실패했습니다. API 키를 확인해주세요."
-      );
-    }
+    throw new Error(
+      error.message || "Persona embedding 처리에 실패했습니다. API 키를 확인해주세요."
+    );
   }
 };
 
 /**
- * Generate embedding vector using OpenAI Embedding API
+ * Generate embedding vector using the configured embedding provider
  * @param {string} text - Text to embed
  * @param {string} model - Embedding model (default: text-embedding-3-small)
  * @param {number} dimensions - Embedding dimensions (default: 1536)
@@ -247,8 +154,9 @@ export const generateEmbedding = async (
   model = GIFT_CONFIG.LLM_EMBEDDING_MODEL,
   dimensions = GIFT_CONFIG.LLM_EMBEDDING_DIMENSIONS
 ) => {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is not configured");
+  const embeddingProvider = getEmbeddingProvider();
+  if (!embeddingProvider.isAvailable()) {
+    throw new Error(`Embedding provider '${embeddingProvider.name}' is not configured`);
   }
 
   if (!text || text.trim() === "") {
@@ -256,39 +164,10 @@ export const generateEmbedding = async (
   }
 
   try {
-    const response = await axios.post(
-      "https://api.openai.com/v1/embeddings",
-      {
-        model: model,
-        input: text,
-        dimensions: dimensions,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
-      }
-    );
-
-    if (response.data && response.data.data && response.data.data.length > 0) {
-      return response.data.data[0].embedding;
-    }
-
-    throw new Error("OpenAI Embedding API returned no embedding");
+    return await embeddingProvider.embed(text, { model, dimensions });
   } catch (error) {
-    logger.error("OpenAI Embedding API Error", error);
-
-    if (error.response?.data?.error?.message) {
-      throw new Error(
-        `OpenAI Embedding API Error: ${error.response.data.error.message}`
-      );
-    } else if (error.message) {
-      throw new Error(`OpenAI Embedding API Error: ${error.message}`);
-    } else {
-      throw new Error("임베딩 생성에 실패했습니다. API 키를 확인해주세요.");
-    }
+    logger.error("Embedding API Error", error);
+    throw new Error(error.message || "임베딩 생성에 실패했습니다. API 키를 확인해주세요.");
   }
 };
 
@@ -308,9 +187,7 @@ export const rerankGifts = async (
   topN = 3,
   preferenceProfile = null
 ) => {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is not configured");
-  }
+  const llmProvider = getProvider();
 
   if (!gifts || gifts.length === 0) {
     return [];
@@ -659,35 +536,28 @@ ${preferenceProfile ? `[예시 1 - Likes 우선]
     console.log("=====================================");
     // #endregion
 
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
+    const { content } = await chatWithFallback(
+      [
+        {
+          role: "system",
+          content:
+            "You are a gift recommendation expert. You must respond with ONLY a valid JSON array of integers (indices), nothing else. Example: [0, 2, 3]. Do not include any explanation, markdown, or other text.",
+        },
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
       {
-        model: GIFT_CONFIG.LLM_CHAT_MODEL,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a gift recommendation expert. You must respond with ONLY a valid JSON array of integers (indices), nothing else. Example: [0, 2, 3]. Do not include any explanation, markdown, or other text.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
+        provider: llmProvider.name,
+        allowMock: false,
         temperature: GIFT_CONFIG.LLM_RERANK_TEMPERATURE,
         max_tokens: GIFT_CONFIG.LLM_RERANK_MAX_TOKENS,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
       }
     );
 
-    if (response.data.choices && response.data.choices.length > 0) {
-      const result = response.data.choices[0].message.content.trim();
+    if (content) {
+      const result = content.trim();
 
       // Parse JSON array from response
       let rankedIndices;
@@ -1126,7 +996,7 @@ ${preferenceProfile ? `[예시 1 - Likes 우선]
       return finalGifts;
     }
 
-    throw new Error("OpenAI API returned no choices");
+    throw new Error("LLM returned an empty response");
   } catch (error) {
     logger.error("Rerank API Error", error);
 
@@ -1148,9 +1018,7 @@ export const generateGiftRationale = async (
   personaString,
   originalData = {}
 ) => {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is not configured");
-  }
+  const llmProvider = getProvider();
 
   try {
     const metadata = gift.metadata || {};
@@ -1226,35 +1094,28 @@ JSON 형식으로 반환하세요:
 
 JSON만 반환하세요, 다른 텍스트 없이:`;
 
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
+    const { content } = await chatWithFallback(
+      [
+        {
+          role: "system",
+          content:
+            "You are a gift recommendation analyst. Always respond with valid JSON only.",
+        },
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
       {
-        model: GIFT_CONFIG.LLM_CHAT_MODEL,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a gift recommendation analyst. Always respond with valid JSON only.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
+        provider: llmProvider.name,
+        allowMock: false,
         temperature: GIFT_CONFIG.LLM_RATIONALE_TEMPERATURE,
         max_tokens: GIFT_CONFIG.LLM_RATIONALE_MAX_TOKENS,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
       }
     );
 
-    if (response.data.choices && response.data.choices.length > 0) {
-      const result = response.data.choices[0].message.content.trim();
+    if (content) {
+      const result = content.trim();
 
       try {
         // Remove markdown code blocks if present
@@ -1313,10 +1174,7 @@ JSON만 반환하세요, 다른 텍스트 없이:`;
 export const extractSearchKeywords = async (personaData, userQuery = "") => {
   const { rank = "", gender = "", memo = "", addMemo = "" } = personaData;
 
-  if (!process.env.OPENAI_API_KEY) {
-    // API 키가 없으면 기본 키워드 추출 로직 사용
-    return extractKeywordsFallback(personaData, userQuery);
-  }
+  const llmProvider = getProvider();
 
   const prompt = `[Role]
 당신은 선물 추천을 위한 검색 키워드 전문가입니다.
@@ -1357,35 +1215,28 @@ JSON 배열로 **최대 3개의 핵심 검색 키워드만** 반환하세요.
 중요: JSON 배열만 반환하세요. 다른 설명 없이 순수한 JSON 배열만 반환하세요.`;
 
   try {
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
+    const { content } = await chatWithFallback(
+      [
+        {
+          role: "system",
+          content:
+            "You are a search keyword extraction expert. Always respond with ONLY a valid JSON array of Korean search keywords. No explanation, no markdown.",
+        },
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
       {
-        model: GIFT_CONFIG.LLM_CHAT_MODEL,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a search keyword extraction expert. Always respond with ONLY a valid JSON array of Korean search keywords. No explanation, no markdown.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
+        provider: llmProvider.name,
+        allowMock: false,
         temperature: 0.3,
         max_tokens: 150,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
       }
     );
 
-    if (response.data.choices && response.data.choices.length > 0) {
-      const result = response.data.choices[0].message.content.trim();
+    if (content) {
+      const result = content.trim();
 
       try {
         // JSON 파싱 시도
@@ -1472,10 +1323,7 @@ const extractKeywordsFallback = (personaData, userQuery = "") => {
  * Only extracts explicit expressions, no inference
  */
 export const extractPreferencesFromMemo = async (memoContent) => {
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn("OPENAI_API_KEY not configured, returning empty preferences");
-    return { likes: [], dislikes: [], uncertain: [] };
-  }
+  const llmProvider = getProvider();
 
   try {
     const prompt = `다음 메모 텍스트에서 명시적으로 표현된 선호도만 추출하세요.
@@ -1510,25 +1358,18 @@ JSON만 반환하고 다른 설명은 포함하지 마세요.`;
       }
     ];
 
-    const response = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
+    const { content: llmResponse } = await chatWithFallback(
+      messages,
       {
-        model: GIFT_CONFIG.LLM_CHAT_MODEL,
-        messages: messages,
+        provider: llmProvider.name,
+        allowMock: false,
         temperature: 0.1,
         response_format: { type: "json_object" }
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
       }
     );
 
-    if (response.data.choices && response.data.choices.length > 0) {
-      const content = response.data.choices[0].message.content.trim();
+    if (llmResponse) {
+      const content = llmResponse.trim();
       
       // Try to parse JSON (might be wrapped in code blocks or plain JSON)
       let parsed;
@@ -1568,17 +1409,10 @@ JSON만 반환하고 다른 설명은 포함하지 마세요.`;
       };
     }
 
-    throw new Error("OpenAI API returned no choices");
+    throw new Error("LLM returned an empty response");
   } catch (error) {
     logger.error("Preference extraction error", error);
     // Return empty preferences on error
     return { likes: [], dislikes: [], uncertain: [] };
   }
 };
-
-/**
- * Mock LLM response for development
- */
-const mockLLMResponse = () => {
-  return "안녕하세요! GPT-4b입니다. 어떻게 도와드릴까요? (This is a mock response. Please configure LLM API keys in .env file)";
-};
@@ -0,0 +1,98 @@
+/**
+ * Circuit Breaker
+ * 연속 실패가 임계값에 도달하면 OPEN, 쿨다운 이후 HALF_OPEN 상태에서 1회 시도 허용
+ * (시험 요청의 결과가 기록될 때까지 다른 요청은 건너뜀)
+ */
+
+export const CIRCUIT_STATE = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    // HALF_OPEN 시험 요청 시작 시각 (진행 중이 아니면 null)
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * 현재 요청을 보낼 수 있는지 확인 (쿨다운이 지났으면 HALF_OPEN으로 전환)
+   * HALF_OPEN에서는 시험 요청 하나만 허용. 결과 없이 쿨다운만큼 지난 시험 요청은 끝난 것으로 봄
+   * @returns {boolean}
+   */
+  canRequest() {
+    const now = Date.now();
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (now - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+    }
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this.trialStartedAt !== null && now - this.trialStartedAt < this.cooldownMs) {
+        return false;
+      }
+      this.trialStartedAt = now;
+    }
+    return true;
+  }
+
+  /**
+   * 결과를 기록하지 않고 끝난 시험 요청 해제 (클라이언트 중단 등)
+   */
+  releaseTrial() {
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * 성공 기록 - 상태 초기화
+   */
+  recordSuccess() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * 실패 기록 - HALF_OPEN 중 실패하거나 임계값 도달 시 OPEN
+   * @param {Error} error
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error?.message || null;
+
+    if (
+      this.state === CIRCUIT_STATE.HALF_OPEN ||
+      this.consecutiveFailures >= this.failureThreshold
+    ) {
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * 상태 요약 (헬스체크/디버깅용)
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+export default CircuitBreaker;
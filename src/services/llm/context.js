@@ -0,0 +1,63 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * LLM 요청 컨텍스트
+ * 요청 단위로 실제 응답한 Provider, 사용자, 기능(feature) 등을 기록 (llmContext 미들웨어에서 시작)
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * 컨텍스트 안에서 함수 실행
+ * @param {Object} context - { req, res, requestId, feature, ... }
+ * @param {Function} fn
+ */
+export const runWithLLMContext = (context, fn) => {
+  return storage.run({ providers: [], ...context }, fn);
+};
+
+/**
+ * 현재 컨텍스트 조회 (컨텍스트 밖이면 null)
+ * @returns {Object|null}
+ */
+export const getLLMContext = () => {
+  return storage.getStore() || null;
+};
+
+/**
+ * 현재 요청의 기능 이름 지정 (사용량 원장의 feature)
+ * @param {string} feature - 예: 'gift_recommendation', 'graph_analysis'
+ */
+export const setLLMFeature = (feature) => {
+  const context = getLLMContext();
+  if (context) {
+    context.feature = feature;
+  }
+};
+
+/**
+ * 실제 응답한 Provider 기록
+ * 응답 헤더가 아직 전송되지 않았으면 X-LLM-Provider 헤더에도 반영
+ * @param {Object} record - { requested, provider, fallback }
+ */
+export const recordLLMProvider = (record) => {
+  const context = getLLMContext();
+  if (!context) return;
+
+  context.providers.push(record);
+
+  const { res } = context;
+  if (res && !res.headersSent) {
+    const answered = [...new Set(context.providers.map((p) => p.provider))];
+    res.setHeader("X-LLM-Provider", answered.join(", "));
+  }
+};
+
+/**
+ * 현재 요청에서 응답한 Provider 목록
+ * @returns {Array<string>}
+ */
+export const getAnsweredProviders = () => {
+  const context = getLLMContext();
+  if (!context) return [];
+  return [...new Set(context.providers.map((p) => p.provider))];
+};
@@ -0,0 +1,200 @@
+/**
+ * LLM Provider Fallback
+ * 요청한 Provider가 실패하면 LLM_FALLBACK_CHAIN 순서대로 다음 Provider를 시도
+ * Provider마다 Circuit Breaker를 두어 연속 실패 시 일정 시간 호출을 건너뜀
+ */
+
+import { getProvider, resolveProviderName } from "./providers/index.js";
+import { CircuitBreaker } from "./circuitBreaker.js";
+import { recordLLMProvider } from "./context.js";
+import { LLM_CONFIG } from "../../config/llm.config.js";
+import { logger } from "../../utils/logger.js";
+
+const breakers = new Map();
+
+/**
+ * Fallback 체인 (예: "gpt,gemini,mock")
+ * @returns {Array<string>}
+ */
+export const getFallbackChain = () => {
+  const chain = process.env.LLM_FALLBACK_CHAIN || LLM_CONFIG.FALLBACK_CHAIN;
+  return chain
+    .split(",")
+    .map((name) => resolveProviderName(name))
+    .filter(Boolean);
+};
+
+/**
+ * Provider별 Circuit Breaker 조회 (없으면 생성)
+ * @param {string} name - Provider 이름
+ * @returns {CircuitBreaker}
+ */
+export const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(
+      name,
+      new CircuitBreaker(name, {
+        failureThreshold:
+          parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) ||
+          LLM_CONFIG.CIRCUIT_FAILURE_THRESHOLD,
+        cooldownMs:
+          parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 10) ||
+          LLM_CONFIG.CIRCUIT_COOLDOWN_MS,
+      })
+    );
+  }
+  return breakers.get(name);
+};
+
+/**
+ * 모든 Circuit Breaker 상태 (헬스체크용)
+ * @returns {Array<Object>}
+ */
+export const getCircuitStates = () => {
+  return [...breakers.values()].map((breaker) => breaker.toJSON());
+};
+
+/**
+ * 요청 Provider를 맨 앞에 두고 나머지 체인을 이어붙인 시도 순서
+ */
+const buildAttemptOrder = (requested, allowMock) => {
+  const order = [requested, ...getFallbackChain()].filter(
+    (name, idx, arr) => arr.indexOf(name) === idx
+  );
+  return allowMock ? order : order.filter((name) => name !== "mock");
+};
+
+/**
+ * Fallback 체인을 따라 chat 수행
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options
+ * @param {string} options.provider - 우선 시도할 Provider (기본: LLM_PROVIDER 또는 'gpt')
+ * @param {boolean} options.allowMock - mock Provider까지 내려갈지 여부 (기본: true)
+ * @returns {Promise<{content: string, provider: string, requested: string, fallback: boolean}>}
+ */
+export const chatWithFallback = async (messages, options = {}) => {
+  const {
+    provider = process.env.LLM_PROVIDER || "gpt",
+    allowMock = true,
+    ...chatOptions
+  } = options;
+
+  const requested = resolveProviderName(provider);
+  // 지원하지 않는 Provider는 fallback 없이 즉시 에러
+  getProvider(requested);
+
+  const attempts = [];
+
+  for (const name of buildAttemptOrder(requested, allowMock)) {
+    const llmProvider = getProvider(name);
+
+    if (!llmProvider.isAvailable()) {
+      attempts.push({ provider: name, skipped: "not configured" });
+      continue;
+    }
+
+    const breaker = getCircuitBreaker(name);
+    if (!breaker.canRequest()) {
+      attempts.push({ provider: name, skipped: "circuit open" });
+      continue;
+    }
+
+    try {
+      const content = await llmProvider.chat(messages, chatOptions);
+      breaker.recordSuccess();
+
+      const record = { requested, provider: name, fallback: name !== requested };
+      recordLLMProvider(record);
+      if (record.fallback) {
+        logger.warn("LLM fallback provider answered", { ...record, attempts });
+      }
+
+      return { content, ...record };
+    } catch (error) {
+      breaker.recordFailure(error);
+      attempts.push({ provider: name, error: error.message, circuit: breaker.state });
+      logger.warn(`LLM provider '${name}' failed`, {
+        message: error.message,
+        circuit: breaker.state,
+      });
+    }
+  }
+
+  const error = new Error("All LLM providers failed");
+  error.attempts = attempts;
+  throw error;
+};
+
+/**
+ * Fallback 체인을 따라 스트리밍 chat 수행
+ * 첫 조각을 받기 전에 실패한 경우에만 다음 Provider로 넘어감 (스트리밍 도중 실패는 그대로 에러)
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object} options - chatWithFallback과 동일 (+ signal: AbortSignal)
+ * @returns {AsyncGenerator<{delta: string, provider: string, requested: string, fallback: boolean}>}
+ */
+export async function* streamChatWithFallback(messages, options = {}) {
+  const {
+    provider = process.env.LLM_PROVIDER || "gpt",
+    allowMock = true,
+    ...chatOptions
+  } = options;
+
+  const requested = resolveProviderName(provider);
+  getProvider(requested);
+
+  const attempts = [];
+
+  for (const name of buildAttemptOrder(requested, allowMock)) {
+    const llmProvider = getProvider(name);
+
+    if (!llmProvider.isAvailable()) {
+      attempts.push({ provider: name, skipped: "not configured" });
+      continue;
+    }
+
+    const breaker = getCircuitBreaker(name);
+    if (!breaker.canRequest()) {
+      attempts.push({ provider: name, skipped: "circuit open" });
+      continue;
+    }
+
+    const record = { requested, provider: name, fallback: name !== requested };
+    let started = false;
+
+    try {
+      for await (const delta of llmProvider.chatStream(messages, chatOptions)) {
+        if (!started) {
+          started = true;
+          recordLLMProvider(record);
+        }
+        yield { delta, ...record };
+      }
+      breaker.recordSuccess();
+      return;
+    } catch (error) {
+      // 클라이언트가 연결을 끊어 중단한 경우는 Provider 실패로 보지 않음
+      if (chatOptions.signal?.aborted) {
+        throw error;
+      }
+
+      breaker.recordFailure(error);
+      attempts.push({ provider: name, error: error.message, circuit: breaker.state });
+      logger.warn(`LLM provider '${name}' stream failed`, {
+        message: error.message,
+        circuit: breaker.state,
+        started,
+      });
+
+      if (started) {
+        throw error;
+      }
+    } finally {
+      // 중단되거나 소비자가 스트림을 닫아 결과가 기록되지 않은 경우 (기록된 경우는 영향 없음)
+      breaker.releaseTrial();
+    }
+  }
+
+  const error = new Error("All LLM providers failed");
+  error.attempts = attempts;
+  throw error;
+}
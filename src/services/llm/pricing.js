@@ -0,0 +1,35 @@
+/**
+ * LLM 예상 비용 계산
+ * 메인 서버(usage.js)와 fact-extraction, graph-extraction의 사용량 기록이 같은 단가표와 조회 방식을 사용
+ * (DB/로거 등 다른 모듈에 의존하지 않음)
+ */
+
+import { LLM_CONFIG } from "../../config/llm.config.js";
+
+/**
+ * 모델 단가 조회 (가장 긴 접두사 일치, 예: 'gpt-4o-mini-2024-07-18' → 'gpt-4o-mini')
+ * @param {string} model
+ * @returns {{input: number, output: number}|null}
+ */
+export const findLLMPricing = (model = "") => {
+  const key = Object.keys(LLM_CONFIG.PRICING)
+    .filter((prefix) => String(model || "").startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? LLM_CONFIG.PRICING[key] : null;
+};
+
+/**
+ * 예상 비용 계산 (USD)
+ * 단가표에 없는 모델은 0으로 기록
+ * @param {string} model
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {number}
+ */
+export const estimateLLMCost = (model, promptTokens = 0, completionTokens = 0) => {
+  const pricing = findLLMPricing(model);
+  if (!pricing) return 0;
+
+  const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+  return Number(cost.toFixed(6));
+};
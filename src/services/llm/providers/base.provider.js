@@ -3,6 +3,8 @@
  * 모든 LLM Provider가 구현해야 하는 공통 인터페이스
  */
 
+import { recordLLMUsage } from "../usage.js";
+
 export class BaseProvider {
   constructor(config = {}) {
     this.config = config;
@@ -20,6 +22,18 @@ export class BaseProvider {
     throw new Error("chat() method must be implemented by provider");
   }
 
+  /**
+   * Streaming chat completion - 토큰 단위 스트리밍
+   * 스트리밍을 지원하지 않는 Provider는 전체 응답을 한 번에 전달
+   * @param {Array} messages - 메시지 배열 [{ role, content }]
+   * @param {Object} options - 추가 옵션 (signal: AbortSignal 등)
+   * @returns {AsyncGenerator<string>} 응답 텍스트 조각
+   */
+  async *chatStream(messages, options = {}) {
+    const { signal, ...chatOptions } = options;
+    yield await this.chat(messages, chatOptions);
+  }
+
   /**
    * Generate embedding - 벡터 임베딩 생성
    * @param {string|Array<string>} text - 임베딩할 텍스트
@@ -38,6 +52,16 @@ export class BaseProvider {
     return !!this.apiKey;
   }
 
+  /**
+   * API 응답의 토큰 사용량을 사용량 원장에 기록 (응답을 기다리지 않음)
+   * @param {string} model - 실제 호출한 모델명
+   * @param {number} promptTokens - 입력 토큰 수
+   * @param {number} completionTokens - 출력 토큰 수
+   */
+  reportUsage(model, promptTokens = 0, completionTokens = 0) {
+    recordLLMUsage({ provider: this.name, model, promptTokens, completionTokens });
+  }
+
   /**
    * Format messages for provider-specific format
    * @param {Array} messages - 표준 메시지 형식
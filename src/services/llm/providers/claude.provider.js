@@ -0,0 +1,113 @@
+import axios from "axios";
+import { BaseProvider } from "./base.provider.js";
+
+/**
+ * Anthropic Claude Provider (Messages API)
+ */
+export class ClaudeProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = config.baseURL || "https://api.anthropic.com/v1";
+    this.model = config.model || "claude-3-5-haiku-latest";
+    this.maxTokens = config.maxTokens || 1024;
+  }
+
+  /**
+   * Format messages for Claude API
+   * system 메시지는 별도 필드로 분리하고, 나머지는 user/assistant로 매핑
+   */
+  formatMessages(messages) {
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+
+    const conversation = messages
+      .filter((m) => m.role !== "system")
+      .map((m) => ({
+        role: m.role === "user" ? "user" : "assistant",
+        content: m.content,
+      }));
+
+    return { system: system || undefined, messages: conversation };
+  }
+
+  /**
+   * Chat completion
+   */
+  async chat(messages, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error("ANTHROPIC_API_KEY is not configured");
+    }
+
+    const {
+      model = this.model,
+      max_tokens = this.maxTokens,
+      temperature = 0.7,
+    } = options;
+    const { system, messages: conversation } = this.formatMessages(messages);
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/messages`,
+        {
+          model,
+          system,
+          messages: conversation,
+          max_tokens,
+          temperature,
+        },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            "x-api-key": this.apiKey,
+            "anthropic-version": "2023-06-01",
+          },
+          timeout: this.timeout,
+        }
+      );
+
+      const { usage } = response.data;
+      if (usage) {
+        this.reportUsage(model, usage.input_tokens, usage.output_tokens);
+      }
+
+      return this.parseResponse(response.data);
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Claude API는 임베딩 엔드포인트를 제공하지 않음
+   */
+  async embed(text, options = {}) {
+    throw new Error("Claude provider does not support embedding. Use OpenAI or LuxiaGPT provider for embeddings.");
+  }
+
+  /**
+   * Parse response from Claude API
+   */
+  parseResponse(response) {
+    const textBlocks = (response.content || []).filter((block) => block.type === "text");
+    if (textBlocks.length > 0) {
+      return textBlocks.map((block) => block.text).join("");
+    }
+    throw new Error("Claude API returned no content");
+  }
+
+  /**
+   * Handle errors
+   */
+  handleError(error) {
+    if (error.response?.data?.error?.message) {
+      return new Error(`Claude API Error: ${error.response.data.error.message}`);
+    } else if (error.message) {
+      return new Error(`Claude API Error: ${error.message}`);
+    } else {
+      return new Error("Claude API 호출에 실패했습니다. API 키를 확인해주세요.");
+    }
+  }
+}
+
+export default ClaudeProvider;
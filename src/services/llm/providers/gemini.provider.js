@@ -21,7 +21,12 @@ export class GeminiProvider extends BaseProvider {
     // 또는 전체 대화를 하나의 텍스트로 변환
     const lastUserMessage = messages.filter(m => m.role === "user").pop();
     if (lastUserMessage) {
-      return lastUserMessage.content;
+      // system prompt(명함 컨텍스트 등)는 사용자 메시지 앞에 붙여서 전달
+      const systemPrompt = messages
+        .filter(m => m.role === "system")
+        .map(m => m.content)
+        .join("\n\n");
+      return systemPrompt ? `${systemPrompt}\n\n${lastUserMessage.content}` : lastUserMessage.content;
     }
     
     // 사용자 메시지가 없으면 전체 메시지를 텍스트로 변환
@@ -54,6 +59,11 @@ export class GeminiProvider extends BaseProvider {
         }
       );
 
+      const usage = response.data?.results?.[0]?.usageMetadata;
+      if (usage) {
+        this.reportUsage("gemini-2.0-flash", usage.promptTokenCount, usage.candidatesTokenCount);
+      }
+
       return this.parseResponse(response.data);
     } catch (error) {
       throw this.handleError(error);
@@ -0,0 +1,127 @@
+/**
+ * LLM Provider Registry
+ * 이름 또는 환경변수(LLM_PROVIDER, LLM_EMBEDDING_PROVIDER)로 Provider를 선택
+ */
+
+import { OpenAIProvider } from "./openai.provider.js";
+import { GeminiProvider } from "./gemini.provider.js";
+import { LuxiaGPTProvider } from "./luxia-gpt.provider.js";
+import { ClaudeProvider } from "./claude.provider.js";
+import { MockProvider } from "./mock.provider.js";
+import { GIFT_CONFIG } from "../../../config/gift.config.js";
+
+// Provider 이름 → 클래스 및 설정 (설정은 dotenv 로드 이후 시점에 읽도록 함수로 정의)
+const PROVIDERS = {
+  gpt: {
+    ProviderClass: OpenAIProvider,
+    getConfig: () => ({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
+    }),
+  },
+  gemini: {
+    ProviderClass: GeminiProvider,
+    getConfig: () => ({
+      apiKey: process.env.Conference_API_KEY,
+      timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
+    }),
+  },
+  luxia: {
+    ProviderClass: LuxiaGPTProvider,
+    getConfig: () => ({
+      apiKey: process.env.Conference_API_KEY,
+      timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
+    }),
+  },
+  claude: {
+    ProviderClass: ClaudeProvider,
+    getConfig: () => ({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      model: process.env.CLAUDE_MODEL,
+      timeout: GIFT_CONFIG.LLM_TIMEOUT_MS,
+    }),
+  },
+  mock: {
+    ProviderClass: MockProvider,
+    getConfig: () => ({}),
+  },
+};
+
+// 별칭 (chats.llmProvider 값 및 흔히 쓰는 이름)
+const ALIASES = {
+  openai: "gpt",
+  anthropic: "claude",
+  "luxia-gpt": "luxia",
+  local: "mock",
+};
+
+const instances = new Map();
+
+/**
+ * Provider 이름 정규화
+ * @param {string} name - Provider 이름 또는 별칭
+ * @returns {string} 등록된 Provider 이름
+ */
+export const resolveProviderName = (name) => {
+  const key = String(name || "").trim().toLowerCase();
+  return ALIASES[key] || key;
+};
+
+/**
+ * 새 Provider 등록 (테스트용 Provider 주입 등)
+ * @param {string} name - Provider 이름
+ * @param {Function} ProviderClass - BaseProvider를 상속한 클래스
+ * @param {Function} getConfig - 설정 객체를 반환하는 함수
+ */
+export const registerProvider = (name, ProviderClass, getConfig = () => ({})) => {
+  PROVIDERS[name] = { ProviderClass, getConfig };
+  instances.delete(name);
+};
+
+/**
+ * 이름으로 Provider 인스턴스 조회
+ * @param {string} name - Provider 이름 (기본: LLM_PROVIDER 환경변수 또는 'gpt')
+ * @returns {BaseProvider}
+ */
+export const getProvider = (name = process.env.LLM_PROVIDER || "gpt") => {
+  const providerName = resolveProviderName(name);
+  const entry = PROVIDERS[providerName];
+
+  if (!entry) {
+    throw new Error(
+      `Unsupported LLM provider: ${name}. Supported providers: ${listProviders().join(", ")}.`
+    );
+  }
+
+  if (!instances.has(providerName)) {
+    const provider = new entry.ProviderClass(entry.getConfig());
+    provider.name = providerName;
+    instances.set(providerName, provider);
+  }
+
+  return instances.get(providerName);
+};
+
+/**
+ * 임베딩용 Provider 조회 (LLM_EMBEDDING_PROVIDER 환경변수 또는 'gpt')
+ * @returns {BaseProvider}
+ */
+export const getEmbeddingProvider = () => {
+  return getProvider(process.env.LLM_EMBEDDING_PROVIDER || "gpt");
+};
+
+/**
+ * 등록된 Provider 이름 목록
+ * @returns {Array<string>}
+ */
+export const listProviders = () => Object.keys(PROVIDERS);
+
+/**
+ * 캐시된 인스턴스 초기화 (환경변수 변경 후 재생성 필요 시)
+ */
+export const resetProviders = () => {
+  instances.clear();
+};
+
+export { BaseProvider } from "./base.provider.js";
+export { OpenAIProvider, GeminiProvider, LuxiaGPTProvider, ClaudeProvider, MockProvider };
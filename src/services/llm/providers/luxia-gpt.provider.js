@@ -0,0 +1,40 @@
+import { OpenAIProvider } from "./openai.provider.js";
+
+/**
+ * OpenAI GPT Provider (via Luxia API)
+ * Luxia bridge는 OpenAI와 동일한 요청/응답 형식을 사용하고 apikey 헤더로 인증
+ */
+export class LuxiaGPTProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      baseURL: config.baseURL || "https://bridge.luxiacloud.com/llm/openai",
+    });
+    this.missingKeyMessage = "Conference_API_KEY is not configured for LuxiaGPT";
+    // bridge의 stream_options 지원 여부가 확인되지 않아 스트리밍 응답은 usage 없이 받음
+    this.streamUsage = false;
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      apikey: this.apiKey,
+    };
+  }
+
+  getChatURL(model) {
+    return `${this.baseURL}/chat/completions/${model}/create`;
+  }
+
+  handleError(error) {
+    if (error.response?.data?.error?.message) {
+      return new Error(`LuxiaGPT API Error: ${error.response.data.error.message}`);
+    } else if (error.message) {
+      return new Error(`LuxiaGPT API Error: ${error.message}`);
+    } else {
+      return new Error("LuxiaGPT API 호출에 실패했습니다. API 키를 확인해주세요.");
+    }
+  }
+}
+
+export default LuxiaGPTProvider;
@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import { BaseProvider } from "./base.provider.js";
+import { GIFT_CONFIG } from "../../../config/gift.config.js";
+
+/**
+ * Local Mock Provider
+ * API 키 없이 개발/테스트 환경에서 동작하는 로컬 스텁
+ */
+export class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.dimensions = config.dimensions || GIFT_CONFIG.LLM_EMBEDDING_DIMENSIONS;
+  }
+
+  /**
+   * 항상 사용 가능 (외부 API 호출 없음)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Chat completion
+   */
+  async chat(messages, options = {}) {
+    return "안녕하세요! GPT-4b입니다. 어떻게 도와드릴까요? (This is a mock response. Please configure LLM API keys in .env file)";
+  }
+
+  /**
+   * Streaming chat completion - 단어 단위로 나누어 전달
+   */
+  async *chatStream(messages, options = {}) {
+    const content = await this.chat(messages, options);
+    for (const token of content.match(/\S+\s*/g) || []) {
+      yield token;
+    }
+  }
+
+  /**
+   * Generate embedding
+   * 같은 텍스트에는 항상 같은 벡터를 반환하도록 해시 기반으로 생성
+   */
+  async embed(text, options = {}) {
+    const dimensions = options.dimensions || this.dimensions;
+    if (Array.isArray(text)) {
+      return text.map((t) => this.hashVector(t, dimensions));
+    }
+    return this.hashVector(text, dimensions);
+  }
+
+  /**
+   * 텍스트 해시로 정규화된 결정적 벡터 생성
+   */
+  hashVector(text, dimensions) {
+    const vector = [];
+    let counter = 0;
+    while (vector.length < dimensions) {
+      const digest = crypto
+        .createHash("sha256")
+        .update(`${counter}:${text}`)
+        .digest();
+      for (let i = 0; i < digest.length && vector.length < dimensions; i++) {
+        vector.push(digest[i] / 127.5 - 1);
+      }
+      counter++;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map((v) => v / norm);
+  }
+
+  parseResponse(response) {
+    return response;
+  }
+}
+
+export default MockProvider;
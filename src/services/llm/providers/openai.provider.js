@@ -0,0 +1,218 @@
+import axios from "axios";
+import { BaseProvider } from "./base.provider.js";
+import { GIFT_CONFIG } from "../../../config/gift.config.js";
+
+/**
+ * OpenAI Provider (Chat Completions + Embeddings)
+ */
+export class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseURL = config.baseURL || "https://api.openai.com/v1";
+    this.model = config.model || GIFT_CONFIG.LLM_CHAT_MODEL;
+    this.embeddingModel = config.embeddingModel || GIFT_CONFIG.LLM_EMBEDDING_MODEL;
+    this.embeddingDimensions =
+      config.embeddingDimensions || GIFT_CONFIG.LLM_EMBEDDING_DIMENSIONS;
+    this.missingKeyMessage = "OPENAI_API_KEY is not configured";
+    // 스트리밍 응답 마지막 조각으로 usage를 받음 (stream_options.include_usage)
+    this.streamUsage = true;
+  }
+
+  /**
+   * Format messages for OpenAI
+   * OpenAI expects { role: "user" | "assistant" | "system", content: "..." }
+   */
+  formatMessages(messages) {
+    return messages.map((msg) => ({
+      // Map "model" role to "assistant" for OpenAI
+      role: msg.role === "model" ? "assistant" : msg.role,
+      content: msg.content,
+    }));
+  }
+
+  /**
+   * Request headers
+   */
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${this.apiKey}`,
+    };
+  }
+
+  getChatURL(model) {
+    return `${this.baseURL}/chat/completions`;
+  }
+
+  getEmbeddingURL(model) {
+    return `${this.baseURL}/embeddings`;
+  }
+
+  /**
+   * Chat completion
+   */
+  async chat(messages, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error(this.missingKeyMessage);
+    }
+
+    const { model = this.model, signal, ...params } = options;
+
+    try {
+      const response = await axios.post(
+        this.getChatURL(model),
+        {
+          model,
+          messages: this.formatMessages(messages),
+          temperature: 0.7,
+          ...params,
+        },
+        {
+          headers: this.getHeaders(),
+          timeout: this.timeout,
+          signal,
+        }
+      );
+
+      const { usage } = response.data;
+      if (usage) {
+        this.reportUsage(model, usage.prompt_tokens, usage.completion_tokens);
+      }
+
+      return this.parseResponse(response.data);
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Streaming chat completion (stream: true, SSE 응답의 delta 파싱)
+   */
+  async *chatStream(messages, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error(this.missingKeyMessage);
+    }
+
+    const { model = this.model, signal, ...params } = options;
+
+    let response;
+    try {
+      response = await axios.post(
+        this.getChatURL(model),
+        {
+          model,
+          messages: this.formatMessages(messages),
+          temperature: 0.7,
+          ...params,
+          stream: true,
+          ...(this.streamUsage && { stream_options: { include_usage: true } }),
+        },
+        {
+          headers: this.getHeaders(),
+          timeout: this.timeout,
+          responseType: "stream",
+          signal,
+        }
+      );
+    } catch (error) {
+      throw this.handleError(error);
+    }
+
+    let buffer = "";
+    try {
+      for await (const chunk of response.data) {
+        buffer += chunk.toString("utf8");
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith("data:")) continue;
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === "[DONE]") return;
+
+          const data = JSON.parse(payload);
+          if (data.usage) {
+            this.reportUsage(model, data.usage.prompt_tokens, data.usage.completion_tokens);
+          }
+
+          const delta = data.choices?.[0]?.delta?.content;
+          if (delta) {
+            yield delta;
+          }
+        }
+      }
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Generate embedding
+   */
+  async embed(text, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error(this.missingKeyMessage);
+    }
+
+    const {
+      model = this.embeddingModel,
+      dimensions = this.embeddingDimensions,
+    } = options;
+
+    try {
+      const response = await axios.post(
+        this.getEmbeddingURL(model),
+        {
+          model,
+          input: text,
+          dimensions,
+        },
+        {
+          headers: this.getHeaders(),
+          timeout: this.timeout,
+        }
+      );
+
+      const data = response.data?.data;
+      if (!data || data.length === 0) {
+        throw new Error("Embedding API returned no embedding");
+      }
+
+      if (response.data.usage) {
+        this.reportUsage(model, response.data.usage.prompt_tokens, 0);
+      }
+
+      return Array.isArray(text) ? data.map((d) => d.embedding) : data[0].embedding;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Parse response from OpenAI API
+   */
+  parseResponse(response) {
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    throw new Error("OpenAI API returned no choices");
+  }
+
+  /**
+   * Handle errors
+   * 로깅은 호출하는 쪽(llm.service)에서 기능별로 수행
+   */
+  handleError(error) {
+    if (error.response?.data?.error?.message) {
+      return new Error(`OpenAI API Error: ${error.response.data.error.message}`);
+    } else if (error.message) {
+      return new Error(`OpenAI API Error: ${error.message}`);
+    } else {
+      return new Error("OpenAI API 호출에 실패했습니다. API 키를 확인해주세요.");
+    }
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,49 @@
+/**
+ * LLM 사용량 원장
+ * Provider가 API 응답의 usage(토큰 수)를 보고하면 사용자/기능/요청 ID와 함께 llm_usage에 기록
+ */
+
+import LlmUsage from "../../models/LlmUsage.model.js";
+import { getLLMContext } from "./context.js";
+import { estimateLLMCost } from "./pricing.js";
+import { logger } from "../../utils/logger.js";
+
+/**
+ * 사용량 기록
+ * 사용자/기능/요청 ID는 요청 컨텍스트에서 가져오고, 기록 실패는 LLM 응답에 영향을 주지 않도록 경고만 남김
+ * @param {Object} entry
+ * @param {string} entry.provider - Provider 이름
+ * @param {string} entry.model - 모델명
+ * @param {number} entry.promptTokens
+ * @param {number} entry.completionTokens
+ * @param {string} entry.feature - 컨텍스트에 기능 이름이 없을 때 사용할 기본값
+ * @param {number} entry.userId - 컨텍스트 밖에서 호출할 때 사용자 ID
+ */
+export const recordLLMUsage = async (entry) => {
+  const context = getLLMContext();
+  const {
+    provider,
+    model,
+    promptTokens = 0,
+    completionTokens = 0,
+    feature = "unknown",
+    userId = null,
+  } = entry;
+
+  const record = {
+    userId: context?.req?.user?.id ?? userId,
+    feature: context?.feature || feature,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    estimatedCost: estimateLLMCost(model, promptTokens, completionTokens),
+    requestId: context?.requestId || null,
+  };
+
+  try {
+    await LlmUsage.create(record);
+  } catch (error) {
+    logger.warn("LLM usage record failed", { ...record, message: error.message });
+  }
+};
@@ -0,0 +1,18 @@
+import { logger } from "../../utils/logger.js";
+
+/**
+ * Console Mail Transport
+ * 로컬 개발용: 메일을 보내지 않고 로그로 출력
+ */
+export class ConsoleTransport {
+  async send(message) {
+    logger.info("Mail (console transport)", {
+      to: message.to,
+      subject: message.subject,
+    });
+    console.log(`\n===== MAIL to ${message.to} =====\n${message.subject}\n\n${message.text}\n================================\n`);
+    return { id: null, transport: "console" };
+  }
+}
+
+export default ConsoleTransport;
@@ -0,0 +1,29 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * File Mail Transport
+ * 로컬 개발/테스트용: 메일을 MAIL_OUTPUT_DIR에 JSON 파일로 저장
+ */
+export class FileTransport {
+  constructor(config = {}) {
+    this.outputDir = config.outputDir || path.resolve("temp", "mail");
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(this.outputDir, `${id}.json`);
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2),
+      "utf8"
+    );
+
+    return { id, transport: "file", path: filePath };
+  }
+}
+
+export default FileTransport;
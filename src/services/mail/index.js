@@ -0,0 +1,52 @@
+/**
+ * Mail Transport Registry
+ * MAIL_TRANSPORT로 선택 (기본: console). 운영용 전송(SMTP, 메일 API 등)은 registerMailTransport로 추가
+ */
+
+import { ConsoleTransport } from "./console.transport.js";
+import { FileTransport } from "./file.transport.js";
+
+const TRANSPORTS = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport({ outputDir: process.env.MAIL_OUTPUT_DIR }),
+};
+
+const instances = new Map();
+
+/**
+ * Transport 등록 (같은 이름이면 교체)
+ * @param {string} name
+ * @param {Function} factory - () => ({ send: async (message) => result })
+ */
+export const registerMailTransport = (name, factory) => {
+  TRANSPORTS[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Transport 조회
+ * @param {string} name - 기본: MAIL_TRANSPORT 또는 'console'
+ */
+export const getMailTransport = (name = process.env.MAIL_TRANSPORT || "console") => {
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unsupported mail transport: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, TRANSPORTS[name]());
+  }
+  return instances.get(name);
+};
+
+/**
+ * 메일 전송
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} transport별 전송 결과
+ */
+export const sendMail = async (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || "GPT-4b <no-reply@gpt4b.local>",
+    ...message,
+  });
+};
+
+export { ConsoleTransport, FileTransport };
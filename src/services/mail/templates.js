@@ -0,0 +1,45 @@
+/**
+ * 계정 관련 메일 템플릿
+ */
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * 비밀번호 재설정 메일
+ * @param {Object} params - { name, link, expiresInMinutes }
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export const passwordResetMail = ({ name, link, expiresInMinutes }) => ({
+  subject: "[GPT-4b] 비밀번호 재설정 안내",
+  text: `${name || "회원"}님, 안녕하세요.
+
+아래 링크에서 새 비밀번호를 설정해주세요. 링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있습니다.
+${link}
+
+본인이 요청하지 않았다면 이 메일을 무시하세요. 비밀번호는 변경되지 않습니다.`,
+  html: `<p>${escapeHtml(name || "회원")}님, 안녕하세요.</p>
+<p>아래 버튼을 눌러 새 비밀번호를 설정해주세요. 링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있습니다.</p>
+<p><a href="${escapeHtml(link)}">비밀번호 재설정</a></p>
+<p>본인이 요청하지 않았다면 이 메일을 무시하세요. 비밀번호는 변경되지 않습니다.</p>`,
+});
+
+/**
+ * 이메일 인증 메일
+ * @param {Object} params - { name, link, expiresInHours }
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export const emailVerificationMail = ({ name, link, expiresInHours }) => ({
+  subject: "[GPT-4b] 이메일 주소를 인증해주세요",
+  text: `${name || "회원"}님, GPT-4b에 가입해주셔서 감사합니다.
+
+아래 링크를 눌러 이메일 주소를 인증해주세요. 링크는 ${expiresInHours}시간 동안 유효합니다.
+${link}`,
+  html: `<p>${escapeHtml(name || "회원")}님, GPT-4b에 가입해주셔서 감사합니다.</p>
+<p>아래 버튼을 눌러 이메일 주소를 인증해주세요. 링크는 ${expiresInHours}시간 동안 유효합니다.</p>
+<p><a href="${escapeHtml(link)}">이메일 인증</a></p>`,
+});
@@ -0,0 +1,111 @@
+/**
+ * OAuth 로그인 계정 처리
+ * Provider 계정(oauthProvider + oauthId)으로 사용자를 찾고, 없으면 이메일로 기존 계정에 연결하거나 새로 생성
+ */
+
+import crypto from "crypto";
+import User from "../../models/User.model.js";
+import { logger } from "../../utils/logger.js";
+
+const createAccountError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * OAuth 사용자용 username 생성 (register 규칙: 영문자로 시작하는 영문/숫자)
+ */
+const generateUsername = async (provider, oauthId) => {
+  const base = `${provider}${String(oauthId).replace(/[^a-zA-Z0-9]/g, "").slice(-12)}`;
+  if (!(await User.findByUsername(base))) {
+    return base;
+  }
+  return `${base}${crypto.randomInt(1000, 10000)}`;
+};
+
+/**
+ * OAuth 검증 결과로 사용자 조회/연결/생성
+ * - 같은 Provider 계정이 있으면 그대로 로그인
+ * - 같은 이메일의 기존 계정이 있으면, Provider가 이메일을 검증했고 기존 계정도 이메일 인증을 마친 경우에만 연결
+ *   (인증 안 된 계정에 연결하면 남의 이메일로 먼저 가입한 사람의 비밀번호가 계속 유효함 → 계정 선점 공격)
+ * - 없으면 새 계정 생성 (비밀번호 없음)
+ * @param {Object} identity
+ * @param {string} identity.provider - 'google' | 'apple'
+ * @param {string} identity.oauthId - Provider의 사용자 고유 ID (sub)
+ * @param {string|null} identity.email
+ * @param {boolean} identity.emailVerified
+ * @param {string|null} identity.name
+ * @param {string|null} identity.profileImage
+ * @param {boolean} identity.isPrivateEmail - Apple 릴레이 주소 여부 (이름 기본값으로 쓰지 않음)
+ * @returns {Promise<{user: Object, created: boolean, linked: boolean}>}
+ */
+export const findOrCreateOAuthUser = async (identity) => {
+  const { provider, oauthId, email, emailVerified, name, profileImage, isPrivateEmail = false } = identity;
+
+  const existingOAuthUser = await User.findByOAuth(provider, oauthId);
+  if (existingOAuthUser) {
+    if (!existingOAuthUser.isActive) {
+      throw createAccountError("User account is deactivated", 401);
+    }
+    // 이전 로그인에서 이름을 받지 못한 경우에만 채움 (Apple은 첫 로그인에만 이름 전달)
+    if (name && !existingOAuthUser.name) {
+      const namedUser = await User.update(existingOAuthUser.id, { name });
+      return { user: namedUser, created: false, linked: false };
+    }
+    return { user: existingOAuthUser, created: false, linked: false };
+  }
+
+  if (email) {
+    const existingEmailUser = await User.findByEmail(email);
+    if (existingEmailUser) {
+      if (!emailVerified) {
+        throw createAccountError(
+          "An account with this email already exists. Sign in with your password to link this provider.",
+          409
+        );
+      }
+      if (existingEmailUser.oauthProvider && existingEmailUser.oauthId) {
+        throw createAccountError(
+          `This email is already linked to a ${existingEmailUser.oauthProvider} account`,
+          409
+        );
+      }
+      if (!existingEmailUser.isActive) {
+        throw createAccountError("User account is deactivated", 401);
+      }
+      if (!existingEmailUser.emailVerified) {
+        throw createAccountError(
+          "An unverified account with this email already exists. Verify the email or sign in with your password first.",
+          409
+        );
+      }
+
+      const linkedUser = await User.update(existingEmailUser.id, {
+        oauthProvider: provider,
+        oauthId,
+        emailVerified: true,
+        profileImage: existingEmailUser.profileImage || profileImage || undefined,
+      });
+      logger.info("OAuth account linked by verified email", { userId: linkedUser.id, provider });
+      return { user: linkedUser, created: false, linked: true };
+    }
+  }
+
+  if (!email) {
+    throw createAccountError("Email is required to create an account", 400);
+  }
+
+  const user = await User.create({
+    email,
+    username: await generateUsername(provider, oauthId),
+    password: null,
+    name: name || (isPrivateEmail ? null : email.split("@")[0]),
+    profileImage: profileImage || null,
+    oauthProvider: provider,
+    oauthId,
+    emailVerified,
+  });
+  logger.info("OAuth user created", { userId: user.id, provider });
+  return { user, created: true, linked: false };
+};
@@ -0,0 +1,150 @@
+/**
+ * Sign in with Apple identity 토큰 검증
+ * Apple JWKS(jwks-rsa)에서 kid에 맞는 공개키를 받아 jsonwebtoken으로 서명/만료/발급자/대상을 검증
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import jwksClient from "jwks-rsa";
+
+const APPLE_ISSUER = "https://appleid.apple.com";
+const APPLE_JWKS_URI = "https://appleid.apple.com/auth/keys";
+const PRIVATE_RELAY_DOMAIN = "@privaterelay.appleid.com";
+
+let jwks = null;
+
+/**
+ * 기본 공개키 조회: Apple JWKS (APPLE_JWKS_URI로 로컬 JWKS 서버 지정 가능)
+ * @param {string} kid
+ * @returns {Promise<string>} PEM 공개키
+ */
+const fetchAppleSigningKey = async (kid) => {
+  if (!jwks) {
+    jwks = jwksClient({
+      jwksUri: process.env.APPLE_JWKS_URI || APPLE_JWKS_URI,
+      cache: true,
+      cacheMaxAge: 24 * 60 * 60 * 1000,
+      rateLimit: true,
+      jwksRequestsPerMinute: 10,
+    });
+  }
+  const key = await jwks.getSigningKey(kid);
+  return key.getPublicKey();
+};
+
+let signingKeyResolver = fetchAppleSigningKey;
+
+/**
+ * 공개키 조회 함수 교체 (테스트에서 로컬 키 사용 시)
+ * @param {Function|null} resolver - async (kid) => PEM 공개키, null이면 기본값으로 복원
+ */
+export const setAppleSigningKeyResolver = (resolver) => {
+  signingKeyResolver = resolver || fetchAppleSigningKey;
+  jwks = null;
+};
+
+/**
+ * 허용할 client ID 목록 (APPLE_CLIENT_ID: iOS 번들 ID / 웹 Services ID, 쉼표로 여러 개)
+ * @returns {Array<string>}
+ */
+export const getAppleClientIds = () => {
+  return (process.env.APPLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Apple "나의 이메일 가리기" 릴레이 주소 여부
+ * @param {string} email
+ * @returns {boolean}
+ */
+export const isPrivateRelayEmail = (email = "") => {
+  return email.toLowerCase().endsWith(PRIVATE_RELAY_DOMAIN);
+};
+
+/**
+ * 첫 로그인 시에만 전달되는 사용자 이름 조합
+ * 앱이 전달한 user 값({ name: { firstName, lastName } }, JSON 문자열 가능)에서 추출
+ * @param {Object|string} appleUser
+ * @returns {string|null}
+ */
+export const parseAppleUserName = (appleUser) => {
+  let parsed = appleUser;
+  if (typeof appleUser === "string") {
+    try {
+      parsed = JSON.parse(appleUser);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const { firstName = "", lastName = "" } = parsed?.name || {};
+  if (!firstName && !lastName) {
+    return null;
+  }
+
+  // 한글 이름은 성+이름 순서로 붙여 씀
+  const isHangul = /^[가-힣]+$/.test(`${lastName}${firstName}`);
+  return isHangul
+    ? `${lastName}${firstName}`
+    : [firstName, lastName].filter(Boolean).join(" ");
+};
+
+const createVerifyError = (message) => {
+  const error = new Error(`Invalid Apple identity token: ${message}`);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Apple identity 토큰 검증
+ * @param {string} identityToken
+ * @param {Object} options
+ * @param {string} options.nonce - 앱이 로그인 요청에 사용한 원본 nonce (선택, SHA-256 해시 또는 원문과 비교)
+ * @returns {Promise<{oauthId: string, email: string|null, emailVerified: boolean, isPrivateEmail: boolean}>}
+ */
+export const verifyAppleIdentityToken = async (identityToken, options = {}) => {
+  const clientIds = getAppleClientIds();
+  if (clientIds.length === 0) {
+    const error = new Error("APPLE_CLIENT_ID is not configured");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const decoded = jwt.decode(identityToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw createVerifyError("malformed token");
+  }
+
+  let payload;
+  try {
+    const publicKey = await signingKeyResolver(decoded.header.kid);
+    payload = jwt.verify(identityToken, publicKey, {
+      algorithms: ["RS256"],
+      issuer: APPLE_ISSUER,
+      audience: clientIds,
+    });
+  } catch (error) {
+    throw createVerifyError(error.message);
+  }
+
+  if (options.nonce) {
+    const hashedNonce = crypto.createHash("sha256").update(options.nonce).digest("hex");
+    if (payload.nonce !== hashedNonce && payload.nonce !== options.nonce) {
+      throw createVerifyError("nonce mismatch");
+    }
+  }
+
+  const email = payload.email || null;
+  return {
+    oauthId: payload.sub,
+    email,
+    // Apple은 email_verified / is_private_email을 문자열로 보내기도 함
+    emailVerified: payload.email_verified === true || payload.email_verified === "true",
+    isPrivateEmail:
+      payload.is_private_email === true ||
+      payload.is_private_email === "true" ||
+      isPrivateRelayEmail(email || ""),
+  };
+};
@@ -0,0 +1,78 @@
+/**
+ * Google Sign-In ID 토큰 검증
+ * google-auth-library로 서명/만료/발급자/대상(client ID)을 검증
+ */
+
+import { OAuth2Client } from "google-auth-library";
+
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+
+const client = new OAuth2Client();
+
+/**
+ * 기본 공개키 조회: Google의 서명 인증서 (kid → PEM, 라이브러리 내부 캐시 사용)
+ * @returns {Promise<Object>}
+ */
+const fetchGoogleCerts = async () => {
+  const { certs } = await client.getFederatedSignonCertsAsync();
+  return certs;
+};
+
+let certsFetcher = fetchGoogleCerts;
+
+/**
+ * 공개키 조회 함수 교체 (로컬 테스트 키 사용 시)
+ * @param {Function|null} fetcher - async () => ({ [kid]: PEM 문자열 또는 JWK }), null이면 기본값으로 복원
+ */
+export const setGoogleCertsFetcher = (fetcher) => {
+  certsFetcher = fetcher || fetchGoogleCerts;
+};
+
+/**
+ * 허용할 OAuth client ID 목록 (GOOGLE_CLIENT_ID, 쉼표로 여러 개 지정 가능: 웹/iOS/Android)
+ * @returns {Array<string>}
+ */
+export const getGoogleClientIds = () => {
+  return (process.env.GOOGLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Google ID 토큰 검증
+ * @param {string} idToken
+ * @returns {Promise<{oauthId: string, email: string|null, emailVerified: boolean, name: string|null, profileImage: string|null}>}
+ */
+export const verifyGoogleIdToken = async (idToken) => {
+  const clientIds = getGoogleClientIds();
+  if (clientIds.length === 0) {
+    const error = new Error("GOOGLE_CLIENT_ID is not configured");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  let payload;
+  try {
+    const certs = await certsFetcher();
+    const ticket = await client.verifySignedJwtWithCertsAsync(
+      idToken,
+      certs,
+      clientIds,
+      GOOGLE_ISSUERS
+    );
+    payload = ticket.getPayload();
+  } catch (error) {
+    const verifyError = new Error(`Invalid Google ID token: ${error.message}`);
+    verifyError.statusCode = 401;
+    throw verifyError;
+  }
+
+  return {
+    oauthId: payload.sub,
+    email: payload.email || null,
+    emailVerified: payload.email_verified === true || payload.email_verified === "true",
+    name: payload.name || null,
+    profileImage: payload.picture || null,
+  };
+};
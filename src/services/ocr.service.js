@@ -1,35 +1,44 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
-import { 
-  preprocessImage, 
-  detectCardRegionWithVisionAPI 
-} from '../utils/imagePreprocessor.js';
-// sharp를 lazy load
-let sharp = null;
-let sharpLoadAttempted = false;
-
-const loadSharp = async () => {
-  if (sharpLoadAttempted) return sharp;
-  sharpLoadAttempted = true;
-  
-  try {
-    const sharpModule = await import('sharp');
-    sharp = sharpModule.default;
-  } catch (error) {
-    // sharp가 없어도 OCR은 동작 가능 (Google Vision API 사용)
-    sharp = null;
-  }
-  
-  return sharp;
-};
+import { preprocessImage } from '../utils/imagePreprocessor.js';
+import { getOcrEngine } from './ocr/engines/index.js';
 import { processLLMChat } from './llm.service.js';
+import { getProvider } from './llm/providers/index.js';
+import { CARD_LANGUAGE, detectCardLanguage, hasCjkText } from '../utils/cardLanguage.js';
+import {
+  CONTACT_POINT_TYPE,
+  CONTACT_POINT_TYPES,
+  guessPhoneType,
+  normalizeContactPoints,
+  primaryContactValues,
+} from '../utils/contactPoints.js';
+import {
+  OCR_FIELDS,
+  OCR_FIELD_SOURCE,
+  describeOcrFields,
+  scoreOcrFields,
+} from '../utils/ocrConfidence.js';
 
 /**
  * Process OCR from base64 image
- * @param {string} base64Image - Base64 encoded image string
+ * 뒷면 이미지를 함께 주면 양면을 각각 인식한 뒤 필드를 병합 (앞면 한글/뒷면 영문 등)
+ * @param {string} base64Image - Base64 encoded image string (앞면)
+ * @param {Object} [options]
+ * @param {string} [options.backImage] - Base64 encoded image string (뒷면)
  * @returns {Promise<Object>} OCR result with extracted fields
  */
-export const processOCR = async (base64Image) => {
+export const processOCR = async (base64Image, options = {}) => {
+  const { backImage = null } = options;
+  if (!backImage) {
+    return await processImage(base64Image);
+  }
+
+  const front = await processImage(base64Image);
+  const back = await processImage(backImage);
+  return mergeCardSides(front, back);
+};
+
+// 명함 한 면 인식 (전처리 → OCR 엔진 텍스트 인식 → 필드 파싱)
+const processImage = async (base64Image) => {
   try {
     logger.debug('OCR 처리 시작');
 
@@ -46,93 +55,145 @@ export const processOCR = async (base64Image) => {
     // Remove data URL prefix if present
     const base64Data = processedImage.replace(/^data:image\/\w+;base64,/, '');
 
-    // Option 1: Google Cloud Vision API
-    if (process.env.GOOGLE_CLOUD_VISION_API_KEY) {
-      return await processWithGoogleVision(base64Data);
-    }
-
-    // Option 2: Tesseract.js (client-side processing)
-    // Option 3: Other OCR services (AWS Textract, Azure Computer Vision, etc.)
+    // OCR_ENGINE (google-vision, tesseract, fixture)
+    const engine = getOcrEngine();
+    const { text, words, imageSize } = await engine.recognize(base64Data, { sourceImage: base64Image });
+    logger.debug('OCR 텍스트 인식 완료', { engine: engine.name, 텍스트길이: text.length });
 
-    // Fallback: Mock response for development
-    return mockOCRResponse();
+    // Parse text to extract business card information
+    const parsed = await parseBusinessCardText(text);
+    const fields = attachBoundingBoxes(parsed.fields, text, words);
+    return {
+      ...parsed,
+      confidence: scoreOcrFields(fields),
+      fields,
+      imageSize,
+      engine: engine.name,
+    };
   } catch (error) {
     logger.error('OCR Service Error', error);
     throw new Error('OCR processing failed');
   }
 };
 
+const firstValue = (...values) => values.find((value) => value) || undefined;
+
 /**
- * Process OCR using Google Cloud Vision API
+ * 앞/뒷면 인식 결과 병합
+ * - 두 면의 언어가 다르면 한글/일본어/중국어 면을 기본 값(name, company, position)으로,
+ *   영문 면의 이름/회사명을 nameEn, companyEn으로 사용
+ * - 같은 언어면 앞면 값을 우선하고 빈 필드만 뒷면으로 채움
+ * @param {Object} front - 앞면 결과
+ * @param {Object} back - 뒷면 결과
+ * @returns {Object} 병합 결과 (sides에 면별 원본 결과 포함)
  */
-const processWithGoogleVision = async (base64Data) => {
-  try {
-    const apiKey = process.env.GOOGLE_CLOUD_VISION_API_KEY;
-    
-    // 1. 명함 영역 감지 시도 (DOCUMENT_TEXT_DETECTION 사용)
-    let processedBase64Data = base64Data;
-    try {
-      const cardRegion = await detectCardRegionWithVisionAPI(base64Data, apiKey);
-      if (cardRegion) {
-        logger.debug('명함 영역 감지 성공', cardRegion);
-        
-        // 감지된 영역으로 이미지 크롭
-        const sharpModule = await loadSharp();
-        if (sharpModule) {
-          const imageBuffer = Buffer.from(base64Data, 'base64');
-          const croppedBuffer = await sharpModule(imageBuffer)
-            .extract({
-              left: Math.max(0, cardRegion.left),
-              top: Math.max(0, cardRegion.top),
-              width: cardRegion.width,
-              height: cardRegion.height,
-            })
-            .toBuffer();
-          
-          processedBase64Data = croppedBuffer.toString('base64');
-          logger.debug('명함 영역 크롭 완료');
-        } else {
-          logger.warn('sharp 모듈이 없어 명함 영역 크롭을 건너뜁니다');
-        }
+const mergeCardSides = (front, back) => {
+  const isLatin = (side) => side.language === CARD_LANGUAGE.EN;
+  const bilingual = isLatin(front) !== isLatin(back) && !!front.language && !!back.language;
+  const native = bilingual && isLatin(front) ? back : front;
+  const latin = native === front ? back : front;
+
+  const merged = bilingual
+    ? {
+        name: firstValue(native.name, latin.name),
+        nameEn: firstValue(native.nameEn, latin.name, latin.nameEn),
+        position: firstValue(native.position, latin.position),
+        company: firstValue(native.company, latin.company),
+        companyEn: firstValue(native.companyEn, latin.company, latin.companyEn),
+      }
+    : {
+        name: firstValue(front.name, back.name),
+        nameEn: firstValue(front.nameEn, back.nameEn),
+        position: firstValue(front.position, back.position),
+        company: firstValue(front.company, back.company),
+        companyEn: firstValue(front.companyEn, back.companyEn),
+      };
+
+  // 영문 값이 기본 값과 같으면 (영문 명함 양면 등) 중복 저장하지 않음
+  if (merged.nameEn === merged.name) merged.nameEn = undefined;
+  if (merged.companyEn === merged.company) merged.companyEn = undefined;
+
+  merged.phone = firstValue(front.phone, back.phone);
+  merged.email = firstValue(front.email, back.email);
+  merged.contactPoints = normalizeContactPoints([...(front.contactPoints || []), ...(back.contactPoints || [])]);
+
+  // 필드 상세 정보는 값을 가져온 면의 것을 사용 (span/boundingBox는 해당 면 기준, side로 표시)
+  const fields = {};
+  for (const field of OCR_FIELDS) {
+    if (!merged[field]) continue;
+    for (const [side, result] of [['front', front], ['back', back]]) {
+      const detail = Object.values(result.fields || {}).find(({ value }) => value === merged[field]);
+      if (detail) {
+        fields[field] = { ...detail, side };
+        break;
       }
-    } catch (regionError) {
-      logger.warn('명함 영역 감지 실패, 전체 이미지 사용', regionError);
-      // 영역 감지 실패 시 전체 이미지 사용
     }
+  }
 
-    // 2. OCR 수행
-    const response = await axios.post(
-      `https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`,
-      {
-        requests: [
-          {
-            image: {
-              content: processedBase64Data
-            },
-            features: [
-              {
-                type: 'TEXT_DETECTION',
-                maxResults: 1
-              }
-            ]
-          }
-        ]
-      }
-    );
+  const memo = [...new Set([front.memo, back.memo].filter(Boolean))].join('\n');
 
-    const textAnnotations = response.data.responses[0]?.textAnnotations;
-    if (!textAnnotations || textAnnotations.length === 0) {
-      return mockOCRResponse();
-    }
+  return {
+    rawText: [front.rawText, back.rawText].filter(Boolean).join('\n\n'),
+    ...merged,
+    memo: memo || undefined,
+    language: native.language || latin.language,
+    confidence: scoreOcrFields(fields),
+    fields,
+    sides: { front, back },
+  };
+};
 
-    // Parse text to extract business card information
-    const fullText = textAnnotations[0].description;
-    return await parseBusinessCardText(fullText);
-  } catch (error) {
-    logger.error('Google Vision API Error', error);
-    // Fallback to mock
-    return mockOCRResponse();
+/**
+ * 필드의 원문 위치(span)와 겹치는 단어들의 박스를 합쳐 boundingBox로 추가
+ * 엔진의 단어 목록은 원문 순서대로 오므로 앞에서부터 찾아 원문 위치를 매김
+ * 엔진이 단어별 신뢰도를 주면 겹치는 단어의 평균 신뢰도를 필드 신뢰도에 곱함
+ * @param {Object} fields - describeOcrFields 결과
+ * @param {string} fullText - 엔진이 인식한 전체 텍스트
+ * @param {Array<{text: string, boundingBox: Object|null, confidence?: number}>} words - 엔진의 단어 목록
+ * @returns {Object} boundingBox가 채워진 fields ({ x, y, width, height }, 인식한 이미지 픽셀 기준)
+ */
+const attachBoundingBoxes = (fields = {}, fullText, words = []) => {
+  const located = [];
+  let cursor = 0;
+  for (const word of words) {
+    const start = word.text ? fullText.indexOf(word.text, cursor) : -1;
+    if (start === -1) continue;
+    const end = start + word.text.length;
+    located.push({ ...word, start, end });
+    cursor = end;
   }
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([field, detail]) => {
+      if (!detail.span) return [field, detail];
+
+      const overlapping = located.filter(word => word.start < detail.span.end && word.end > detail.span.start);
+      const boxes = overlapping.map(word => word.boundingBox).filter(Boolean);
+      if (boxes.length === 0) return [field, detail];
+
+      const x = Math.min(...boxes.map(box => box.x));
+      const y = Math.min(...boxes.map(box => box.y));
+      const boundingBox = {
+        x,
+        y,
+        width: Math.max(...boxes.map(box => box.x + box.width)) - x,
+        height: Math.max(...boxes.map(box => box.y + box.height)) - y,
+      };
+
+      const scores = overlapping.map(word => word.confidence).filter(score => typeof score === 'number');
+      const confidence = scores.length > 0
+        ? Math.round(detail.confidence * (scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+        : detail.confidence;
+
+      return [field, { ...detail, confidence, boundingBox }];
+    })
+  );
+};
+
+// 필드별 상세 정보와 전체 신뢰도 추가
+const withFieldDetails = (result, source, guessedFields) => {
+  const fields = describeOcrFields(result, source, guessedFields);
+  return { ...result, confidence: scoreOcrFields(fields), fields };
 };
 
 /**
@@ -141,14 +202,16 @@ const processWithGoogleVision = async (base64Data) => {
  */
 const parseBusinessCardTextWithGPT = async (text) => {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      logger.debug('GPT 파싱: OPENAI_API_KEY가 없어 정규식 파싱으로 폴백');
+    const llmProvider = getProvider(process.env.OCR_LLM_PROVIDER || undefined);
+    if (!llmProvider.isAvailable()) {
+      logger.debug(`GPT 파싱: LLM provider '${llmProvider.name}'가 설정되지 않아 정규식 파싱으로 폴백`);
       return null;
     }
 
     logger.debug('🤖 [GPT OCR 파싱 시작]');
     
     const prompt = `당신은 명함 텍스트에서 정보를 추출하는 전문가입니다. 아래 텍스트를 분석하여 명함 정보를 JSON 형식으로 추출해주세요.
+명함은 한국어, 영어, 일본어, 중국어(간체/번체) 중 하나이거나 여러 언어가 섞여 있을 수 있습니다.
 
 텍스트:
 """
@@ -156,20 +219,27 @@ ${text}
 """
 
 다음 필드들을 추출해주세요:
-- name: 이름 (한글 2-4글자 또는 영문 이름)
-- position: 직책 (부장, 대표이사, Manager, CEO 등)
-- company: 회사명
-- phone: 전화번호 (010-1234-5678 형식)
-- email: 이메일 주소
+- name: 이름 (명함의 주 언어 표기. 한글/일본어/중국어 이름이 있으면 그 표기, 영문 명함이면 영문 이름)
+- nameEn: 영문 이름 (name과 별도로 영문 표기가 있을 때만)
+- position: 직책 (부장, 대표이사, 部長, 总经理, Manager, CEO 등)
+- company: 회사명 (name과 같은 언어 표기)
+- companyEn: 영문 회사명 (company와 별도로 영문 표기가 있을 때만)
+- phone: 대표 전화번호 (휴대폰 우선, 010-1234-5678 형식)
+- email: 대표 이메일 주소
+- contactPoints: 명함의 모든 연락처 목록. type은 ${CONTACT_POINT_TYPES.join(', ')} 중 하나
+  (mobile: 휴대폰, office: 사무실/대표/직통 전화, fax: 팩스, address: 주소, website: 홈페이지, linkedin: LinkedIn 주소, kakaotalk: 카카오톡 ID)
 - memo: 기타 메모 정보
 
 응답은 반드시 다음 JSON 형식으로만 반환해주세요 (다른 설명 없이):
 {
   "name": "이름 또는 null",
+  "nameEn": "영문 이름 또는 null",
   "position": "직책 또는 null",
   "company": "회사명 또는 null",
+  "companyEn": "영문 회사명 또는 null",
   "phone": "전화번호 또는 null",
   "email": "이메일 또는 null",
+  "contactPoints": [{ "type": "mobile", "value": "010-1234-5678" }],
   "memo": "메모 또는 null"
 }
 
@@ -186,7 +256,7 @@ ${text}
       }
     ];
 
-    const gptResponse = await processLLMChat(messages, 'gpt');
+    const gptResponse = await processLLMChat(messages, llmProvider.name);
     
     // JSON 추출 (응답에 마크다운 코드 블록이 있을 수 있음)
     let jsonStr = gptResponse.trim();
@@ -201,15 +271,24 @@ ${text}
     const result = {
       rawText: text,
       name: parsedData.name && parsedData.name !== 'null' ? parsedData.name : undefined,
+      nameEn: parsedData.nameEn && parsedData.nameEn !== 'null' ? parsedData.nameEn : undefined,
       position: parsedData.position && parsedData.position !== 'null' ? parsedData.position : undefined,
       company: parsedData.company && parsedData.company !== 'null' ? parsedData.company : undefined,
+      companyEn: parsedData.companyEn && parsedData.companyEn !== 'null' ? parsedData.companyEn : undefined,
       phone: parsedData.phone && parsedData.phone !== 'null' ? parsedData.phone : undefined,
       email: parsedData.email && parsedData.email !== 'null' ? parsedData.email : undefined,
       memo: parsedData.memo && parsedData.memo !== 'null' ? parsedData.memo : undefined,
+      // 연락처 목록을 주지 않았으면 원문에서 정규식으로 추출
+      contactPoints: normalizeContactPoints(parsedData.contactPoints),
+      language: detectCardLanguage(text),
     };
+    if (result.contactPoints.length === 0) {
+      result.contactPoints = extractContactPoints(text).contactPoints;
+    }
 
     logger.debug('✅ [GPT OCR 파싱 완료]', {
       이름: result.name || '(없음)',
+      영문이름: result.nameEn || '(없음)',
       직책: result.position || '(없음)',
       회사: result.company || '(없음)',
       전화: result.phone || '(없음)',
@@ -224,6 +303,116 @@ ${text}
   }
 };
 
+// 회사명 마커 (한국어/영어/일본어/중국어)
+const COMPANY_MARKERS = [
+  'co', 'ltd', 'inc', 'corp', '회사', '주식회사',
+  'Co.', 'Inc.', 'Corporation', 'Corp.', 'Ltd',
+  '(주)', '유한회사', '㈜', '주식회사',
+  'Group', 'Company', 'Enterprises', 'Solutions', 'Systems',
+  '株式会社', '有限会社', '合同会社', '(株)', '㈱',
+  '有限公司', '股份有限公司', '集团', '集團', '公司',
+];
+
+const hasCompanyMarker = (line) => {
+  const lower = line.toLowerCase();
+  return COMPANY_MARKERS.some(marker => lower.includes(marker.toLowerCase()));
+};
+
+// 영문 이름 (예: "Gildong Hong", "HONG GILDONG")
+const LATIN_NAME_PATTERN = /^[A-Z][A-Za-z'-]+(?:\s+[A-Z][A-Za-z'-]+){1,2}$/;
+
+// 부서명 (영업부, 営業部, 销售处 등)
+const DEPARTMENT_SUFFIX = /(부|팀|실|본부|部|課|室|处|處)$/;
+
+// 한글 2~4글자, 한자/가나 2~6글자, 영문 2~3단어 이름 형태인지 (회사명/부서명 제외)
+const looksLikeName = (value) => {
+  const compact = value.replace(/\s/g, '');
+  if (hasCompanyMarker(value) || DEPARTMENT_SUFFIX.test(compact)) return false;
+  return /^[가-힣]{2,4}$/.test(compact) ||
+    /^[\u3005\u3040-\u309f\u4e00-\u9fff]{2,6}$/.test(compact) ||
+    LATIN_NAME_PATTERN.test(value);
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /(?:\+\d{1,3}[-.\s]?)?(?:\(?\d{1,4}\)?[-.\s]?\d{3,4}[-.\s]?\d{4}|\d{3,4}[-.\s]?\d{7,8})/g;
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:[\w-]+\.)?linkedin\.com\/[^\s,]+/i;
+const WEBSITE_PATTERN = /(?:https?:\/\/|www\.)[^\s,]+|(?:web(?:site)?|homepage|홈페이지|url)\s*[.:：]?\s*([\w-]+(?:\.[\w-]+)+[^\s,]*)/i;
+const KAKAOTALK_PATTERN = /(?:kakao\s*(?:talk)?|카카오톡|카톡)\s*(?:id)?\s*[.:：]?\s*([\w.-]+)/i;
+
+// 주소 줄: 표기로 시작하거나, 국가별 행정구역 + 번지 형태
+const ADDRESS_LABEL = /^(?:주소|address|addr|add|住所|地址)\s*[.:：]?\s*/i;
+const ADDRESS_PATTERNS = [
+  /〒\s*\d{3}-?\d{4}/,
+  /(?:서울|부산|대구|인천|광주|대전|울산|세종|경기|강원|충청|충북|충남|전라|전북|전남|경상|경북|경남|제주)\S*\s.*(?:로|길|동|층|호)(?:\s|\d|$).*\d|\d.*(?:로|길)\s*\d/,
+  /(?:都|道|府|県).*(?:区|市|町|村).*\d/,
+  /(?:省|市).*(?:区|路|街|号|號).*\d|\d.*(?:路|街)\d*号/,
+  /\d+\s+[A-Za-z .]+\b(?:street|st\.|avenue|ave\.|road|rd\.|blvd|boulevard|suite|floor)\b/i,
+];
+
+// 전화번호 앞 표기로 종류 판별 (없으면 번호로 추정)
+const classifyPhoneLabel = (label) => {
+  const text = label.toLowerCase().replace(/[\s.:：()|/·-]+/g, ' ').trim();
+  if (/(fax|팩스|传真|ファックス|ファクス)|(^|\s)f$/.test(text)) return CONTACT_POINT_TYPE.FAX;
+  if (/(mobile|cell|휴대|핸드폰|携帯|手机|手機)|(^|\s)(m|h|hp|c)$/.test(text)) return CONTACT_POINT_TYPE.MOBILE;
+  if (/(tel|office|direct|phone|전화|직통|대표|電話|电话|直通)|(^|\s)(t|o|d)$/.test(text)) return CONTACT_POINT_TYPE.OFFICE;
+  return null;
+};
+
+/**
+ * 원문에서 연락처 항목 추출 (여러 전화번호/이메일, 주소, 웹사이트, LinkedIn, 카카오톡 ID)
+ * @param {string} text
+ * @returns {{contactPoints: Array<{type: string, value: string, label: null}>, contactLines: Set<string>}}
+ *   contactLines: 연락처만 담긴 줄 (이름/직책/회사 추측에서 제외)
+ */
+const extractContactPoints = (text) => {
+  const points = [];
+  const contactLines = new Set();
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const emails = line.match(EMAIL_PATTERN) || [];
+    const phones = [...line.matchAll(PHONE_PATTERN)];
+
+    const addressLabel = line.match(ADDRESS_LABEL);
+    if (emails.length === 0 && phones.length === 0 &&
+        (addressLabel || ADDRESS_PATTERNS.some(pattern => pattern.test(line)))) {
+      points.push({ type: CONTACT_POINT_TYPE.ADDRESS, value: line.slice(addressLabel ? addressLabel[0].length : 0) });
+      contactLines.add(rawLine);
+      continue;
+    }
+
+    const linePoints = emails.map(email => ({ type: CONTACT_POINT_TYPE.EMAIL, value: email }));
+
+    const linkedin = line.match(LINKEDIN_PATTERN);
+    if (linkedin) {
+      linePoints.push({ type: CONTACT_POINT_TYPE.LINKEDIN, value: linkedin[0] });
+    } else if (emails.length === 0) {
+      const website = line.match(WEBSITE_PATTERN);
+      if (website) linePoints.push({ type: CONTACT_POINT_TYPE.WEBSITE, value: website[1] || website[0] });
+    }
+
+    const kakaotalk = line.match(KAKAOTALK_PATTERN);
+    if (kakaotalk) linePoints.push({ type: CONTACT_POINT_TYPE.KAKAOTALK, value: kakaotalk[1] });
+
+    // 번호 앞의 표기 (예: "T. 02-555-1234 F. 02-555-1235", "M 010-1234-5678")
+    let labelStart = 0;
+    for (const match of phones) {
+      const type = classifyPhoneLabel(line.slice(labelStart, match.index)) || guessPhoneType(match[0]);
+      linePoints.push({ type, value: match[0].trim() });
+      labelStart = match.index + match[0].length;
+    }
+
+    if (linePoints.length > 0) {
+      points.push(...linePoints);
+      contactLines.add(rawLine);
+    }
+  }
+
+  return { contactPoints: normalizeContactPoints(points), contactLines };
+};
+
 /**
  * Parse OCR text to extract business card fields
  * GPT를 우선 시도하고, 실패 시 정규식 기반 파싱으로 폴백
@@ -234,11 +423,17 @@ const parseBusinessCardText = async (text) => {
     return {
       rawText: text,
       name: undefined,
+      nameEn: undefined,
       position: undefined,
       company: undefined,
+      companyEn: undefined,
       phone: undefined,
       email: undefined,
       memo: undefined,
+      contactPoints: [],
+      language: null,
+      confidence: 0,
+      fields: {},
     };
   }
 
@@ -246,7 +441,7 @@ const parseBusinessCardText = async (text) => {
   try {
     const gptResult = await parseBusinessCardTextWithGPT(text);
     if (gptResult) {
-      return gptResult;
+      return withFieldDetails(gptResult, OCR_FIELD_SOURCE.GPT);
     }
   } catch (error) {
     logger.warn('GPT 파싱 시도 중 오류 발생, 정규식 파싱으로 폴백', error);
@@ -259,40 +454,38 @@ const parseBusinessCardText = async (text) => {
   const result = {
     rawText: text,
     name: '',
+    nameEn: '',
     position: '',
     company: '',
+    companyEn: '',
     phone: '',
     email: '',
     memo: '',
   };
 
-  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const language = detectCardLanguage(text);
+  // 연락처 줄(전화/팩스/이메일/주소/웹사이트/SNS)은 이름·직책·회사 추측에서 제외
+  const { contactPoints, contactLines } = extractContactPoints(text);
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !contactLines.has(line));
+  // 마커/패턴 없이 줄 위치로 추측한 필드 (신뢰도 감점)
+  const guessedFields = new Set();
   logger.debug('OCR 파싱 시작', { 
     텍스트길이: text.length, 
     라인수: lines.length 
   });
 
-  // 1) 이메일 추출
-  const emailRegex = /[\w.-]+@[\w.-]+\.\w+/;
-  const emailMatch = text.match(emailRegex);
-  if (emailMatch) {
-    result.email = emailMatch[0];
-    logger.debug('이메일 추출 성공', { email: result.email });
-  }
-
-  // 2) 전화번호 추출 (다양한 형식 지원)
-  const phoneRegex = /(\d{2,3}[-.\s]?\d{3,4}[-.\s]?\d{4})/g;
-  const phoneMatch = text.match(phoneRegex);
-  if (phoneMatch) {
-    result.phone = phoneMatch[0];
-    logger.debug('전화번호 추출 성공', { phone: result.phone });
-  }
+  // 1) 이메일, 2) 전화번호 (대표 값: 첫 이메일, 휴대폰 → 사무실 전화 순)
+  // 다양한 형식 지원: 010-1234-5678, +81 3-1234-5678, 010-12345678 등
+  const primary = primaryContactValues(contactPoints);
+  result.email = primary.email || '';
+  result.phone = primary.phone || '';
+  logger.debug('연락처 추출', { email: result.email, phone: result.phone, 항목수: contactPoints.length });
 
   // 3) 이름 추출 (첫 번째 라인이 보통 이름)
   if (lines.length > 0) {
     const firstLine = lines[0].trim();
-    // 이메일이나 전화번호가 포함된 라인은 제외
-    if (!result.email || !firstLine.includes(result.email)) {
+    // 이메일이나 전화번호, 회사명이 포함된 라인은 제외 (일본 명함은 회사명이 맨 위인 경우가 많음)
+    if ((!result.email || !firstLine.includes(result.email)) && !hasCompanyMarker(firstLine)) {
       if (!result.phone || !firstLine.includes(result.phone)) {
         result.name = firstLine;
       }
@@ -306,12 +499,18 @@ const parseBusinessCardText = async (text) => {
     'Manager', 'Director', 'Lead', 'CEO', 'CTO', 'CFO', 'COO', 'CMO', 'Head',
     'Brand Strategist', 'AI Researcher', 'Product Designer',
     'Senior', 'Junior', 'Principal', 'Staff', 'Associate',
+    // 일본어
+    '代表取締役', '取締役', '社長', '部長', '課長', '係長', '室長', '主任',
+    'マネージャー', 'エンジニア', 'ディレクター',
+    // 중국어 (간체/번체)
+    '董事长', '董事長', '总经理', '總經理', '经理', '經理', '总监', '總監',
+    '总裁', '總裁', '主管', '工程师', '工程師',
   ];
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
-    // 이미 이름으로 사용된 라인은 제외
-    if (result.name && line === result.name) continue;
+    // 이미 이름으로 사용된 라인은 제외 ("김철수 과장"처럼 직책이 붙은 첫 줄은 직책 라인으로 봄)
+    if (result.name && line === result.name && looksLikeName(result.name)) continue;
     // 이메일/전화번호 포함 라인 제외
     if (result.email && line.includes(result.email)) continue;
     if (result.phone && line.includes(result.phone)) continue;
@@ -320,10 +519,11 @@ const parseBusinessCardText = async (text) => {
     const found = titleKeywords.find(k => line.includes(k));
     if (found) {
       result.position = line;
-      // 이름이 아직 없고 직책 라인에서 이름 추출 가능하면
-      if (!result.name || result.name === lines[0].trim()) {
+      // 이름이 아직 없거나 첫 줄이 이름 형태가 아니면 직책 라인에서 이름 추출
+      if (!result.name || (result.name === lines[0].trim() && !looksLikeName(result.name))) {
+        // 공백으로 나뉜 경우만 ("销售经理"의 "销售"처럼 직책의 일부를 이름으로 보지 않도록)
         const nameCandidate = line.replace(found, '').trim();
-        if (nameCandidate && nameCandidate.length > 0) {
+        if (nameCandidate && /\s/.test(line) && looksLikeName(nameCandidate)) {
           result.name = nameCandidate;
         }
       }
@@ -338,10 +538,11 @@ const parseBusinessCardText = async (text) => {
     if ((!result.email || !secondLine.includes(result.email)) &&
         (!result.phone || !secondLine.includes(result.phone))) {
       result.position = secondLine;
+      guessedFields.add('position');
     }
   }
 
-  // 이름이 아직 없으면 한글 2~4글자 라인 찾기
+  // 이름이 아직 없으면 한글 2~4글자, 한자/가나 2~6글자 라인 찾기
   if (!result.name || result.name === '') {
     for (const line of lines) {
       const cleanLine = line.replace(/\s/g, '');
@@ -350,23 +551,45 @@ const parseBusinessCardText = async (text) => {
         logger.debug('한글 이름 패턴 인식 성공', { name: result.name });
         break;
       }
+      if (/^[\u3005\u3040-\u309f\u4e00-\u9fff]{2,6}$/.test(cleanLine) && looksLikeName(line.trim()) && line.trim() !== result.position) {
+        result.name = line.trim();
+        logger.debug('한자 이름 패턴 인식 성공', { name: result.name });
+        break;
+      }
     }
   }
 
   // 5) 회사명 추출 (확장된 마커)
-  const companyMarkers = [
-    'co', 'ltd', 'inc', 'corp', '회사', '주식회사',
-    'Co.', 'Inc.', 'Corporation', 'Corp.', 'Ltd',
-    '(주)', '유한회사', '㈜', '주식회사',
-    'Group', 'Company', 'Enterprises', 'Solutions', 'Systems',
-  ];
+  // 다국어 명함은 한글/한자 표기를 company로, 영문 표기를 companyEn으로
+  const companyLines = lines
+    .map(line => line.trim())
+    .filter(line => hasCompanyMarker(line) && (!result.email || !line.includes(result.email)));
+  if (companyLines.length > 0) {
+    result.company = language === CARD_LANGUAGE.EN
+      ? companyLines[0]
+      : companyLines.find(line => hasCjkText(line)) || companyLines[0];
+    if (hasCjkText(result.company)) {
+      result.companyEn = companyLines.find(line => !hasCjkText(line)) || '';
+    }
+    logger.debug('회사명 추출 성공 (마커)', { company: result.company, companyEn: result.companyEn });
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].toLowerCase();
-    if (companyMarkers.some(marker => line.includes(marker.toLowerCase()))) {
-      result.company = lines[i].trim();
-      logger.debug('회사명 추출 성공 (마커)', { company: result.company });
-      break;
+  // 영문 이름 (한글/한자 이름 바로 위아래 줄의 영문 이름)
+  if (result.name && hasCjkText(result.name)) {
+    const nameIndex = lines.findIndex(line => line.trim() === result.name || line.replace(/\s/g, '') === result.name);
+    const candidates = [lines[nameIndex - 1], lines[nameIndex + 1]]
+      .filter(line => nameIndex !== -1 && line)
+      .map(line => line.trim());
+    const nameEn = candidates.find(line =>
+      LATIN_NAME_PATTERN.test(line) &&
+      line !== result.position &&
+      line !== result.companyEn &&
+      !hasCompanyMarker(line) &&
+      !titleKeywords.some(k => line.includes(k))
+    );
+    if (nameEn) {
+      result.nameEn = nameEn;
+      logger.debug('영문 이름 추출 성공', { nameEn: result.nameEn });
     }
   }
 
@@ -379,8 +602,11 @@ const parseBusinessCardText = async (text) => {
       if (result.position && line === result.position) continue;
       if (result.email && line.includes(result.email)) continue;
       if (result.phone && line.includes(result.phone)) continue;
+      if (result.companyEn && line === result.companyEn) continue;
+      if (result.nameEn && line === result.nameEn) continue;
       
       result.company = line;
+      guessedFields.add('company');
       logger.debug('회사명 추출 성공 (폴백)', { company: result.company });
       break;
     }
@@ -390,8 +616,10 @@ const parseBusinessCardText = async (text) => {
   const memoLines = lines.filter(line => {
     const trimmed = line.trim();
     if (result.name && trimmed.includes(result.name)) return false;
+    if (result.nameEn && trimmed === result.nameEn) return false;
     if (result.position && trimmed === result.position) return false;
     if (result.company && trimmed === result.company) return false;
+    if (result.companyEn && trimmed === result.companyEn) return false;
     if (result.email && trimmed.includes(result.email)) return false;
     if (result.phone && trimmed.includes(result.phone)) return false;
     return true;
@@ -405,11 +633,15 @@ const parseBusinessCardText = async (text) => {
   const parsedResult = {
     rawText: result.rawText,
     name: result.name || undefined,
+    nameEn: result.nameEn || undefined,
     position: result.position || undefined,
     company: result.company || undefined,
+    companyEn: result.companyEn || undefined,
     phone: result.phone || undefined,
     email: result.email || undefined,
     memo: result.memo || undefined,
+    contactPoints,
+    language,
   };
 
   logger.debug('📝 [정규식 OCR 파싱 완료]', {
@@ -421,40 +653,8 @@ const parseBusinessCardText = async (text) => {
     메모: parsedResult.memo || '(없음)',
   });
 
-  return parsedResult;
-};
-
-/**
- * Mock OCR response for development
- */
-const mockOCRResponse = () => {
-  const mockResponses = [
-    {
-      rawText: "박소윤\nBrand Strategist\nLuna Collective\n010-1234-5678\nsoyoon@luna.co",
-      name: "박소윤",
-      position: "Brand Strategist",
-      company: "Luna Collective",
-      phone: "010-1234-5678",
-      email: "soyoon@luna.co",
-    },
-    {
-      rawText: "이도현\nAI Researcher\nNova Labs\n010-8765-4321\ndohyun@nova.ai",
-      name: "이도현",
-      position: "AI Researcher",
-      company: "Nova Labs",
-      phone: "010-8765-4321",
-      email: "dohyun@nova.ai",
-    },
-    {
-      rawText: "최하늘\nProduct Designer\nOrbit Studio\n010-2345-6789\nha-neul@orbit.studio",
-      name: "최하늘",
-      position: "Product Designer",
-      company: "Orbit Studio",
-      phone: "010-2345-6789",
-      email: "ha-neul@orbit.studio",
-    },
-  ];
-
-  return mockResponses[Math.floor(Math.random() * mockResponses.length)];
+  if (parsedResult.name && !looksLikeName(parsedResult.name)) {
+    guessedFields.add('name');
+  }
+  return withFieldDetails(parsedResult, OCR_FIELD_SOURCE.REGEX, guessedFields);
 };
-
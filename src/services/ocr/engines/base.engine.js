@@ -0,0 +1,67 @@
+/**
+ * Base OCR Engine Interface
+ * 모든 OCR 엔진이 구현해야 하는 공통 인터페이스
+ * 엔진은 텍스트 인식만 담당하고, 명함 필드 파싱(GPT/정규식)은 ocr.service가 공통으로 처리
+ */
+
+// sharp를 lazy load (없어도 엔진은 동작, 이미지 크기만 알 수 없음)
+let sharp = null;
+let sharpLoadAttempted = false;
+
+export const loadSharp = async () => {
+  if (sharpLoadAttempted) return sharp;
+  sharpLoadAttempted = true;
+
+  try {
+    const sharpModule = await import("sharp");
+    sharp = sharpModule.default;
+  } catch (error) {
+    sharp = null;
+  }
+
+  return sharp;
+};
+
+/**
+ * 이미지 크기 (sharp가 없거나 읽을 수 없으면 null)
+ * @param {string} base64Data - 순수 base64
+ * @returns {Promise<{width: number, height: number}|null>}
+ */
+export const readImageSize = async (base64Data) => {
+  const sharpModule = await loadSharp();
+  if (!sharpModule) return null;
+  try {
+    const { width, height } = await sharpModule(Buffer.from(base64Data, "base64")).metadata();
+    return { width, height };
+  } catch (error) {
+    return null;
+  }
+};
+
+export class BaseOcrEngine {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * 이미지에서 텍스트 인식
+   * @param {string} base64Data - 전처리된 이미지 (data URL prefix 제거된 순수 base64)
+   * @param {Object} options
+   * @param {string} [options.sourceImage] - 전처리 전 원본 이미지 (fixture 엔진의 이미지 식별용)
+   * @returns {Promise<{text: string, words: Array<{text: string, boundingBox: Object, confidence?: number}>, imageSize: Object|null}>}
+   *   words: 원문 순서의 단어 목록 (boundingBox: { x, y, width, height } 픽셀, confidence: 0~1)
+   */
+  async recognize(base64Data, options = {}) {
+    throw new Error("recognize() method must be implemented by engine");
+  }
+
+  /**
+   * Check if engine is available (API 키, 모듈 설치 여부)
+   * @returns {boolean|Promise<boolean>}
+   */
+  isAvailable() {
+    return true;
+  }
+}
+
+export default BaseOcrEngine;
@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { BaseOcrEngine, readImageSize } from "./base.engine.js";
+import { OCR_FIXTURES } from "../fixtures/cards.js";
+
+// 단어 박스를 만들 때 쓰는 기본 글자/줄 크기 (이미지 크기를 모를 때)
+const DEFAULT_CHAR_WIDTH = 20;
+const DEFAULT_LINE_HEIGHT = 40;
+
+/**
+ * Fixture Engine (개발/테스트용, 네트워크 없이 결정적으로 동작)
+ * 원본 이미지의 sha256으로 fixture 원문을 골라 반환하므로 같은 이미지는 항상 같은 결과
+ * 전처리(imagePreprocessor)와 파싱은 실제 엔진과 같은 경로를 거침
+ */
+export class FixtureEngine extends BaseOcrEngine {
+  constructor(config = {}) {
+    super(config);
+    this.fixturePath = config.fixturePath;
+    this.fixtures = config.fixtures || null;
+  }
+
+  // OCR_FIXTURE_PATH가 있으면 해당 JSON 파일([{ id, sha256?, text }])을 사용
+  async loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+
+    if (this.fixturePath) {
+      const fixtures = JSON.parse(await fs.readFile(this.fixturePath, "utf-8"));
+      if (!Array.isArray(fixtures) || fixtures.length === 0) {
+        throw new Error(`OCR fixture file must contain a non-empty array: ${this.fixturePath}`);
+      }
+      this.fixtures = fixtures;
+    } else {
+      this.fixtures = OCR_FIXTURES;
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * 이미지에 해당하는 fixture (sha256이 일치하는 fixture 우선, 없으면 해시 값으로 선택)
+   * @param {string} image - Base64 이미지 (data URL prefix 허용)
+   * @returns {Promise<Object>}
+   */
+  async selectFixture(image) {
+    const fixtures = await this.loadFixtures();
+    const base64Data = String(image || "").replace(/^data:image\/\w+;base64,/, "");
+    const hash = crypto.createHash("sha256").update(base64Data).digest("hex");
+
+    return (
+      fixtures.find((fixture) => fixture.sha256 === hash) ||
+      fixtures[parseInt(hash.slice(0, 8), 16) % fixtures.length]
+    );
+  }
+
+  async recognize(base64Data, options = {}) {
+    // 전처리 결과는 sharp 버전에 따라 달라질 수 있어 원본 이미지로 fixture를 고름
+    const fixture = await this.selectFixture(options.sourceImage || base64Data);
+    const text = fixture.text || "";
+    const imageSize = await readImageSize(base64Data);
+
+    // 줄마다 위에서부터 단어를 왼쪽부터 배치한 가상의 박스
+    const lines = text.split(/\r?\n/);
+    const lineHeight = imageSize
+      ? Math.max(1, Math.floor(imageSize.height / (lines.length + 2)))
+      : DEFAULT_LINE_HEIGHT;
+    const charWidth = imageSize
+      ? Math.max(1, Math.floor(imageSize.width / 40))
+      : DEFAULT_CHAR_WIDTH;
+
+    const words = lines.flatMap((line, lineIndex) => {
+      let x = charWidth;
+      return line
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) => {
+          const boundingBox = {
+            x,
+            y: (lineIndex + 1) * lineHeight,
+            width: [...word].length * charWidth,
+            height: Math.floor(lineHeight * 0.8),
+          };
+          x += boundingBox.width + charWidth;
+          return { text: word, boundingBox, confidence: 1 };
+        });
+    });
+
+    return { text, words, imageSize, fixtureId: fixture.id };
+  }
+}
+
+export default FixtureEngine;
@@ -0,0 +1,96 @@
+import axios from "axios";
+import { BaseOcrEngine, loadSharp, readImageSize } from "./base.engine.js";
+import { detectCardRegionWithVisionAPI } from "../../../utils/imagePreprocessor.js";
+import { logger } from "../../../utils/logger.js";
+
+/**
+ * Google Cloud Vision Engine (TEXT_DETECTION)
+ * 명함 영역을 감지해 크롭한 뒤 인식
+ */
+export class GoogleVisionEngine extends BaseOcrEngine {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = config.apiKey;
+    this.timeout = config.timeout || 30000;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  // 명함 영역 크롭 (감지 실패 시 전체 이미지 사용)
+  async cropCardRegion(base64Data) {
+    try {
+      const cardRegion = await detectCardRegionWithVisionAPI(base64Data, this.apiKey);
+      if (!cardRegion) return base64Data;
+      logger.debug("명함 영역 감지 성공", cardRegion);
+
+      const sharpModule = await loadSharp();
+      if (!sharpModule) {
+        logger.warn("sharp 모듈이 없어 명함 영역 크롭을 건너뜁니다");
+        return base64Data;
+      }
+
+      const croppedBuffer = await sharpModule(Buffer.from(base64Data, "base64"))
+        .extract({
+          left: Math.max(0, cardRegion.left),
+          top: Math.max(0, cardRegion.top),
+          width: cardRegion.width,
+          height: cardRegion.height,
+        })
+        .toBuffer();
+      logger.debug("명함 영역 크롭 완료");
+      return croppedBuffer.toString("base64");
+    } catch (regionError) {
+      logger.warn("명함 영역 감지 실패, 전체 이미지 사용", regionError);
+      return base64Data;
+    }
+  }
+
+  async recognize(base64Data) {
+    if (!this.isAvailable()) {
+      throw new Error("GOOGLE_CLOUD_VISION_API_KEY is not configured");
+    }
+
+    const imageData = await this.cropCardRegion(base64Data);
+
+    const response = await axios.post(
+      `https://vision.googleapis.com/v1/images:annotate?key=${this.apiKey}`,
+      {
+        requests: [
+          {
+            image: { content: imageData },
+            features: [{ type: "TEXT_DETECTION", maxResults: 1 }],
+            // 한국어/영어/일본어/중국어 명함
+            imageContext: { languageHints: ["ko", "en", "ja", "zh"] },
+          },
+        ],
+      },
+      { timeout: this.timeout }
+    );
+
+    // textAnnotations[0]은 전체 텍스트, 나머지는 원문 순서의 단어
+    const textAnnotations = response.data.responses?.[0]?.textAnnotations || [];
+    const words = textAnnotations.slice(1).map((annotation) => {
+      const vertices = annotation.boundingPoly?.vertices || [];
+      const xs = vertices.map((vertex) => vertex.x || 0);
+      const ys = vertices.map((vertex) => vertex.y || 0);
+      const x = xs.length ? Math.min(...xs) : 0;
+      const y = ys.length ? Math.min(...ys) : 0;
+      return {
+        text: annotation.description,
+        boundingBox: vertices.length
+          ? { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }
+          : null,
+      };
+    });
+
+    return {
+      text: textAnnotations[0]?.description || "",
+      words,
+      imageSize: await readImageSize(imageData),
+    };
+  }
+}
+
+export default GoogleVisionEngine;
@@ -0,0 +1,135 @@
+/**
+ * OCR Engine Registry
+ * 이름 또는 환경변수(OCR_ENGINE)로 OCR 엔진을 선택
+ * 지정하지 않으면 Google Vision API 키가 있을 때 google-vision, 없으면 fixture
+ */
+
+import { GoogleVisionEngine } from "./googleVision.engine.js";
+import { TesseractEngine } from "./tesseract.engine.js";
+import { FixtureEngine } from "./fixture.engine.js";
+
+// 엔진 이름 → 클래스 및 설정 (설정은 dotenv 로드 이후 시점에 읽도록 함수로 정의)
+const ENGINES = {
+  "google-vision": {
+    EngineClass: GoogleVisionEngine,
+    getConfig: () => ({
+      apiKey: process.env.GOOGLE_CLOUD_VISION_API_KEY,
+    }),
+  },
+  tesseract: {
+    EngineClass: TesseractEngine,
+    getConfig: () => ({
+      langs: process.env.TESSERACT_LANGS,
+      langPath: process.env.TESSERACT_LANG_PATH,
+      cachePath: process.env.TESSERACT_CACHE_PATH,
+    }),
+  },
+  fixture: {
+    EngineClass: FixtureEngine,
+    getConfig: () => ({
+      fixturePath: process.env.OCR_FIXTURE_PATH,
+    }),
+  },
+};
+
+// 별칭
+const ALIASES = {
+  google: "google-vision",
+  vision: "google-vision",
+  local: "tesseract",
+  mock: "fixture",
+};
+
+const instances = new Map();
+
+/**
+ * 엔진 이름 정규화
+ * @param {string} name - 엔진 이름 또는 별칭
+ * @returns {string} 등록된 엔진 이름
+ */
+export const resolveOcrEngineName = (name) => {
+  const key = String(name || "").trim().toLowerCase();
+  return ALIASES[key] || key;
+};
+
+// 기본 엔진 (OCR_ENGINE, 없으면 Vision API 키 유무로 결정)
+// fixture는 고정된 명함 원문을 돌려주므로 운영 환경(NODE_ENV=production)에서는 OCR_ENGINE=fixture로 지정할 때만 사용
+const getDefaultOcrEngineName = () => {
+  if (process.env.OCR_ENGINE) return process.env.OCR_ENGINE;
+  if (process.env.GOOGLE_CLOUD_VISION_API_KEY || process.env.NODE_ENV === "production") {
+    return "google-vision";
+  }
+  return "fixture";
+};
+
+/**
+ * 서버 시작 시 알릴 OCR 엔진 설정 문제 (없으면 null)
+ * - 운영 환경에서 Vision API 키와 OCR_ENGINE이 모두 없으면 OCR 요청이 실패함
+ * - fixture 엔진이 선택되면 실제 이미지를 읽지 않음
+ * @returns {string|null}
+ */
+export const getOcrEngineWarning = () => {
+  const engineName = resolveOcrEngineName(getDefaultOcrEngineName());
+  if (engineName === "google-vision" && !process.env.GOOGLE_CLOUD_VISION_API_KEY) {
+    return "GOOGLE_CLOUD_VISION_API_KEY is not configured; OCR requests will fail. Set the key or OCR_ENGINE.";
+  }
+  if (engineName === "fixture") {
+    return process.env.OCR_ENGINE
+      ? "OCR_ENGINE=fixture returns canned business card text instead of reading images."
+      : "GOOGLE_CLOUD_VISION_API_KEY is not configured; using the fixture OCR engine (canned business card text). Set OCR_ENGINE to choose an engine.";
+  }
+  return null;
+};
+
+/**
+ * 새 엔진 등록 (테스트용 엔진 주입 등)
+ * @param {string} name - 엔진 이름
+ * @param {Function} EngineClass - BaseOcrEngine을 상속한 클래스
+ * @param {Function} getConfig - 설정 객체를 반환하는 함수
+ */
+export const registerOcrEngine = (name, EngineClass, getConfig = () => ({})) => {
+  ENGINES[name] = { EngineClass, getConfig };
+  instances.delete(name);
+};
+
+/**
+ * 이름으로 엔진 인스턴스 조회
+ * @param {string} name - 엔진 이름 (기본: OCR_ENGINE 환경변수 또는 자동 선택)
+ * @returns {BaseOcrEngine}
+ */
+export const getOcrEngine = (name = getDefaultOcrEngineName()) => {
+  const engineName = resolveOcrEngineName(name);
+  const entry = ENGINES[engineName];
+
+  if (!entry) {
+    throw new Error(
+      `Unsupported OCR engine: ${name}. Supported engines: ${listOcrEngines().join(", ")}.`
+    );
+  }
+
+  if (!instances.has(engineName)) {
+    const engine = new entry.EngineClass(entry.getConfig());
+    engine.name = engineName;
+    instances.set(engineName, engine);
+  }
+
+  return instances.get(engineName);
+};
+
+/**
+ * 등록된 엔진 이름 목록
+ * @returns {Array<string>}
+ */
+export const listOcrEngines = () => Object.keys(ENGINES);
+
+/**
+ * 캐시된 인스턴스 초기화 (환경변수 변경 후 재생성 필요 시, Tesseract 워커 종료)
+ */
+export const resetOcrEngines = async () => {
+  const engines = [...instances.values()];
+  instances.clear();
+  await Promise.all(engines.map((engine) => engine.terminate?.()));
+};
+
+export { BaseOcrEngine } from "./base.engine.js";
+export { GoogleVisionEngine, TesseractEngine, FixtureEngine };
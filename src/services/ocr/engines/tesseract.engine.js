@@ -0,0 +1,96 @@
+import { BaseOcrEngine, readImageSize } from "./base.engine.js";
+import { logger } from "../../../utils/logger.js";
+
+// tesseract.js는 optionalDependency라 lazy load (없으면 엔진 사용 불가)
+let tesseract = null;
+let tesseractLoadAttempted = false;
+
+const loadTesseract = async () => {
+  if (tesseractLoadAttempted) return tesseract;
+  tesseractLoadAttempted = true;
+
+  try {
+    tesseract = await import("tesseract.js");
+  } catch (error) {
+    tesseract = null;
+  }
+
+  return tesseract;
+};
+
+/**
+ * Tesseract Engine (tesseract.js WASM, 프로세스 내 인식)
+ * 네트워크 없이 동작하도록 언어 데이터는 TESSERACT_LANG_PATH(로컬 경로)에서 읽을 수 있음
+ * (지정하지 않으면 첫 실행 때 CDN에서 받아 cachePath에 저장)
+ */
+export class TesseractEngine extends BaseOcrEngine {
+  constructor(config = {}) {
+    super(config);
+    this.langs = config.langs || "kor+eng";
+    this.langPath = config.langPath;
+    this.cachePath = config.cachePath;
+    this.workerPromise = null;
+  }
+
+  async isAvailable() {
+    return !!(await loadTesseract());
+  }
+
+  // 워커는 언어 데이터 로드 비용이 커서 한 번만 만들어 재사용
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const tesseractModule = await loadTesseract();
+        if (!tesseractModule) {
+          throw new Error("tesseract.js is not installed");
+        }
+
+        const options = {};
+        if (this.langPath) options.langPath = this.langPath;
+        if (this.cachePath) options.cachePath = this.cachePath;
+
+        logger.debug("Tesseract 워커 생성", { langs: this.langs });
+        return tesseractModule.createWorker(this.langs.split("+"), 1, options);
+      })().catch((error) => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  async recognize(base64Data) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(Buffer.from(base64Data, "base64"), {}, {
+      text: true,
+      blocks: true,
+    });
+
+    // blocks → paragraphs → lines → words (원문 순서)
+    const words = (data.blocks || [])
+      .flatMap((block) => block.paragraphs)
+      .flatMap((paragraph) => paragraph.lines)
+      .flatMap((line) => line.words)
+      .map(({ text, bbox, confidence }) => ({
+        text,
+        boundingBox: { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 },
+        confidence: Math.round(confidence) / 100,
+      }));
+
+    return {
+      text: data.text || "",
+      words,
+      imageSize: await readImageSize(base64Data),
+    };
+  }
+
+  // 워커 종료 (테스트 종료, 서버 종료 시)
+  async terminate() {
+    if (!this.workerPromise) return;
+    const worker = await this.workerPromise.catch(() => null);
+    this.workerPromise = null;
+    if (worker) await worker.terminate();
+  }
+}
+
+export default TesseractEngine;
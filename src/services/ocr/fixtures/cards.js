@@ -0,0 +1,32 @@
+// fixture OCR 엔진의 기본 명함 원문 (한국어/영어/일본어/중국어, 양면 병합 확인용 영문 뒷면 포함)
+// sha256을 지정하면 해당 원본 이미지에 고정으로 매칭, 없으면 이미지 해시로 순환 선택
+export const OCR_FIXTURES = [
+  {
+    id: "ko-brand-strategist",
+    text: "박소윤\nSoyoon Park\nBrand Strategist\nLuna Collective\n010-1234-5678\nsoyoon@luna.co",
+  },
+  {
+    id: "ko-ai-researcher",
+    text: "이도현\nDohyun Lee\nAI Researcher\nNova Labs\n010-8765-4321\ndohyun@nova.ai",
+  },
+  {
+    id: "ko-product-designer",
+    text: "최하늘\nHaneul Choi\nProduct Designer\nOrbit Studio\n010-2345-6789\nha-neul@orbit.studio",
+  },
+  {
+    id: "ko-sales-manager",
+    text: "(주)한빛전자\n영업부\n김철수 과장\nT. 02-555-1234  F. 02-555-1235\nM. 010-9876-5432\nchulsoo.kim@hanbit.co.kr\nwww.hanbit.co.kr\n서울특별시 강남구 테헤란로 123",
+  },
+  {
+    id: "en-director",
+    text: "Emily Carter\nSales Director\nBright Path Inc.\n+1 415-555-0134\nemily.carter@brightpath.com",
+  },
+  {
+    id: "ja-kacho",
+    text: "株式会社サクラテック\n営業部 課長\n山田太郎\nTaro Yamada\n+81 3-1234-5678\nt.yamada@sakuratech.co.jp",
+  },
+  {
+    id: "zh-manager",
+    text: "北京星辰科技有限公司\nBeijing Xingchen Technology Co., Ltd.\n王伟\n销售经理\n+86 10-8888-6666\nwang.wei@xingchen.cn",
+  },
+];
@@ -0,0 +1,189 @@
+import BusinessCard from "../models/BusinessCard.model.js";
+import OcrJob, { OCR_CARD_STATUS } from "../models/OcrJob.model.js";
+import { REVISION_SOURCE } from "../models/CardRevision.model.js";
+import { processOCR } from "./ocr.service.js";
+import { OCR_FIELD_SOURCE, describeOcrFields, isPlausibleOcrValue, scoreOcrFields } from "../utils/ocrConfidence.js";
+import { logger } from "../utils/logger.js";
+
+export const MAX_BATCH_IMAGES = 50;
+export const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+// 처리 중인 작업의 heartbeat 주기와, heartbeat가 끊긴 작업을 멈춘 것으로 보는 기준
+export const JOB_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+export const JOB_STALE_AFTER_MS = 3 * JOB_HEARTBEAT_INTERVAL_MS;
+
+// 작업 하나에서 동시에 처리할 이미지 수 (OCR/LLM API 호출 수 제한)
+const getBatchConcurrency = () => {
+  const value = parseInt(process.env.OCR_BATCH_CONCURRENCY, 10);
+  return Number.isInteger(value) && value > 0 ? value : 3;
+};
+
+/**
+ * OCR 결과의 전체 신뢰도 (0~1)
+ * processOCR가 계산한 confidence를 쓰고, 없으면 필드 형식으로 추정
+ * @param {Object} result - processOCR 결과
+ * @returns {number}
+ */
+export const estimateOcrConfidence = (result) => {
+  if (!result) return 0;
+  if (typeof result.confidence === "number") {
+    return Math.min(Math.max(result.confidence, 0), 1);
+  }
+  return scoreOcrFields(describeOcrFields(result, OCR_FIELD_SOURCE.REGEX));
+};
+
+// 신뢰도를 넘은 결과로 명함 생성 (이름은 필수)
+const createCardFromResult = async (userId, result, confidence, minConfidence) => {
+  if (confidence < minConfidence || !isPlausibleOcrValue("name", result.name)) {
+    return { cardStatus: OCR_CARD_STATUS.BELOW_THRESHOLD };
+  }
+
+  try {
+    const card = await BusinessCard.create(
+      {
+        userId,
+        name: result.name.trim(),
+        nameEn: result.nameEn?.trim() || null,
+        position: result.position?.trim() || null,
+        company: result.company?.trim() || null,
+        companyEn: result.companyEn?.trim() || null,
+        phone: result.phone?.trim() || null,
+        email: result.email?.trim() || null,
+        contactPoints: result.contactPoints,
+      },
+      { source: REVISION_SOURCE.OCR }
+    );
+    return { businessCardId: card.id, cardStatus: OCR_CARD_STATUS.CREATED };
+  } catch (error) {
+    if (error.statusCode === 402) {
+      return { cardStatus: OCR_CARD_STATUS.LIMIT_REACHED, error: error.message };
+    }
+    logger.warn("OCR batch card creation failed", { userId, message: error.message });
+    return { cardStatus: OCR_CARD_STATUS.FAILED, error: error.message };
+  }
+};
+
+// 이미지 하나 처리 (실패해도 다른 이미지는 계속)
+const processItem = async (job, userId, image, index) => {
+  await OcrJob.markItemProcessing(job.id, index);
+
+  // 양면 이미지는 { front, back }
+  const [front, backImage] = typeof image === "string" ? [image, null] : [image.front, image.back];
+
+  let result;
+  try {
+    result = await processOCR(front, { backImage });
+  } catch (error) {
+    await OcrJob.failItem(job.id, index, error.message || "OCR processing failed");
+    return false;
+  }
+
+  const confidence = estimateOcrConfidence(result);
+  const card = job.autoCreate
+    ? await createCardFromResult(userId, result, confidence, job.minConfidence)
+    : {};
+  await OcrJob.completeItem(job.id, index, { result, confidence, ...card });
+  return true;
+};
+
+// 이미지를 동시성 제한 안에서 순서대로 처리
+const runJob = async (job, userId, images, { onItemFailed }) => {
+  await OcrJob.markProcessing(job.id);
+
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < images.length) {
+      const index = nextIndex++;
+      const image = images[index];
+      images[index] = null; // 처리한 이미지는 바로 메모리에서 해제
+
+      let succeeded = false;
+      try {
+        succeeded = await processItem(job, userId, image, index);
+      } catch (error) {
+        logger.error("OCR batch item error", { jobId: job.id, index, message: error.message });
+        await OcrJob.failItem(job.id, index, "OCR processing failed").catch(() => {});
+      }
+      if (!succeeded) {
+        onItemFailed();
+      }
+    }
+  };
+
+  // 처리하는 동안 heartbeat를 남겨 다른 프로세스가 멈춘 작업으로 정리하지 않도록 함
+  const heartbeat = setInterval(() => {
+    OcrJob.heartbeat(job.id).catch((error) =>
+      logger.warn("OCR batch heartbeat failed", { jobId: job.id, message: error.message })
+    );
+  }, JOB_HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    const workerCount = Math.min(getBatchConcurrency(), images.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    await OcrJob.finish(job.id);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// 멈춘 작업 한 번 정리
+const failStaleJobs = async () => {
+  try {
+    const count = await OcrJob.failStale(Math.ceil(JOB_STALE_AFTER_MS / 1000));
+    if (count > 0) {
+      logger.warn("Stale OCR batch jobs marked as failed", { count });
+    }
+  } catch (error) {
+    logger.error("OCR batch stale job cleanup error", { message: error.message });
+  }
+};
+
+/**
+ * 처리하던 프로세스가 종료된 일괄 OCR 작업 정리 (서버 시작 시 한 번, 이후 JOB_STALE_AFTER_MS마다)
+ * 다른 프로세스가 처리 중인 작업은 heartbeat가 끊긴 경우에만 실패 처리하므로 여러 인스턴스에서 함께 실행해도 됨
+ * @returns {Promise<Function>} 주기 정리 중지
+ */
+export const startStaleOcrJobSweep = async () => {
+  await failStaleJobs();
+  const timer = setInterval(failStaleJobs, JOB_STALE_AFTER_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * 일괄 OCR 작업 시작 (작업 레코드만 만들고 처리는 응답 후 백그라운드에서 진행)
+ * @param {Object} user - req.user
+ * @param {Array<string|{front: string, back: string}>} images - Base64 이미지 목록 (양면은 { front, back })
+ * @param {Object} options
+ * @param {boolean} options.autoCreate - 신뢰도를 넘은 결과로 명함 자동 생성
+ * @param {number} options.minConfidence - 자동 생성 기준 신뢰도 (0~1)
+ * @param {Function} options.releaseQuota - 실패한 이미지의 OCR 쿼터 반환 (count)
+ * @returns {Promise<Object>} 생성된 작업
+ */
+export const startOcrBatch = async (user, images, options = {}) => {
+  const {
+    autoCreate = false,
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    releaseQuota = async () => {},
+  } = options;
+
+  const job = await OcrJob.create(user.id, {
+    itemCount: images.length,
+    autoCreate,
+    minConfidence,
+  });
+
+  const onItemFailed = () => {
+    releaseQuota(1).catch((error) =>
+      logger.warn("OCR batch quota release failed", { jobId: job.id, message: error.message })
+    );
+  };
+
+  runJob(job, user.id, [...images], { onItemFailed }).catch((error) => {
+    logger.error("OCR batch job error", { jobId: job.id, message: error.message });
+    OcrJob.finish(job.id).catch(() => {});
+  });
+
+  return job;
+};
@@ -5,11 +5,12 @@ import { extractPreferencesFromMemo } from './llm.service.js';
 
 /**
  * Process memos and extract preferences
+ * userId가 있으면 해당 사용자가 작성한 메모만 사용
  */
-export const processMemosForPreference = async (businessCardId, limit = 50) => {
+export const processMemosForPreference = async (businessCardId, limit = 50, userId = null) => {
   try {
     // Load latest N memos for the business card
-    const memos = await Memo.findByBusinessCardId(businessCardId, null);
+    const memos = await Memo.findByBusinessCardId(businessCardId, userId);
     const recentMemos = memos.slice(0, limit);
 
     if (recentMemos.length === 0) {
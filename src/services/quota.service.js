@@ -0,0 +1,144 @@
+import BusinessCard from "../models/BusinessCard.model.js";
+import QuotaUsage from "../models/QuotaUsage.model.js";
+import { QUOTA, getTierPolicy, getCardLimit } from "../config/subscription.config.js";
+
+// 일일 쿼터 기준 시간대 (QUOTA_TIMEZONE, 기본 UTC). 서버 호스트 시간대와 무관하게 같은 날짜를 사용
+const getQuotaTimeZone = () => process.env.QUOTA_TIMEZONE || "UTC";
+
+// 해당 시각의 기준 시간대 날짜/시각 부분 (숫자)
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(
+    parts.filter(({ type }) => type !== "literal").map(({ type, value }) => [type, Number(value)])
+  );
+};
+
+/**
+ * 기준 시간대의 오늘 날짜 (YYYY-MM-DD)
+ */
+const getToday = (now = new Date()) => {
+  const { year, month, day } = getZonedParts(now, getQuotaTimeZone());
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * 다음 초기화 시각 (기준 시간대의 내일 0시)
+ */
+const getNextReset = (now = new Date()) => {
+  const timeZone = getQuotaTimeZone();
+  const { year, month, day } = getZonedParts(now, timeZone);
+  // 내일 0시를 UTC로 잡은 뒤 그 시각의 시간대 오프셋만큼 보정
+  const midnightUtc = Date.UTC(year, month - 1, day + 1);
+  const zoned = getZonedParts(new Date(midnightUtc), timeZone);
+  const offset =
+    Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - midnightUtc;
+  return new Date(midnightUtc - offset);
+};
+
+const buildStatus = ({ key, tier, limit, used, resetAt = null }) => ({
+  key,
+  tier,
+  limit,
+  used,
+  remaining: limit === null ? null : Math.max(limit - used, 0),
+  resetAt,
+});
+
+/**
+ * 명함 보유 쿼터 상태
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { key, tier, limit, used, remaining, resetAt }
+ */
+export const getCardQuotaStatus = async (user) => {
+  const used = await BusinessCard.countByUserId(user.id);
+  return buildStatus({
+    key: QUOTA.CARDS,
+    tier: user.subscription,
+    limit: getCardLimit(user),
+    used,
+  });
+};
+
+/**
+ * 일별 쿼터 상태 (조회만, 차감하지 않음)
+ * @param {Object} user - req.user
+ * @param {string} key - QUOTA.RECOMMENDATIONS 등
+ * @returns {Promise<Object>}
+ */
+export const getDailyQuotaStatus = async (user, key) => {
+  const used = await QuotaUsage.getCount(user.id, key, getToday());
+  return buildStatus({
+    key,
+    tier: user.subscription,
+    limit: getTierPolicy(user.subscription)[key],
+    used,
+    resetAt: getNextReset().toISOString(),
+  });
+};
+
+/**
+ * 일별 쿼터 선점 (기본 1회, 일괄 처리는 건수만큼)
+ * 한도를 넘으면 선점을 되돌리고 allowed: false 반환
+ * @param {Object} user - req.user
+ * @param {string} key
+ * @param {number} amount - 선점할 횟수
+ * @returns {Promise<{allowed: boolean, status: Object, release: Function}>}
+ *   release(count = amount): 실패한 만큼 선점을 되돌림
+ */
+export const consumeDailyQuota = async (user, key, amount = 1) => {
+  const limit = getTierPolicy(user.subscription)[key];
+  const usageDate = getToday();
+  const resetAt = getNextReset().toISOString();
+
+  if (limit === null) {
+    return {
+      allowed: true,
+      status: buildStatus({ key, tier: user.subscription, limit, used: 0, resetAt }),
+      release: async () => {},
+    };
+  }
+
+  const used = await QuotaUsage.increment(user.id, key, usageDate, amount);
+  const release = (count = amount) => QuotaUsage.decrement(user.id, key, usageDate, count);
+
+  if (used > limit) {
+    await release();
+    return {
+      allowed: false,
+      status: buildStatus({ key, tier: user.subscription, limit, used: Math.min(used - amount, limit), resetAt }),
+      release: async () => {},
+    };
+  }
+
+  return {
+    allowed: true,
+    status: buildStatus({ key, tier: user.subscription, limit, used, resetAt }),
+    release,
+  };
+};
+
+/**
+ * 전체 쿼터 현황 (프로필/설정 화면용)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} { cards, recommendations, graph_analyses, ocr_scans }
+ */
+export const getQuotaSummary = async (user) => {
+  const dailyKeys = [QUOTA.RECOMMENDATIONS, QUOTA.GRAPH_ANALYSES, QUOTA.OCR_SCANS];
+  const [cards, ...daily] = await Promise.all([
+    getCardQuotaStatus(user),
+    ...dailyKeys.map((key) => getDailyQuotaStatus(user, key)),
+  ]);
+
+  return daily.reduce((summary, status) => ({ ...summary, [status.key]: status }), {
+    [QUOTA.CARDS]: cards,
+  });
+};
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.model.js";
+import User from "../models/User.model.js";
+import { generateToken } from "../utils/jwt.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_REFRESH_EXPIRE_DAYS = 30;
+
+const createSessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Refresh token 해시 (DB에는 해시만 저장)
+ * @param {string} token
+ * @returns {string} SHA-256 hex
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// Refresh token 유효 기간 (초). DB에는 NOW() 기준으로 계산해 저장
+const getRefreshTtlSeconds = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || DEFAULT_REFRESH_EXPIRE_DAYS;
+  return days * 24 * 60 * 60;
+};
+
+/**
+ * access token + refresh token 응답 데이터
+ */
+const buildTokens = (userId, sessionId, refreshToken, refreshTtlSeconds) => {
+  const token = generateToken(userId, sessionId);
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    token,
+    expiresIn: exp - iat,
+    refreshToken,
+    refreshExpiresAt: new Date(Date.now() + refreshTtlSeconds * 1000).toISOString(),
+    sessionId,
+  };
+};
+
+/**
+ * 로그인 성공 시 세션 생성 (register/login/google/apple 공통)
+ * @param {Object} user - { id }
+ * @param {Object} req - Express request (기기 이름, User-Agent, IP 기록용)
+ * @returns {Promise<{token: string, expiresIn: number, refreshToken: string, refreshExpiresAt: string, sessionId: number}>}
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const ttlSeconds = getRefreshTtlSeconds();
+
+  const sessionId = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: req.body?.deviceName || null,
+    userAgent: req.get("user-agent")?.substring(0, 500) || null,
+    ipAddress: req.ip || null,
+    ttlSeconds,
+  });
+
+  return buildTokens(user.id, sessionId, refreshToken, ttlSeconds);
+};
+
+/**
+ * Refresh token 회전: 새 access/refresh token 발급, 이전 refresh token은 사용 불가
+ * 이미 회전된(이전) refresh token이 다시 사용되면 탈취로 보고 세션 전체를 폐기
+ * @param {string} refreshToken
+ * @returns {Promise<Object>} createSession과 같은 형식
+ */
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findByTokenHash(tokenHash);
+  if (!session || session.revoked_at) {
+    throw createSessionError("Invalid refresh token");
+  }
+
+  if (!session.isCurrentToken) {
+    await Session.revoke(session.id, session.user_id);
+    logger.warn("Refresh token reuse detected, session revoked", {
+      sessionId: session.id,
+      userId: session.user_id,
+    });
+    throw createSessionError("Refresh token reuse detected. Please log in again.");
+  }
+
+  if (session.isExpired) {
+    throw createSessionError("Refresh token expired");
+  }
+
+  const user = await User.findById(session.user_id);
+  if (!user || !user.isActive) {
+    await Session.revoke(session.id, session.user_id);
+    throw createSessionError("User not found or deactivated");
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const ttlSeconds = getRefreshTtlSeconds();
+  const rotated = await Session.rotate(session.id, tokenHash, hashToken(nextRefreshToken), ttlSeconds);
+  if (!rotated) {
+    throw createSessionError("Invalid refresh token");
+  }
+
+  return buildTokens(user.id, session.id, nextRefreshToken, ttlSeconds);
+};
@@ -0,0 +1,62 @@
+/**
+ * Image Storage Registry
+ * IMAGE_STORAGE로 선택 (기본: local). 다른 저장소는 registerImageStorage로 추가
+ */
+
+import { LocalImageStorage } from "./local.storage.js";
+import { S3ImageStorage } from "./s3.storage.js";
+
+const getUrlTtlSeconds = () => {
+  const value = parseInt(process.env.IMAGE_URL_TTL_SECONDS, 10);
+  return Number.isInteger(value) && value > 0 ? value : 3600;
+};
+
+const STORAGES = {
+  local: () =>
+    new LocalImageStorage({
+      rootDir: process.env.IMAGE_STORAGE_DIR,
+      publicBaseUrl: process.env.IMAGE_PUBLIC_BASE_URL,
+      apiBaseUrl: process.env.API_BASE_URL,
+      secret: process.env.IMAGE_URL_SECRET || process.env.JWT_SECRET,
+      urlTtlSeconds: getUrlTtlSeconds(),
+    }),
+  s3: () =>
+    new S3ImageStorage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicBaseUrl: process.env.IMAGE_PUBLIC_BASE_URL,
+      urlTtlSeconds: getUrlTtlSeconds(),
+    }),
+};
+
+const instances = new Map();
+
+/**
+ * Storage 등록 (같은 이름이면 교체)
+ * @param {string} name
+ * @param {Function} factory - () => ({ put, get, remove, getUrl })
+ */
+export const registerImageStorage = (name, factory) => {
+  STORAGES[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Storage 조회
+ * @param {string} name - 기본: IMAGE_STORAGE 또는 'local'
+ */
+export const getImageStorage = (name = process.env.IMAGE_STORAGE || "local") => {
+  if (!STORAGES[name]) {
+    throw new Error(`Unsupported image storage: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, STORAGES[name]());
+  }
+  return instances.get(name);
+};
+
+export { LocalImageStorage, S3ImageStorage };
@@ -0,0 +1,102 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// 저장 키 허용 문자 (경로 이탈 방지)
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*\.\w+$/;
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+/**
+ * Local Image Storage
+ * 이미지를 IMAGE_STORAGE_DIR(기본 uploads/)에 파일로 저장
+ * URL은 IMAGE_PUBLIC_BASE_URL이 있으면 정적 URL, 없으면 GET /api/images/:key 서명 URL (만료 시각 + HMAC)
+ */
+export class LocalImageStorage {
+  constructor(config = {}) {
+    this.rootDir = path.resolve(config.rootDir || "uploads");
+    this.publicBaseUrl = config.publicBaseUrl ? config.publicBaseUrl.replace(/\/$/, "") : null;
+    this.apiBaseUrl = (config.apiBaseUrl || "").replace(/\/$/, "");
+    this.secret = config.secret;
+    this.urlTtlSeconds = config.urlTtlSeconds || 3600;
+
+    if (!this.secret) {
+      throw new Error("Local image storage requires IMAGE_URL_SECRET or JWT_SECRET");
+    }
+  }
+
+  resolvePath(key) {
+    if (!KEY_PATTERN.test(String(key || ""))) {
+      const error = new Error("Invalid image key");
+      error.statusCode = 400;
+      throw error;
+    }
+    return path.join(this.rootDir, ...key.split("/"));
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key };
+  }
+
+  /**
+   * @returns {Promise<{body: Buffer, contentType: string}|null>} 없으면 null
+   */
+  async get(key) {
+    try {
+      const body = await fs.readFile(this.resolvePath(key));
+      const extension = path.extname(key).slice(1).toLowerCase();
+      return { body, contentType: CONTENT_TYPES[extension] || "application/octet-stream" };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac("sha256", this.secret).update(`${key}:${expires}`).digest("hex");
+  }
+
+  /**
+   * 서명 URL 검증 (만료 전이고 서명이 일치하는지)
+   * @param {string} key
+   * @param {string|number} expires - 만료 시각 (unix 초)
+   * @param {string} signature
+   * @returns {boolean}
+   */
+  verifySignature(key, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const actual = Buffer.from(String(signature || ""));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  getUrl(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl}/${key}`;
+    }
+    // 만료 시각을 TTL 단위로 맞춰 같은 구간 안에서는 같은 URL (클라이언트 캐시 유지)
+    const now = Math.floor(Date.now() / 1000);
+    const expires = (Math.floor(now / this.urlTtlSeconds) + 2) * this.urlTtlSeconds;
+    return `${this.apiBaseUrl}/api/images/${key}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+}
+
+export default LocalImageStorage;
@@ -0,0 +1,165 @@
+import axios from "axios";
+import crypto from "crypto";
+
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// RFC 3986 인코딩 (encodeURIComponent가 남기는 !'()*까지)
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split("/").map(encodeRfc3986).join("/");
+
+// 20240101T000000Z 형식
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+/**
+ * S3-compatible Image Storage (AWS S3, MinIO 등)
+ * SDK 없이 Signature V4로 PUT/GET/DELETE 요청과 presigned GET URL을 만듦
+ * MinIO처럼 버킷을 경로로 지정하는 서버는 forcePathStyle 사용
+ */
+export class S3ImageStorage {
+  constructor(config = {}) {
+    this.bucket = config.bucket;
+    this.region = config.region || "us-east-1";
+    this.endpoint = (config.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/$/, "");
+    this.forcePathStyle = !!config.forcePathStyle;
+    this.accessKeyId = config.accessKeyId;
+    this.secretAccessKey = config.secretAccessKey;
+    this.publicBaseUrl = config.publicBaseUrl ? config.publicBaseUrl.replace(/\/$/, "") : null;
+    this.urlTtlSeconds = config.urlTtlSeconds || 3600;
+    this.timeout = config.timeout || 30000;
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error("S3 image storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+  }
+
+  objectUrl(key) {
+    const endpoint = new URL(this.endpoint);
+    if (this.forcePathStyle) {
+      return new URL(`${endpoint.origin}/${this.bucket}/${encodeKey(key)}`);
+    }
+    return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodeKey(key)}`);
+  }
+
+  credentialScope(dateStamp) {
+    return `${dateStamp}/${this.region}/s3/aws4_request`;
+  }
+
+  signature(dateStamp, stringToSign) {
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    return crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+  }
+
+  stringToSign(amzDate, dateStamp, canonicalRequest) {
+    return [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      this.credentialScope(dateStamp),
+      sha256Hex(canonicalRequest),
+    ].join("\n");
+  }
+
+  // 서명 헤더를 붙인 요청
+  async request(method, key, { body = Buffer.alloc(0), contentType } = {}) {
+    const url = this.objectUrl(key);
+    const amzDate = toAmzDate(new Date());
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    if (contentType) headers["content-type"] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+      signedHeaders.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const { host: _host, ...requestHeaders } = headers;
+    requestHeaders.Authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${this.credentialScope(dateStamp)}, ` +
+      `SignedHeaders=${signedHeaders.join(";")}, ` +
+      `Signature=${this.signature(dateStamp, this.stringToSign(amzDate, dateStamp, canonicalRequest))}`;
+
+    return axios({
+      method,
+      url: url.toString(),
+      data: method === "PUT" ? body : undefined,
+      headers: requestHeaders,
+      responseType: "arraybuffer",
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 404,
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.request("PUT", key, { body: buffer, contentType });
+    return { key };
+  }
+
+  async get(key) {
+    const response = await this.request("GET", key);
+    if (response.status === 404) return null;
+    return {
+      body: Buffer.from(response.data),
+      contentType: response.headers["content-type"] || "application/octet-stream",
+    };
+  }
+
+  async remove(key) {
+    await this.request("DELETE", key);
+  }
+
+  // presigned GET URL (IMAGE_PUBLIC_BASE_URL이 있으면 공개 버킷/CDN 정적 URL)
+  getUrl(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl}/${key}`;
+    }
+
+    const url = this.objectUrl(key);
+    // 만료 시각을 TTL 단위로 맞춰 같은 구간 안에서는 같은 URL (클라이언트 캐시 유지)
+    const now = Math.floor(Date.now() / 1000);
+    const signedAt = new Date(Math.floor(now / this.urlTtlSeconds) * this.urlTtlSeconds * 1000);
+    const amzDate = toAmzDate(signedAt);
+    const dateStamp = amzDate.slice(0, 8);
+
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${this.accessKeyId}/${this.credentialScope(dateStamp)}`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(this.urlTtlSeconds * 2),
+      "X-Amz-SignedHeaders": "host",
+    };
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+    const canonicalRequest = [
+      "GET",
+      url.pathname,
+      canonicalQuery,
+      `host:${url.host}\n`,
+      "host",
+      "UNSIGNED-PAYLOAD",
+    ].join("\n");
+
+    const signature = this.signature(dateStamp, this.stringToSign(amzDate, dateStamp, canonicalRequest));
+    return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+}
+
+export default S3ImageStorage;
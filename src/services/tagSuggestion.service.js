@@ -0,0 +1,58 @@
+import pool from "../config/database.js";
+import CardTag from "../models/CardTag.model.js";
+import { TAG_CONFIG } from "../config/tag.config.js";
+import { TAG_SUGGESTION_FACT_TYPES, tagNameFromFactKey } from "../utils/tags.js";
+
+/**
+ * 명함 태그 추천 (extracted_fact의 ROLE_OR_ORG / CONTEXT fact)
+ * 이미 붙은 태그와 거절한 추천은 제외하고, 같은 이름은 신뢰도가 가장 높은 fact 하나로 합침
+ * 명함 소유 여부는 호출 전에 확인
+ * @param {number} userId
+ * @param {number} cardId
+ * @returns {Promise<Array<{name: string, factType: string, confidence: number, evidence: string|null, existingTagId: number|null}>>}
+ *   existingTagId: 사용자가 이미 다른 명함에 쓰고 있는 태그면 그 ID
+ */
+export const suggestCardTags = async (userId, cardId) => {
+  let facts;
+  try {
+    [facts] = await pool.query(
+      `SELECT fact_type, fact_key, confidence, evidence
+       FROM extracted_fact
+       WHERE user_id = ? AND card_id = ? AND fact_type IN (${TAG_SUGGESTION_FACT_TYPES.map(() => "?").join(", ")})
+         AND confidence >= ?
+       ORDER BY confidence DESC, id DESC
+       LIMIT 100`,
+      [userId, cardId, ...TAG_SUGGESTION_FACT_TYPES, TAG_CONFIG.SUGGESTION_MIN_FACT_CONFIDENCE]
+    );
+  } catch (error) {
+    // fact-extraction 마이그레이션 전이면 추천 없음
+    if (error.code === "ER_NO_SUCH_TABLE") return [];
+    throw error;
+  }
+
+  const [cardTags, dismissed, userTags] = await Promise.all([
+    CardTag.findByBusinessCardId(cardId),
+    CardTag.findDismissedNames(cardId),
+    CardTag.findByUserId(userId, { limit: 1000 }),
+  ]);
+  const excluded = new Set([...cardTags.map((tag) => tag.name), ...dismissed].map((name) => name.toLowerCase()));
+  const userTagIds = new Map(userTags.map((tag) => [tag.name.toLowerCase(), tag.id]));
+
+  const suggestions = new Map();
+  for (const fact of facts) {
+    const name = tagNameFromFactKey(fact.fact_key);
+    const key = name.toLowerCase();
+    if (!name || excluded.has(key) || suggestions.has(key)) continue;
+
+    suggestions.set(key, {
+      name,
+      factType: fact.fact_type,
+      confidence: Number(fact.confidence),
+      evidence: fact.evidence || null,
+      existingTagId: userTagIds.get(key) || null,
+    });
+    if (suggestions.size >= TAG_CONFIG.SUGGESTION_LIMIT) break;
+  }
+
+  return [...suggestions.values()];
+};
@@ -0,0 +1,40 @@
+// 명함 텍스트 언어(문자 체계) 판별 (양면 OCR 병합, 다국어 이름 처리에서 공통 사용)
+
+export const CARD_LANGUAGE = {
+  KO: "ko",
+  JA: "ja",
+  ZH: "zh",
+  EN: "en",
+};
+
+const HANGUL = /[가-힣]/g;
+const KANA = /[\u3040-\u30ff]/g;
+const HAN = /[\u3400-\u9fff]/g;
+const LATIN = /[A-Za-z]/g;
+
+// 가나 없이 한자만 쓴 일본 명함을 구분하는 표기
+const JAPANESE_MARKERS = /株式会社|有限会社|合同会社|㈱|\(株\)|取締役|社長|課長|係長/;
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * 텍스트의 주 언어
+ * 한글이 있으면 ko, 가나나 일본식 표기가 있으면 ja, 한자만 있으면 zh, 라틴 문자만 있으면 en
+ * @param {string} text
+ * @returns {string|null} CARD_LANGUAGE 값 (판별할 문자가 없으면 null)
+ */
+export const detectCardLanguage = (text) => {
+  const value = String(text || "");
+  const hangul = count(value, HANGUL);
+  const kana = count(value, KANA);
+  const han = count(value, HAN);
+
+  if (hangul > 0 && hangul >= kana) return CARD_LANGUAGE.KO;
+  if (kana > 0 || (han > 0 && JAPANESE_MARKERS.test(value))) return CARD_LANGUAGE.JA;
+  if (han > 0) return CARD_LANGUAGE.ZH;
+  if (count(value, LATIN) > 0) return CARD_LANGUAGE.EN;
+  return null;
+};
+
+// 한글/가나/한자가 들어있는지 (라틴 문자 이름과 구분)
+export const hasCjkText = (text) => /[가-힣\u3040-\u30ff\u3400-\u9fff]/.test(String(text || ""));
@@ -0,0 +1,48 @@
+// 명함 중복 비교용 정규화 (가져오기 중복 미리보기, 중복 명함 찾기에서 공통 사용)
+
+// 법인 형태 표기 (회사명 비교 시 제거)
+const COMPANY_SUFFIXES = /\(주\)|㈜|주식회사|유한회사|\b(inc|corp|corporation|co|ltd|llc|limited|company)\b\.?/gi;
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// 숫자만 남기고 국가번호 82는 국내 형식(0으로 시작)으로 변환
+export const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.startsWith("82") && digits.length >= 11 ? `0${digits.slice(2)}` : digits;
+};
+
+// 대소문자, 공백, 구두점 무시
+export const normalizeName = (name) =>
+  String(name || "").toLowerCase().replace(/[\s.,·'"()-]/g, "");
+
+export const normalizeCompany = (company) =>
+  String(company || "").replace(COMPANY_SUFFIXES, "").toLowerCase().replace(/[\s.,·'"()&-]/g, "");
+
+// 중복 비교에 쓰는 연락처 항목 종류 (contactPoints.js의 CONTACT_POINT_TYPE 값, 팩스는 대표 팩스가 많아 제외)
+const MATCH_EMAIL_TYPES = ["email"];
+const MATCH_PHONE_TYPES = ["mobile", "office"];
+
+/**
+ * 중복 비교 키 목록
+ * 대표 전화번호/이메일과 연락처 항목(contactPoints)의 이메일/전화번호를 모두 키로 사용
+ * @param {Object} card - name, company, phone, email, contactPoints?
+ * @returns {Array<[string, string]>} [종류, 값] (email, phone, nameCompany, 같은 키는 한 번만)
+ */
+export const contactKeys = (card) => {
+  const points = Array.isArray(card.contactPoints) ? card.contactPoints : [];
+  const pointValues = (types) => points.filter((point) => types.includes(point.type)).map((point) => point.value);
+
+  const emails = [card.email, ...pointValues(MATCH_EMAIL_TYPES)].map(normalizeEmail).filter(Boolean);
+  const phones = [card.phone, ...pointValues(MATCH_PHONE_TYPES)]
+    .map(normalizePhone)
+    .filter((phone) => phone.length >= 7);
+
+  const keys = [
+    ...[...new Set(emails)].map((email) => ["email", email]),
+    ...[...new Set(phones)].map((phone) => ["phone", phone]),
+  ];
+  const name = normalizeName(card.name);
+  const company = normalizeCompany(card.company);
+  if (name && company) keys.push(["nameCompany", `${name}|${company}`]);
+  return keys;
+};
@@ -0,0 +1,111 @@
+// 명함 연락처 항목 (여러 전화번호/이메일/주소/웹사이트/SNS) 정리
+// 명함 생성·수정, OCR, vCard 가져오기에서 공통 사용
+import { normalizePhone } from "./cardMatching.js";
+
+export const CONTACT_POINT_TYPE = {
+  MOBILE: "mobile",
+  OFFICE: "office",
+  FAX: "fax",
+  EMAIL: "email",
+  ADDRESS: "address",
+  WEBSITE: "website",
+  LINKEDIN: "linkedin",
+  KAKAOTALK: "kakaotalk",
+};
+
+export const CONTACT_POINT_TYPES = Object.values(CONTACT_POINT_TYPE);
+
+// 대표 전화번호(business_cards.phone)가 될 수 있는 종류 (우선순위 순)
+export const PHONE_CONTACT_TYPES = [CONTACT_POINT_TYPE.MOBILE, CONTACT_POINT_TYPE.OFFICE];
+
+export const MAX_CONTACT_POINTS = 30;
+export const CONTACT_VALUE_MAX_LENGTH = 500;
+export const CONTACT_LABEL_MAX_LENGTH = 100;
+
+// 대소문자를 구분하지 않고 비교하는 종류
+const CASE_INSENSITIVE_TYPES = [
+  CONTACT_POINT_TYPE.EMAIL,
+  CONTACT_POINT_TYPE.WEBSITE,
+  CONTACT_POINT_TYPE.LINKEDIN,
+];
+
+/**
+ * 전화번호 종류 추정 (국내 휴대폰 번호면 mobile, 그 외 office)
+ * @param {string} phone
+ * @returns {string}
+ */
+export const guessPhoneType = (phone) =>
+  /^01[016789]/.test(normalizePhone(phone)) ? CONTACT_POINT_TYPE.MOBILE : CONTACT_POINT_TYPE.OFFICE;
+
+const dedupeKey = ({ type, value }) => {
+  if (PHONE_CONTACT_TYPES.includes(type) || type === CONTACT_POINT_TYPE.FAX) {
+    return `${type}:${normalizePhone(value)}`;
+  }
+  return `${type}:${CASE_INSENSITIVE_TYPES.includes(type) ? value.toLowerCase() : value}`;
+};
+
+/**
+ * 연락처 항목 정리 (알 수 없는 종류/빈 값 제거, 이메일 소문자, 같은 종류·값 중복 제거, 길이/개수 제한)
+ * @param {Array<{type: string, value: string, label?: string}>} points
+ * @returns {Array<{type: string, value: string, label: string|null}>} 입력 순서 유지
+ */
+export const normalizeContactPoints = (points) => {
+  if (!Array.isArray(points)) return [];
+
+  const seen = new Set();
+  const normalized = [];
+  for (const point of points) {
+    const type = String(point?.type || "").trim().toLowerCase();
+    let value = String(point?.value ?? "").replace(/\s+/g, " ").trim().slice(0, CONTACT_VALUE_MAX_LENGTH);
+    if (!CONTACT_POINT_TYPES.includes(type) || !value) continue;
+    if (type === CONTACT_POINT_TYPE.EMAIL) value = value.toLowerCase();
+
+    const key = dedupeKey({ type, value });
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const label = String(point.label ?? "").trim().slice(0, CONTACT_LABEL_MAX_LENGTH);
+    normalized.push({ type, value, label: label || null });
+    if (normalized.length >= MAX_CONTACT_POINTS) break;
+  }
+  return normalized;
+};
+
+/**
+ * 대표 전화번호/이메일만 있는 명함의 연락처 항목
+ * @param {{phone?: string, email?: string}} card
+ * @returns {Array<{type: string, value: string, label: null}>}
+ */
+export const contactPointsFromCard = ({ phone, email } = {}) =>
+  normalizeContactPoints([
+    phone && { type: guessPhoneType(phone), value: phone },
+    email && { type: CONTACT_POINT_TYPE.EMAIL, value: email },
+  ].filter(Boolean));
+
+/**
+ * 연락처 항목의 대표 값 (휴대폰 → 사무실 전화 순, 첫 이메일)
+ * @param {Array<{type: string, value: string}>} points
+ * @returns {{phone: string|null, email: string|null}}
+ */
+export const primaryContactValues = (points = []) => {
+  const phoneType = PHONE_CONTACT_TYPES.find((type) => points.some((point) => point.type === type));
+  return {
+    phone: phoneType ? points.find((point) => point.type === phoneType).value : null,
+    email: points.find((point) => point.type === CONTACT_POINT_TYPE.EMAIL)?.value || null,
+  };
+};
+
+/**
+ * 종류별로 묶기 (모든 종류를 키로 포함, 항목이 없으면 빈 배열)
+ * @param {Array<Object>} points - card_contact_points 행
+ * @returns {Object<string, Array<{id: number, value: string, label: string|null}>>}
+ */
+export const groupContactPoints = (points = []) =>
+  Object.fromEntries(
+    CONTACT_POINT_TYPES.map((type) => [
+      type,
+      points
+        .filter((point) => point.type === type)
+        .map(({ id, value, label }) => ({ id, value, label })),
+    ])
+  );
@@ -0,0 +1,110 @@
+// RFC 4180 CSV 파서 / 직렬화
+// 따옴표로 감싼 필드 안의 구분자/줄바꿈/"" 이스케이프 지원
+
+// 첫 줄에서 가장 많이 쓰인 구분자 선택 (엑셀 지역 설정에 따라 ; 또는 탭으로 저장되는 경우 대응)
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r\n|\r|\n/, 1)[0] || "";
+  const candidates = [",", ";", "\t"];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+};
+
+/**
+ * CSV 텍스트를 행 배열로 파싱
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - 생략하면 첫 줄에서 자동 감지
+ * @returns {string[][]} 빈 줄은 제외
+ * @throws {Error} statusCode 400 - 닫히지 않은 따옴표
+ */
+export const parseCsv = (text, options = {}) => {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.length === 0) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    const error = new Error("Invalid CSV: unterminated quoted field");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim().length > 0));
+};
+
+// 스프레드시트가 수식으로 해석하는 첫 글자 (CSV 수식 주입)
+// 이미 ' 로 시작하는 값도 가져올 때 원래 값으로 되돌릴 수 있도록 함께 처리
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+// 수식으로 시작하는 문자열 앞에 ' 를 붙여 텍스트로 표시되게 함
+const neutralizeFormula = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+/**
+ * 내보낸 CSV를 다시 가져올 때 neutralizeFormula로 붙인 ' 제거
+ * @param {string} text
+ * @returns {string}
+ */
+export const restoreFormula = (text) =>
+  text.startsWith("'") && FORMULA_PREFIX.test(text) ? text.slice(1) : text;
+
+// 구분자, 따옴표, 줄바꿈이 있거나 앞뒤 공백이 있으면 따옴표로 감쌈
+// 문자열 값은 수식 주입을 막기 위해 neutralizeFormula 적용 (숫자/날짜는 그대로)
+const escapeField = (value, delimiter) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === "string" ? neutralizeFormula(value) : String(value);
+  return new RegExp(`["\r\n${delimiter}]|^\\s|\\s$`).test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * 행 배열을 CSV 텍스트로 직렬화 (CRLF 줄바꿈)
+ * =, +, -, @, 탭, CR로 시작하는 문자열 셀은 앞에 ' 를 붙임
+ * @param {Array<Array<*>>} rows - 첫 행은 헤더
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","]
+ * @returns {string}
+ */
+export const stringifyCsv = (rows, options = {}) => {
+  const delimiter = options.delimiter || ",";
+  return rows
+    .map((cells) => cells.map((cell) => escapeField(cell, delimiter)).join(delimiter))
+    .join("\r\n") + "\r\n";
+};
@@ -0,0 +1,46 @@
+// 목록 커서 페이지네이션 (keyset): 마지막 행의 정렬 값과 id를 불투명 문자열로 전달
+
+const invalidCursor = () => {
+  const error = new Error("Invalid cursor");
+  error.statusCode = 400;
+  return error;
+};
+
+// 정렬 값은 문자열(날짜 포함), 유한한 숫자, null만 허용 (객체/배열은 SQL 파라미터로 펼쳐짐)
+const isCursorKey = (value) =>
+  value === null || typeof value === "string" || (typeof value === "number" && Number.isFinite(value));
+
+/**
+ * 커서 생성
+ * @param {Object} payload - { sort, order, keys, id }
+ * @returns {string} base64url 문자열
+ */
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+
+/**
+ * 커서 해석 (다른 정렬로 만든 커서는 거부)
+ * @param {string} cursor
+ * @param {{sort: string, order: string}} expected - 현재 요청의 정렬
+ * @returns {{sort: string, order: string, keys: Array, id: number}}
+ * @throws {Error} statusCode 400 - 형식이 잘못되었거나 정렬이 다름
+ */
+export const decodeCursor = (cursor, expected) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (
+    !payload ||
+    !Array.isArray(payload.keys) ||
+    !payload.keys.every(isCursorKey) ||
+    !Number.isInteger(payload.id) ||
+    payload.sort !== expected.sort ||
+    payload.order !== expected.order
+  ) {
+    throw invalidCursor();
+  }
+  return payload;
+};
@@ -1,11 +1,12 @@
 import jwt from 'jsonwebtoken';
 
-export const generateToken = (userId) => {
+// Access token: 짧은 만료 + 세션 ID(sid) 포함 (세션이 폐기되면 즉시 거부됨)
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET || 'your-secret-key',
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
     }
   );
 };
@@ -13,4 +14,3 @@ export const generateToken = (userId) => {
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
 };
-
@@ -0,0 +1,145 @@
+// OCR 필드별 신뢰도 계산 (단건/일괄 OCR 공통)
+import { normalizePhone } from "./cardMatching.js";
+
+// 필드별 상세 정보를 만드는 OCR 결과 필드
+export const OCR_FIELDS = ["name", "nameEn", "position", "company", "companyEn", "phone", "email"];
+
+// 필드 값을 만든 파서
+export const OCR_FIELD_SOURCE = {
+  GPT: "gpt",
+  REGEX: "regex",
+};
+
+// 파서별 기본 신뢰도 (정규식 폴백은 줄 위치 추측이 섞여 있어 낮게)
+const SOURCE_BASE = {
+  [OCR_FIELD_SOURCE.GPT]: 0.9,
+  [OCR_FIELD_SOURCE.REGEX]: 0.75,
+};
+
+// 전체 신뢰도 가중치 (합계 1.0, 영문 표기는 보조 정보라 제외)
+const OVERALL_WEIGHTS = {
+  name: 0.35,
+  company: 0.2,
+  phone: 0.2,
+  email: 0.15,
+  position: 0.1,
+};
+
+const EMAIL_PATTERN = /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 필드 값이 형식에 맞는지
+ * @param {string} field
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isPlausibleOcrValue = (field, value) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return false;
+
+  switch (field) {
+    case "name":
+    case "nameEn":
+      return text.length <= 50 && !/[@\d]/.test(text);
+    case "phone": {
+      const digits = normalizePhone(text);
+      return digits.length >= 9 && digits.length <= 15;
+    }
+    case "email":
+      return EMAIL_PATTERN.test(text);
+    default:
+      return text.length <= 255;
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * 원문에서 필드 값의 위치 찾기
+ * 그대로 없으면 대소문자와 공백/구분자(-, ., ·) 차이를 무시하고 찾음 (GPT가 전화번호 형식을 바꾼 경우 등)
+ * @param {string} rawText
+ * @param {string} value
+ * @returns {{start: number, end: number, text: string}|null}
+ */
+export const findTextSpan = (rawText, value) => {
+  const text = String(rawText || "");
+  const target = String(value || "").trim();
+  if (!text || !target) return null;
+
+  let start = text.indexOf(target);
+  if (start === -1) {
+    start = text.toLowerCase().indexOf(target.toLowerCase());
+  }
+  if (start !== -1) {
+    return { start, end: start + target.length, text: text.slice(start, start + target.length) };
+  }
+
+  const chars = [...target.replace(/[\s\-.·]/g, "")];
+  if (chars.length === 0 || chars.length > 100) return null;
+  const match = new RegExp(chars.map(escapeRegExp).join("[\\s\\-.·]*"), "i").exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length, text: match[0] } : null;
+};
+
+/**
+ * 필드 하나의 상세 정보
+ * 파서별 기본값에서 형식 불일치, 원문에 없는 값(GPT가 만든 값), 줄 위치로 추측한 값을 감점
+ * @param {Object} params
+ * @param {string} params.field
+ * @param {string} params.value
+ * @param {string} params.source - OCR_FIELD_SOURCE
+ * @param {string} params.rawText - 원문
+ * @param {boolean} [params.guessed] - 정규식 파서가 마커 없이 줄 위치로 추측한 값
+ * @returns {{value: string, confidence: number, source: string, span: Object|null, boundingBox: null}}
+ */
+export const describeOcrField = ({ field, value, source, rawText, guessed = false }) => {
+  const span = findTextSpan(rawText, value);
+
+  let confidence = SOURCE_BASE[source] ?? SOURCE_BASE[OCR_FIELD_SOURCE.REGEX];
+  if (!isPlausibleOcrValue(field, value)) confidence *= 0.5;
+  if (rawText && !span) confidence *= 0.6;
+  if (guessed) confidence *= 0.7;
+
+  return {
+    value,
+    confidence: round(confidence),
+    source,
+    span: span && { start: span.start, end: span.end },
+    boundingBox: null,
+  };
+};
+
+/**
+ * 결과의 필드별 상세 정보 (값이 있는 필드만)
+ * @param {Object} result - name, company 등 평문 필드
+ * @param {string} source - OCR_FIELD_SOURCE
+ * @param {Set<string>} [guessedFields] - 줄 위치로 추측한 필드
+ * @returns {Object<string, Object>}
+ */
+export const describeOcrFields = (result, source, guessedFields = new Set()) =>
+  Object.fromEntries(
+    OCR_FIELDS.filter((field) => result[field]).map((field) => [
+      field,
+      describeOcrField({
+        field,
+        value: result[field],
+        source,
+        rawText: result.rawText,
+        guessed: guessedFields.has(field),
+      }),
+    ])
+  );
+
+/**
+ * 전체 신뢰도 (0~1, 주요 필드 신뢰도의 가중 합, 빈 필드는 0)
+ * @param {Object<string, {confidence: number}>} fields
+ * @returns {number}
+ */
+export const scoreOcrFields = (fields = {}) =>
+  round(
+    Object.entries(OVERALL_WEIGHTS).reduce(
+      (sum, [field, weight]) => sum + (fields[field]?.confidence || 0) * weight,
+      0
+    )
+  );
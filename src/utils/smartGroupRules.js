@@ -0,0 +1,146 @@
+// 스마트 그룹 규칙 정리 (명함을 직접 담는 대신 저장한 조건에 맞는 명함이 그룹에 속함)
+// SQL 변환은 BusinessCard 목록 필터(groupRules)에서 처리
+import { MAX_TAG_NAME_LENGTH, normalizeTagName } from "./tags.js";
+
+export const SMART_RULE_FIELD = {
+  COMPANY: "company",
+  GENDER: "gender",
+  TAG: "tag",
+  IS_FAVORITE: "isFavorite",
+  HAS_MEMO: "hasMemo",
+  MET_WITHIN_DAYS: "metWithinDays",
+  GIFT_GIVEN: "giftGiven",
+  FACT: "fact",
+};
+
+export const SMART_RULE_FIELDS = Object.values(SMART_RULE_FIELD);
+
+export const SMART_RULE_MATCHES = ["all", "any"];
+
+// giftGiven 기간: 올해 / 최근 N일
+export const GIFT_GIVEN_THIS_YEAR = "thisYear";
+
+// extracted_fact.fact_type (fact-extraction과 같은 8가지)
+export const FACT_TYPES = [
+  "PREFERENCE",
+  "DISLIKE",
+  "RISK",
+  "CONSTRAINT",
+  "DATE",
+  "ROLE_OR_ORG",
+  "INTERACTION",
+  "CONTEXT",
+];
+
+export const MAX_SMART_RULE_CONDITIONS = 10;
+const MAX_TEXT_LENGTH = 255;
+const MAX_DAYS = 3650;
+
+const invalidRules = (message) => {
+  const error = new Error(`Invalid rules: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+const requireText = (value, field, maxLength = MAX_TEXT_LENGTH) => {
+  const text = typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+  if (!text || text.length > maxLength) {
+    throw invalidRules(`${field} requires a value of 1-${maxLength} characters`);
+  }
+  return text;
+};
+
+const requireBoolean = (value, field) => {
+  if (typeof value !== "boolean") {
+    throw invalidRules(`${field} requires true or false`);
+  }
+  return value;
+};
+
+const requireDays = (value, field) => {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw invalidRules(`${field} requires a number of days between 1 and ${MAX_DAYS}`);
+  }
+  return days;
+};
+
+// 조건 하나 정리 (필요한 키만 남김)
+const normalizeCondition = (condition) => {
+  const field = condition?.field;
+  switch (field) {
+    case SMART_RULE_FIELD.COMPANY:
+    case SMART_RULE_FIELD.GENDER:
+      return { field, value: requireText(condition.value, field) };
+    case SMART_RULE_FIELD.TAG: {
+      const value = normalizeTagName(condition.value);
+      return { field, value: requireText(value, field, MAX_TAG_NAME_LENGTH) };
+    }
+    case SMART_RULE_FIELD.IS_FAVORITE:
+    case SMART_RULE_FIELD.HAS_MEMO:
+      return { field, value: requireBoolean(condition.value, field) };
+    case SMART_RULE_FIELD.MET_WITHIN_DAYS:
+      return { field, value: requireDays(condition.value, field) };
+    case SMART_RULE_FIELD.GIFT_GIVEN:
+      return {
+        field,
+        value: condition.value === GIFT_GIVEN_THIS_YEAR ? GIFT_GIVEN_THIS_YEAR : requireDays(condition.value, field),
+      };
+    case SMART_RULE_FIELD.FACT: {
+      if (!FACT_TYPES.includes(condition.factType)) {
+        throw invalidRules(`fact requires factType (${FACT_TYPES.join(", ")})`);
+      }
+      const normalized = { field, factType: condition.factType };
+      if (condition.keyword !== undefined && condition.keyword !== null && condition.keyword !== "") {
+        normalized.keyword = requireText(condition.keyword, "fact keyword");
+      }
+      return normalized;
+    }
+    default:
+      throw invalidRules(`unknown field "${field}" (${SMART_RULE_FIELDS.join(", ")})`);
+  }
+};
+
+/**
+ * 스마트 그룹 규칙 검증 및 정리
+ * - { match: "all" | "any", conditions: [{ field, value }] }
+ * - fact 조건은 { field: "fact", factType, keyword? } (keyword는 fact_key 또는 evidence 부분 일치)
+ * - giftGiven 조건의 value는 "thisYear" 또는 최근 N일
+ * @param {*} rules
+ * @returns {{match: string, conditions: Array<Object>}}
+ * @throws {Error} statusCode 400 - 형식이 잘못된 규칙
+ */
+export const normalizeSmartGroupRules = (rules) => {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw invalidRules("rules must be an object");
+  }
+
+  const match = rules.match ?? "all";
+  if (!SMART_RULE_MATCHES.includes(match)) {
+    throw invalidRules(`match must be one of ${SMART_RULE_MATCHES.join(", ")}`);
+  }
+
+  const { conditions } = rules;
+  if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_SMART_RULE_CONDITIONS) {
+    throw invalidRules(`conditions must be an array of 1-${MAX_SMART_RULE_CONDITIONS} conditions`);
+  }
+
+  return { match, conditions: conditions.map(normalizeCondition) };
+};
+
+/**
+ * DB의 rules 컬럼 값 → 규칙 객체 (일반 그룹이면 null)
+ * @param {string|Object|null} value - mysql2는 JSON 컬럼을 객체로 반환하지만 문자열도 허용
+ * @returns {Object|null}
+ */
+export const parseSmartGroupRules = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return value;
+};
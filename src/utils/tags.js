@@ -0,0 +1,67 @@
+// 명함 태그 이름 정리 및 extracted_fact → 태그 추천 변환
+
+export const MAX_TAG_NAME_LENGTH = 50;
+export const MAX_TAGS_PER_REQUEST = 20;
+
+// 태그 추천에 사용하는 fact 종류
+export const TAG_SUGGESTION_FACT_TYPES = ["ROLE_OR_ORG", "CONTEXT"];
+
+/**
+ * 태그 이름 정리 (앞의 '#' 제거, 공백 정리, 길이 제한)
+ * @param {*} name
+ * @returns {string} 비어 있으면 ""
+ */
+export const normalizeTagName = (name) =>
+  String(name ?? "")
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TAG_NAME_LENGTH)
+    .trim();
+
+/**
+ * 태그 이름 목록 정리 (빈 값 제거, 대소문자 무시 중복 제거, 입력 순서 유지)
+ * 쉼표로 구분한 문자열도 허용
+ * @param {Array<string>|string} names
+ * @returns {string[]}
+ */
+export const normalizeTagNames = (names) => {
+  const list = Array.isArray(names) ? names : String(names ?? "").split(",");
+  const seen = new Set();
+  const normalized = [];
+  for (const name of list) {
+    const tagName = normalizeTagName(name);
+    const key = tagName.toLowerCase();
+    if (!tagName || seen.has(key)) continue;
+    seen.add(key);
+    normalized.push(tagName);
+  }
+  return normalized;
+};
+
+/**
+ * fact_key → 추천 태그 이름
+ * - "company:카카오" → "카카오", "former_company:삼성전자" → "삼성전자 출신"
+ * - 그 외 이전 이력(former_position 등)은 추천하지 않음
+ * - "marketing_team" → "marketing team"
+ * @param {string} factKey
+ * @returns {string} 추천하지 않으면 ""
+ */
+export const tagNameFromFactKey = (factKey) => {
+  const key = String(factKey || "").trim();
+  const separatorIndex = key.indexOf(":");
+  if (separatorIndex === -1) {
+    return normalizeTagName(key.replace(/_/g, " "));
+  }
+
+  const prefix = key.slice(0, separatorIndex).trim();
+  const value = key.slice(separatorIndex + 1);
+  if (prefix === "former_company") {
+    const company = normalizeTagName(value);
+    return company ? normalizeTagName(`${company} 출신`) : "";
+  }
+  if (prefix.startsWith("former_")) {
+    return "";
+  }
+  return normalizeTagName(value);
+};
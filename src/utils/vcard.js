@@ -0,0 +1,387 @@
+// vCard 3.0 / 4.0 파서 및 3.0 직렬화 (RFC 2426, RFC 6350)
+// 명함에 필요한 속성(FN, N, ORG, TITLE, TEL, EMAIL, ADR, URL, GENDER)만 해석
+// FN/ORG가 LANGUAGE=en으로 따로 있으면 영문 이름/회사명(nameEn, companyEn)으로 읽음
+// 여러 TEL/EMAIL/ADR/URL은 연락처 항목(contactPoints)으로 모두 읽음
+
+import { hasCjkText } from "./cardLanguage.js";
+import { CONTACT_POINT_TYPE, normalizeContactPoints } from "./contactPoints.js";
+
+// 줄 접기(folding) 해제: CRLF 뒤에 공백/탭이 오면 이전 줄에 이어 붙임
+// vCard 2.1/3.0의 QUOTED-PRINTABLE 소프트 줄바꿈(줄 끝 '=')도 함께 처리
+const unfoldLines = (text) => {
+  const rawLines = String(text).replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+  const lines = [];
+
+  for (const rawLine of rawLines) {
+    const previous = lines[lines.length - 1];
+    if (/^[ \t]/.test(rawLine) && previous !== undefined) {
+      lines[lines.length - 1] = previous + rawLine.slice(1);
+    } else if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(":")[0]) && previous.endsWith("=")) {
+      lines[lines.length - 1] = previous.slice(0, -1) + rawLine;
+    } else {
+      lines.push(rawLine);
+    }
+  }
+
+  return lines.filter((line) => line.trim().length > 0);
+};
+
+// 따옴표 밖의 구분자로만 분리
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (char === separator && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+// 이스케이프되지 않은 구분자로만 분리 (N, ORG 등 구조화된 값)
+const splitComponents = (value, separator = ";") => {
+  const parts = [];
+  let current = "";
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === "\\" && i + 1 < value.length) {
+      current += char + value[i + 1];
+      i++;
+    } else if (char === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const unescapeValue = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+
+const escapeValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r\n|\r|\n/g, "\\n")
+    .replace(/([;,])/g, "\\$1");
+
+// 75 octet 단위로 줄 접기 (UTF-8 멀티바이트 문자는 나누지 않음)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    const limit = chunks.length === 0 ? 75 : 74; // 이어지는 줄은 앞의 공백 1 octet 포함
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const decodeQuotedPrintable = (value) => {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    const hex = value.slice(i + 1, i + 3);
+    if (value[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], "utf8"));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+};
+
+// "item1.TEL;TYPE=work,voice;PREF=1:+82 10-1234-5678" → { name, params, value }
+const parseContentLine = (line) => {
+  // 파라미터 값의 따옴표 안 ':'는 건너뛰고, 값 부분은 그대로 보존
+  let separatorIndex = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      separatorIndex = i;
+      break;
+    }
+  }
+  if (separatorIndex === -1) return null;
+
+  const head = line.slice(0, separatorIndex);
+  const [rawName, ...rawParams] = splitOutsideQuotes(head, ";");
+  const name = rawName.split(".").pop().trim().toUpperCase();
+  const params = { TYPE: [] };
+
+  for (const rawParam of rawParams) {
+    const eqIndex = rawParam.indexOf("=");
+    if (eqIndex === -1) {
+      // vCard 2.1/3.0의 값만 있는 파라미터 (예: TEL;WORK;VOICE)
+      params.TYPE.push(rawParam.trim().toLowerCase());
+      continue;
+    }
+    const key = rawParam.slice(0, eqIndex).trim().toUpperCase();
+    const values = splitOutsideQuotes(rawParam.slice(eqIndex + 1), ",")
+      .map((v) => v.trim().replace(/^"|"$/g, ""))
+      .flatMap((v) => (key === "TYPE" ? v.split(",") : [v]))
+      .filter(Boolean);
+    if (key === "TYPE") {
+      params.TYPE.push(...values.map((v) => v.toLowerCase()));
+    } else {
+      params[key] = values.join(",");
+    }
+  }
+
+  let value = line.slice(separatorIndex + 1);
+  if (/^quoted-printable$/i.test(params.ENCODING || "")) {
+    value = decodeQuotedPrintable(value);
+  }
+
+  return { name, params, value };
+};
+
+// 우선순위: PREF 값이 작을수록, TYPE=pref, 업무용 순
+const rankEntry = ({ params }) => {
+  const pref = parseInt(params.PREF, 10);
+  if (Number.isInteger(pref)) return pref;
+  if (params.TYPE.includes("pref")) return 1;
+  if (params.TYPE.includes("work")) return 50;
+  if (params.TYPE.includes("cell")) return 60;
+  return 100;
+};
+
+const pickPreferred = (entries) =>
+  entries.length === 0
+    ? null
+    : entries.reduce((best, entry) => (rankEntry(entry) < rankEntry(best) ? entry : best));
+
+// 한글 이름은 "성이름", 일본/중국 이름은 "성 이름", 그 외는 "이름 성" 순서로 조합 (splitStructuredName의 역변환)
+const formatStructuredName = (value) => {
+  const [family = "", given = ""] = splitComponents(value).map((part) => unescapeValue(part).trim());
+  if (!family && !given) return "";
+  if (/[가-힣]/.test(family + given)) return `${family}${given}`;
+  if (hasCjkText(family + given)) return [family, given].filter(Boolean).join(" ");
+  return [given, family].filter(Boolean).join(" ");
+};
+
+// 같은 속성이 언어별로 여러 개일 때 (FN;LANGUAGE=ko / FN;LANGUAGE=en) 기본값과 영문 값을 나눔
+const isEnglishEntry = (entry) => /^en\b/i.test(entry.params.LANGUAGE || "");
+
+const splitByLanguage = (entries) => {
+  const primary = entries.find((entry) => !isEnglishEntry(entry)) || entries[0] || null;
+  const english = entries.find((entry) => entry !== primary && isEnglishEntry(entry)) || null;
+  return [primary, english];
+};
+
+const GENDER_LABELS = { M: "남성", F: "여성" };
+
+// TEL TYPE → 연락처 종류 (fax를 먼저 확인: TYPE=work,fax)
+const telContactType = ({ params }) => {
+  if (params.TYPE.includes("fax")) return CONTACT_POINT_TYPE.FAX;
+  if (params.TYPE.includes("cell")) return CONTACT_POINT_TYPE.MOBILE;
+  return CONTACT_POINT_TYPE.OFFICE;
+};
+
+// ADR: 사서함;확장 주소;거리;시/군/구;시/도;우편번호;국가 → 한 줄 주소
+const formatAddress = (value) =>
+  splitComponents(value)
+    .map((part) => unescapeValue(part).trim())
+    .filter(Boolean)
+    .join(" ");
+
+// vCard 속성 → 연락처 항목 (우선순위 순으로 정렬해 대표 값이 앞에 오도록)
+const toContactPoints = (all) => {
+  const byRank = (entries) => [...entries].sort((a, b) => rankEntry(a) - rankEntry(b));
+  const label = (entry) => entry.params.LABEL || null;
+
+  return normalizeContactPoints([
+    ...byRank(all("TEL")).map((entry) => ({
+      type: telContactType(entry),
+      value: unescapeValue(entry.value).replace(/^tel:/i, ""),
+    })),
+    ...byRank(all("EMAIL")).map((entry) => ({
+      type: CONTACT_POINT_TYPE.EMAIL,
+      value: unescapeValue(entry.value).replace(/^mailto:/i, ""),
+    })),
+    ...all("ADR").map((entry) => ({
+      type: CONTACT_POINT_TYPE.ADDRESS,
+      value: formatAddress(entry.value),
+      label: label(entry),
+    })),
+    ...all("URL").map((entry) => {
+      const value = unescapeValue(entry.value).trim();
+      return {
+        type: /linkedin\.com\//i.test(value) ? CONTACT_POINT_TYPE.LINKEDIN : CONTACT_POINT_TYPE.WEBSITE,
+        value,
+      };
+    }),
+    ...all("X-KAKAOTALK").map((entry) => ({
+      type: CONTACT_POINT_TYPE.KAKAOTALK,
+      value: unescapeValue(entry.value),
+    })),
+  ]);
+};
+
+const toCard = (properties, version) => {
+  const first = (name) => properties.find((p) => p.name === name);
+  const all = (name) => properties.filter((p) => p.name === name);
+
+  const n = first("N");
+  let [fn, fnEn] = splitByLanguage(all("FN"));
+  // 영문 FN만 있으면 N을 기본 이름으로, FN을 영문 이름으로 사용
+  if (fn && !fnEn && n && isEnglishEntry(fn)) {
+    [fn, fnEn] = [null, fn];
+  }
+  const [org, orgEn] = splitByLanguage(all("ORG"));
+  const title = first("TITLE") || first("ROLE");
+  // 대표 전화번호는 팩스가 아닌 번호 중에서
+  const tel = pickPreferred(all("TEL").filter((entry) => telContactType(entry) !== CONTACT_POINT_TYPE.FAX));
+  const email = pickPreferred(all("EMAIL"));
+  const gender = first("GENDER");
+
+  const genderCode = gender ? splitComponents(gender.value)[0].trim().toUpperCase() : "";
+
+  return {
+    version,
+    name: (fn && unescapeValue(fn.value).trim()) || (n && formatStructuredName(n.value)) || "",
+    nameEn: fnEn ? unescapeValue(fnEn.value).trim() : "",
+    company: org ? unescapeValue(splitComponents(org.value)[0]).trim() : "",
+    companyEn: orgEn ? unescapeValue(splitComponents(orgEn.value)[0]).trim() : "",
+    position: title ? unescapeValue(title.value).trim() : "",
+    // vCard 4.0은 TEL을 URI(tel:+82...)로 표현할 수 있음
+    phone: tel ? unescapeValue(tel.value).replace(/^tel:/i, "").trim() : "",
+    email: email ? unescapeValue(email.value).replace(/^mailto:/i, "").trim() : "",
+    gender: GENDER_LABELS[genderCode] || "",
+    contactPoints: toContactPoints(all),
+  };
+};
+
+/**
+ * vCard 텍스트 파싱 (여러 장의 vCard가 이어진 .vcf 파일 지원)
+ * @param {string} text
+ * @returns {Array<{version: string, name: string, nameEn: string, company: string, companyEn: string, position: string, phone: string, email: string, gender: string, contactPoints: Array<Object>}>}
+ * @throws {Error} statusCode 400 - BEGIN:VCARD가 없거나 END:VCARD로 닫히지 않음
+ */
+export const parseVCards = (text) => {
+  const cards = [];
+  let properties = null;
+
+  for (const line of unfoldLines(text)) {
+    const parsed = parseContentLine(line);
+    if (!parsed) continue;
+
+    if (parsed.name === "BEGIN" && /^vcard$/i.test(parsed.value.trim())) {
+      properties = [];
+    } else if (parsed.name === "END" && /^vcard$/i.test(parsed.value.trim())) {
+      if (properties) {
+        const version = properties.find((p) => p.name === "VERSION")?.value.trim() || "3.0";
+        cards.push(toCard(properties, version));
+      }
+      properties = null;
+    } else if (properties) {
+      properties.push(parsed);
+    }
+  }
+
+  if (properties) {
+    const error = new Error("Invalid vCard: missing END:VCARD");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (cards.length === 0) {
+    const error = new Error("Invalid vCard: no BEGIN:VCARD found");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return cards;
+};
+
+// 이름 → [성, 이름]
+// 한글 이름은 첫 글자를 성으로, 띄어 쓴 일본/중국 이름은 첫 단어를 성으로, 그 외는 마지막 단어를 성으로
+const splitStructuredName = (name) => {
+  const trimmed = String(name || "").trim();
+  if (/^[가-힣]{2,5}$/.test(trimmed)) return [trimmed.slice(0, 1), trimmed.slice(1)];
+  const words = trimmed.split(/\s+/);
+  if (words.length < 2) return [trimmed, ""];
+  if (hasCjkText(trimmed)) return [words[0], words.slice(1).join(" ")];
+  return [words[words.length - 1], words.slice(0, -1).join(" ")];
+};
+
+// 연락처 항목 → vCard 줄 (대표 전화번호/이메일은 PREF로 표시)
+const contactPointLines = (card) => {
+  const points = Array.isArray(card.contactPoints) && card.contactPoints.length > 0
+    ? card.contactPoints
+    : [
+        card.phone && { type: CONTACT_POINT_TYPE.OFFICE, value: card.phone },
+        card.email && { type: CONTACT_POINT_TYPE.EMAIL, value: card.email },
+      ].filter(Boolean);
+  const isPrimary = (value, primary) => primary && value === primary;
+
+  return points.map(({ type, value }) => {
+    const escaped = escapeValue(value);
+    switch (type) {
+      case CONTACT_POINT_TYPE.MOBILE:
+        return `TEL;TYPE=CELL,VOICE${isPrimary(value, card.phone) ? ",PREF" : ""}:${escaped}`;
+      case CONTACT_POINT_TYPE.OFFICE:
+        return `TEL;TYPE=WORK,VOICE${isPrimary(value, card.phone) ? ",PREF" : ""}:${escaped}`;
+      case CONTACT_POINT_TYPE.FAX:
+        return `TEL;TYPE=WORK,FAX:${escaped}`;
+      case CONTACT_POINT_TYPE.EMAIL:
+        return `EMAIL;TYPE=INTERNET,WORK${isPrimary(value, card.email) ? ",PREF" : ""}:${escaped}`;
+      case CONTACT_POINT_TYPE.ADDRESS:
+        // 구조화하지 않은 주소는 거리 칸에 통째로 기록
+        return `ADR;TYPE=WORK:;;${escaped};;;;`;
+      case CONTACT_POINT_TYPE.KAKAOTALK:
+        return `X-KAKAOTALK:${escaped}`;
+      default:
+        return `URL:${escaped}`;
+    }
+  });
+};
+
+/**
+ * 명함 → vCard 3.0 문자열 (CRLF 줄바꿈, 75 octet 줄 접기)
+ * 가장 널리 호환되는 3.0으로 내보내며, parseVCards로 다시 가져올 수 있음
+ * @param {Object} card - business_cards 행 (contactPoints가 있으면 모든 연락처 항목을 기록)
+ * @returns {string}
+ */
+export const serializeVCard = (card) => {
+  const [family, given] = splitStructuredName(card.name);
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${escapeValue(card.name || "")}`,
+    `N:${escapeValue(family)};${escapeValue(given)};;;`,
+  ];
+
+  // 영문 이름/회사명은 LANGUAGE=en으로 한 번 더 기록 (기본 FN/ORG를 먼저 두어 지원하지 않는 앱은 무시)
+  if (card.nameEn) lines.push(`FN;LANGUAGE=en:${escapeValue(card.nameEn)}`);
+  if (card.company) lines.push(`ORG:${escapeValue(card.company)}`);
+  if (card.companyEn) lines.push(`ORG;LANGUAGE=en:${escapeValue(card.companyEn)}`);
+  if (card.position) lines.push(`TITLE:${escapeValue(card.position)}`);
+  lines.push(...contactPointLines(card));
+  if (card.id) lines.push(`UID:business-card-${card.id}`);
+  if (card.updatedAt) lines.push(`REV:${new Date(card.updatedAt).toISOString()}`);
+  lines.push("END:VCARD");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
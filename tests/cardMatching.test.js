@@ -0,0 +1,46 @@
+import { contactKeys } from "../src/utils/cardMatching.js";
+
+describe("contactKeys", () => {
+  test("uses the primary phone/email and name+company", () => {
+    expect(
+      contactKeys({ name: "김철수", company: "(주)한빛전자", phone: "+82 10-9876-5432", email: "Chulsoo@Hanbit.co.kr" })
+    ).toEqual([
+      ["email", "chulsoo@hanbit.co.kr"],
+      ["phone", "01098765432"],
+      ["nameCompany", "김철수|한빛전자"],
+    ]);
+  });
+
+  test("includes email and phone contact points, once per value", () => {
+    const keys = contactKeys({
+      name: "Emily Carter",
+      phone: "010-1111-2222",
+      email: "emily@brightpath.com",
+      contactPoints: [
+        { type: "mobile", value: "010 1111 2222" },
+        { type: "office", value: "02-555-1234" },
+        { type: "email", value: "EMILY.CARTER@gmail.com" },
+        { type: "email", value: "emily@brightpath.com" },
+      ],
+    });
+
+    expect(keys).toEqual([
+      ["email", "emily@brightpath.com"],
+      ["email", "emily.carter@gmail.com"],
+      ["phone", "01011112222"],
+      ["phone", "025551234"],
+    ]);
+  });
+
+  test("ignores fax numbers, addresses and short numbers", () => {
+    expect(
+      contactKeys({
+        contactPoints: [
+          { type: "fax", value: "02-555-1235" },
+          { type: "address", value: "서울특별시 강남구 테헤란로 123" },
+          { type: "office", value: "1588" },
+        ],
+      })
+    ).toEqual([]);
+  });
+});
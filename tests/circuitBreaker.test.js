@@ -0,0 +1,88 @@
+import { jest } from "@jest/globals";
+import { CircuitBreaker, CIRCUIT_STATE } from "../src/services/llm/circuitBreaker.js";
+
+const COOLDOWN_MS = 30000;
+
+describe("CircuitBreaker", () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    breaker = new CircuitBreaker("gpt", { failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const failTimes = (count) => {
+    for (let i = 0; i < count; i++) breaker.recordFailure(new Error(`timeout ${i + 1}`));
+  };
+
+  test("opens after the configured number of consecutive failures", () => {
+    failTimes(2);
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+
+    failTimes(1);
+    expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.toJSON()).toEqual({
+      name: "gpt",
+      state: CIRCUIT_STATE.OPEN,
+      consecutiveFailures: 3,
+      openedAt: "2026-01-01T00:00:00.000Z",
+      lastError: "timeout 1",
+    });
+  });
+
+  test("a success resets the failure count", () => {
+    failTimes(2);
+    breaker.recordSuccess();
+    failTimes(2);
+
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    expect(breaker.consecutiveFailures).toBe(2);
+  });
+
+  test("allows a single trial request once the cooldown has passed", () => {
+    failTimes(3);
+    jest.advanceTimersByTime(COOLDOWN_MS - 1);
+    expect(breaker.canRequest()).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN);
+    // 시험 요청 결과가 나올 때까지 다른 요청은 건너뜀
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test("reopens when the trial request fails", () => {
+    failTimes(3);
+    jest.advanceTimersByTime(COOLDOWN_MS);
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure(new Error("503"));
+    expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.toJSON().openedAt).toBe("2026-01-01T00:00:30.000Z");
+  });
+
+  test("a released or abandoned trial lets the next request try again", () => {
+    failTimes(3);
+    jest.advanceTimersByTime(COOLDOWN_MS);
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.releaseTrial();
+    expect(breaker.canRequest()).toBe(true);
+
+    // 결과 없이 쿨다운만큼 지난 시험 요청은 끝난 것으로 봄
+    expect(breaker.canRequest()).toBe(false);
+    jest.advanceTimersByTime(COOLDOWN_MS);
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
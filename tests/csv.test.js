@@ -0,0 +1,66 @@
+import { parseCsv, restoreFormula, stringifyCsv } from "../src/utils/csv.js";
+
+describe("parseCsv", () => {
+  test("reads quoted fields with embedded quotes, delimiters and newlines", () => {
+    const text = 'name,company,memo\r\n"홍길동","가나, 다라","첫 줄\n둘째 줄 ""인용"""\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ["name", "company", "memo"],
+      ["홍길동", "가나, 다라", '첫 줄\n둘째 줄 "인용"'],
+    ]);
+  });
+
+  test("detects semicolon and tab delimiters from the first line", () => {
+    expect(parseCsv("이름;회사\n홍길동;가나, 다라\n")).toEqual([
+      ["이름", "회사"],
+      ["홍길동", "가나, 다라"],
+    ]);
+    expect(parseCsv("name\tphone\nEmily\t010-1111-2222")).toEqual([
+      ["name", "phone"],
+      ["Emily", "010-1111-2222"],
+    ]);
+  });
+
+  test("uses an explicit delimiter, strips the BOM and skips blank lines", () => {
+    expect(parseCsv("\uFEFFa;b\r\n\r\n1;2,3\r\n", { delimiter: ";" })).toEqual([
+      ["a", "b"],
+      ["1", "2,3"],
+    ]);
+  });
+
+  test("rejects an unterminated quoted field", () => {
+    expect(() => parseCsv('name\n"홍길동')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe("stringifyCsv", () => {
+  test("quotes fields that need it and round-trips through parseCsv", () => {
+    const rows = [
+      ["name", "company", "memo"],
+      ["홍길동", "가나, 다라", '첫 줄\n"둘째" 줄'],
+      [" 앞 공백", null, 42],
+    ];
+    const text = stringifyCsv(rows);
+
+    expect(text).toBe('name,company,memo\r\n홍길동,"가나, 다라","첫 줄\n""둘째"" 줄"\r\n" 앞 공백",,42\r\n');
+    expect(parseCsv(text)).toEqual([
+      ["name", "company", "memo"],
+      ["홍길동", "가나, 다라", '첫 줄\n"둘째" 줄'],
+      [" 앞 공백", "", "42"],
+    ]);
+  });
+
+  test("prefixes cells that a spreadsheet would run as formulas", () => {
+    const text = stringifyCsv([["=HYPERLINK(\"http://x\")", "+82 10-1234-5678", "-1", "@SUM(A1)", -1, "'=kept"]]);
+
+    expect(text).toBe("\"'=HYPERLINK(\"\"http://x\"\")\",'+82 10-1234-5678,'-1,'@SUM(A1),-1,''=kept\r\n");
+    expect(parseCsv(text)[0].map(restoreFormula)).toEqual([
+      "=HYPERLINK(\"http://x\")",
+      "+82 10-1234-5678",
+      "-1",
+      "@SUM(A1)",
+      "-1",
+      "'=kept",
+    ]);
+  });
+});
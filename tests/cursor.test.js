@@ -0,0 +1,44 @@
+import { decodeCursor, encodeCursor } from "../src/utils/cursor.js";
+
+const SORT = { sort: "lastInteraction", order: "desc" };
+
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+
+const expectInvalid = (cursor, expected = SORT) => {
+  expect(() => decodeCursor(cursor, expected)).toThrow(
+    expect.objectContaining({ message: "Invalid cursor", statusCode: 400 })
+  );
+};
+
+describe("cursor", () => {
+  test("round-trips string, number and null sort keys", () => {
+    const payload = { ...SORT, keys: ["2026-01-01 09:00:00", 42, null], id: 7 };
+    const cursor = encodeCursor(payload);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, SORT)).toEqual(payload);
+  });
+
+  test("rejects a cursor made for another sort or order", () => {
+    const cursor = encodeCursor({ ...SORT, keys: [1], id: 7 });
+
+    expectInvalid(cursor, { sort: "relationshipScore", order: "desc" });
+    expectInvalid(cursor, { sort: "lastInteraction", order: "asc" });
+  });
+
+  test("rejects text that is not an encoded payload", () => {
+    expectInvalid("not a cursor");
+    expectInvalid(rawCursor(null));
+    expectInvalid(rawCursor("keys"));
+  });
+
+  test.each([
+    ["keys that are not an array", { ...SORT, keys: "1", id: 7 }],
+    ["an object key", { ...SORT, keys: [{ toString: "x" }], id: 7 }],
+    ["an array key", { ...SORT, keys: [[1, 2]], id: 7 }],
+    ["a boolean key", { ...SORT, keys: [true], id: 7 }],
+    ["a non-integer id", { ...SORT, keys: [1], id: "7" }],
+  ])("rejects %s", (_, payload) => {
+    expectInvalid(rawCursor(payload));
+  });
+});
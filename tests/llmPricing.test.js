@@ -0,0 +1,19 @@
+import { estimateLLMCost, findLLMPricing } from "../src/services/llm/pricing.js";
+
+describe("LLM pricing", () => {
+  test("matches dated model names by the longest prefix", () => {
+    expect(findLLMPricing("gpt-4o-mini-2024-07-18")).toEqual({ input: 0.15, output: 0.6 });
+    expect(findLLMPricing("gpt-4o-2024-08-06")).toEqual({ input: 2.5, output: 10 });
+  });
+
+  test("estimates the cost per million tokens", () => {
+    expect(estimateLLMCost("gpt-4o-mini-2024-07-18", 1_000_000, 500_000)).toBe(0.45);
+    expect(estimateLLMCost("text-embedding-3-small", 2000)).toBe(0.00004);
+  });
+
+  test("records unknown models at zero cost", () => {
+    expect(findLLMPricing("unknown-model")).toBeNull();
+    expect(estimateLLMCost("unknown-model", 1000, 1000)).toBe(0);
+    expect(estimateLLMCost(undefined, 1000, 1000)).toBe(0);
+  });
+});
@@ -0,0 +1,133 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { LocalImageStorage } from "../src/services/storage/local.storage.js";
+
+const SECRET = "test-image-url-secret";
+const KEY = "cards/42/front.jpg";
+const TTL_SECONDS = 600;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// getUrl()이 만든 서명 URL → { key, expires, signature }
+const parseSignedUrl = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  return {
+    key: pathname.replace(/^\/api\/images\//, ""),
+    expires: searchParams.get("expires"),
+    signature: searchParams.get("signature"),
+  };
+};
+
+describe("LocalImageStorage signed URLs", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new LocalImageStorage({
+      rootDir: path.join(os.tmpdir(), "gpt4b-storage-test"),
+      apiBaseUrl: "https://api.example.com/",
+      secret: SECRET,
+      urlTtlSeconds: TTL_SECONDS,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("getUrl returns an API URL whose signature verifies", () => {
+    const url = storage.getUrl(KEY);
+    expect(url.startsWith(`https://api.example.com/api/images/${KEY}?`)).toBe(true);
+
+    const { key, expires, signature } = parseSignedUrl(url);
+    expect(key).toBe(KEY);
+    expect(storage.verifySignature(key, expires, signature)).toBe(true);
+  });
+
+  test("URLs expire between one and two TTLs from now and stay stable within a TTL window", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:30Z") });
+    const first = storage.getUrl(KEY);
+    const expires = Number(parseSignedUrl(first).expires);
+
+    expect(expires % TTL_SECONDS).toBe(0);
+    expect(expires - nowSeconds()).toBeGreaterThan(TTL_SECONDS);
+    expect(expires - nowSeconds()).toBeLessThanOrEqual(2 * TTL_SECONDS);
+
+    jest.setSystemTime(new Date("2026-01-01T00:05:00Z"));
+    expect(storage.getUrl(KEY)).toBe(first);
+  });
+
+  test("rejects a signed URL once it has expired", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const { key, expires, signature } = parseSignedUrl(storage.getUrl(KEY));
+
+    jest.setSystemTime((Number(expires) - 1) * 1000);
+    expect(storage.verifySignature(key, expires, signature)).toBe(true);
+
+    jest.setSystemTime((Number(expires) + 1) * 1000);
+    expect(storage.verifySignature(key, expires, signature)).toBe(false);
+  });
+
+  test("rejects a tampered key, expiry or signature", () => {
+    const { key, expires, signature } = parseSignedUrl(storage.getUrl(KEY));
+
+    expect(storage.verifySignature("cards/43/front.jpg", expires, signature)).toBe(false);
+    expect(storage.verifySignature(key, Number(expires) + TTL_SECONDS, signature)).toBe(false);
+    expect(storage.verifySignature(key, expires, signature.replace(/.$/, (c) => (c === "0" ? "1" : "0")))).toBe(false);
+    expect(storage.verifySignature(key, expires, signature.slice(1))).toBe(false);
+    expect(storage.verifySignature(key, expires, undefined)).toBe(false);
+    expect(storage.verifySignature(key, "not-a-number", signature)).toBe(false);
+  });
+
+  test("rejects a signature made with another secret", () => {
+    const other = new LocalImageStorage({
+      apiBaseUrl: "https://api.example.com",
+      secret: "another-secret",
+      urlTtlSeconds: TTL_SECONDS,
+    });
+    const { key, expires, signature } = parseSignedUrl(other.getUrl(KEY));
+
+    expect(other.verifySignature(key, expires, signature)).toBe(true);
+    expect(storage.verifySignature(key, expires, signature)).toBe(false);
+  });
+
+  test("uses the public base URL without a signature when configured", () => {
+    const publicStorage = new LocalImageStorage({ publicBaseUrl: "https://cdn.example.com/images/", secret: SECRET });
+    expect(publicStorage.getUrl(KEY)).toBe(`https://cdn.example.com/images/${KEY}`);
+  });
+});
+
+describe("LocalImageStorage files", () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "gpt4b-storage-"));
+    storage = new LocalImageStorage({ rootDir, secret: SECRET });
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  test("stores, reads and removes an image", async () => {
+    const body = Buffer.from("jpeg-bytes");
+    await storage.put(KEY, body);
+
+    await expect(storage.get(KEY)).resolves.toEqual({ body, contentType: "image/jpeg" });
+
+    await storage.remove(KEY);
+    await expect(storage.get(KEY)).resolves.toBeNull();
+    await expect(storage.remove(KEY)).resolves.toBeUndefined();
+  });
+
+  test("rejects keys that escape the storage directory", async () => {
+    await expect(storage.put("../outside.jpg", Buffer.from("x"))).rejects.toMatchObject({ statusCode: 400 });
+    expect(() => storage.resolvePath("cards/../../etc/passwd")).toThrow("Invalid image key");
+  });
+
+  test("requires a URL signing secret", () => {
+    expect(() => new LocalImageStorage({ rootDir: os.tmpdir() })).toThrow(/IMAGE_URL_SECRET or JWT_SECRET/);
+  });
+});
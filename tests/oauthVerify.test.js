@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { setGoogleCertsFetcher, verifyGoogleIdToken } from "../src/services/oauth/google.js";
+import { setAppleSigningKeyResolver, verifyAppleIdentityToken } from "../src/services/oauth/apple.js";
+
+// 로컬 RSA 키를 공개키 조회 함수로 주입해 네트워크 없이 서명/대상/발급자/만료 검증을 확인
+const KID = "test-key";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+});
+const otherKey = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  publicKeyEncoding: { type: "spki", format: "pem" },
+}).privateKey;
+
+const GOOGLE_CLIENT_ID = "web-client.apps.googleusercontent.com";
+const APPLE_CLIENT_ID = "com.example.gpt4b";
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const signToken = (payload, { key = privateKey, kid = KID } = {}) =>
+  jwt.sign({ iat: now(), exp: now() + 600, ...payload }, key, {
+    algorithm: "RS256",
+    ...(kid ? { keyid: kid } : {}),
+  });
+
+const savedEnv = {};
+
+beforeAll(() => {
+  savedEnv.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
+  savedEnv.APPLE_CLIENT_ID = process.env.APPLE_CLIENT_ID;
+  process.env.GOOGLE_CLIENT_ID = `other-client.apps.googleusercontent.com, ${GOOGLE_CLIENT_ID}`;
+  process.env.APPLE_CLIENT_ID = APPLE_CLIENT_ID;
+  setGoogleCertsFetcher(async () => ({ [KID]: publicKey }));
+  setAppleSigningKeyResolver(async (kid) => {
+    if (kid !== KID) throw new Error(`Unknown kid: ${kid}`);
+    return publicKey;
+  });
+});
+
+afterAll(() => {
+  Object.entries(savedEnv).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  setGoogleCertsFetcher(null);
+  setAppleSigningKeyResolver(null);
+});
+
+describe("verifyGoogleIdToken", () => {
+  const googleToken = (overrides = {}, options) =>
+    signToken(
+      {
+        iss: "https://accounts.google.com",
+        aud: GOOGLE_CLIENT_ID,
+        sub: "google-user-1",
+        email: "user@example.com",
+        email_verified: true,
+        name: "Test User",
+        picture: "https://example.com/photo.png",
+        ...overrides,
+      },
+      options
+    );
+
+  const expectRejected = async (token, reason) => {
+    await expect(verifyGoogleIdToken(token)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(new RegExp(`^Invalid Google ID token: .*${reason}`)),
+    });
+  };
+
+  test("returns the profile of a valid token", async () => {
+    await expect(verifyGoogleIdToken(googleToken())).resolves.toEqual({
+      oauthId: "google-user-1",
+      email: "user@example.com",
+      emailVerified: true,
+      name: "Test User",
+      profileImage: "https://example.com/photo.png",
+    });
+  });
+
+  test("accepts the issuer without scheme and string email_verified", async () => {
+    const profile = await verifyGoogleIdToken(
+      googleToken({ iss: "accounts.google.com", email_verified: "false" })
+    );
+    expect(profile.emailVerified).toBe(false);
+  });
+
+  test("rejects a token for another audience", async () => {
+    await expectRejected(googleToken({ aud: "someone-else.apps.googleusercontent.com" }), "Wrong recipient");
+  });
+
+  test("rejects a token from another issuer", async () => {
+    await expectRejected(googleToken({ iss: "https://evil.example.com" }), "Invalid issuer");
+  });
+
+  test("rejects an expired token", async () => {
+    await expectRejected(googleToken({ iat: now() - 7200, exp: now() - 3600 }), "too late");
+  });
+
+  test("rejects a token signed with another key", async () => {
+    await expectRejected(googleToken({}, { key: otherKey }), "Invalid token signature");
+  });
+
+  test("fails with 503 when GOOGLE_CLIENT_ID is not configured", async () => {
+    const clientIds = process.env.GOOGLE_CLIENT_ID;
+    delete process.env.GOOGLE_CLIENT_ID;
+    try {
+      await expect(verifyGoogleIdToken(googleToken())).rejects.toMatchObject({ statusCode: 503 });
+    } finally {
+      process.env.GOOGLE_CLIENT_ID = clientIds;
+    }
+  });
+});
+
+describe("verifyAppleIdentityToken", () => {
+  const appleToken = (overrides = {}, options) =>
+    signToken(
+      {
+        iss: "https://appleid.apple.com",
+        aud: APPLE_CLIENT_ID,
+        sub: "apple-user-1",
+        email: "abc123@privaterelay.appleid.com",
+        email_verified: "true",
+        ...overrides,
+      },
+      options
+    );
+
+  const expectRejected = async (token, reason, options) => {
+    await expect(verifyAppleIdentityToken(token, options)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(new RegExp(`^Invalid Apple identity token: .*${reason}`)),
+    });
+  };
+
+  test("returns the identity of a valid token", async () => {
+    await expect(verifyAppleIdentityToken(appleToken())).resolves.toEqual({
+      oauthId: "apple-user-1",
+      email: "abc123@privaterelay.appleid.com",
+      emailVerified: true,
+      isPrivateEmail: true,
+    });
+  });
+
+  test("accepts a matching nonce, raw or SHA-256 hashed", async () => {
+    const nonce = "login-nonce";
+    const hashed = crypto.createHash("sha256").update(nonce).digest("hex");
+    await expect(verifyAppleIdentityToken(appleToken({ nonce: hashed }), { nonce })).resolves.toBeTruthy();
+    await expect(verifyAppleIdentityToken(appleToken({ nonce }), { nonce })).resolves.toBeTruthy();
+  });
+
+  test("rejects a nonce mismatch", async () => {
+    await expectRejected(appleToken({ nonce: "other" }), "nonce mismatch", { nonce: "login-nonce" });
+  });
+
+  test("rejects a token for another audience", async () => {
+    await expectRejected(appleToken({ aud: "com.example.other" }), "audience invalid");
+  });
+
+  test("rejects a token from another issuer", async () => {
+    await expectRejected(appleToken({ iss: "https://accounts.google.com" }), "issuer invalid");
+  });
+
+  test("rejects an expired token", async () => {
+    await expectRejected(appleToken({ iat: now() - 7200, exp: now() - 3600 }), "jwt expired");
+  });
+
+  test("rejects a token signed with another key", async () => {
+    await expectRejected(appleToken({}, { key: otherKey }), "invalid signature");
+  });
+
+  test("rejects a token without kid", async () => {
+    await expectRejected(appleToken({}, { kid: null }), "malformed token");
+  });
+});
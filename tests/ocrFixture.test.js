@@ -0,0 +1,148 @@
+import { processOCR } from "../src/services/ocr.service.js";
+import {
+  FixtureEngine,
+  getOcrEngine,
+  getOcrEngineWarning,
+  registerOcrEngine,
+  resetOcrEngines,
+} from "../src/services/ocr/engines/index.js";
+import { OCR_FIXTURES } from "../src/services/ocr/fixtures/cards.js";
+
+// 네트워크 없이 fixture 엔진 → 정규식 파싱 → 필드별 bounding box까지 한 번에 확인
+const ENGINE_NAME = "fixture-test";
+const IMAGE = Buffer.from("business-card").toString("base64");
+const fixture = OCR_FIXTURES.find((item) => item.id === "ko-sales-manager");
+
+const savedEnv = {};
+const ENV_KEYS = ["OCR_ENGINE", "OCR_LLM_PROVIDER", "OPENAI_API_KEY", "GOOGLE_CLOUD_VISION_API_KEY", "NODE_ENV"];
+
+beforeAll(() => {
+  ENV_KEYS.forEach((key) => {
+    savedEnv[key] = process.env[key];
+  });
+  // LLM 파싱 없이 정규식 파싱 경로로 고정
+  process.env.OCR_LLM_PROVIDER = "gpt";
+  delete process.env.OPENAI_API_KEY;
+  process.env.OCR_ENGINE = ENGINE_NAME;
+  registerOcrEngine(ENGINE_NAME, FixtureEngine, () => ({ fixtures: [fixture] }));
+});
+
+afterAll(async () => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  await resetOcrEngines();
+});
+
+describe("fixture OCR engine", () => {
+  test("recognizes the fixture text with word boxes in reading order", async () => {
+    const engine = new FixtureEngine({ fixtures: [fixture] });
+    const { text, words, fixtureId } = await engine.recognize(IMAGE, { sourceImage: IMAGE });
+
+    expect(fixtureId).toBe("ko-sales-manager");
+    expect(text).toBe(fixture.text);
+    expect(words.map((word) => word.text).join(" ")).toBe(fixture.text.split(/\s+/).join(" "));
+    words.forEach(({ boundingBox }) => {
+      expect(boundingBox.width).toBeGreaterThan(0);
+      expect(boundingBox.height).toBeGreaterThan(0);
+    });
+  });
+
+  test("selects the fixture whose sha256 matches the source image", async () => {
+    const crypto = await import("crypto");
+    const sha256 = crypto.createHash("sha256").update(IMAGE).digest("hex");
+    const engine = new FixtureEngine({
+      fixtures: [{ id: "other", text: "Other" }, { id: "pinned", sha256, text: "Pinned" }],
+    });
+
+    const selected = await engine.selectFixture(`data:image/png;base64,${IMAGE}`);
+    expect(selected.id).toBe("pinned");
+  });
+});
+
+describe("processOCR with the fixture engine", () => {
+  let result;
+  let wordBox;
+
+  beforeAll(async () => {
+    result = await processOCR(IMAGE);
+    const { words } = await new FixtureEngine({ fixtures: [fixture] }).recognize(IMAGE);
+    wordBox = (text) => words.find((word) => word.text === text).boundingBox;
+  });
+
+  test("parses the card fields", () => {
+    expect(result.engine).toBe(ENGINE_NAME);
+    expect(result.rawText).toBe(fixture.text);
+    expect(result.language).toBe("ko");
+    expect(result).toMatchObject({
+      name: "김철수",
+      company: "(주)한빛전자",
+      phone: "010-9876-5432",
+      email: "chulsoo.kim@hanbit.co.kr",
+    });
+    expect(result.contactPoints).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: "office", value: "02-555-1234" }),
+        expect.objectContaining({ type: "fax", value: "02-555-1235" }),
+        expect.objectContaining({ type: "mobile", value: "010-9876-5432" }),
+        expect.objectContaining({ type: "website", value: "www.hanbit.co.kr" }),
+        expect.objectContaining({ type: "address", value: "서울특별시 강남구 테헤란로 123" }),
+      ])
+    );
+  });
+
+  test("reports per-field source, span and confidence", () => {
+    const { email } = result.fields;
+    expect(email.source).toBe("regex");
+    expect(fixture.text.slice(email.span.start, email.span.end)).toBe("chulsoo.kim@hanbit.co.kr");
+    expect(email.confidence).toBeGreaterThan(0);
+    expect(email.confidence).toBeLessThanOrEqual(1);
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test("attaches the bounding box of the words each field came from", () => {
+    expect(result.fields.name.boundingBox).toEqual(wordBox("김철수"));
+    expect(result.fields.company.boundingBox).toEqual(wordBox("(주)한빛전자"));
+    expect(result.fields.email.boundingBox).toEqual(wordBox("chulsoo.kim@hanbit.co.kr"));
+
+    // "M. 010-9876-5432" 줄에서 번호 단어만 덮음
+    const phoneBox = result.fields.phone.boundingBox;
+    expect(phoneBox).toEqual(wordBox("010-9876-5432"));
+    expect(phoneBox.x).toBeGreaterThan(wordBox("M.").x);
+  });
+});
+
+describe("default OCR engine", () => {
+  let ocrEngine;
+
+  beforeEach(() => {
+    ocrEngine = process.env.OCR_ENGINE;
+    delete process.env.OCR_ENGINE;
+    delete process.env.GOOGLE_CLOUD_VISION_API_KEY;
+  });
+
+  afterEach(() => {
+    process.env.OCR_ENGINE = ocrEngine;
+    process.env.NODE_ENV = savedEnv.NODE_ENV;
+  });
+
+  test("falls back to the fixture engine outside production, with a warning", () => {
+    process.env.NODE_ENV = "development";
+    expect(getOcrEngine().name).toBe("fixture");
+    expect(getOcrEngineWarning()).toMatch(/fixture OCR engine/);
+  });
+
+  test("never defaults to the fixture engine in production", () => {
+    process.env.NODE_ENV = "production";
+    expect(getOcrEngine().name).toBe("google-vision");
+    expect(getOcrEngineWarning()).toMatch(/OCR requests will fail/);
+  });
+
+  test("uses the fixture engine in production only when OCR_ENGINE selects it", () => {
+    process.env.NODE_ENV = "production";
+    process.env.OCR_ENGINE = "fixture";
+    expect(getOcrEngine().name).toBe("fixture");
+    expect(getOcrEngineWarning()).toMatch(/canned business card text/);
+  });
+});
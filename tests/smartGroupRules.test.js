@@ -0,0 +1,73 @@
+import {
+  GIFT_GIVEN_THIS_YEAR,
+  MAX_SMART_RULE_CONDITIONS,
+  normalizeSmartGroupRules,
+  parseSmartGroupRules,
+} from "../src/utils/smartGroupRules.js";
+
+describe("normalizeSmartGroupRules", () => {
+  test("keeps only the keys each condition needs and tidies values", () => {
+    expect(
+      normalizeSmartGroupRules({
+        match: "any",
+        conditions: [
+          { field: "company", value: "  한빛   전자 ", extra: true },
+          { field: "tag", value: "#VIP" },
+          { field: "isFavorite", value: false },
+          { field: "metWithinDays", value: "30" },
+          { field: "giftGiven", value: GIFT_GIVEN_THIS_YEAR },
+          { field: "giftGiven", value: 90 },
+          { field: "fact", factType: "PREFERENCE", keyword: " 와인 " },
+          { field: "fact", factType: "RISK", keyword: "" },
+        ],
+      })
+    ).toEqual({
+      match: "any",
+      conditions: [
+        { field: "company", value: "한빛 전자" },
+        { field: "tag", value: "VIP" },
+        { field: "isFavorite", value: false },
+        { field: "metWithinDays", value: 30 },
+        { field: "giftGiven", value: GIFT_GIVEN_THIS_YEAR },
+        { field: "giftGiven", value: 90 },
+        { field: "fact", factType: "PREFERENCE", keyword: "와인" },
+        { field: "fact", factType: "RISK" },
+      ],
+    });
+  });
+
+  test("defaults match to all", () => {
+    expect(normalizeSmartGroupRules({ conditions: [{ field: "hasMemo", value: true }] }).match).toBe("all");
+  });
+
+  test.each([
+    ["a non-object", [], "rules must be an object"],
+    ["an unknown match", { match: "some", conditions: [{ field: "hasMemo", value: true }] }, "match must be one of all, any"],
+    ["no conditions", { conditions: [] }, "conditions must be an array"],
+    [
+      "too many conditions",
+      { conditions: Array(MAX_SMART_RULE_CONDITIONS + 1).fill({ field: "hasMemo", value: true }) },
+      "conditions must be an array",
+    ],
+    ["an unknown field", { conditions: [{ field: "salary", value: 1 }] }, 'unknown field "salary"'],
+    ["an empty company", { conditions: [{ field: "company", value: "   " }] }, "company requires a value"],
+    ["a non-boolean flag", { conditions: [{ field: "isFavorite", value: "yes" }] }, "isFavorite requires true or false"],
+    ["out-of-range days", { conditions: [{ field: "metWithinDays", value: 0 }] }, "metWithinDays requires a number of days"],
+    ["an unknown fact type", { conditions: [{ field: "fact", factType: "HOBBY" }] }, "fact requires factType"],
+  ])("rejects %s with a 400", (_, rules, message) => {
+    expect(() => normalizeSmartGroupRules(rules)).toThrow(
+      expect.objectContaining({ statusCode: 400, message: expect.stringContaining(message) })
+    );
+  });
+});
+
+describe("parseSmartGroupRules", () => {
+  test("accepts objects and JSON strings and returns null for anything unreadable", () => {
+    const rules = { match: "all", conditions: [{ field: "hasMemo", value: true }] };
+
+    expect(parseSmartGroupRules(rules)).toBe(rules);
+    expect(parseSmartGroupRules(JSON.stringify(rules))).toEqual(rules);
+    expect(parseSmartGroupRules(null)).toBeNull();
+    expect(parseSmartGroupRules("{not json")).toBeNull();
+  });
+});
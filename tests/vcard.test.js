@@ -0,0 +1,144 @@
+import { parseVCards, serializeVCard } from "../src/utils/vcard.js";
+
+describe("parseVCards", () => {
+  test("reads a vCard 3.0 card with escaped separators, folded lines and several phone numbers", () => {
+    const text = [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "FN:홍길동",
+      "N:홍;길동;;;",
+      "FN;LANGUAGE=en:Gildong Hong",
+      "ORG:주식회사 가나\\, 다라;개발팀",
+      "TITLE:팀장\\; 개발",
+      "TEL;TYPE=WORK,VOICE:02-123-4567",
+      "TEL;TYPE=CELL,PREF:010-1234-",
+      " 5678",
+      "TEL;TYPE=WORK,FAX:02-123-9999",
+      "EMAIL;TYPE=INTERNET:Hong@Example.com",
+      "END:VCARD",
+    ].join("\r\n");
+
+    expect(parseVCards(text)).toEqual([
+      {
+        version: "3.0",
+        name: "홍길동",
+        nameEn: "Gildong Hong",
+        company: "주식회사 가나, 다라",
+        companyEn: "",
+        position: "팀장; 개발",
+        phone: "010-1234-5678",
+        email: "Hong@Example.com",
+        gender: "",
+        contactPoints: [
+          { type: "mobile", value: "010-1234-5678", label: null },
+          { type: "office", value: "02-123-4567", label: null },
+          { type: "fax", value: "02-123-9999", label: null },
+          { type: "email", value: "hong@example.com", label: null },
+        ],
+      },
+    ]);
+  });
+
+  test("reads vCard 4.0 URI values, quoted parameters and GENDER", () => {
+    const text = [
+      "BEGIN:VCARD",
+      "VERSION:4.0",
+      "FN;LANGUAGE=en:Jane Doe",
+      "N:Doe;Jane;;;",
+      "ORG:Acme",
+      'TEL;VALUE=uri;TYPE="cell,voice";PREF=1:tel:+82-10-1111-2222',
+      "EMAIL:mailto:jane@acme.com",
+      "GENDER:F",
+      "URL:https://www.linkedin.com/in/jane",
+      "END:VCARD",
+    ].join("\n");
+
+    const [card] = parseVCards(text);
+    expect(card).toMatchObject({
+      version: "4.0",
+      name: "Jane Doe",
+      nameEn: "Jane Doe",
+      company: "Acme",
+      phone: "+82-10-1111-2222",
+      email: "jane@acme.com",
+      gender: "여성",
+    });
+    expect(card.contactPoints).toEqual([
+      { type: "mobile", value: "+82-10-1111-2222", label: null },
+      { type: "email", value: "jane@acme.com", label: null },
+      { type: "linkedin", value: "https://www.linkedin.com/in/jane", label: null },
+    ]);
+  });
+
+  test("decodes QUOTED-PRINTABLE values across soft line breaks", () => {
+    const text = [
+      "BEGIN:VCARD",
+      "VERSION:2.1",
+      "N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=ED=99=8D;=EA=B8=B8=EB=8F=99;;;",
+      "FN;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=ED=99=8D=EA=B8=B8=",
+      "=EB=8F=99",
+      "TEL;CELL:010-5555-6666",
+      "END:VCARD",
+    ].join("\r\n");
+
+    expect(parseVCards(text)[0]).toMatchObject({ version: "2.1", name: "홍길동", phone: "010-5555-6666" });
+  });
+
+  test("reads several cards from one file and falls back to N when FN is missing", () => {
+    const text = [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "N:Carter;Emily;;;",
+      "END:VCARD",
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "N:김;철수;;;",
+      "END:VCARD",
+    ].join("\r\n");
+
+    expect(parseVCards(text).map((card) => card.name)).toEqual(["Emily Carter", "김철수"]);
+  });
+
+  test("rejects text without a complete card", () => {
+    expect(() => parseVCards("hello")).toThrow("no BEGIN:VCARD");
+    expect(() => parseVCards("BEGIN:VCARD\r\nFN:홍길동")).toThrow("missing END:VCARD");
+  });
+});
+
+describe("serializeVCard", () => {
+  test("escapes separators, folds long lines at 75 octets and round-trips through parseVCards", () => {
+    const card = {
+      id: 3,
+      name: "홍길동",
+      company: "가나, 다라; 주식회사",
+      position: "x".repeat(100),
+      phone: "010-1234-5678",
+      email: "hong@example.com",
+    };
+    const text = serializeVCard(card);
+
+    expect(text).toContain("ORG:가나\\, 다라\\; 주식회사\r\n");
+    expect(text).toContain("TEL;TYPE=WORK,VOICE,PREF:010-1234-5678\r\n");
+    expect(text.endsWith("END:VCARD\r\n")).toBe(true);
+    for (const line of text.split("\r\n")) {
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75);
+    }
+
+    expect(parseVCards(text)[0]).toMatchObject({
+      name: card.name,
+      company: card.company,
+      position: card.position,
+      phone: card.phone,
+      email: card.email,
+    });
+  });
+
+  test("does not split multi-byte characters when folding", () => {
+    const text = serializeVCard({ name: "가".repeat(40) });
+    const lines = text.split("\r\n");
+
+    expect(lines.some((line) => line.startsWith(" "))).toBe(true);
+    expect(text).not.toContain("\uFFFD");
+    expect(parseVCards(text)[0].name).toBe("가".repeat(40));
+  });
+});